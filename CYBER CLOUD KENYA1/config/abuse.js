@@ -0,0 +1,66 @@
+// Settings for the anti-abuse checks on public forms; see services/abuseService.js.
+// Each can be overridden with the environment variable named beside it.
+
+// Hidden field that people never see and bots tend to fill in
+const getHoneypotField = () => process.env.ABUSE_HONEYPOT_FIELD || 'website';
+
+// Form tokens: submissions faster than this look automated, older ones have expired
+const getMinFillSeconds = () => parseInt(process.env.ABUSE_MIN_FILL_SECONDS) || 3;
+const getFormTokenMaxAgeHours = () => parseInt(process.env.ABUSE_FORM_TOKEN_MAX_AGE_HOURS) || 24;
+
+// Whether submissions without a form token are blocked rather than just let through
+const isFormTokenRequired = () => process.env.ABUSE_REQUIRE_FORM_TOKEN === 'true';
+
+// Messages with more links than this are quarantined
+const getMaxLinks = () => {
+  const value = parseInt(process.env.ABUSE_MAX_LINKS);
+  return Number.isNaN(value) ? 2 : value;
+};
+
+const DEFAULT_BANNED_KEYWORDS = [
+  'viagra',
+  'casino',
+  'backlinks',
+  'seo services',
+  'crypto investment',
+  'guaranteed profit',
+  'loan offer'
+];
+
+// Phrases that quarantine a message; ABUSE_BANNED_KEYWORDS adds more, comma-separated
+const getBannedKeywords = () => DEFAULT_BANNED_KEYWORDS.concat(
+  String(process.env.ABUSE_BANNED_KEYWORDS || '')
+    .split(',')
+    .map(keyword => keyword.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+// Submissions allowed per email address and per IP address within QUOTA_WINDOW_HOURS
+const QUOTA_WINDOW_HOURS = 24;
+
+const DEFAULT_QUOTAS = {
+  contact: { perEmail: 5, perIp: 20 },
+  newsletter: { perEmail: 3, perIp: 20 },
+  quote: { perEmail: 3, perIp: 10 }
+};
+
+// Quota for a form, e.g. ABUSE_CONTACT_PER_EMAIL=10 or ABUSE_NEWSLETTER_PER_IP=50
+const getQuota = (form) => {
+  const defaults = DEFAULT_QUOTAS[form] || DEFAULT_QUOTAS.contact;
+  const prefix = `ABUSE_${form.toUpperCase()}`;
+  return {
+    perEmail: parseInt(process.env[`${prefix}_PER_EMAIL`]) || defaults.perEmail,
+    perIp: parseInt(process.env[`${prefix}_PER_IP`]) || defaults.perIp
+  };
+};
+
+module.exports = {
+  QUOTA_WINDOW_HOURS,
+  getHoneypotField,
+  getMinFillSeconds,
+  getFormTokenMaxAgeHours,
+  isFormTokenRequired,
+  getMaxLinks,
+  getBannedKeywords,
+  getQuota
+};
@@ -0,0 +1,38 @@
+// Settings for quotations and invoices. Each can be overridden with the environment
+// variable named beside it.
+
+// Kenyan VAT; prices on line items exclude it
+const DEFAULT_VAT_RATE = 0.16;
+
+const getVatRate = () => {
+  const value = parseFloat(process.env.VAT_RATE);
+  return Number.isNaN(value) ? DEFAULT_VAT_RATE : value;
+};
+
+// Days an invoice is due after it is issued, and a quotation valid after it is sent
+const getInvoiceDueDays = () => parseInt(process.env.INVOICE_DUE_DAYS) || 14;
+const getQuoteValidDays = () => parseInt(process.env.QUOTE_VALID_DAYS) || 30;
+
+// Seller details printed on every quotation and invoice
+const getBusinessDetails = () => ({
+  name: process.env.BUSINESS_NAME || 'Cyber Cloud Kenya',
+  address: process.env.BUSINESS_ADDRESS || 'Nairobi, Kenya',
+  email: process.env.BUSINESS_EMAIL || process.env.EMAIL_USER || 'info@cybercloudkenya.com',
+  phone: process.env.BUSINESS_PHONE,
+  kraPin: process.env.BUSINESS_KRA_PIN,
+  website: process.env.FRONTEND_URL
+});
+
+// How clients can pay, printed on invoices; the invoice number is the M-Pesa account number
+const getPaymentInstructions = () => ({
+  mpesaPaybill: process.env.MPESA_PAYBILL || process.env.MPESA_SHORTCODE,
+  bankDetails: process.env.BANK_DETAILS
+});
+
+module.exports = {
+  getVatRate,
+  getInvoiceDueDays,
+  getQuoteValidDays,
+  getBusinessDetails,
+  getPaymentInstructions
+};
@@ -0,0 +1,23 @@
+// Languages emails can be sent in; anything else falls back to DEFAULT_LANGUAGE
+
+const LANGUAGES = ['en', 'sw'];
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Names shown to people choosing a language
+const LANGUAGE_NAMES = {
+  en: 'English',
+  sw: 'Kiswahili'
+};
+
+// A supported language code, or the default for anything unknown
+const resolveLanguage = (language) => {
+  return LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_NAMES,
+  resolveLanguage
+};
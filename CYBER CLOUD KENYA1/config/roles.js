@@ -0,0 +1,77 @@
+// Roles and the named permissions each one grants.
+// Routes check permissions with requirePermission() rather than comparing role names.
+
+const PERMISSIONS = [
+  'dashboard:view',
+  'users:read',
+  'users:manage',
+  'roles:assign',
+  'roles:assign-privileged',
+  'contacts:read',
+  'contacts:respond',
+  'contacts:delete',
+  'abuse:review',
+  'quotes:read',
+  'quotes:manage',
+  'billing:read',
+  'billing:manage',
+  'newsletter:read',
+  'newsletter:send',
+  'newsletter:manage',
+  'programs:manage',
+  'enrollments:read',
+  'enrollments:review',
+  'payments:read',
+  'payments:reconcile',
+  'audit:read',
+  'emails:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  instructor: [
+    'enrollments:read'
+  ],
+  support: [
+    'dashboard:view',
+    'contacts:read',
+    'contacts:respond',
+    'abuse:review',
+    'quotes:read',
+    'enrollments:read',
+    'payments:read'
+  ],
+  marketing: [
+    'dashboard:view',
+    'newsletter:read',
+    'newsletter:send',
+    'newsletter:manage'
+  ],
+  admin: PERMISSIONS.filter(permission => permission !== 'roles:assign-privileged'),
+  'super-admin': PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that can only be granted, revoked or managed with roles:assign-privileged
+const PRIVILEGED_ROLES = ['admin', 'super-admin'];
+
+// Roles with access to everything an admin can do
+const ADMIN_ROLES = ['admin', 'super-admin'];
+
+// Roles that are staff rather than customers
+const STAFF_ROLES = ROLES.filter(role => role !== 'user');
+
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  PRIVILEGED_ROLES,
+  ADMIN_ROLES,
+  STAFF_ROLES,
+  hasPermission
+};
@@ -0,0 +1,40 @@
+// Helpdesk response targets: how many hours staff have to answer a ticket, by priority.
+// Each can be overridden with SLA_<PRIORITY>_HOURS, e.g. SLA_URGENT_HOURS=1.
+
+const DEFAULT_SLA_HOURS = {
+  urgent: 2,
+  high: 8,
+  medium: 24,
+  low: 48
+};
+
+// Ticket statuses in which the client is waiting on staff
+const AWAITING_RESPONSE_STATUSES = ['new', 'read', 'open'];
+
+// Response target in hours for a priority
+const getSlaHours = (priority) => {
+  const override = parseFloat(process.env[`SLA_${String(priority).toUpperCase()}_HOURS`]);
+  if (override > 0) return override;
+  return DEFAULT_SLA_HOURS[priority] || DEFAULT_SLA_HOURS.medium;
+};
+
+// Every priority's current target in hours
+const getSlaTargets = () => {
+  return Object.keys(DEFAULT_SLA_HOURS).reduce((targets, priority) => {
+    targets[priority] = getSlaHours(priority);
+    return targets;
+  }, {});
+};
+
+// When a response is due for a ticket of this priority that started waiting at `since`
+const getResponseDueAt = (priority, since = new Date()) => {
+  return new Date(new Date(since).getTime() + getSlaHours(priority) * 60 * 60 * 1000);
+};
+
+module.exports = {
+  DEFAULT_SLA_HOURS,
+  AWAITING_RESPONSE_STATUSES,
+  getSlaHours,
+  getSlaTargets,
+  getResponseDueAt
+};
@@ -0,0 +1,49 @@
+const { validationResult } = require('express-validator');
+const { evaluateSubmission } = require('../services/abuseService');
+
+// Run the anti-abuse checks on a public form submission. Goes after the route's validators;
+// submissions that fail validation are left for the route to reject.
+//
+// Blocked submissions get `blockedResponse` (the route's usual success reply) so bots
+// cannot tell they were caught; rejected ones get a 429. Otherwise the route runs with
+// req.abuse = { verdict, reasons } and quarantines the submission when told to.
+const abuseGuard = (form, { getText = () => '', blockedResponse }) => async (req, res, next) => {
+  if (!validationResult(req).isEmpty()) return next();
+
+  try {
+    const result = await evaluateSubmission({
+      form,
+      email: req.body.email,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      text: getText(req.body),
+      body: req.body
+    });
+
+    if (result.verdict === 'blocked') {
+      return res.status(blockedResponse.status || 200).json({
+        success: true,
+        message: blockedResponse.message
+      });
+    }
+
+    if (result.verdict === 'rejected') {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many submissions. Please try again later.'
+      });
+    }
+
+    req.abuse = result;
+    next();
+  } catch (error) {
+    // Fail open: losing a real enquiry is worse than letting some spam through
+    console.error('Abuse guard error:', error);
+    req.abuse = { verdict: 'accepted', reasons: [] };
+    next();
+  }
+};
+
+module.exports = {
+  abuseGuard
+};
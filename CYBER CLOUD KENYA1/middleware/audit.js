@@ -0,0 +1,112 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields that are never copied into the audit log
+const REDACTED_FIELDS = [
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'twoFactor',
+  'tokenHash',
+  'callbackPayload',
+  '__v'
+];
+
+// Fields that change on every save and would only add noise to a diff
+const IGNORED_DIFF_FIELDS = ['updatedAt'];
+
+// Plain, redacted copy of a document as it is right now
+const snapshot = (doc) => {
+  if (!doc) return undefined;
+
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : { ...doc };
+
+  REDACTED_FIELDS.forEach(field => delete plain[field]);
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level fields that differ between two snapshots
+const diffSnapshots = (before, after) => {
+  if (!before || !after) return [];
+
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_DIFF_FIELDS.includes(field)) return;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, from: before[field], to: after[field] });
+    }
+  });
+
+  return changes;
+};
+
+// Write an audit entry for the current request
+const recordAudit = (req, entry) => {
+  const { before, after } = entry;
+
+  return AuditLog.create({
+    actor: req.user && req.user._id,
+    actorEmail: req.user && req.user.email,
+    actorRole: req.user && req.user.role,
+    action: entry.action,
+    targetType: entry.targetType,
+    targetId: entry.targetId ? entry.targetId.toString() : undefined,
+    before,
+    after,
+    changes: diffSnapshots(before, after),
+    metadata: entry.metadata,
+    method: req.method,
+    path: req.originalUrl,
+    statusCode: entry.statusCode,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+// Record a privileged action once it has succeeded.
+// Handlers describe the change through req.audit:
+//   req.audit.setBefore(doc)  - state before the change (call before mutating)
+//   req.audit.setAfter(doc)   - state after the change
+//   req.audit.targetId        - defaults to req.params.id
+//   req.audit.metadata        - anything else worth keeping, such as a newsletter subject
+//   req.audit.skip = true     - nothing changed, so write no entry
+const audit = (action, targetType) => (req, res, next) => {
+  req.audit = {
+    targetId: req.params.id,
+    metadata: {},
+    setBefore(doc) {
+      this.before = snapshot(doc);
+    },
+    setAfter(doc) {
+      this.after = snapshot(doc);
+    }
+  };
+
+  res.on('finish', () => {
+    // Rejected and failed requests changed nothing
+    if (res.statusCode >= 400 || req.audit.skip) return;
+
+    recordAudit(req, {
+      action,
+      targetType,
+      targetId: req.audit.targetId,
+      before: req.audit.before,
+      after: req.audit.after,
+      metadata: Object.keys(req.audit.metadata).length ? req.audit.metadata : undefined,
+      statusCode: res.statusCode
+    }).catch(error => console.error('Audit log error:', error));
+  });
+
+  next();
+};
+
+module.exports = {
+  audit,
+  recordAudit,
+  snapshot
+};
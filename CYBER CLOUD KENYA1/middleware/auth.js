@@ -1,5 +1,22 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { ADMIN_ROLES, hasPermission } = require('../config/roles');
+
+// Whether the user's role must sign in with two-factor authentication
+const isTwoFactorRequired = (user) => {
+  return ADMIN_ROLES.includes(user.role) && process.env.REQUIRE_ADMIN_2FA === 'true';
+};
+
+// Whether the user must enable two-factor authentication before using staff routes
+const missingRequiredTwoFactor = (user) => {
+  return isTwoFactorRequired(user) && !(user.twoFactor && user.twoFactor.enabled);
+};
+
+const twoFactorRequiredResponse = (res) => res.status(403).json({
+  success: false,
+  message: 'Two-factor authentication must be enabled to access admin routes'
+});
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -37,6 +54,31 @@ const protect = async (req, res, next) => {
         });
       }
 
+      if (!req.user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Account is deactivated. Please contact admin.'
+        });
+      }
+
+      // Reject tokens issued before the last password change
+      if (req.user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed recently. Please log in again.'
+        });
+      }
+
+      // Reject tokens whose session has been logged out or revoked
+      if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended. Please log in again.'
+        });
+      }
+
+      req.sessionId = decoded.sid;
+
       next();
     } catch (error) {
       return res.status(401).json({
@@ -61,12 +103,47 @@ const authorize = (...roles) => {
         message: `User role ${req.user.role} is not authorized to access this route`
       });
     }
+
+    // Admins must turn on two-factor authentication before using admin routes when required
+    if (missingRequiredTwoFactor(req.user)) {
+      return twoFactorRequiredResponse(res);
+    }
+    next();
+  };
+};
+
+// Grant access to users whose role has every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `User role ${req.user.role} is missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    if (missingRequiredTwoFactor(req.user)) {
+      return twoFactorRequiredResponse(res);
+    }
     next();
   };
 };
 
-// Check if user owns resource or is admin
-const ownerOrAdmin = (model) => {
+// Require a verified email address; must run after protect
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to access this route'
+    });
+  }
+  next();
+};
+
+// Check if user owns resource, is admin, or holds the given permission
+const ownerOrAdmin = (model, permission) => {
   return async (req, res, next) => {
     try {
       const resource = await model.findById(req.params.id);
@@ -78,8 +155,13 @@ const ownerOrAdmin = (model) => {
         });
       }
 
-      // Check if user is admin or owns the resource
-      if (req.user.role !== 'admin' && resource.user.toString() !== req.user._id.toString()) {
+      // Check if user is admin, holds the permission, or owns the resource
+      // Invoice payments recorded by staff may have no user
+      const isOwner = Boolean(resource.user) && resource.user.toString() === req.user._id.toString();
+      const isStaff = ADMIN_ROLES.includes(req.user.role) ||
+        (permission && hasPermission(req.user.role, permission));
+
+      if (!isOwner && !isStaff) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to access this resource'
@@ -100,5 +182,8 @@ const ownerOrAdmin = (model) => {
 module.exports = {
   protect,
   authorize,
-  ownerOrAdmin
+  requirePermission,
+  requireVerifiedEmail,
+  ownerOrAdmin,
+  isTwoFactorRequired
 };
\ No newline at end of file
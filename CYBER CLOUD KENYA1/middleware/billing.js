@@ -0,0 +1,149 @@
+const { body } = require('express-validator');
+const { LANGUAGES } = require('../config/languages');
+
+// KRA PINs are a letter, nine digits and a letter, e.g. P051234567Q
+const KRA_PIN_PATTERN = /^[A-Z]\d{9}[A-Z]$/i;
+
+const CLIENT_FIELDS = ['name', 'email', 'phone', 'company', 'address', 'kraPin', 'language'];
+
+// Validation for the client, line items and pricing shared by quotations and invoices.
+// On create the client and items are required; on update only what is sent is checked.
+// clientOptional lets a create skip the client when it is filled in some other way.
+const billingDocumentValidation = (isCreate, clientOptional = () => false) => {
+  const clientGiven = (value, { req }) => req.body.client !== undefined || (isCreate && !clientOptional(req));
+
+  return [
+    body('client.name')
+      .if(clientGiven)
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Client name must be between 2 and 100 characters'),
+    body('client.email')
+      .if(clientGiven)
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid client email'),
+    body('client.phone')
+      .optional()
+      .isMobilePhone()
+      .withMessage('Please provide a valid client phone number'),
+    body('client.company')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Company cannot be more than 100 characters'),
+    body('client.address')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Address cannot be more than 300 characters'),
+    body('client.kraPin')
+      .optional()
+      .trim()
+      .matches(KRA_PIN_PATTERN)
+      .withMessage('KRA PIN must look like P051234567Q'),
+    body('client.language')
+      .optional()
+      .isIn(LANGUAGES)
+      .withMessage('Invalid client language'),
+    body('items')
+      .if((value) => isCreate || value !== undefined)
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Add between 1 and 100 line items'),
+    body('items.*.description')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Line item description must be between 1 and 500 characters'),
+    body('items.*.quantity')
+      .isFloat({ gt: 0 })
+      .withMessage('Line item quantity must be more than 0')
+      .toFloat(),
+    body('items.*.unitPrice')
+      .isFloat({ min: 0 })
+      .withMessage('Line item unit price cannot be negative')
+      .toFloat(),
+    body('items.*.vatExempt')
+      .optional()
+      .isBoolean()
+      .withMessage('vatExempt must be true or false')
+      .toBoolean(),
+    body('discount.type')
+      .optional()
+      .isIn(['percent', 'amount'])
+      .withMessage('Discount type must be percent or amount'),
+    body('discount.value')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Discount cannot be negative')
+      .toFloat()
+      .custom((value, { req }) => req.body.discount.type !== 'percent' || value <= 100)
+      .withMessage('A percentage discount cannot be more than 100'),
+    body('vatRate')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('VAT rate is a fraction between 0 and 1, e.g. 0.16')
+      .toFloat(),
+    body('currency')
+      .optional()
+      .isISO4217()
+      .withMessage('Currency must be a currency code such as KES'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Notes cannot be more than 2000 characters'),
+    body('terms')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Terms cannot be more than 2000 characters')
+  ];
+};
+
+// Copy the client, line items and pricing from the request onto a quotation or invoice;
+// totals are recalculated when it is saved
+const applyBillingFields = (document, data) => {
+  if (data.client !== undefined) {
+    document.client = CLIENT_FIELDS.reduce((client, field) => {
+      if (data.client[field] !== undefined) client[field] = data.client[field];
+      return client;
+    }, {});
+  }
+
+  if (data.items !== undefined) {
+    document.items = data.items.map(item => ({
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      vatExempt: Boolean(item.vatExempt)
+    }));
+  }
+
+  if (data.discount !== undefined) {
+    document.discount = {
+      type: data.discount.type || 'amount',
+      value: data.discount.value || 0
+    };
+  }
+
+  if (data.vatRate !== undefined) document.vatRate = data.vatRate;
+  if (data.currency !== undefined) document.currency = data.currency.toUpperCase();
+  if (data.notes !== undefined) document.notes = data.notes;
+  if (data.terms !== undefined) document.terms = data.terms;
+};
+
+// Send a rendered PDF for viewing in the browser
+const sendPdf = (res, filename, pdf) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+module.exports = {
+  billingDocumentValidation,
+  applyBillingFields,
+  sendPdf
+};
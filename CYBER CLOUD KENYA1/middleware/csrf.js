@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Methods that never change state
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Routes that can be called before a CSRF cookie exists
+const EXEMPT_PATHS = ['/api/auth/login', '/api/auth/login/2fa', '/api/auth/register'];
+
+// Routes authorised by a signed token in the URL rather than by cookies
+const EXEMPT_PREFIXES = ['/api/newsletter/unsubscribe/', '/api/newsletter/preferences/'];
+
+// Constant-time comparison of two tokens
+const tokensMatch = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+// Double-submit CSRF check for requests authenticated by cookie.
+// Requests carrying a Bearer token are not sent automatically by browsers, so they skip the check.
+const csrfProtection = (req, res, next) => {
+  const exempt = EXEMPT_PATHS.includes(req.path) ||
+    EXEMPT_PREFIXES.some(prefix => req.path.startsWith(prefix));
+
+  if (SAFE_METHODS.includes(req.method) || exempt) {
+    return next();
+  }
+
+  const usesBearer = req.headers.authorization && req.headers.authorization.startsWith('Bearer');
+  const usesCookies = req.cookies && (req.cookies.token || req.cookies.refreshToken);
+
+  if (usesBearer || !usesCookies) {
+    return next();
+  }
+
+  if (!tokensMatch(req.get('X-CSRF-Token'), req.cookies.csrfToken)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or missing CSRF token'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  csrfProtection
+};
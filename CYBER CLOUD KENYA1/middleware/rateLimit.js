@@ -0,0 +1,29 @@
+const rateLimit = require('express-rate-limit');
+
+// Build a per-IP limiter that answers in the API's JSON format
+const createLimiter = (windowMinutes, max, message) => rateLimit({
+  windowMs: windowMinutes * 60 * 1000,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message
+  }
+});
+
+// Stricter limits for endpoints that attract brute-force and spam,
+// on top of the global API limiter in server.js
+const loginLimiter = createLimiter(15, 10, 'Too many login attempts from this IP, please try again in 15 minutes.');
+const registerLimiter = createLimiter(60, 5, 'Too many accounts created from this IP, please try again later.');
+const forgotPasswordLimiter = createLimiter(60, 5, 'Too many password reset requests from this IP, please try again later.');
+const contactLimiter = createLimiter(60, 5, 'Too many messages sent from this IP, please try again later.');
+const quoteLimiter = createLimiter(60, 5, 'Too many quote requests sent from this IP, please try again later.');
+
+module.exports = {
+  loginLimiter,
+  registerLimiter,
+  forgotPasswordLimiter,
+  contactLimiter,
+  quoteLimiter
+};
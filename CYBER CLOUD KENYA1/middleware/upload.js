@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+// Uploaded files are kept on disk under UPLOAD_DIR and only served through authenticated routes
+const getUploadDir = () => process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_MB = 10;
+
+// Briefs, documents, images, video references and archives
+const ALLOWED_ATTACHMENT_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip',
+  'application/x-zip-compressed',
+  'text/plain',
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp'
+];
+
+// Path of a stored file; folder and fileName come from the server, never from the client
+const getUploadPath = (folder, fileName) => path.join(getUploadDir(), folder, path.basename(fileName));
+
+// Remove stored files, ignoring any that are already gone
+const removeUploadedFiles = (folder, fileNames) => {
+  fileNames.forEach(fileName => {
+    fs.unlink(getUploadPath(folder, fileName), (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error('Remove uploaded file error:', error);
+      }
+    });
+  });
+};
+
+const MULTER_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each file must be ${MAX_ATTACHMENT_MB} MB or smaller`,
+  LIMIT_FILE_COUNT: `No more than ${MAX_ATTACHMENTS} files can be attached`,
+  LIMIT_UNEXPECTED_FILE: `Files must be sent in the "attachments" field, at most ${MAX_ATTACHMENTS}`
+};
+
+// Accept up to MAX_ATTACHMENTS files in `field`, stored in UPLOAD_DIR/<folder> under random names.
+// Unless the route sets req.keepUploads once it has saved them, the files are deleted when the
+// response finishes, so rejected, blocked and failed submissions leave nothing behind.
+const uploadAttachments = (folder, field = 'attachments') => {
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => {
+        const dir = path.join(getUploadDir(), folder);
+        fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+      },
+      filename: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+        cb(null, `${crypto.randomBytes(16).toString('hex')}${extension}`);
+      }
+    }),
+    limits: {
+      fileSize: MAX_ATTACHMENT_MB * 1024 * 1024,
+      files: MAX_ATTACHMENTS
+    },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_ATTACHMENT_TYPES.includes(file.mimetype)) {
+        const error = new Error('Unsupported file type. Attach PDF, Office documents, images, text or zip files.');
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).array(field, MAX_ATTACHMENTS);
+
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (!req.keepUploads && req.files && req.files.length > 0) {
+        removeUploadedFiles(folder, req.files.map(file => file.filename));
+      }
+    });
+
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError || error.code === 'UNSUPPORTED_FILE_TYPE') {
+        return res.status(400).json({
+          success: false,
+          message: MULTER_ERROR_MESSAGES[error.code] || error.message
+        });
+      }
+
+      console.error('File upload error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'File upload failed. Please try again later.'
+      });
+    });
+  };
+};
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_MB,
+  ALLOWED_ATTACHMENT_TYPES,
+  getUploadPath,
+  removeUploadedFiles,
+  uploadAttachments
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Newsletter = require('./Newsletter');
+
+const STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled'];
+
+// Statuses in which the subject, content and audience can still be edited
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+
+// Subscriber interests a campaign can target
+const INTERESTS = Newsletter.schema.path('interests').caster.enumValues;
+
+// Who a campaign goes to: every subscriber, one interest or a saved segment
+const AUDIENCES = ['all', 'specific-interest', 'saved-segment'];
+
+const segmentSchema = new mongoose.Schema({
+  audience: {
+    type: String,
+    enum: AUDIENCES,
+    default: 'all'
+  },
+  interest: {
+    type: String,
+    enum: INTERESTS
+  },
+  // Saved segment whose rules pick the recipients when the campaign is sent
+  savedSegment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Segment'
+  }
+}, { _id: false });
+
+const campaignSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot be more than 200 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required'],
+    maxlength: [10000, 'Content cannot be more than 10000 characters']
+  },
+  segment: {
+    type: segmentSchema,
+    default: () => ({})
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft'
+  },
+  scheduledAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  // Set while a worker is sending, so a crashed send can be picked up again
+  lockedAt: {
+    type: Date
+  },
+  stats: {
+    totalRecipients: {
+      type: Number,
+      default: 0
+    },
+    successfulSends: {
+      type: Number,
+      default: 0
+    },
+    failedSends: {
+      type: Number,
+      default: 0
+    }
+  },
+  lastError: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+// An interest or saved segment is required when the audience targets one
+campaignSchema.pre('validate', function(next) {
+  if (this.segment && this.segment.audience === 'specific-interest' && !this.segment.interest) {
+    this.invalidate('segment.interest', 'Interest is required for a specific-interest campaign');
+  }
+  if (this.segment && this.segment.audience === 'saved-segment' && !this.segment.savedSegment) {
+    this.invalidate('segment.savedSegment', 'Saved segment is required for a saved-segment campaign');
+  }
+  next();
+});
+
+// Whether the campaign can still be changed
+campaignSchema.methods.isEditable = function() {
+  return EDITABLE_STATUSES.includes(this.status);
+};
+
+campaignSchema.statics.STATUSES = STATUSES;
+campaignSchema.statics.EDITABLE_STATUSES = EDITABLE_STATUSES;
+campaignSchema.statics.INTERESTS = INTERESTS;
+campaignSchema.statics.AUDIENCES = AUDIENCES;
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One campaign email to one subscriber
+const campaignDeliverySchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: [true, 'Campaign is required']
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Newsletter'
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  messageId: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  // First open, click and unsubscribe recorded for this email; see CampaignEvent for all of them
+  openedAt: {
+    type: Date
+  },
+  clickedAt: {
+    type: Date
+  },
+  unsubscribedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Each subscriber gets a campaign at most once, even if a send is resumed
+campaignDeliverySchema.index({ campaign: 1, subscriber: 1 }, { unique: true });
+campaignDeliverySchema.index({ campaign: 1, status: 1 });
+campaignDeliverySchema.index({ openedAt: -1 }, { sparse: true });
+
+module.exports = mongoose.model('CampaignDelivery', campaignDeliverySchema);
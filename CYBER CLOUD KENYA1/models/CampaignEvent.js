@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// An open, click or unsubscribe by one subscriber on one campaign email
+const campaignEventSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: [true, 'Campaign is required']
+  },
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CampaignDelivery',
+    required: [true, 'Delivery is required']
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Newsletter'
+  },
+  type: {
+    type: String,
+    enum: ['open', 'click', 'unsubscribe'],
+    required: [true, 'Type is required']
+  },
+  // Link that was clicked
+  url: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+campaignEventSchema.index({ campaign: 1, type: 1 });
+campaignEventSchema.index({ subscriber: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CampaignEvent', campaignEventSchema);
@@ -1,4 +1,58 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { AWAITING_RESPONSE_STATUSES, getResponseDueAt } = require('../config/sla');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+
+const STATUSES = ['new', 'read', 'open', 'responded', 'closed', 'quarantined'];
+
+// Signature for a ticket's reply address, so inbound email can only be threaded onto
+// a ticket by someone who was sent that address
+const signTicketId = (id) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`ticket:${id}`)
+  .digest('hex')
+  .slice(0, 16);
+
+// Mailbox staff replies come from and clients reply to
+const getSupportAddress = () => process.env.SUPPORT_EMAIL || process.env.EMAIL_USER || 'support@cybercloudkenya.com';
+
+// One email in a ticket's conversation
+const ticketMessageSchema = new mongoose.Schema({
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+    required: [true, 'Direction is required']
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    trim: true,
+    maxlength: [10000, 'Message cannot be more than 10000 characters']
+  },
+  // Sender's address for inbound messages
+  from: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Staff member who wrote an outbound message
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // RFC 5322 Message-ID, used to thread email replies
+  messageId: {
+    type: String
+  },
+  emailJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailJob'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const contactSchema = new mongoose.Schema({
   name: {
@@ -54,9 +108,22 @@ const contactSchema = new mongoose.Schema({
     ],
     default: 'general-inquiry'
   },
+  // Language ticket replies are sent in
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    default: DEFAULT_LANGUAGE
+  },
+  // Reference shown to the client and used to match replies, e.g. CCK-7F3A9C21
+  ticketNumber: {
+    type: String,
+    unique: true
+  },
+  // open means the client has replied and is waiting on staff;
+  // quarantined means it looked like spam and is waiting for review
   status: {
     type: String,
-    enum: ['new', 'read', 'responded', 'closed'],
+    enum: STATUSES,
     default: 'new'
   },
   priority: {
@@ -72,13 +139,42 @@ const contactSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  response: {
-    message: String,
-    respondedBy: {
+  // The conversation, starting with the original submission
+  messages: [ticketMessageSchema],
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  firstResponseAt: {
+    type: Date
+  },
+  // Why the anti-abuse checks held the submission for review, and who let it through
+  quarantine: {
+    reasons: [String],
+    releasedAt: Date,
+    releasedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    },
-    respondedAt: Date
+    }
+  },
+  // Response targets from config/sla.js, set from the ticket's priority
+  sla: {
+    firstResponseDueAt: Date,
+    // Start of the current wait for staff, and when it must be answered by
+    waitingSince: Date,
+    dueAt: Date,
+    // Set by the SLA worker when the current wait ran past dueAt
+    breachedAt: Date
   }
 }, {
   timestamps: true
@@ -89,18 +185,48 @@ contactSchema.index({ email: 1 });
 contactSchema.index({ status: 1 });
 contactSchema.index({ createdAt: -1 });
 contactSchema.index({ service: 1 });
+contactSchema.index({ assignedTo: 1, status: 1 });
+contactSchema.index({ 'messages.messageId': 1 });
+contactSchema.index({ 'sla.dueAt': 1, 'sla.breachedAt': 1 });
 
-// Virtual for response time
+// Virtual for response time: from submission to the first reply
 contactSchema.virtual('responseTime').get(function() {
-  if (this.response && this.response.respondedAt) {
-    return this.response.respondedAt - this.createdAt;
+  if (this.firstResponseAt) {
+    return this.firstResponseAt - this.createdAt;
   }
   return null;
 });
 
-// Pre-save middleware to set priority based on service
+// Virtual for whether the client has waited longer than the SLA allows
+contactSchema.virtual('isOverdue').get(function() {
+  return Boolean(this.sla && this.sla.dueAt && this.sla.dueAt < new Date());
+});
+
+// Start the SLA clock for a wait that began at `since`
+contactSchema.methods.startSlaClock = function(since) {
+  this.sla.waitingSince = since;
+  this.sla.dueAt = getResponseDueAt(this.priority, since);
+  this.sla.breachedAt = undefined;
+};
+
+// Stop the SLA clock once the client is no longer waiting
+contactSchema.methods.stopSlaClock = function() {
+  this.sla.waitingSince = undefined;
+  this.sla.dueAt = undefined;
+  this.sla.breachedAt = undefined;
+};
+
+// Pre-save middleware to number the ticket, start its thread and set priority based on service
 contactSchema.pre('save', function(next) {
   if (this.isNew) {
+    if (!this.ticketNumber) {
+      this.ticketNumber = `CCK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    }
+
+    if (this.messages.length === 0) {
+      this.messages.push({ direction: 'inbound', body: this.message, from: this.email });
+    }
+
     // Set priority based on service type
     const highPriorityServices = ['cyber-security'];
     const mediumPriorityServices = ['web-development', 'training-programs'];
@@ -113,7 +239,111 @@ contactSchema.pre('save', function(next) {
       this.priority = 'low';
     }
   }
+
+  // Targets follow the priority, so a change of priority moves them
+  if (this.isNew || this.isModified('priority')) {
+    if (!this.firstResponseAt) {
+      this.sla.firstResponseDueAt = getResponseDueAt(this.priority, this.createdAt || new Date());
+    }
+    // Quarantined submissions only start waiting once they are released
+    if (this.isNew && this.status !== 'quarantined') {
+      this.startSlaClock(this.createdAt || new Date());
+    } else if (this.sla.waitingSince) {
+      this.sla.dueAt = getResponseDueAt(this.priority, this.sla.waitingSince);
+    }
+  }
   next();
 });
 
+// Add a message to the thread and move the ticket to the status it implies
+contactSchema.methods.addMessage = function(message) {
+  this.messages.push(message);
+  const added = this.messages[this.messages.length - 1];
+
+  this.lastMessageAt = added.createdAt;
+  if (added.direction === 'outbound') {
+    this.status = 'responded';
+    if (!this.firstResponseAt) this.firstResponseAt = added.createdAt;
+    this.stopSlaClock();
+  } else {
+    // A client reply reopens a closed ticket
+    this.status = 'open';
+    this.closedAt = undefined;
+    // Further messages while already waiting do not restart the clock
+    if (!this.sla.waitingSince) this.startSlaClock(added.createdAt);
+  }
+
+  return added;
+};
+
+// Mark the ticket closed
+contactSchema.methods.close = function() {
+  this.status = 'closed';
+  this.closedAt = new Date();
+  this.stopSlaClock();
+};
+
+// Hold a suspected spam submission for review; nobody is notified and no SLA applies
+contactSchema.methods.quarantineFor = function(reasons) {
+  this.status = 'quarantined';
+  this.quarantine.reasons = reasons;
+  this.stopSlaClock();
+};
+
+// Let a quarantined submission into the helpdesk; its SLA starts now
+contactSchema.methods.releaseFromQuarantine = function(releasedBy) {
+  const now = new Date();
+  this.status = 'new';
+  this.quarantine.releasedAt = now;
+  this.quarantine.releasedBy = releasedBy;
+  this.sla.firstResponseDueAt = getResponseDueAt(this.priority, now);
+  this.startSlaClock(now);
+};
+
+// Change the status by hand, starting or stopping the SLA clock to match
+contactSchema.methods.setStatus = function(status) {
+  if (status === 'closed') {
+    this.close();
+    return;
+  }
+
+  this.status = status;
+  this.closedAt = undefined;
+  if (!AWAITING_RESPONSE_STATUSES.includes(status)) {
+    this.stopSlaClock();
+  } else if (!this.sla.waitingSince) {
+    this.startSlaClock(new Date());
+  }
+};
+
+// Address the client replies to, e.g. support+<id>.<signature>@example.com
+contactSchema.methods.getReplyAddress = function() {
+  const [local, domain] = getSupportAddress().split('@');
+  const id = this._id.toString();
+  return `${local}+${id}.${signTicketId(id)}@${domain}`;
+};
+
+// Message-ID for the next outbound email on this ticket
+contactSchema.methods.createMessageId = function() {
+  const domain = getSupportAddress().split('@')[1];
+  return `<ticket-${this._id}-${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+};
+
+// Static method to find the ticket a signed reply address belongs to
+contactSchema.statics.findByReplyAddress = function(address) {
+  const match = String(address || '').match(/\+([0-9a-fA-F]{24})\.([0-9a-f]{16})@/);
+  if (!match) return null;
+
+  const [, id, signature] = match;
+  const expected = Buffer.from(signTicketId(id));
+  const provided = Buffer.from(signature);
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return this.findById(id);
+};
+
+contactSchema.statics.STATUSES = STATUSES;
+
 module.exports = mongoose.model('Contact', contactSchema);
\ No newline at end of file
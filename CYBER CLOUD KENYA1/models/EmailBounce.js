@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A bounce or complaint reported for an address we emailed
+const emailBounceSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['hard', 'soft', 'complaint'],
+    required: [true, 'Type is required']
+  },
+  // Enhanced status code such as 5.1.1, when the report gives one
+  status: {
+    type: String
+  },
+  diagnostic: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  // Where the report came from: webhook, mailbox or smtp (rejected while sending)
+  source: {
+    type: String,
+    enum: ['webhook', 'mailbox', 'smtp'],
+    required: [true, 'Source is required']
+  },
+  // Queued email the report refers to, when it could be matched by message id
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailJob'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+emailBounceSchema.index({ email: 1, type: 1, createdAt: -1 });
+emailBounceSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('EmailBounce', emailBounceSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// An email that failed every attempt, kept for inspection and manual retry
+const emailDeadLetterSchema = new mongoose.Schema({
+  originalJob: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  type: {
+    type: String,
+    required: [true, 'Type is required'],
+    trim: true
+  },
+  mail: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Mail options are required']
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CampaignDelivery'
+  },
+  failedAt: {
+    type: Date,
+    default: Date.now
+  },
+  retriedAt: {
+    type: Date
+  },
+  retriedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  retryJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailJob'
+  }
+}, {
+  timestamps: true,
+  collection: 'email_dead_letters'
+});
+
+// Index for better query performance
+emailDeadLetterSchema.index({ failedAt: -1 });
+emailDeadLetterSchema.index({ type: 1, retriedAt: 1 });
+
+module.exports = mongoose.model('EmailDeadLetter', emailDeadLetterSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Days a sent job is kept before MongoDB removes it
+const SENT_JOB_RETENTION_DAYS = 7;
+
+// An outgoing email waiting for, or being handled by, the email worker
+const emailJobSchema = new mongoose.Schema({
+  // What kind of email this is, e.g. password-reset or newsletter
+  type: {
+    type: String,
+    required: [true, 'Type is required'],
+    trim: true
+  },
+  // nodemailer message options: to, subject, html, headers and so on
+  mail: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Mail options are required']
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'sent', 'suppressed'],
+    default: 'queued'
+  },
+  // Lower numbers are sent first, so transactional mail is not held up by newsletters
+  priority: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  // Campaign delivery this email belongs to, updated when the job finishes
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CampaignDelivery'
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+emailJobSchema.index({ status: 1, priority: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ sentAt: -1 });
+// Let MongoDB remove sent and suppressed jobs after the retention period
+emailJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+emailJobSchema.statics.SENT_JOB_RETENTION_DAYS = SENT_JOB_RETENTION_DAYS;
+
+module.exports = mongoose.model('EmailJob', emailJobSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['applied', 'accepted', 'waitlisted', 'enrolled', 'completed', 'withdrawn'];
+
+// Statuses that hold a seat in an intake
+const SEAT_HOLDING_STATUSES = ['accepted', 'enrolled'];
+
+// Statuses that still count as an open application for the same intake
+const ACTIVE_STATUSES = ['applied', 'accepted', 'waitlisted', 'enrolled'];
+
+// Allowed status changes, keyed by current status
+const TRANSITIONS = {
+  applied: ['accepted', 'waitlisted', 'withdrawn'],
+  waitlisted: ['accepted', 'withdrawn'],
+  accepted: ['enrolled', 'waitlisted', 'withdrawn'],
+  enrolled: ['completed', 'withdrawn'],
+  completed: [],
+  withdrawn: []
+};
+
+const enrollmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  program: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program',
+    required: [true, 'Program is required']
+  },
+  intake: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Intake is required']
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'applied'
+  },
+  preferredMode: {
+    type: String,
+    enum: ['online', 'offline', 'hybrid']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  motivation: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Motivation cannot be more than 2000 characters']
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  enrolledAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  withdrawnAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+enrollmentSchema.index({ user: 1, program: 1, intake: 1 });
+enrollmentSchema.index({ program: 1, intake: 1, status: 1 });
+enrollmentSchema.index({ status: 1 });
+enrollmentSchema.index({ createdAt: -1 });
+
+// Pre-save middleware to record status history and milestone dates
+enrollmentSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.user });
+  }
+
+  if (this.isModified('status')) {
+    const now = new Date();
+    if (this.status === 'enrolled' && !this.enrolledAt) this.enrolledAt = now;
+    if (this.status === 'completed') this.completedAt = now;
+    if (this.status === 'withdrawn') this.withdrawnAt = now;
+  }
+  next();
+});
+
+// Check whether the enrollment may move to the given status
+enrollmentSchema.methods.canTransitionTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Move to a new status and record who made the change
+enrollmentSchema.methods.transitionTo = function(status, changedBy, note) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, note });
+};
+
+// Static method to count seats already taken in an intake
+enrollmentSchema.statics.countOccupiedSeats = function(programId, intakeId) {
+  return this.countDocuments({
+    program: programId,
+    intake: intakeId,
+    status: { $in: SEAT_HOLDING_STATUSES }
+  });
+};
+
+// Static method to check whether an intake still has seats available
+enrollmentSchema.statics.hasSeatAvailable = async function(program, intakeId) {
+  const intake = program.intakes.id(intakeId);
+  if (!intake) return false;
+
+  // Intakes without a capacity are unlimited
+  if (intake.capacity === undefined || intake.capacity === null) return true;
+
+  const occupied = await this.countOccupiedSeats(program._id, intakeId);
+  return occupied < intake.capacity;
+};
+
+enrollmentSchema.statics.STATUSES = STATUSES;
+enrollmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+enrollmentSchema.statics.SEAT_HOLDING_STATUSES = SEAT_HOLDING_STATUSES;
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
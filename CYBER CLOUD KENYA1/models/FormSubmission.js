@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Days submission records are kept for quotas and review
+const RETENTION_DAYS = 30;
+
+// One submission of a public form and what the anti-abuse checks made of it
+const formSubmissionSchema = new mongoose.Schema({
+  form: {
+    type: String,
+    enum: ['contact', 'newsletter', 'quote'],
+    required: [true, 'Form is required']
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  // accepted, quarantined for review, rejected with an error, or blocked silently
+  verdict: {
+    type: String,
+    enum: ['accepted', 'quarantined', 'rejected', 'blocked'],
+    required: [true, 'Verdict is required']
+  },
+  reasons: [{
+    type: String
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+formSubmissionSchema.index({ form: 1, email: 1, createdAt: -1 });
+formSubmissionSchema.index({ form: 1, ipAddress: 1, createdAt: -1 });
+formSubmissionSchema.index({ verdict: 1, createdAt: -1 });
+// Let MongoDB remove old records
+formSubmissionSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+formSubmissionSchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('FormSubmission', formSubmissionSchema);
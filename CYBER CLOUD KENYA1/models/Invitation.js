@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { STAFF_ROLES } = require('../config/roles');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+
+// Hours an invitation link stays valid
+const INVITATION_EXPIRE_HOURS = 72;
+
+// Invitation tokens are stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    required: [true, 'Role is required']
+  },
+  // Language the invitation is sent in, and the new account's language
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    default: DEFAULT_LANGUAGE
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+// Virtual for the invitation's current state
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+
+// Static method to create an invitation; returns the raw token to email
+invitationSchema.statics.createWithToken = async function(fields) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const invitation = await this.create({
+    ...fields,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_EXPIRE_HOURS * 60 * 60 * 1000)
+  });
+
+  return { invitation, token };
+};
+
+// Static method to find a pending invitation by its raw token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+invitationSchema.statics.INVITATION_EXPIRE_HOURS = INVITATION_EXPIRE_HOURS;
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const Quote = require('./Quote');
+const { getVatRate, getInvoiceDueDays } = require('../config/billing');
+
+// draft until issued; then sent, partially-paid or paid as payments are recorded, and
+// overdue while a balance is left after the due date. cancelled voids an issued invoice.
+const STATUSES = ['draft', 'sent', 'partially-paid', 'paid', 'overdue', 'cancelled'];
+
+// Issued invoices that still expect payment
+const OPEN_STATUSES = ['sent', 'partially-paid', 'overdue'];
+
+// Line items, client and discount work the same way as on quotations
+const lineItemSchema = Quote.schema.path('items').schema;
+const clientSchema = Quote.schema.path('client').schema;
+const discountSchema = Quote.schema.path('discount').schema;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const invoiceSchema = new mongoose.Schema({
+  // e.g. INV-2024-0042; given when the invoice is issued, so drafts leave no gaps
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  client: {
+    type: clientSchema,
+    required: [true, 'Client is required']
+  },
+  // The quotation this invoice was raised from
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+  items: {
+    type: [lineItemSchema],
+    validate: [items => items.length > 0, 'Add at least one line item']
+  },
+  discount: {
+    type: discountSchema,
+    default: () => ({})
+  },
+  vatRate: {
+    type: Number,
+    default: getVatRate,
+    min: [0, 'VAT rate cannot be negative'],
+    max: [1, 'VAT rate is a fraction, e.g. 0.16']
+  },
+  currency: {
+    type: String,
+    default: 'KES',
+    uppercase: true
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  vatAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  // Sum of completed payments linked to this invoice
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot be more than 2000 characters']
+  },
+  terms: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Terms cannot be more than 2000 characters']
+  },
+  issueDate: {
+    type: Date
+  },
+  dueDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft'
+  },
+  sentAt: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot be more than 500 characters']
+  },
+  emailJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailJob'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ 'client.email': 1 });
+invoiceSchema.index({ quote: 1 });
+invoiceSchema.index({ issueDate: -1 });
+
+// Virtual for the amount still owed
+invoiceSchema.virtual('balance').get(function() {
+  return round2(this.total - this.amountPaid);
+});
+
+// Virtual for the M-Pesa account number clients pay against (the invoice number without dashes)
+invoiceSchema.virtual('paymentReference').get(function() {
+  return this.invoiceNumber ? this.invoiceNumber.replace(/-/g, '') : undefined;
+});
+
+// Pre-validate middleware to keep the totals in line with the items
+invoiceSchema.pre('validate', function(next) {
+  Object.assign(this, Quote.calculateTotals(this.items, this.discount, this.vatRate));
+  next();
+});
+
+// Give a draft its number and dates and mark it sent
+invoiceSchema.methods.issue = function(invoiceNumber) {
+  this.invoiceNumber = invoiceNumber;
+  this.issueDate = this.issueDate || new Date();
+  if (!this.dueDate) {
+    this.dueDate = new Date(this.issueDate.getTime() + getInvoiceDueDays() * 24 * 60 * 60 * 1000);
+  }
+  this.status = 'sent';
+  this.refreshStatus();
+};
+
+// Work out the status from what has been paid and the due date
+invoiceSchema.methods.refreshStatus = function(now = new Date()) {
+  if (['draft', 'cancelled'].includes(this.status)) return;
+
+  if (this.amountPaid >= this.total) {
+    this.status = 'paid';
+    this.paidAt = this.paidAt || now;
+    return;
+  }
+
+  this.paidAt = undefined;
+  if (this.dueDate && this.dueDate < now) {
+    this.status = 'overdue';
+  } else {
+    this.status = this.amountPaid > 0 ? 'partially-paid' : 'sent';
+  }
+};
+
+// Void an issued invoice; its number is kept so the sequence has no gaps
+invoiceSchema.methods.cancel = function(reason) {
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  this.cancellationReason = reason;
+};
+
+invoiceSchema.statics.STATUSES = STATUSES;
+invoiceSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
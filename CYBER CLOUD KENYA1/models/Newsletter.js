@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+
+// Hours a subscriber has to confirm before the pending record is removed
+const CONFIRMATION_EXPIRE_HOURS = 48;
+
+// Confirmation tokens are stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Signature for a subscriber's unsubscribe and preference links
+const signSubscriberId = (id) => crypto
+  .createHmac('sha256', process.env.NEWSLETTER_TOKEN_SECRET || process.env.JWT_SECRET)
+  .update(`newsletter:${id}`)
+  .digest('base64url');
 
 const newsletterSchema = new mongoose.Schema({
   email: {
@@ -37,9 +51,41 @@ const newsletterSchema = new mongoose.Schema({
     enum: ['website', 'social-media', 'referral', 'event', 'other'],
     default: 'website'
   },
+  // pending until the address owner clicks the confirmation link;
+  // quarantined sign-ups looked like abuse and get no email until released
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'unsubscribed', 'bounced', 'quarantined'],
+    default: 'pending'
+  },
+  // Only confirmed subscribers are active and receive newsletters
   isActive: {
     type: Boolean,
-    default: true
+    default: false
+  },
+  confirmationToken: {
+    type: String,
+    select: false
+  },
+  confirmationExpires: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
+  },
+  unsubscribedAt: {
+    type: Date
+  },
+  bouncedAt: {
+    type: Date
+  },
+  quarantine: {
+    reasons: [String],
+    releasedAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   },
   subscriptionDate: {
     type: Date,
@@ -52,6 +98,12 @@ const newsletterSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Language newsletters and subscription emails are sent in
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    default: DEFAULT_LANGUAGE
+  },
   preferences: {
     frequency: {
       type: String,
@@ -80,6 +132,12 @@ newsletterSchema.index({ email: 1 });
 newsletterSchema.index({ isActive: 1 });
 newsletterSchema.index({ subscriptionDate: -1 });
 newsletterSchema.index({ 'interests': 1 });
+newsletterSchema.index({ status: 1 });
+// Let MongoDB remove subscriptions that were never confirmed
+newsletterSchema.index(
+  { confirmationExpires: 1 },
+  { expireAfterSeconds: 0, partialFilterExpression: { status: 'pending' } }
+);
 
 // Pre-save middleware to set default interests
 newsletterSchema.pre('save', function(next) {
@@ -89,6 +147,92 @@ newsletterSchema.pre('save', function(next) {
   next();
 });
 
+// Start (or restart) double opt-in; only the token's hash is stored
+newsletterSchema.methods.createConfirmationToken = function() {
+  const confirmationToken = crypto.randomBytes(32).toString('hex');
+
+  this.status = 'pending';
+  this.isActive = false;
+  this.confirmationToken = hashToken(confirmationToken);
+  this.confirmationExpires = new Date(Date.now() + CONFIRMATION_EXPIRE_HOURS * 60 * 60 * 1000);
+
+  return confirmationToken;
+};
+
+// Mark the subscription confirmed and consume the token
+newsletterSchema.methods.confirm = function() {
+  this.status = 'confirmed';
+  this.isActive = true;
+  this.confirmedAt = new Date();
+  this.subscriptionDate = new Date();
+  this.confirmationToken = undefined;
+  this.confirmationExpires = undefined;
+};
+
+// Stop sending to this subscriber
+newsletterSchema.methods.unsubscribe = function() {
+  this.status = 'unsubscribed';
+  this.isActive = false;
+  this.unsubscribedAt = new Date();
+  this.confirmationToken = undefined;
+  this.confirmationExpires = undefined;
+};
+
+// Stop sending to an address that keeps bouncing
+newsletterSchema.methods.markBounced = function() {
+  this.status = 'bounced';
+  this.isActive = false;
+  this.bouncedAt = new Date();
+  this.confirmationToken = undefined;
+  this.confirmationExpires = undefined;
+};
+
+// Hold a suspicious sign-up for review instead of emailing the address
+newsletterSchema.methods.quarantineFor = function(reasons) {
+  this.status = 'quarantined';
+  this.isActive = false;
+  this.quarantine.reasons = reasons;
+  this.confirmationToken = undefined;
+  this.confirmationExpires = undefined;
+};
+
+// Let a quarantined sign-up through; returns the token for its opt-in email
+newsletterSchema.methods.releaseFromQuarantine = function(releasedBy) {
+  this.quarantine.releasedAt = new Date();
+  this.quarantine.releasedBy = releasedBy;
+  return this.createConfirmationToken();
+};
+
+// Signed token identifying this subscriber in unsubscribe and preference links.
+// It does not expire so links in old emails keep working.
+newsletterSchema.methods.getManagementToken = function() {
+  const id = this._id.toString();
+  return `${id}.${signSubscriberId(id)}`;
+};
+
+// Static method to find the subscriber a management token was signed for
+newsletterSchema.statics.findByManagementToken = function(token) {
+  const [id, signature] = String(token || '').split('.');
+  if (!/^[0-9a-fA-F]{24}$/.test(id) || !signature) return null;
+
+  const expected = Buffer.from(signSubscriberId(id));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return this.findById(id);
+};
+
+// Static method to find a pending subscription by its confirmation token
+newsletterSchema.statics.findByConfirmationToken = function(confirmationToken) {
+  return this.findOne({
+    status: 'pending',
+    confirmationToken: hashToken(confirmationToken),
+    confirmationExpires: { $gt: new Date() }
+  });
+};
+
 // Static method to get active subscribers
 newsletterSchema.statics.getActiveSubscribers = function() {
   return this.find({ isActive: true });
@@ -105,4 +249,6 @@ newsletterSchema.statics.getSubscribersByInterest = function(interest) {
   });
 };
 
+newsletterSchema.statics.CONFIRMATION_EXPIRE_HOURS = CONFIRMATION_EXPIRE_HOURS;
+
 module.exports = mongoose.model('Newsletter', newsletterSchema);
\ No newline at end of file
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  // Invoice clients often have no account, so only enrollment payments need one
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return !this.invoice; }, 'User is required']
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment'
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'KES',
+    uppercase: true
+  },
+  // Payments other than M-Pesa STK Push are recorded by staff against an invoice
+  method: {
+    type: String,
+    enum: ['mpesa', 'bank-transfer', 'cash', 'cheque', 'card'],
+    default: 'mpesa'
+  },
+  // The phone prompted by an STK Push
+  phone: {
+    type: String,
+    required: [function() { return !this.recordedBy; }, 'Phone number is required'],
+    trim: true
+  },
+  // Bank, cheque or M-Pesa reference for a recorded payment
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot be more than 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  // Staff member who recorded the payment by hand
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  accountReference: {
+    type: String,
+    trim: true,
+    maxlength: [12, 'Account reference cannot be more than 12 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [13, 'Description cannot be more than 13 characters']
+  },
+  merchantRequestId: {
+    type: String
+  },
+  checkoutRequestId: {
+    type: String
+  },
+  mpesaReceiptNumber: {
+    type: String
+  },
+  resultCode: {
+    type: Number
+  },
+  resultDesc: {
+    type: String
+  },
+  transactionDate: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  },
+  callbackPayload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  reconciledAt: {
+    type: Date
+  },
+  reconciliationAttempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+paymentSchema.index({ checkoutRequestId: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ mpesaReceiptNumber: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ enrollment: 1 });
+paymentSchema.index({ invoice: 1 });
+paymentSchema.index({ status: 1, createdAt: -1 });
+
+// Pre-validate middleware to require a payment target
+paymentSchema.pre('validate', function(next) {
+  if (!this.enrollment && !this.invoice) {
+    this.invalidate('enrollment', 'Payment must be linked to an enrollment or invoice');
+  }
+  next();
+});
+
+// Static method to total completed payments for a target
+paymentSchema.statics.getTotalPaid = async function(target) {
+  const result = await this.aggregate([
+    { $match: { ...target, status: 'completed' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return result.length > 0 ? result[0].total : 0;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
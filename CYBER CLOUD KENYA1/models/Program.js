@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+
+const syllabusModuleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Module title is required'],
+    trim: true,
+    maxlength: [150, 'Module title cannot be more than 150 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Module description cannot be more than 1000 characters']
+  },
+  topics: [{
+    type: String,
+    trim: true
+  }],
+  durationWeeks: {
+    type: Number,
+    min: [0, 'Module duration cannot be negative']
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+});
+
+const intakeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Intake name cannot be more than 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Intake start date is required']
+  },
+  endDate: {
+    type: Date
+  },
+  applicationDeadline: {
+    type: Date
+  },
+  capacity: {
+    type: Number,
+    min: [0, 'Capacity cannot be negative']
+  },
+  mode: {
+    type: String,
+    enum: ['online', 'offline', 'hybrid']
+  },
+  isOpen: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const programSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [150, 'Title cannot be more than 150 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: function(slug) {
+        return /^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug);
+      },
+      message: 'Slug may only contain lowercase letters, numbers and hyphens'
+    }
+  },
+  category: {
+    type: String,
+    enum: [
+      'web-development',
+      'graphic-design',
+      'video-editing',
+      'music-production',
+      'online-jobs',
+      'computer-packages',
+      'robotics-ml',
+      'cyber-security'
+    ],
+    required: [true, 'Category is required']
+  },
+  summary: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Summary cannot be more than 300 characters']
+  },
+  overview: {
+    type: String,
+    required: [true, 'Overview is required'],
+    trim: true,
+    maxlength: [5000, 'Overview cannot be more than 5000 characters']
+  },
+  duration: {
+    value: {
+      type: Number,
+      min: [1, 'Duration must be at least 1']
+    },
+    unit: {
+      type: String,
+      enum: ['days', 'weeks', 'months'],
+      default: 'months'
+    }
+  },
+  level: {
+    type: String,
+    enum: ['beginner', 'intermediate', 'advanced', 'beginner-to-advanced', 'all-levels'],
+    default: 'all-levels'
+  },
+  modes: [{
+    type: String,
+    enum: ['online', 'offline', 'hybrid']
+  }],
+  certification: {
+    type: Boolean,
+    default: true
+  },
+  syllabus: [syllabusModuleSchema],
+  careerOutcomes: [{
+    type: String,
+    trim: true
+  }],
+  fees: {
+    amount: {
+      type: Number,
+      min: [0, 'Fee amount cannot be negative']
+    },
+    currency: {
+      type: String,
+      default: 'KES',
+      uppercase: true
+    },
+    registrationFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Registration fee cannot be negative']
+    },
+    installmentsAllowed: {
+      type: Boolean,
+      default: false
+    },
+    notes: {
+      type: String,
+      trim: true
+    }
+  },
+  intakes: [intakeSchema],
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft'
+  },
+  archivedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+programSchema.index({ slug: 1 });
+programSchema.index({ status: 1 });
+programSchema.index({ category: 1 });
+programSchema.index({ 'intakes.startDate': 1 });
+
+// Virtual for the next intake that is still open for applications
+programSchema.virtual('nextIntake').get(function() {
+  const now = new Date();
+  const upcoming = (this.intakes || [])
+    .filter(intake => intake.isOpen && intake.startDate >= now)
+    .sort((a, b) => a.startDate - b.startDate);
+  return upcoming[0] || null;
+});
+
+// Pre-validate middleware to derive slug from title
+programSchema.pre('validate', function(next) {
+  if (!this.slug && this.title) {
+    this.slug = this.title
+      .toLowerCase()
+      .replace(/&/g, 'and')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+  next();
+});
+
+// Pre-save middleware to keep syllabus in display order and stamp archive date
+programSchema.pre('save', function(next) {
+  if (this.isModified('syllabus')) {
+    this.syllabus.sort((a, b) => a.order - b.order);
+  }
+
+  if (this.isModified('status')) {
+    this.archivedAt = this.status === 'archived' ? new Date() : undefined;
+  }
+  next();
+});
+
+// Static method to get published programs
+programSchema.statics.getPublished = function() {
+  return this.find({ status: 'published' });
+};
+
+// Static method to find a program by id or slug
+programSchema.statics.findByIdOrSlug = function(idOrSlug) {
+  if (/^[0-9a-fA-F]{24}$/.test(idOrSlug)) {
+    return this.findById(idOrSlug);
+  }
+  return this.findOne({ slug: idOrSlug.toLowerCase() });
+};
+
+module.exports = mongoose.model('Program', programSchema);
@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const { getVatRate } = require('../config/billing');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+
+// draft -> sent -> accepted or declined; sent quotes lapse to expired after validUntil,
+// and an accepted quote becomes invoiced once an invoice is raised from it
+const STATUSES = ['draft', 'sent', 'accepted', 'declined', 'expired', 'invoiced'];
+
+// Statuses a quote can still be edited and (re)sent in
+const EDITABLE_STATUSES = ['draft', 'sent'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// One priced line; unitPrice excludes VAT
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Line item description is required'],
+    trim: true,
+    maxlength: [500, 'Line item description cannot be more than 500 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Line item quantity is required'],
+    min: [0.01, 'Line item quantity must be more than 0']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Line item unit price is required'],
+    min: [0, 'Line item unit price cannot be negative']
+  },
+  // Exempt or zero-rated supplies carry no VAT
+  vatExempt: {
+    type: Boolean,
+    default: false
+  },
+  // quantity x unitPrice, kept up to date on save
+  amount: {
+    type: Number
+  }
+}, { _id: false });
+
+// Who the document is addressed to
+const clientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true,
+    maxlength: [100, 'Client name cannot be more than 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Client email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  company: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Company cannot be more than 100 characters']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Address cannot be more than 300 characters']
+  },
+  // Client's KRA PIN, printed so business clients can claim input VAT
+  kraPin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Language the quotation or invoice email is sent in
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    default: DEFAULT_LANGUAGE
+  }
+}, { _id: false });
+
+// A discount off the subtotal, either a percentage or a fixed amount
+const discountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['percent', 'amount'],
+    default: 'amount'
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+// Totals for a set of line items. The discount is spread across the lines, so VAT is
+// charged on what remains of the taxable ones.
+const calculateTotals = (items, discount, vatRate) => {
+  items.forEach(item => {
+    item.amount = round2(item.quantity * item.unitPrice);
+  });
+
+  const subtotal = round2(items.reduce((sum, item) => sum + item.amount, 0));
+  const taxableSubtotal = items
+    .filter(item => !item.vatExempt)
+    .reduce((sum, item) => sum + item.amount, 0);
+
+  const { type = 'amount', value = 0 } = discount || {};
+  const discountAmount = type === 'percent'
+    ? round2(subtotal * Math.min(value, 100) / 100)
+    : round2(Math.min(value, subtotal));
+
+  const undiscounted = subtotal > 0 ? 1 - discountAmount / subtotal : 0;
+  const vatAmount = round2(taxableSubtotal * undiscounted * vatRate);
+
+  return {
+    subtotal,
+    discountAmount,
+    vatAmount,
+    total: round2(subtotal - discountAmount + vatAmount)
+  };
+};
+
+const quoteSchema = new mongoose.Schema({
+  // e.g. QUO-2024-0007, numbered per year
+  quoteNumber: {
+    type: String,
+    unique: true,
+    required: [true, 'Quote number is required']
+  },
+  client: {
+    type: clientSchema,
+    required: [true, 'Client is required']
+  },
+  // The quote request this prices, if it came through the website
+  quoteRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuoteRequest'
+  },
+  items: {
+    type: [lineItemSchema],
+    validate: [items => items.length > 0, 'Add at least one line item']
+  },
+  discount: {
+    type: discountSchema,
+    default: () => ({})
+  },
+  vatRate: {
+    type: Number,
+    default: getVatRate,
+    min: [0, 'VAT rate cannot be negative'],
+    max: [1, 'VAT rate is a fraction, e.g. 0.16']
+  },
+  currency: {
+    type: String,
+    default: 'KES',
+    uppercase: true
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  vatAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot be more than 2000 characters']
+  },
+  terms: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Terms cannot be more than 2000 characters']
+  },
+  validUntil: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft'
+  },
+  sentAt: {
+    type: Date
+  },
+  // When the client accepted or declined
+  decidedAt: {
+    type: Date
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  emailJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailJob'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+quoteSchema.index({ status: 1, createdAt: -1 });
+quoteSchema.index({ 'client.email': 1 });
+quoteSchema.index({ quoteRequest: 1 });
+quoteSchema.index({ status: 1, validUntil: 1 });
+
+// Pre-validate middleware to keep the totals in line with the items
+quoteSchema.pre('validate', function(next) {
+  Object.assign(this, calculateTotals(this.items, this.discount, this.vatRate));
+  next();
+});
+
+quoteSchema.statics.STATUSES = STATUSES;
+quoteSchema.statics.EDITABLE_STATUSES = EDITABLE_STATUSES;
+quoteSchema.statics.calculateTotals = calculateTotals;
+
+module.exports = mongoose.model('Quote', quoteSchema);
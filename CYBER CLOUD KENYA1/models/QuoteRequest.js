@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+
+// new -> reviewing -> quoted -> accepted or declined; cancelled drops a request we will not price.
+// quarantined requests looked like spam and wait for review.
+const STATUSES = ['new', 'reviewing', 'quoted', 'accepted', 'declined', 'cancelled', 'quarantined'];
+
+// Paid services a quote can be requested for
+const SERVICES = [
+  'web-development',
+  'graphic-design',
+  'video-editing',
+  'social-media-marketing',
+  'cyber-security',
+  'software-sales'
+];
+
+// Budget ranges offered on the form, in KES
+const BUDGET_RANGES = ['under-20k', '20k-50k', '50k-100k', '100k-250k', '250k-500k', 'over-500k', 'not-sure'];
+
+const PLATFORMS = ['facebook', 'instagram', 'tiktok', 'x', 'linkedin', 'youtube', 'whatsapp'];
+
+// Project details asked for each service; the first field listed for a service is required
+const SERVICE_DETAILS = {
+  'web-development': ['pagesNeeded', 'websiteType', 'features', 'existingWebsite'],
+  'graphic-design': ['designItems', 'hasBrandGuidelines'],
+  'video-editing': ['videoLengthMinutes', 'videoCount', 'footageProvided'],
+  'social-media-marketing': ['platforms', 'postsPerMonth'],
+  'cyber-security': ['systemsInScope', 'employeeCount'],
+  'software-sales': ['products', 'licenceCount']
+};
+
+// How each detail is labelled in emails and exports
+const DETAIL_LABELS = {
+  pagesNeeded: 'Pages needed',
+  websiteType: 'Website type',
+  features: 'Features',
+  existingWebsite: 'Existing website',
+  designItems: 'Design items',
+  hasBrandGuidelines: 'Has brand guidelines',
+  videoLengthMinutes: 'Video length (minutes)',
+  videoCount: 'Number of videos',
+  footageProvided: 'Footage provided',
+  platforms: 'Platforms',
+  postsPerMonth: 'Posts per month',
+  systemsInScope: 'Systems in scope',
+  employeeCount: 'Employees',
+  products: 'Products',
+  licenceCount: 'Licences'
+};
+
+const detailsSchema = new mongoose.Schema({
+  // Web development
+  pagesNeeded: {
+    type: Number,
+    min: [1, 'Pages needed must be at least 1'],
+    max: [500, 'Pages needed cannot be more than 500']
+  },
+  websiteType: {
+    type: String,
+    enum: ['business', 'e-commerce', 'portfolio', 'blog', 'landing-page', 'web-app', 'other']
+  },
+  features: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Feature cannot be more than 100 characters']
+  }],
+  existingWebsite: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Existing website cannot be more than 200 characters']
+  },
+  // Graphic design
+  designItems: [{
+    type: String,
+    enum: ['logo', 'branding', 'flyer', 'poster', 'brochure', 'business-card', 'social-media', 'packaging', 'other']
+  }],
+  hasBrandGuidelines: {
+    type: Boolean
+  },
+  // Video editing
+  videoLengthMinutes: {
+    type: Number,
+    min: [1, 'Video length must be at least 1 minute'],
+    max: [600, 'Video length cannot be more than 600 minutes']
+  },
+  videoCount: {
+    type: Number,
+    min: [1, 'Video count must be at least 1']
+  },
+  footageProvided: {
+    type: Boolean
+  },
+  // Social media marketing
+  platforms: [{
+    type: String,
+    enum: PLATFORMS
+  }],
+  postsPerMonth: {
+    type: Number,
+    min: [1, 'Posts per month must be at least 1']
+  },
+  // Cyber security
+  systemsInScope: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Systems in scope cannot be more than 1000 characters']
+  },
+  employeeCount: {
+    type: Number,
+    min: [1, 'Employee count must be at least 1']
+  },
+  // Software sales
+  products: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Product cannot be more than 100 characters']
+  }],
+  licenceCount: {
+    type: Number,
+    min: [1, 'Licence count must be at least 1']
+  }
+}, { _id: false });
+
+// A file sent with the brief; the file itself is stored under the upload directory
+const attachmentSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    required: [true, 'Original file name is required']
+  },
+  fileName: {
+    type: String,
+    required: [true, 'Stored file name is required']
+  },
+  mimeType: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const quoteRequestSchema = new mongoose.Schema({
+  // Reference quoted back to the client, e.g. QR-7F3A9C21
+  requestNumber: {
+    type: String,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  company: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Company cannot be more than 100 characters']
+  },
+  service: {
+    type: String,
+    enum: SERVICES,
+    required: [true, 'Service is required']
+  },
+  // The project brief in the client's words
+  description: {
+    type: String,
+    required: [true, 'Project description is required'],
+    trim: true,
+    maxlength: [5000, 'Description cannot be more than 5000 characters']
+  },
+  details: {
+    type: detailsSchema,
+    default: () => ({})
+  },
+  budgetRange: {
+    type: String,
+    enum: BUDGET_RANGES,
+    default: 'not-sure'
+  },
+  deadline: {
+    type: Date
+  },
+  attachments: [attachmentSchema],
+  // Language the quote is emailed in
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    default: DEFAULT_LANGUAGE
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'new'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Staff-only notes; never sent to the client
+  internalNotes: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Internal notes cannot be more than 5000 characters']
+  },
+  // The price sent to the client; sending again replaces it
+  quote: {
+    amount: {
+      type: Number,
+      min: [0, 'Quote amount cannot be negative']
+    },
+    currency: {
+      type: String,
+      default: 'KES',
+      uppercase: true
+    },
+    validUntil: {
+      type: Date
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Quote message cannot be more than 5000 characters']
+    },
+    sentAt: {
+      type: Date
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    emailJob: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailJob'
+    }
+  },
+  // When the client accepted or declined
+  decidedAt: {
+    type: Date
+  },
+  quarantine: {
+    reasons: [String],
+    releasedAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+quoteRequestSchema.index({ status: 1, createdAt: -1 });
+quoteRequestSchema.index({ service: 1 });
+quoteRequestSchema.index({ email: 1 });
+quoteRequestSchema.index({ assignedTo: 1, status: 1 });
+
+// Pre-save middleware to number the request and drop details that belong to other services
+quoteRequestSchema.pre('save', function(next) {
+  if (this.isNew && !this.requestNumber) {
+    this.requestNumber = `QR-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+
+  if (this.isModified('service') || this.isModified('details')) {
+    const allowed = SERVICE_DETAILS[this.service] || [];
+    Object.keys(detailsSchema.paths)
+      .filter(field => !allowed.includes(field))
+      .forEach(field => this.set(`details.${field}`, undefined));
+  }
+  next();
+});
+
+// The details given for this request's service as [{ label, value }], skipping empty ones
+quoteRequestSchema.methods.getDetailList = function() {
+  const details = this.details || {};
+  return (SERVICE_DETAILS[this.service] || [])
+    .map(field => {
+      const value = details[field];
+      if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) return null;
+      if (typeof value === 'boolean') return { label: DETAIL_LABELS[field], value: value ? 'Yes' : 'No' };
+      return { label: DETAIL_LABELS[field], value: Array.isArray(value) ? value.join(', ') : String(value) };
+    })
+    .filter(Boolean);
+};
+
+// Record the price sent to the client
+quoteRequestSchema.methods.setQuote = function({ amount, currency, validUntil, message }, sentBy) {
+  this.quote = {
+    amount,
+    currency: currency || 'KES',
+    validUntil,
+    message,
+    sentAt: new Date(),
+    sentBy
+  };
+  this.status = 'quoted';
+  this.decidedAt = undefined;
+};
+
+// Change the status by hand, noting when the client made up their mind
+quoteRequestSchema.methods.setStatus = function(status) {
+  this.status = status;
+  this.decidedAt = ['accepted', 'declined'].includes(status) ? new Date() : undefined;
+};
+
+// Hold a suspected spam request for review; staff are not notified until it is released
+quoteRequestSchema.methods.quarantineFor = function(reasons) {
+  this.status = 'quarantined';
+  this.quarantine.reasons = reasons;
+};
+
+quoteRequestSchema.methods.releaseFromQuarantine = function(releasedBy) {
+  this.status = 'new';
+  this.quarantine.releasedAt = new Date();
+  this.quarantine.releasedBy = releasedBy;
+};
+
+quoteRequestSchema.statics.STATUSES = STATUSES;
+quoteRequestSchema.statics.SERVICES = SERVICES;
+quoteRequestSchema.statics.BUDGET_RANGES = BUDGET_RANGES;
+quoteRequestSchema.statics.PLATFORMS = PLATFORMS;
+quoteRequestSchema.statics.SERVICE_DETAILS = SERVICE_DETAILS;
+
+module.exports = mongoose.model('QuoteRequest', quoteRequestSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Newsletter = require('./Newsletter');
+const Enrollment = require('./Enrollment');
+
+// Values each rule can match, taken from the subscriber and enrollment schemas
+const INTERESTS = Newsletter.schema.path('interests').caster.enumValues;
+const CATEGORIES = Newsletter.schema.path('preferences.categories').caster.enumValues;
+const FREQUENCIES = Newsletter.schema.path('preferences.frequency').enumValues;
+const SOURCES = Newsletter.schema.path('subscriptionSource').enumValues;
+const ENROLLMENT_STATUSES = Enrollment.STATUSES;
+
+// Enrollment statuses that count as "enrolled in" a program unless a segment says otherwise
+const DEFAULT_ENROLLMENT_STATUSES = ['enrolled', 'completed'];
+
+// Every rule that is set must match (AND); a rule with several values matches any of them (OR)
+const rulesSchema = new mongoose.Schema({
+  interests: [{
+    type: String,
+    enum: INTERESTS
+  }],
+  categories: [{
+    type: String,
+    enum: CATEGORIES
+  }],
+  frequencies: [{
+    type: String,
+    enum: FREQUENCIES
+  }],
+  sources: [{
+    type: String,
+    enum: SOURCES
+  }],
+  subscribedAfter: {
+    type: Date
+  },
+  subscribedBefore: {
+    type: Date
+  },
+  // Opened (or clicked) a campaign email in the last N days
+  openedWithinDays: {
+    type: Number,
+    min: [1, 'openedWithinDays must be at least 1']
+  },
+  // Has not opened a campaign email in the last N days, including subscribers never sent one
+  notOpenedWithinDays: {
+    type: Number,
+    min: [1, 'notOpenedWithinDays must be at least 1']
+  },
+  // Subscribers with a user account enrolled in any of these programs
+  programs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program'
+  }],
+  enrollmentStatuses: [{
+    type: String,
+    enum: ENROLLMENT_STATUSES
+  }]
+}, { _id: false });
+
+const segmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  rules: {
+    type: rulesSchema,
+    default: () => ({})
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A signup date range must not end before it starts
+segmentSchema.pre('validate', function(next) {
+  const { subscribedAfter, subscribedBefore } = this.rules || {};
+  if (subscribedAfter && subscribedBefore && subscribedAfter > subscribedBefore) {
+    this.invalidate('rules.subscribedBefore', 'subscribedBefore must be after subscribedAfter');
+  }
+  next();
+});
+
+segmentSchema.statics.INTERESTS = INTERESTS;
+segmentSchema.statics.CATEGORIES = CATEGORIES;
+segmentSchema.statics.FREQUENCIES = FREQUENCIES;
+segmentSchema.statics.SOURCES = SOURCES;
+segmentSchema.statics.ENROLLMENT_STATUSES = ENROLLMENT_STATUSES;
+segmentSchema.statics.DEFAULT_ENROLLMENT_STATUSES = DEFAULT_ENROLLMENT_STATUSES;
+
+module.exports = mongoose.model('Segment', segmentSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Reasons an address is suppressed. Complaints only stop bulk mail, so the address
+// still gets password resets and other account emails.
+const REASONS = ['hard-bounce', 'soft-bounce', 'complaint', 'manual'];
+const BULK_ONLY_REASONS = ['complaint'];
+
+// An address the email worker will not send to
+const suppressionSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: [true, 'Reason is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  // Bounce or complaint that triggered the suppression
+  lastBounce: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailBounce'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Released suppressions are kept for history; the address can be emailed again
+  releasedAt: {
+    type: Date
+  },
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+suppressionSchema.index({ reason: 1, createdAt: -1 });
+suppressionSchema.index({ releasedAt: 1 });
+
+// Virtual for whether the suppression is in force
+suppressionSchema.virtual('isActive').get(function() {
+  return !this.releasedAt;
+});
+
+// Whether this suppression stops an email of the given kind
+suppressionSchema.methods.blocks = function(isBulk) {
+  return this.isActive && (isBulk || !BULK_ONLY_REASONS.includes(this.reason));
+};
+
+suppressionSchema.statics.REASONS = REASONS;
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
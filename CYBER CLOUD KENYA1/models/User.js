@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../config/roles');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+
+// Minutes a password reset link stays valid
+const RESET_TOKEN_EXPIRE_MINUTES = 10;
+
+// Hours an email verification link stays valid
+const VERIFICATION_TOKEN_EXPIRE_HOURS = 24;
+
+// Failed logins allowed before the account is locked
+const MAX_LOGIN_ATTEMPTS = 5;
+
+// Minutes a locked account stays locked
+const LOCK_TIME_MINUTES = 15;
+
+// Failed logins after which each further attempt must wait, doubling from one second
+const LOGIN_DELAY_AFTER_ATTEMPTS = 2;
+
+// Tokens sent by email are stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -28,16 +49,86 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
   },
+  // Consecutive failed logins since the last successful one
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during setup
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Language account emails are sent in
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    default: DEFAULT_LANGUAGE
+  },
   profile: {
     phone: String,
     address: String,
@@ -65,16 +156,130 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Record when the password changed so older tokens stop working
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+
+  // Back-date by a second so a token issued straight after the change stays valid
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
+// Virtual for whether the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Milliseconds the caller must wait before the next login attempt is accepted
+userSchema.methods.getLoginDelay = function() {
+  if (this.loginAttempts < LOGIN_DELAY_AFTER_ATTEMPTS || !this.lastFailedLoginAt) return 0;
+
+  const delay = 1000 * 2 ** (this.loginAttempts - LOGIN_DELAY_AFTER_ATTEMPTS);
+  return Math.max(0, this.lastFailedLoginAt.getTime() + delay - Date.now());
+};
+
+// Count a failed login, locking the account once the limit is reached.
+// Returns true when this failure locked the account.
+userSchema.methods.registerFailedLogin = async function() {
+  // A lock that has run out starts a fresh count
+  if (this.lockUntil && this.lockUntil <= new Date()) {
+    this.loginAttempts = 0;
+    this.lockUntil = undefined;
+  }
+
+  this.loginAttempts += 1;
+  this.lastFailedLoginAt = new Date();
+
+  const locked = this.loginAttempts >= MAX_LOGIN_ATTEMPTS;
+  if (locked) {
+    this.lockUntil = new Date(Date.now() + LOCK_TIME_MINUTES * 60 * 1000);
+  }
+
+  await this.save({ validateBeforeSave: false });
+  return locked;
+};
+
+// Clear failed login tracking after a successful login or an unlock
+userSchema.methods.resetLoginAttempts = function() {
+  this.loginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Generate a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_EXPIRE_MINUTES * 60 * 1000);
+
+  return resetToken;
+};
+
+// Find the user holding an unexpired reset token
+userSchema.statics.findByResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetToken: hashToken(resetToken),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Generate an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + VERIFICATION_TOKEN_EXPIRE_HOURS * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Mark the email address as verified and consume the token
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Find the user holding an unexpired verification token
+userSchema.statics.findByVerificationToken = function(verificationToken) {
+  return this.findOne({
+    emailVerificationToken: hashToken(verificationToken),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.backupCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
+userSchema.statics.RESET_TOKEN_EXPIRE_MINUTES = RESET_TOKEN_EXPIRE_MINUTES;
+userSchema.statics.LOCK_TIME_MINUTES = LOCK_TIME_MINUTES;
+userSchema.statics.VERIFICATION_TOKEN_EXPIRE_HOURS = VERIFICATION_TOKEN_EXPIRE_HOURS;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
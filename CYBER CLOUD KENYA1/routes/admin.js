@@ -1,24 +1,60 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Contact = require('../models/Contact');
 const Newsletter = require('../models/Newsletter');
-const { sendNewsletter } = require('../services/emailService');
-const { protect, authorize } = require('../middleware/auth');
+const Enrollment = require('../models/Enrollment');
+const Program = require('../models/Program');
+const Invitation = require('../models/Invitation');
+const AuditLog = require('../models/AuditLog');
+const Campaign = require('../models/Campaign');
+const Segment = require('../models/Segment');
+const { sendEnrollmentUpdate, sendStaffInvitation } = require('../services/emailService');
+const { countRecipients } = require('../services/campaignService');
+const { getSlaMetrics } = require('../services/slaService');
+const { runCampaignWorkerNow } = require('../workers/campaignWorker');
+const { revokeAllSessions } = require('../services/tokenService');
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  PRIVILEGED_ROLES,
+  STAFF_ROLES,
+  hasPermission
+} = require('../config/roles');
+const { LANGUAGES } = require('../config/languages');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
+// Most rows a single CSV export will include
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// Quote a value for a CSV cell
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Stop spreadsheet apps from treating a cell as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Only holders of roles:assign-privileged may manage admins and super-admins
+const canManageUser = (actor, target) => {
+  return !PRIVILEGED_ROLES.includes(target.role) || hasPermission(actor.role, 'roles:assign-privileged');
+};
+
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
-// @access  Private/Admin
-router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
+// @access  Private (dashboard:view)
+router.get('/dashboard', protect, requirePermission('dashboard:view'), async (req, res) => {
   try {
     // Get various statistics
     const totalUsers = await User.countDocuments();
     const totalContacts = await Contact.countDocuments();
     const totalSubscribers = await Newsletter.countDocuments();
     const activeSubscribers = await Newsletter.countDocuments({ isActive: true });
+    const pendingSubscribers = await Newsletter.countDocuments({ status: 'pending' });
 
     // Get recent contacts (last 7 days)
     const sevenDaysAgo = new Date();
@@ -36,6 +72,17 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
     // Get unread contacts
     const unreadContacts = await Contact.countDocuments({ status: 'new' });
 
+    // Get tickets where the client has replied and is waiting on staff
+    const openTickets = await Contact.countDocuments({ status: 'open' });
+
+    // Get first-response SLA figures for the last 30 days
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const sla = await getSlaMetrics({ from: thirtyDaysAgo, to: new Date() });
+
+    // Get enrollment applications awaiting review
+    const pendingEnrollments = await Enrollment.countDocuments({ status: 'applied' });
+
     // Get contacts by service
     const contactsByService = await Contact.aggregate([
       { $group: { _id: '$service', count: { $sum: 1 } } },
@@ -56,11 +103,15 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
           totalContacts,
           totalSubscribers,
           activeSubscribers,
+          pendingSubscribers,
           recentContacts,
           recentSubscribers,
-          unreadContacts
+          unreadContacts,
+          openTickets,
+          pendingEnrollments
         },
         contactsByService,
+        sla,
         recentActivities
       }
     });
@@ -74,10 +125,41 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/sla?from=&to=
+// @desc    Get helpdesk SLA compliance and first-response times by service
+// @access  Private (dashboard:view)
+router.get('/sla', protect, requirePermission('dashboard:view'), async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date range'
+      });
+    }
+
+    const sla = await getSlaMetrics({ from, to });
+
+    res.json({
+      success: true,
+      data: sla
+    });
+
+  } catch (error) {
+    console.error('SLA metrics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/admin/newsletter/send
-// @desc    Send newsletter to subscribers
-// @access  Private/Admin
-router.post('/newsletter/send', protect, authorize('admin'), [
+// @desc    Send newsletter to subscribers now (shortcut for creating and sending a campaign)
+// @access  Private (newsletter:send)
+router.post('/newsletter/send', protect, requirePermission('newsletter:send'), audit('campaign.send', 'Campaign'), [
   body('subject')
     .trim()
     .isLength({ min: 5, max: 200 })
@@ -88,12 +170,22 @@ router.post('/newsletter/send', protect, authorize('admin'), [
     .withMessage('Content must be between 10 and 10000 characters'),
   body('targetAudience')
     .optional()
-    .isIn(['all', 'active', 'specific-interest'])
+    .isIn(['all', 'active', 'specific-interest', 'saved-segment'])
     .withMessage('Invalid target audience'),
   body('interest')
     .optional()
     .isIn(['web-development', 'graphic-design', 'video-editing', 'music-production', 'online-jobs', 'computer-packages', 'robotics-ml', 'cyber-security', 'all'])
-    .withMessage('Invalid interest')
+    .withMessage('Invalid interest'),
+  body('segmentId')
+    .if(body('targetAudience').equals('saved-segment'))
+    .isMongoId()
+    .withMessage('Please choose a saved segment')
+    .bail()
+    .custom(async (id) => {
+      if (!await Segment.exists({ _id: id })) {
+        throw new Error('Saved segment not found');
+      }
+    })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -105,43 +197,46 @@ router.post('/newsletter/send', protect, authorize('admin'), [
       });
     }
 
-    const { subject, content, targetAudience, interest } = req.body;
+    const { subject, content, targetAudience, interest, segmentId } = req.body;
 
-    // Get subscribers based on target audience
-    let subscribers;
-    if (targetAudience === 'specific-interest' && interest) {
-      subscribers = await Newsletter.getSubscribersByInterest(interest);
-    } else {
-      subscribers = await Newsletter.getActiveSubscribers();
+    let segment = { audience: 'all' };
+    if (targetAudience === 'saved-segment') {
+      segment = { audience: 'saved-segment', savedSegment: segmentId };
+    } else if (targetAudience === 'specific-interest' && interest) {
+      segment = { audience: 'specific-interest', interest };
     }
 
-    if (subscribers.length === 0) {
+    const recipients = await countRecipients(segment);
+    if (recipients === 0) {
       return res.status(400).json({
         success: false,
         message: 'No active subscribers found for the selected criteria'
       });
     }
 
-    // Send newsletter
-    const results = await sendNewsletter(subject, content, subscribers);
+    // Save it as a campaign due now and let the worker send it in the background
+    const campaign = await Campaign.create({
+      subject,
+      content,
+      segment,
+      status: 'scheduled',
+      scheduledAt: new Date(),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
 
-    // Update email count for subscribers
-    const successfulSends = results.filter(r => r.success).length;
-    await Newsletter.updateMany(
-      { email: { $in: results.filter(r => r.success).map(r => r.email) } },
-      {
-        $inc: { emailCount: 1 },
-        lastEmailSent: new Date()
-      }
-    );
+    req.audit.targetId = campaign._id;
+    req.audit.setAfter(campaign);
+    req.audit.metadata = { recipients };
 
-    res.json({
+    runCampaignWorkerNow();
+
+    res.status(202).json({
       success: true,
-      message: `Newsletter sent to ${successfulSends} subscribers`,
+      message: `Newsletter is being sent to ${recipients} subscribers`,
       data: {
-        totalSubscribers: subscribers.length,
-        successfulSends,
-        failedSends: results.filter(r => !r.success).length
+        campaignId: campaign._id,
+        totalSubscribers: recipients
       }
     });
 
@@ -155,9 +250,9 @@ router.post('/newsletter/send', protect, authorize('admin'), [
 });
 
 // @route   GET /api/admin/users
-// @desc    Get all users (Admin only)
-// @access  Private/Admin
-router.get('/users', protect, authorize('admin'), async (req, res) => {
+// @desc    Get all users
+// @access  Private (users:read)
+router.get('/users', protect, requirePermission('users:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -174,6 +269,8 @@ router.get('/users', protect, authorize('admin'), async (req, res) => {
       query.isActive = true;
     } else if (status === 'inactive') {
       query.isActive = false;
+    } else if (status === 'locked') {
+      query.lockUntil = { $gt: new Date() };
     }
 
     const users = await User.find(query)
@@ -206,22 +303,22 @@ router.get('/users', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   PUT /api/admin/users/:id
-// @desc    Update user (Admin only)
-// @access  Private/Admin
-router.put('/users/:id', protect, authorize('admin'), [
+// @desc    Update user
+// @access  Private (users:manage)
+router.put('/users/:id', protect, requirePermission('users:manage'), audit('user.update', 'User'), [
   body('name')
     .optional()
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Name must be between 2 and 50 characters'),
-  body('role')
-    .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Invalid role'),
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .withMessage('isActive must be a boolean'),
+  body('unlock')
+    .optional()
+    .isBoolean()
+    .withMessage('unlock must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -242,14 +339,30 @@ router.put('/users/:id', protect, authorize('admin'), [
       });
     }
 
-    const { name, role, isActive } = req.body;
+    if (!canManageUser(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this user'
+      });
+    }
+
+    const { name, isActive, unlock } = req.body;
+    req.audit.setBefore(user);
 
-    // Update fields
+    // Update fields; roles change through PUT /api/admin/users/:id/role
     if (name) user.name = name;
-    if (role) user.role = role;
     if (typeof isActive === 'boolean') user.isActive = isActive;
 
+    // Lift a lockout from failed logins
+    if (unlock === true) user.resetLoginAttempts();
+
     await user.save();
+    req.audit.setAfter(user);
+
+    // A deactivated user must not keep using existing sessions
+    if (user.isActive === false) {
+      await revokeAllSessions(user._id, 'deactivated');
+    }
 
     res.json({
       success: true,
@@ -260,7 +373,9 @@ router.put('/users/:id', protect, authorize('admin'), [
           name: user.name,
           email: user.email,
           role: user.role,
-          isActive: user.isActive
+          isActive: user.isActive,
+          isLocked: user.isLocked,
+          loginAttempts: user.loginAttempts
         }
       }
     });
@@ -275,9 +390,9 @@ router.put('/users/:id', protect, authorize('admin'), [
 });
 
 // @route   DELETE /api/admin/users/:id
-// @desc    Delete user (Admin only)
-// @access  Private/Admin
-router.delete('/users/:id', protect, authorize('admin'), async (req, res) => {
+// @desc    Delete user
+// @access  Private (users:manage)
+router.delete('/users/:id', protect, requirePermission('users:manage'), audit('user.delete', 'User'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -296,7 +411,16 @@ router.delete('/users/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    if (!canManageUser(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this user'
+      });
+    }
+
+    req.audit.setBefore(user);
     await User.findByIdAndDelete(req.params.id);
+    await revokeAllSessions(user._id, 'admin');
 
     res.json({
       success: true,
@@ -312,24 +436,316 @@ router.delete('/users/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @route   POST /api/admin/create-admin
-// @desc    Create first admin user (one-time use)
-// @access  Public (but should be removed after first use)
-router.post('/create-admin', [
-  body('name')
+// @route   GET /api/admin/roles
+// @desc    List roles and the permissions each grants
+// @access  Private (users:read)
+router.get('/roles', protect, requirePermission('users:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: ROLES.map(role => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role],
+      privileged: PRIVILEGED_ROLES.includes(role),
+      staff: STAFF_ROLES.includes(role)
+    }))
+  });
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Assign a role to a user
+// @access  Private (roles:assign)
+router.put('/users/:id/role', protect, requirePermission('roles:assign'), audit('user.role-change', 'User'), [
+  body('role')
+    .isIn(ROLES)
+    .withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { role } = req.body;
+
+    // Prevent users from changing their own role
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change your own role'
+      });
+    }
+
+    // Granting or revoking admin access needs the privileged permission
+    const touchesPrivileged = PRIVILEGED_ROLES.includes(role) || PRIVILEGED_ROLES.includes(user.role);
+    if (touchesPrivileged && !hasPermission(req.user.role, 'roles:assign-privileged')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super-admin can grant or revoke admin roles'
+      });
+    }
+
+    const previousRole = user.role;
+    req.audit.setBefore(user);
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+    req.audit.setAfter(user);
+
+    res.json({
+      success: true,
+      message: `Role changed from ${previousRole} to ${role}`,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          permissions: ROLE_PERMISSIONS[user.role]
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/enrollments
+// @desc    Get enrollment applications
+// @access  Private (enrollments:read)
+router.get('/enrollments', protect, requirePermission('enrollments:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, program, intake } = req.query;
+
+    let query = {};
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (program) {
+      query.program = program;
+    }
+
+    if (intake) {
+      query.intake = intake;
+    }
+
+    const enrollments = await Enrollment.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('user', 'name email profile.phone')
+      .populate('program', 'title slug')
+      .select('-__v');
+
+    const total = await Enrollment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: enrollments,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEnrollments: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get enrollments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/programs/:id/seats
+// @desc    Get seat usage for each intake of a program
+// @access  Private (enrollments:read)
+router.get('/programs/:id/seats', protect, requirePermission('enrollments:read'), async (req, res) => {
+  try {
+    const program = await Program.findById(req.params.id);
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    const counts = await Enrollment.aggregate([
+      { $match: { program: program._id } },
+      { $group: { _id: { intake: '$intake', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const intakes = program.intakes.map(intake => {
+      const byStatus = {};
+      counts
+        .filter(c => c._id.intake.toString() === intake._id.toString())
+        .forEach(c => { byStatus[c._id.status] = c.count; });
+
+      const occupied = Enrollment.SEAT_HOLDING_STATUSES
+        .reduce((sum, status) => sum + (byStatus[status] || 0), 0);
+
+      return {
+        id: intake._id,
+        name: intake.name,
+        startDate: intake.startDate,
+        capacity: intake.capacity,
+        occupied,
+        available: intake.capacity === undefined || intake.capacity === null
+          ? null
+          : Math.max(intake.capacity - occupied, 0),
+        byStatus
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        program: { id: program._id, title: program.title },
+        intakes
+      }
+    });
+
+  } catch (error) {
+    console.error('Get program seats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/enrollments/:id/status
+// @desc    Review an enrollment and change its status
+// @access  Private (enrollments:review)
+router.put('/enrollments/:id/status', protect, requirePermission('enrollments:review'), audit('enrollment.status-change', 'Enrollment'), [
+  body('status')
+    .isIn(['applied', 'accepted', 'waitlisted', 'enrolled', 'completed', 'withdrawn'])
+    .withMessage('Invalid status'),
+  body('note')
+    .optional()
     .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Name must be between 2 and 50 characters'),
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enrollment = await Enrollment.findById(req.params.id)
+      .populate('user', 'name email language')
+      .populate('program');
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment not found'
+      });
+    }
+
+    const { status, note } = req.body;
+
+    if (!enrollment.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change enrollment from ${enrollment.status} to ${status}`
+      });
+    }
+
+    // Moving into a seat-holding status needs a free seat, unless it already holds one
+    const needsSeat = Enrollment.SEAT_HOLDING_STATUSES.includes(status) &&
+      !Enrollment.SEAT_HOLDING_STATUSES.includes(enrollment.status);
+
+    if (needsSeat) {
+      const seatAvailable = await Enrollment.hasSeatAvailable(enrollment.program, enrollment.intake);
+      if (!seatAvailable) {
+        return res.status(409).json({
+          success: false,
+          message: 'This intake is full. Waitlist the applicant or increase the intake capacity.'
+        });
+      }
+    }
+
+    req.audit.setBefore(enrollment);
+    enrollment.transitionTo(status, req.user._id, note);
+    enrollment.reviewedBy = req.user._id;
+    enrollment.reviewedAt = new Date();
+    await enrollment.save();
+    req.audit.setAfter(enrollment);
+
+    const intake = enrollment.program.intakes.id(enrollment.intake);
+    const emailResult = await sendEnrollmentUpdate(
+      enrollment.user.email,
+      enrollment.user.name,
+      enrollment.program.title,
+      intake && intake.name,
+      status,
+      enrollment.user.language
+    );
+
+    if (!emailResult.success) {
+      console.warn('Enrollment update email failed:', emailResult.error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Enrollment updated successfully',
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Update enrollment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/invitations
+// @desc    Invite a staff member by email
+// @access  Private (roles:assign)
+router.post('/invitations', protect, requirePermission('roles:assign'), audit('invitation.create', 'Invitation'), [
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
-  body('secretKey')
-    .equals(process.env.ADMIN_SECRET_KEY || 'cybercloud2024')
-    .withMessage('Invalid secret key')
+  body('role')
+    .isIn(STAFF_ROLES)
+    .withMessage('Invalid role'),
+  body('language')
+    .optional()
+    .isIn(LANGUAGES)
+    .withMessage('Invalid language')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -341,45 +757,290 @@ router.post('/create-admin', [
       });
     }
 
-    const { name, email, password } = req.body;
+    const { email, role, language } = req.body;
 
-    // Check if admin already exists
-    const existingAdmin = await User.findOne({ role: 'admin' });
-    if (existingAdmin) {
+    if (PRIVILEGED_ROLES.includes(role) && !hasPermission(req.user.role, 'roles:assign-privileged')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super-admin can invite admins'
+      });
+    }
+
+    // Existing accounts are promoted with PUT /api/admin/users/:id/role instead
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: 'Admin user already exists'
+        message: 'User already exists with this email'
       });
     }
 
-    // Create admin user
-    const admin = await User.create({
-      name,
+    // A new invitation replaces any earlier one still pending for the address
+    await Invitation.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const { invitation, token } = await Invitation.createWithToken({
       email,
-      password,
-      role: 'admin'
+      role,
+      language,
+      invitedBy: req.user._id
     });
+    req.audit.targetId = invitation._id;
+    req.audit.setAfter(invitation);
 
-    const token = jwt.sign({ id: admin._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRE || '30d'
-    });
+    const emailResult = await sendStaffInvitation(
+      email,
+      req.user.name,
+      role,
+      token,
+      Invitation.INVITATION_EXPIRE_HOURS,
+      invitation.language
+    );
+
+    if (!emailResult.success) {
+      console.warn('Staff invitation email failed:', emailResult.error);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Admin user created successfully',
-      data: {
-        user: {
-          id: admin._id,
-          name: admin.name,
-          email: admin.email,
-          role: admin.role
-        },
-        token
+      message: emailResult.success
+        ? `Invitation sent to ${email}`
+        : 'Invitation created but the email could not be sent',
+      data: invitation
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/invitations
+// @desc    Get staff invitations
+// @access  Private (users:read)
+router.get('/invitations', protect, requirePermission('users:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status } = req.query;
+
+    let query = {};
+    const now = new Date();
+
+    if (status === 'pending') {
+      query = { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    } else if (status === 'accepted') {
+      query = { acceptedAt: { $ne: null } };
+    } else if (status === 'revoked') {
+      query = { revokedAt: { $ne: null } };
+    } else if (status === 'expired') {
+      query = { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    }
+
+    const invitations = await Invitation.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('invitedBy', 'name email')
+      .select('-__v');
+
+    const total = await Invitation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: invitations,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalInvitations: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (roles:assign)
+router.delete('/invitations/:id', protect, requirePermission('roles:assign'), audit('invitation.revoke', 'Invitation'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot revoke an invitation that is ${invitation.status}`
+      });
+    }
+
+    req.audit.setBefore(invitation);
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    req.audit.setAfter(invitation);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    Get the audit log of privileged actions, as JSON or CSV
+// @access  Private (audit:read)
+router.get('/audit-log', protect, requirePermission('audit:read'), [
+  query('actor')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 254 })
+    .withMessage('Actor must be a user id or email'),
+  query('action')
+    .optional()
+    .isString()
+    .matches(/^[a-z-]+(\.[a-z-]+)?$/i)
+    .withMessage('Action must look like "user" or "user.update"'),
+  query('targetType')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Invalid target type'),
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target id'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { actor, action, targetType, targetId, from, to, format } = req.query;
+
+    let query = {};
+
+    if (actor) {
+      // Accept either the actor's id or their email
+      if (/^[0-9a-fA-F]{24}$/.test(actor)) {
+        query.actor = actor;
+      } else {
+        query.actorEmail = actor.toLowerCase();
+      }
+    }
+
+    if (action) {
+      // "user" matches every user.* action
+      query.action = action.includes('.') ? action : { $regex: `^${action}\\.` };
+    }
+
+    if (targetType) {
+      query.targetType = targetType;
+    }
+
+    if (targetId) {
+      query.targetId = targetId;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    if (format === 'csv') {
+      const entries = await AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .lean();
+
+      const header = ['timestamp', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId', 'changes', 'metadata', 'ipAddress', 'userAgent'];
+      const rows = entries.map(entry => [
+        entry.createdAt.toISOString(),
+        entry.actorEmail,
+        entry.actorRole,
+        entry.action,
+        entry.targetType,
+        entry.targetId,
+        entry.changes && entry.changes.length ? entry.changes : '',
+        entry.metadata,
+        entry.ipAddress,
+        entry.userAgent
+      ].map(csvCell).join(','));
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send([header.join(','), ...rows].join('\r\n'));
+    }
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('actor', 'name email')
+      .select('-__v');
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEntries: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
       }
     });
 
   } catch (error) {
-    console.error('Create admin error:', error);
+    console.error('Get audit log error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -2,36 +2,711 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { sendPasswordReset } = require('../services/emailService');
-const { protect } = require('../middleware/auth');
+const Invitation = require('../models/Invitation');
+const { LANGUAGES } = require('../config/languages');
+const { sendPasswordReset, sendEmailVerification, sendAccountLocked } = require('../services/emailService');
+const {
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+  issueSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  setAuthCookies,
+  clearAuthCookies
+} = require('../services/tokenService');
+const {
+  generateSecret,
+  getProvisioningUri,
+  verifyCode,
+  generateBackupCodes,
+  hashBackupCode
+} = require('../services/totpService');
+const { protect, isTwoFactorRequired } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { loginLimiter, registerLimiter, forgotPasswordLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+
+// Whether unverified accounts are refused at login
+const isVerificationRequiredForLogin = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Whether the request authenticated with cookies rather than a Bearer token
+const usesCookieAuth = (req) => {
+  const usesBearer = req.headers.authorization && req.headers.authorization.startsWith('Bearer');
+  return !usesBearer && !!(req.cookies.token || req.cookies.refreshToken);
+};
+
+// Deliver session tokens as HttpOnly cookies or in the response body
+const deliverSession = (res, session, useCookie) => {
+  if (useCookie) {
+    return { csrfToken: setAuthCookies(res, session) };
+  }
+  return { token: session.token, refreshToken: session.refreshToken };
+};
+
+// Refuse a second-factor attempt while the account is locked or cooling down; returns true if refused
+const rejectThrottledLogin = (res, user) => {
+  if (user.isLocked) {
+    const minutes = Math.ceil((user.lockUntil.getTime() - Date.now()) / 60000);
+    res.status(423).json({
+      success: false,
+      message: `Account is temporarily locked after too many failed login attempts. Try again in ${minutes} minutes or reset your password.`
+    });
+    return true;
+  }
+
+  const delay = user.getLoginDelay();
+  if (delay > 0) {
+    const seconds = Math.ceil(delay / 1000);
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({
+      success: false,
+      message: `Too many failed login attempts. Please wait ${seconds} seconds and try again.`
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Count a failed login and send the failure response, emailing the owner if it locked the account.
+// revealLock is false where the caller has not proved they know the password, so the lock
+// is only reported by email.
+const rejectFailedLogin = async (res, user, message, revealLock = true) => {
+  const locked = await user.registerFailedLogin();
+
+  if (locked) {
+    const emailResult = await sendAccountLocked(user.email, user.name, User.LOCK_TIME_MINUTES, user.language);
+    if (!emailResult.success) {
+      console.warn('Account locked email failed:', emailResult.error);
+    }
+  }
+
+  if (locked && revealLock) {
+    return res.status(423).json({
+      success: false,
+      message: `Account is temporarily locked after too many failed login attempts. Try again in ${User.LOCK_TIME_MINUTES} minutes or reset your password.`
+    });
+  }
+
+  res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Record the login, start a session and send the login response
+const completeLogin = async (req, res, user) => {
+  user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  const session = deliverSession(res, await issueSession(user, req), req.body.useCookie === true);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+        lastLogin: user.lastLogin
+      },
+      ...session
+    }
   });
 };
 
-// @route   POST /api/auth/register
-// @desc    Register user
+// Create a verification token for the user and email the link
+const sendVerificationLink = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const emailResult = await sendEmailVerification(
+    user.email,
+    user.name,
+    verificationToken,
+    User.VERIFICATION_TOKEN_EXPIRE_HOURS,
+    user.language
+  );
+
+  if (!emailResult.success) {
+    console.warn('Email verification failed:', emailResult.error);
+  }
+  return emailResult;
+};
+
+// @route   POST /api/auth/register
+// @desc    Register user
+// @access  Public
+router.post('/register', registerLimiter, [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  body('language')
+    .optional()
+    .isIn(LANGUAGES)
+    .withMessage('Invalid language'),
+  body('useCookie')
+    .optional()
+    .isBoolean()
+    .withMessage('useCookie must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Roles are never taken from the client; staff join through invitations
+    const { name, email, password, language } = req.body;
+
+    // Check if user exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    // Create user
+    const user = await User.create({
+      name,
+      email,
+      password,
+      language,
+      role: 'user'
+    });
+
+    // Send verification email
+    await sendVerificationLink(user);
+
+    // Hold back the tokens until the email is verified when login is gated
+    const session = isVerificationRequiredForLogin()
+      ? {}
+      : deliverSession(res, await issueSession(user, req), req.body.useCookie === true);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully. Please check your email to verify your account.',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          language: user.language,
+          isEmailVerified: user.isEmailVerified
+        },
+        ...session
+      }
+    });
+
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// @route   POST /api/auth/login
+// @desc    Login user
+// @access  Public
+router.post('/login', loginLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .exists()
+    .withMessage('Password is required'),
+  body('useCookie')
+    .optional()
+    .isBoolean()
+    .withMessage('useCookie must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    // Check for user
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Refuse guesses while the account is locked or cooling down. The answer is the same as
+    // for an unknown email so it neither reveals that the account exists nor confirms a guess.
+    if (user.isLocked || user.getLoginDelay() > 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact admin.'
+      });
+    }
+
+    // Check password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return rejectFailedLogin(res, user, 'Invalid credentials', false);
+    }
+
+    // Check if email is verified
+    if (!user.isEmailVerified && isVerificationRequiredForLogin()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in.'
+      });
+    }
+
+    // Password is correct; ask for the second factor before starting a session
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app to finish logging in.',
+        data: {
+          twoFactorRequired: true,
+          twoFactorToken: generateTwoFactorToken(user._id)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a two-factor login with an authenticator or backup code
+// @access  Public
+router.post('/login/2fa', loginLimiter, [
+  body('twoFactorToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('backupCode')
+    .optional()
+    .trim()
+    .isLength({ min: 8, max: 9 })
+    .withMessage('Invalid backup code'),
+  body('useCookie')
+    .optional()
+    .isBoolean()
+    .withMessage('useCookie must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { twoFactorToken, code, backupCode } = req.body;
+
+    if (!code && !backupCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'An authenticator code or backup code is required'
+      });
+    }
+
+    const userId = verifyTwoFactorToken(twoFactorToken);
+    const user = userId && await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor session has expired. Please log in again.'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (rejectThrottledLogin(res, user)) return;
+
+    if (code) {
+      const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+      if (step === null) {
+        return rejectFailedLogin(res, user, 'Invalid authentication code');
+      }
+      user.twoFactor.lastUsedStep = step;
+    } else {
+      // Backup codes work once
+      const index = user.twoFactor.backupCodes.indexOf(hashBackupCode(backupCode));
+      if (index === -1) {
+        return rejectFailedLogin(res, user, 'Invalid backup code');
+      }
+      user.twoFactor.backupCodes.splice(index, 1);
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor setup and get the provisioning URI for a QR code
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+      data: {
+        secret,
+        otpauthUrl: getProvisioningUri(secret, user.email)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm two-factor setup with a code and receive backup codes
+// @access  Private
+router.post('/2fa/enable', protect, [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+      data: {
+        backupCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace backup codes after confirming a current code
+// @access  Private
+router.post('/2fa/backup-codes', protect, [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Your previous codes no longer work.',
+      data: {
+        backupCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', protect, audit('user.2fa-disable', 'User'), [
+  body('password')
+    .exists()
+    .withMessage('Password is required'),
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    const step = isMatch && verifyCode(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep);
+
+    if (!isMatch || step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+    req.audit.targetId = user._id;
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Request password reset
+// @access  Public
+router.post('/forgot-password', forgotPasswordLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    if (!user) {
+      // Don't reveal if email exists or not for security
+      return res.json({
+        success: true,
+        message: 'If an account with that email exists, a password reset link has been sent.'
+      });
+    }
+
+    // Generate a single-use reset token; only its hash is stored
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    // Send password reset email
+    const emailResult = await sendPasswordReset(email, resetToken, User.RESET_TOKEN_EXPIRE_MINUTES, user.language);
+
+    if (!emailResult.success) {
+      console.warn('Password reset email failed:', emailResult.error);
+
+      // Don't leave a usable token behind if the link never reached the user
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password using a token from the reset email
 // @access  Public
-router.post('/register', [
-  body('name')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Name must be between 2 and 50 characters'),
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email'),
+router.post('/reset-password/:token', [
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long')
 ], async (req, res) => {
   try {
-    // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -41,44 +716,64 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, role } = req.body;
+    const user = await User.findByResetToken(req.params.token);
 
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+    if (!user) {
       return res.status(400).json({
         success: false,
-        message: 'User already exists with this email'
+        message: 'Password reset link is invalid or has expired'
       });
     }
 
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password,
-      role: role || 'user' // Default to user, admin only set by existing admin
+    // Set the new password, consume the token and lift any lockout
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.resetLoginAttempts();
+    await user.save();
+
+    // Sign out everywhere in case the old password was compromised
+    await revokeAllSessions(user._id, 'password-changed');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
 
-    res.status(201).json({
+// @route   GET /api/auth/invitations/:token
+// @desc    Look up a staff invitation before accepting it
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findPendingByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
       success: true,
-      message: 'User registered successfully',
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
       }
     });
 
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Get invitation error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error. Please try again later.'
@@ -86,17 +781,17 @@ router.post('/register', [
   }
 });
 
-// @route   POST /api/auth/login
-// @desc    Login user
+// @route   POST /api/auth/invitations/:token/accept
+// @desc    Create a staff account from an invitation
 // @access  Public
-router.post('/login', [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email'),
+router.post('/invitations/:token/accept', [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
   body('password')
-    .exists()
-    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -108,58 +803,53 @@ router.post('/login', [
       });
     }
 
-    const { email, password } = req.body;
-
-    // Check for user
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
+    const invitation = await Invitation.findPendingByToken(req.params.token);
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
+    if (!invitation) {
+      return res.status(400).json({
         success: false,
-        message: 'Account is deactivated. Please contact admin.'
+        message: 'Invitation is invalid or has expired'
       });
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'User already exists with this email'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // The invitation link was delivered to this address, so it counts as verified
+    const user = await User.create({
+      name: req.body.name,
+      email: invitation.email,
+      password: req.body.password,
+      role: invitation.role,
+      language: invitation.language,
+      isEmailVerified: true,
+      emailVerifiedAt: new Date()
+    });
 
-    // Generate token
-    const token = generateToken(user._id);
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = user._id;
+    await invitation.save();
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Login successful',
+      message: 'Account created successfully. Please log in.',
       data: {
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
-          role: user.role,
-          lastLogin: user.lastLogin
-        },
-        token
+          role: user.role
+        }
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Accept invitation error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error. Please try again later.'
@@ -167,10 +857,46 @@ router.post('/login', [
   }
 });
 
-// @route   POST /api/auth/forgot-password
-// @desc    Request password reset
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address (for email links)
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findByVerificationToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).send(`
+        <div style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+          <h2 style="color: #00ff2a;">Verification Link Invalid</h2>
+          <p>This verification link is invalid or has expired.</p>
+          <p>You can request a new link from your account page.</p>
+          <a href="/" style="color: #00ff2a;">Return to Website</a>
+        </div>
+      `);
+    }
+
+    user.markEmailVerified();
+    await user.save({ validateBeforeSave: false });
+
+    res.send(`
+      <div style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+        <h2 style="color: #00ff2a;">Email Verified</h2>
+        <p>Thank you! Your email address has been verified.</p>
+        <p>You can now enroll in our training programs.</p>
+        <a href="/" style="color: #00ff2a;">Return to Website</a>
+      </div>
+    `);
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).send('Server error. Please try again later.');
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend email verification link
 // @access  Public
-router.post('/forgot-password', [
+router.post('/resend-verification', [
   body('email')
     .isEmail()
     .normalizeEmail()
@@ -186,34 +912,71 @@ router.post('/forgot-password', [
       });
     }
 
-    const { email } = req.body;
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email: req.body.email });
 
-    if (!user) {
-      // Don't reveal if email exists or not for security
-      return res.json({
-        success: true,
-        message: 'If an account with that email exists, a password reset link has been sent.'
+    // Don't reveal if email exists or not for security
+    if (user && !user.isEmailVerified) {
+      await sendVerificationLink(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an unverified account with that email exists, a new verification link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    // Browsers in cookie mode send the refresh token as an HttpOnly cookie
+    const fromCookie = !req.body.refreshToken && !!req.cookies.refreshToken;
+    const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
       });
     }
 
-    // Generate reset token (in a real app, you'd store this securely)
-    const resetToken = generateToken(user._id);
+    const result = await rotateRefreshToken(refreshToken, req);
 
-    // Send password reset email
-    const emailResult = await sendPasswordReset(email, resetToken);
+    if (result.error) {
+      if (fromCookie) clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
 
-    if (!emailResult.success) {
-      console.warn('Password reset email failed:', emailResult.error);
+    const user = await User.findById(result.userId);
+
+    if (!user || !user.isActive) {
+      await revokeSession(result.sessionId, 'deactivated');
+      if (fromCookie) clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact admin.'
+      });
     }
 
     res.json({
       success: true,
-      message: 'If an account with that email exists, a password reset link has been sent.'
+      data: deliverSession(res, result, fromCookie)
     });
 
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error. Please try again later.'
@@ -221,6 +984,135 @@ router.post('/forgot-password', [
   }
 });
 
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    let sessionId;
+
+    // Prefer the refresh token so logout still works after the access token expires
+    const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+    let accessToken;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      accessToken = req.headers.authorization.split(' ')[1];
+    } else if (req.cookies.token) {
+      accessToken = req.cookies.token;
+    }
+
+    if (refreshToken) {
+      sessionId = await findSessionByRefreshToken(refreshToken);
+    } else if (accessToken) {
+      try {
+        const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, {
+          ignoreExpiration: true
+        });
+        sessionId = decoded.sid;
+      } catch (error) {
+        sessionId = null;
+      }
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId, 'logout');
+    }
+
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session for the current user
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id, 'logout-all');
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    End one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    if (!sessions.some(session => session.id === req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(req.params.id, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Session ended successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -236,6 +1128,9 @@ router.get('/me', protect, async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          isEmailVerified: user.isEmailVerified,
+          twoFactorEnabled: user.twoFactor.enabled,
+          language: user.language,
           profile: user.profile,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt
@@ -275,7 +1170,11 @@ router.put('/update-profile', protect, [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Bio cannot be more than 500 characters')
+    .withMessage('Bio cannot be more than 500 characters'),
+  body('language')
+    .optional()
+    .isIn(LANGUAGES)
+    .withMessage('Invalid language')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -288,7 +1187,7 @@ router.put('/update-profile', protect, [
     }
 
     const updates = {};
-    const allowedFields = ['name', 'profile'];
+    const allowedFields = ['name', 'profile', 'language'];
 
     Object.keys(req.body).forEach(key => {
       if (allowedFields.includes(key)) {
@@ -311,6 +1210,7 @@ router.put('/update-profile', protect, [
           name: user.name,
           email: user.email,
           role: user.role,
+          language: user.language,
           profile: user.profile
         }
       }
@@ -364,9 +1264,14 @@ router.put('/change-password', protect, [
     user.password = newPassword;
     await user.save();
 
+    // Earlier tokens are now rejected, so end every session and start a fresh one
+    await revokeAllSessions(user._id, 'password-changed');
+    const session = await issueSession(user, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: deliverSession(res, session, usesCookieAuth(req))
     });
 
   } catch (error) {
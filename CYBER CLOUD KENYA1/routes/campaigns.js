@@ -0,0 +1,435 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Campaign = require('../models/Campaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const Segment = require('../models/Segment');
+const { countRecipients } = require('../services/campaignService');
+const { getCampaignAnalytics } = require('../services/trackingService');
+const { runCampaignWorkerNow } = require('../workers/campaignWorker');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+// Validation shared by create and update
+const campaignValidation = (isCreate) => [
+  body('subject')
+    .if((value) => isCreate || value !== undefined)
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Subject must be between 5 and 200 characters'),
+  body('content')
+    .if((value) => isCreate || value !== undefined)
+    .trim()
+    .isLength({ min: 10, max: 10000 })
+    .withMessage('Content must be between 10 and 10000 characters'),
+  body('segment.audience')
+    .optional()
+    .isIn(Campaign.AUDIENCES)
+    .withMessage('Invalid target audience'),
+  body('segment.interest')
+    .optional()
+    .isIn(Campaign.INTERESTS)
+    .withMessage('Invalid interest'),
+  body('segment.savedSegment')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid saved segment')
+    .bail()
+    .custom(async (id) => {
+      if (!await Segment.exists({ _id: id })) {
+        throw new Error('Saved segment not found');
+      }
+    }),
+  body('scheduledAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('scheduledAt must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('scheduledAt must be in the future')
+];
+
+// Copy editable fields from the request onto a campaign
+const applyCampaignFields = (campaign, data) => {
+  if (data.subject !== undefined) campaign.subject = data.subject;
+  if (data.content !== undefined) campaign.content = data.content;
+  if (data.segment !== undefined) {
+    campaign.segment = {
+      audience: data.segment.audience || 'all',
+      interest: data.segment.interest,
+      savedSegment: data.segment.savedSegment
+    };
+  }
+
+  // A send time schedules the campaign; clearing it returns it to draft
+  if (data.scheduledAt !== undefined) {
+    campaign.scheduledAt = data.scheduledAt ? new Date(data.scheduledAt) : undefined;
+    campaign.status = data.scheduledAt ? 'scheduled' : 'draft';
+  }
+};
+
+// @route   POST /api/admin/campaigns
+// @desc    Create a campaign as a draft, or scheduled if scheduledAt is given
+// @access  Private (newsletter:send)
+router.post('/', protect, requirePermission('newsletter:send'), audit('campaign.create', 'Campaign'), campaignValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = new Campaign({
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    applyCampaignFields(campaign, req.body);
+    await campaign.save();
+
+    req.audit.targetId = campaign._id;
+    req.audit.setAfter(campaign);
+
+    res.status(201).json({
+      success: true,
+      message: campaign.status === 'scheduled'
+        ? 'Campaign scheduled successfully'
+        : 'Campaign saved as draft',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Create campaign error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/campaigns
+// @desc    Get campaign history
+// @access  Private (newsletter:read)
+router.get('/', protect, requirePermission('newsletter:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status } = req.query;
+
+    let query = {};
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const campaigns = await Campaign.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('createdBy', 'name email')
+      .populate('segment.savedSegment', 'name')
+      .select('-__v -content');
+
+    const total = await Campaign.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: campaigns,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalCampaigns: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/campaigns/:id
+// @desc    Get a campaign with its delivery summary
+// @access  Private (newsletter:read)
+router.get('/:id', protect, requirePermission('newsletter:read'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .populate('segment.savedSegment', 'name description rules');
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    // Unsent campaigns show how many subscribers they would reach right now
+    const estimatedRecipients = campaign.isEditable()
+      ? await countRecipients(campaign.segment)
+      : undefined;
+
+    res.json({
+      success: true,
+      data: {
+        ...campaign.toObject(),
+        estimatedRecipients
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/campaigns/:id/deliveries
+// @desc    Get per-subscriber delivery results for a campaign
+// @access  Private (newsletter:read)
+router.get('/:id/deliveries', protect, requirePermission('newsletter:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { status } = req.query;
+
+    let query = { campaign: req.params.id };
+
+    if (['queued', 'sent', 'failed'].includes(status)) {
+      query.status = status;
+    }
+
+    const deliveries = await CampaignDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await CampaignDelivery.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalDeliveries: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaign deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/campaigns/:id/analytics
+// @desc    Get open rate, click rate, top links and unsubscribes for a campaign
+// @access  Private (newsletter:read)
+router.get('/:id/analytics', protect, requirePermission('newsletter:read'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id).select('subject status sentAt stats');
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const analytics = await getCampaignAnalytics(campaign._id);
+
+    res.json({
+      success: true,
+      data: {
+        campaign,
+        ...analytics
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaign analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/campaigns/:id
+// @desc    Edit a draft or scheduled campaign
+// @access  Private (newsletter:send)
+router.put('/:id', protect, requirePermission('newsletter:send'), audit('campaign.update', 'Campaign'), campaignValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!campaign.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a campaign that is ${campaign.status}`
+      });
+    }
+
+    req.audit.setBefore(campaign);
+    applyCampaignFields(campaign, req.body);
+    campaign.updatedBy = req.user._id;
+    await campaign.save();
+    req.audit.setAfter(campaign);
+
+    res.json({
+      success: true,
+      message: 'Campaign updated successfully',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Update campaign error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/campaigns/:id/send
+// @desc    Send a draft or scheduled campaign now
+// @access  Private (newsletter:send)
+router.post('/:id/send', protect, requirePermission('newsletter:send'), audit('campaign.send', 'Campaign'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!campaign.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot send a campaign that is ${campaign.status}`
+      });
+    }
+
+    const recipients = await countRecipients(campaign.segment);
+    if (recipients === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active subscribers found for the selected criteria'
+      });
+    }
+
+    req.audit.setBefore(campaign);
+    campaign.status = 'scheduled';
+    campaign.scheduledAt = new Date();
+    campaign.updatedBy = req.user._id;
+    await campaign.save();
+    req.audit.setAfter(campaign);
+    req.audit.metadata = { recipients };
+
+    // Hand over to the worker straight away rather than waiting for its next pass
+    runCampaignWorkerNow();
+
+    res.status(202).json({
+      success: true,
+      message: `Campaign is being sent to ${recipients} subscribers`,
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Send campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/campaigns/:id/cancel
+// @desc    Cancel a draft or scheduled campaign
+// @access  Private (newsletter:send)
+router.post('/:id/cancel', protect, requirePermission('newsletter:send'), audit('campaign.cancel', 'Campaign'), async (req, res) => {
+  try {
+    // Only cancel if the worker has not claimed it in the meantime
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: Campaign.EDITABLE_STATUSES } },
+      { status: 'cancelled', cancelledAt: new Date(), updatedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!campaign) {
+      const existing = await Campaign.findById(req.params.id);
+      return res.status(existing ? 400 : 404).json({
+        success: false,
+        message: existing
+          ? `Cannot cancel a campaign that is ${existing.status}`
+          : 'Campaign not found'
+      });
+    }
+
+    req.audit.setAfter(campaign);
+
+    res.json({
+      success: true,
+      message: 'Campaign cancelled successfully',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Cancel campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,24 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Contact = require('../models/Contact');
-const { sendContactNotification } = require('../services/emailService');
-const { protect, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const { sendContactNotification, sendTicketAssignment } = require('../services/emailService');
+const { addStaffReply } = require('../services/ticketService');
+const { hasPermission } = require('../config/roles');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { contactLimiter } = require('../middleware/rateLimit');
+const { abuseGuard } = require('../middleware/abuse');
+const { createFormToken } = require('../services/abuseService');
+const { getHoneypotField } = require('../config/abuse');
+const { LANGUAGES } = require('../config/languages');
 
 const router = express.Router();
 
 // @route   POST /api/contact
 // @desc    Submit contact form
 // @access  Public
-router.post('/', [
+router.post('/', contactLimiter, [
   body('name')
     .trim()
     .isLength({ min: 2, max: 100 })
@@ -33,8 +42,18 @@ router.post('/', [
   body('service')
     .optional()
     .isIn(['web-development', 'graphic-design', 'video-editing', 'social-media-marketing', 'cyber-security', 'software-sales', 'training-programs', 'general-inquiry'])
-    .withMessage('Invalid service selection')
-], async (req, res) => {
+    .withMessage('Invalid service selection'),
+  body('language')
+    .optional()
+    .isIn(LANGUAGES)
+    .withMessage('Invalid language')
+], abuseGuard('contact', {
+  getText: ({ subject, message }) => `${subject} ${message}`,
+  blockedResponse: {
+    status: 201,
+    message: 'Contact form submitted successfully! We will get back to you soon.'
+  }
+}), async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -46,7 +65,7 @@ router.post('/', [
       });
     }
 
-    const { name, email, phone, subject, message, service } = req.body;
+    const { name, email, phone, subject, message, service, language } = req.body;
 
     // Create contact entry
     const contact = new Contact({
@@ -56,17 +75,26 @@ router.post('/', [
       subject,
       message,
       service: service || 'general-inquiry',
+      language,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
     });
 
+    // Suspected spam waits for review; the sender sees the usual reply
+    const quarantined = req.abuse && req.abuse.verdict === 'quarantined';
+    if (quarantined) {
+      contact.quarantineFor(req.abuse.reasons);
+    }
+
     await contact.save();
 
     // Send notification email to admin
-    const emailResult = await sendContactNotification(contact);
+    if (!quarantined) {
+      const emailResult = await sendContactNotification(contact);
 
-    if (!emailResult.success) {
-      console.warn('Contact notification email failed:', emailResult.error);
+      if (!emailResult.success) {
+        console.warn('Contact notification email failed:', emailResult.error);
+      }
     }
 
     res.status(201).json({
@@ -74,6 +102,7 @@ router.post('/', [
       message: 'Contact form submitted successfully! We will get back to you soon.',
       data: {
         id: contact._id,
+        ticketNumber: contact.ticketNumber,
         name: contact.name,
         email: contact.email,
         subject: contact.subject,
@@ -100,31 +129,64 @@ router.post('/', [
   }
 });
 
+// @route   GET /api/contact/form-token
+// @desc    Get a signed form token and the honeypot field name for the contact form
+// @access  Public
+router.get('/form-token', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      formToken: createFormToken('contact'),
+      honeypotField: getHoneypotField()
+    }
+  });
+});
+
 // @route   GET /api/contact
-// @desc    Get all contact submissions (Admin only)
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @desc    Get all contact submissions
+// @access  Private (contacts:read)
+router.get('/', protect, requirePermission('contacts:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const status = req.query.status;
     const service = req.query.service;
+    const assignedTo = req.query.assignedTo;
 
     let query = {};
 
+    // Quarantined submissions are only listed when asked for
     if (status && status !== 'all') {
       query.status = status;
+    } else {
+      query.status = { $ne: 'quarantined' };
     }
 
     if (service && service !== 'all') {
       query.service = service;
     }
 
+    // "me", "unassigned" or a staff member's id
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignedTo && assignedTo !== 'all') {
+      query.assignedTo = assignedTo;
+    }
+
+    // Tickets whose client has waited longer than the SLA allows
+    if (req.query.overdue === 'true') {
+      query['sla.dueAt'] = { $lt: new Date() };
+    }
+
+    // The thread is left out of the list; fetch a single ticket to read it
     const contacts = await Contact.find(query)
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
-      .select('-__v');
+      .populate('assignedTo', 'name email')
+      .select('-__v -messages');
 
     const total = await Contact.countDocuments(query);
 
@@ -150,11 +212,13 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   GET /api/contact/:id
-// @desc    Get single contact submission
-// @access  Private/Admin
-router.get('/:id', protect, authorize('admin'), async (req, res) => {
+// @desc    Get single contact submission with its conversation
+// @access  Private (contacts:read)
+router.get('/:id', protect, requirePermission('contacts:read'), async (req, res) => {
   try {
-    const contact = await Contact.findById(req.params.id);
+    const contact = await Contact.findById(req.params.id)
+      .populate('assignedTo', 'name email')
+      .populate('messages.author', 'name email');
 
     if (!contact) {
       return res.status(404).json({
@@ -178,18 +242,22 @@ router.get('/:id', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   PUT /api/contact/:id
-// @desc    Update contact status/response
-// @access  Private/Admin
-router.put('/:id', protect, authorize('admin'), [
+// @desc    Update contact status; a response message is sent as a reply
+// @access  Private (contacts:respond)
+router.put('/:id', protect, requirePermission('contacts:respond'), audit('contact.update', 'Contact'), [
   body('status')
     .optional()
-    .isIn(['new', 'read', 'responded', 'closed'])
+    .isIn(Contact.STATUSES)
     .withMessage('Invalid status'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid priority'),
   body('response.message')
     .optional()
     .trim()
-    .isLength({ min: 1, max: 2000 })
-    .withMessage('Response message must be between 1 and 2000 characters')
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Response message must be between 1 and 10000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -210,24 +278,25 @@ router.put('/:id', protect, authorize('admin'), [
       });
     }
 
-    const { status, response } = req.body;
+    const { status, priority, response } = req.body;
+    req.audit.setBefore(contact);
+
+    // Add response
+    if (response && response.message) {
+      await addStaffReply(contact, response.message, req.user);
+    }
 
     // Update status
     if (status) {
-      contact.status = status;
+      contact.setStatus(status);
     }
 
-    // Add response
-    if (response && response.message) {
-      contact.response = {
-        message: response.message,
-        respondedBy: req.user._id,
-        respondedAt: new Date()
-      };
-      contact.status = 'responded';
+    if (priority) {
+      contact.priority = priority;
     }
 
     await contact.save();
+    req.audit.setAfter(contact);
 
     res.json({
       success: true,
@@ -244,10 +313,144 @@ router.put('/:id', protect, authorize('admin'), [
   }
 });
 
+// @route   POST /api/contact/:id/replies
+// @desc    Reply to the client; the reply is emailed and added to the conversation
+// @access  Private (contacts:respond)
+router.post('/:id/replies', protect, requirePermission('contacts:respond'), audit('contact.reply', 'Contact'), [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Reply must be between 1 and 10000 characters'),
+  body('close')
+    .optional()
+    .isBoolean()
+    .withMessage('close must be true or false')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    const { message, emailResult } = await addStaffReply(contact, req.body.message, req.user);
+
+    if (req.body.close) {
+      contact.close();
+      await contact.save();
+    }
+
+    req.audit.targetId = contact._id;
+    req.audit.metadata = { messageId: message._id, emailed: emailResult.success, closed: Boolean(req.body.close) };
+
+    res.status(201).json({
+      success: true,
+      message: emailResult.success
+        ? 'Reply sent successfully'
+        : 'Reply saved, but the email could not be sent',
+      data: {
+        status: contact.status,
+        message,
+        emailed: emailResult.success
+      }
+    });
+
+  } catch (error) {
+    console.error('Reply to contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/contact/:id/assign
+// @desc    Assign a ticket to a staff member, or unassign it with null
+// @access  Private (contacts:respond)
+router.put('/:id/assign', protect, requirePermission('contacts:respond'), audit('contact.assign', 'Contact'), [
+  body('assignedTo')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid staff member')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    let assignee = null;
+    if (req.body.assignedTo) {
+      assignee = await User.findById(req.body.assignedTo).select('name email role isActive');
+
+      // Only staff who can answer tickets can be given one
+      if (!assignee || !assignee.isActive || !hasPermission(assignee.role, 'contacts:respond')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tickets can only be assigned to active staff who can respond to contacts'
+        });
+      }
+    }
+
+    req.audit.setBefore(contact);
+    contact.assignedTo = assignee ? assignee._id : undefined;
+    contact.assignedAt = assignee ? new Date() : undefined;
+    await contact.save();
+    req.audit.setAfter(contact);
+
+    // No need to email staff who picked the ticket up themselves
+    if (assignee && assignee._id.toString() !== req.user._id.toString()) {
+      const emailResult = await sendTicketAssignment(contact, assignee, req.user.name);
+      if (!emailResult.success) {
+        console.warn('Ticket assignment email failed:', emailResult.error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: assignee ? `Ticket assigned to ${assignee.name}` : 'Ticket unassigned',
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Assign contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   DELETE /api/contact/:id
 // @desc    Delete contact submission
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (contacts:delete)
+router.delete('/:id', protect, requirePermission('contacts:delete'), audit('contact.delete', 'Contact'), async (req, res) => {
   try {
     const contact = await Contact.findById(req.params.id);
 
@@ -258,6 +461,7 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    req.audit.setBefore(contact);
     await Contact.findByIdAndDelete(req.params.id);
 
     res.json({
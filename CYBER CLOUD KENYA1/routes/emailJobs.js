@@ -0,0 +1,248 @@
+const express = require('express');
+const EmailJob = require('../models/EmailJob');
+const EmailDeadLetter = require('../models/EmailDeadLetter');
+const { retryDeadLetter } = require('../services/emailQueue');
+const { runEmailWorkerNow } = require('../workers/emailWorker');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+// Most dead letters retried by one retry-all request
+const RETRY_ALL_LIMIT = 500;
+
+// Email bodies can hold single-use links (password resets, invitations), so they are never
+// returned; attachments are left out too
+const JOB_FIELDS = '-__v -mail.html -mail.text -mail.attachments';
+
+// @route   GET /api/admin/email-jobs
+// @desc    Get queued, in-progress and recently sent email jobs
+// @access  Private (emails:manage)
+router.get('/', protect, requirePermission('emails:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, type } = req.query;
+
+    let query = {};
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    const jobs = await EmailJob.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select(JOB_FIELDS);
+
+    const total = await EmailJob.countDocuments(query);
+
+    const [queued, processing, sent, suppressed, deadLetters] = await Promise.all([
+      EmailJob.countDocuments({ status: 'queued' }),
+      EmailJob.countDocuments({ status: 'processing' }),
+      EmailJob.countDocuments({ status: 'sent' }),
+      EmailJob.countDocuments({ status: 'suppressed' }),
+      EmailDeadLetter.countDocuments({ retriedAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: jobs,
+      counts: {
+        queued,
+        processing,
+        sent,
+        suppressed,
+        deadLetters
+      },
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalJobs: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get email jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/email-jobs/dead-letters
+// @desc    Get emails that failed every attempt
+// @access  Private (emails:manage)
+router.get('/dead-letters', protect, requirePermission('emails:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { type, retried } = req.query;
+
+    let query = {};
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (retried === 'true') {
+      query.retriedAt = { $ne: null };
+    } else if (retried === 'false') {
+      query.retriedAt = null;
+    }
+
+    const deadLetters = await EmailDeadLetter.find(query)
+      .sort({ failedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('retriedBy', 'name email')
+      .select(JOB_FIELDS);
+
+    const total = await EmailDeadLetter.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: deadLetters,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalDeadLetters: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/email-jobs/dead-letters/retry
+// @desc    Queue every dead letter that has not been retried yet, optionally of one type
+// @access  Private (emails:manage)
+router.post('/dead-letters/retry', protect, requirePermission('emails:manage'), audit('email.retry-all', 'EmailDeadLetter'), async (req, res) => {
+  try {
+    let query = { retriedAt: null };
+
+    if (req.body.type) {
+      query.type = req.body.type;
+    }
+
+    const deadLetters = await EmailDeadLetter.find(query)
+      .sort({ failedAt: 1 })
+      .limit(RETRY_ALL_LIMIT);
+
+    for (const deadLetter of deadLetters) {
+      await retryDeadLetter(deadLetter, req.user._id);
+    }
+
+    req.audit.metadata = { type: req.body.type, retried: deadLetters.length };
+
+    if (deadLetters.length > 0) {
+      runEmailWorkerNow();
+    }
+
+    res.json({
+      success: true,
+      message: `${deadLetters.length} emails queued for retry`,
+      data: {
+        retried: deadLetters.length,
+        remaining: await EmailDeadLetter.countDocuments(query)
+      }
+    });
+
+  } catch (error) {
+    console.error('Retry dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/email-jobs/dead-letters/:id/retry
+// @desc    Queue one dead letter again with a fresh set of attempts
+// @access  Private (emails:manage)
+router.post('/dead-letters/:id/retry', protect, requirePermission('emails:manage'), audit('email.retry', 'EmailDeadLetter'), async (req, res) => {
+  try {
+    const deadLetter = await EmailDeadLetter.findById(req.params.id);
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead letter not found'
+      });
+    }
+
+    if (deadLetter.retriedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email has already been retried'
+      });
+    }
+
+    const job = await retryDeadLetter(deadLetter, req.user._id);
+
+    req.audit.targetId = deadLetter._id;
+    req.audit.metadata = { type: deadLetter.type, to: deadLetter.mail.to, retryJob: job._id };
+
+    runEmailWorkerNow();
+
+    res.json({
+      success: true,
+      message: 'Email queued for retry',
+      data: {
+        jobId: job._id
+      }
+    });
+
+  } catch (error) {
+    console.error('Retry dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/email-jobs/:id
+// @desc    Get a single email job
+// @access  Private (emails:manage)
+router.get('/:id', protect, requirePermission('emails:manage'), async (req, res) => {
+  try {
+    const job = await EmailJob.findById(req.params.id).select(JOB_FIELDS);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Get email job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
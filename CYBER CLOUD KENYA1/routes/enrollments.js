@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Enrollment = require('../models/Enrollment');
+const Program = require('../models/Program');
+const { sendEnrollmentUpdate } = require('../services/emailService');
+const { protect, requireVerifiedEmail, ownerOrAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   POST /api/enrollments
+// @desc    Apply for a program intake
+// @access  Private
+router.post('/', protect, requireVerifiedEmail, [
+  body('program')
+    .trim()
+    .notEmpty()
+    .withMessage('Program is required'),
+  body('intake')
+    .isMongoId()
+    .withMessage('Please select a valid intake'),
+  body('preferredMode')
+    .optional()
+    .isIn(['online', 'offline', 'hybrid'])
+    .withMessage('Invalid mode'),
+  body('phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  body('motivation')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Motivation cannot be more than 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { preferredMode, phone, motivation } = req.body;
+
+    const program = await Program.findByIdOrSlug(req.body.program);
+
+    if (!program || program.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    const intake = program.intakes.id(req.body.intake);
+
+    if (!intake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Intake not found for this program'
+      });
+    }
+
+    if (!intake.isOpen || (intake.applicationDeadline && intake.applicationDeadline < new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Applications for this intake are closed'
+      });
+    }
+
+    // Prevent duplicate applications for the same intake
+    const existing = await Enrollment.findOne({
+      user: req.user._id,
+      program: program._id,
+      intake: intake._id,
+      status: { $in: Enrollment.ACTIVE_STATUSES }
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already applied for this intake'
+      });
+    }
+
+    // Full intakes go straight to the waiting list
+    const seatAvailable = await Enrollment.hasSeatAvailable(program, intake._id);
+
+    const enrollment = await Enrollment.create({
+      user: req.user._id,
+      program: program._id,
+      intake: intake._id,
+      status: seatAvailable ? 'applied' : 'waitlisted',
+      preferredMode,
+      phone,
+      motivation
+    });
+
+    const emailResult = await sendEnrollmentUpdate(
+      req.user.email,
+      req.user.name,
+      program.title,
+      intake.name,
+      enrollment.status,
+      req.user.language
+    );
+
+    if (!emailResult.success) {
+      console.warn('Enrollment update email failed:', emailResult.error);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: seatAvailable
+        ? 'Application submitted successfully! We will review it shortly.'
+        : 'This intake is full. You have been added to the waiting list.',
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Create enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// @route   GET /api/enrollments/my
+// @desc    Get current user's enrollments
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const enrollments = await Enrollment.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('program', 'title slug category duration fees intakes')
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: enrollments
+    });
+
+  } catch (error) {
+    console.error('Get my enrollments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/enrollments/:id
+// @desc    Get a single enrollment
+// @access  Private (owner or enrollments:read)
+router.get('/:id', protect, ownerOrAdmin(Enrollment, 'enrollments:read'), async (req, res) => {
+  try {
+    const enrollment = await req.resource.populate('program', 'title slug category duration fees intakes');
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Get enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/enrollments/:id/withdraw
+// @desc    Withdraw an enrollment
+// @access  Private (owner or enrollments:review)
+router.put('/:id/withdraw', protect, ownerOrAdmin(Enrollment, 'enrollments:review'), [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enrollment = req.resource;
+
+    if (!enrollment.canTransitionTo('withdrawn')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot withdraw an enrollment that is ${enrollment.status}`
+      });
+    }
+
+    enrollment.transitionTo('withdrawn', req.user._id, req.body.reason);
+    await enrollment.save();
+
+    res.json({
+      success: true,
+      message: 'Enrollment withdrawn successfully',
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Withdraw enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,645 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Quote = require('../models/Quote');
+const Payment = require('../models/Payment');
+const { nextDocumentNumber, refreshInvoicePayments } = require('../services/billingService');
+const { formatPhoneNumber, initiateStkPush } = require('../services/mpesaService');
+const { renderInvoicePdf } = require('../services/pdfService');
+const { sendInvoice } = require('../services/emailService');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { textSearch } = require('../utils/search');
+const { billingDocumentValidation, applyBillingFields, sendPdf } = require('../middleware/billing');
+
+const router = express.Router();
+
+// How a payment recorded by staff was made
+const PAYMENT_METHODS = ['mpesa', 'bank-transfer', 'cash', 'cheque', 'card'];
+
+const dueDateValidation = body('dueDate')
+  .optional()
+  .isISO8601()
+  .withMessage('Due date must be a valid date');
+
+// @route   POST /api/invoices
+// @desc    Create a draft invoice
+// @access  Private (billing:manage)
+router.post('/', protect, requirePermission('billing:manage'), audit('invoice.create', 'Invoice'), [
+  ...billingDocumentValidation(true),
+  dueDateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invoice = new Invoice({
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    applyBillingFields(invoice, req.body);
+    if (req.body.dueDate) invoice.dueDate = new Date(req.body.dueDate);
+    await invoice.save();
+
+    req.audit.targetId = invoice._id;
+    req.audit.setAfter(invoice);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice saved as draft',
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Create invoice error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/invoices
+// @desc    Get invoices, with counts and amounts for each status
+// @access  Private (billing:read)
+router.get('/', protect, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, search, from, to } = req.query;
+
+    let query = {};
+
+    // "open" lists every issued invoice still waiting for payment
+    if (status === 'open') {
+      query.status = { $in: Invoice.OPEN_STATUSES };
+    } else if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (search) {
+      const pattern = textSearch(search);
+      query.$or = [
+        { invoiceNumber: pattern },
+        { 'client.name': pattern },
+        { 'client.email': pattern },
+        { 'client.company': pattern }
+      ];
+    }
+
+    if (from || to) {
+      query.issueDate = {};
+      if (from) query.issueDate.$gte = new Date(from);
+      if (to) query.issueDate.$lte = new Date(to);
+    }
+
+    const invoices = await Invoice.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v -items -notes -terms');
+
+    const total = await Invoice.countDocuments(query);
+
+    const byStatus = await Invoice.aggregate([
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          total: { $sum: '$total' },
+          amountPaid: { $sum: '$amountPaid' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: invoices,
+      counts: byStatus,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalInvoices: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/invoices/:id
+// @desc    Get a single invoice and the payments made against it
+// @access  Private (billing:read)
+router.get('/:id', protect, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('quote', 'quoteNumber status')
+      .populate('createdBy', 'name email');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const payments = await Payment.find({ invoice: invoice._id })
+      .sort({ createdAt: -1 })
+      .populate('recordedBy', 'name email')
+      .select('-__v -callbackPayload');
+
+    res.json({
+      success: true,
+      data: {
+        invoice,
+        payments
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/invoices/:id/pdf
+// @desc    Download an invoice as a PDF
+// @access  Private (billing:read)
+router.get('/:id/pdf', protect, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    sendPdf(res, `${invoice.invoiceNumber || 'draft-invoice'}.pdf`, await renderInvoicePdf(invoice));
+
+  } catch (error) {
+    console.error('Render invoice PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/invoices/:id
+// @desc    Update a draft invoice
+// @access  Private (billing:manage)
+router.put('/:id', protect, requirePermission('billing:manage'), audit('invoice.update', 'Invoice'), [
+  ...billingDocumentValidation(false),
+  dueDateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    // Issued invoices are tax documents; cancel and re-issue instead
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be edited. Cancel this invoice and issue a new one instead.'
+      });
+    }
+
+    req.audit.setBefore(invoice);
+    applyBillingFields(invoice, req.body);
+    if (req.body.dueDate) invoice.dueDate = new Date(req.body.dueDate);
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+    req.audit.setAfter(invoice);
+
+    res.json({
+      success: true,
+      message: 'Invoice updated successfully',
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Update invoice error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/send
+// @desc    Issue a draft invoice (giving it its number) and email it to the client as a PDF,
+//          or resend an issued one
+// @access  Private (billing:manage)
+router.post('/:id/send', protect, requirePermission('billing:manage'), audit('invoice.send', 'Invoice'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'A cancelled invoice cannot be sent'
+      });
+    }
+
+    req.audit.setBefore(invoice);
+
+    if (invoice.status === 'draft') {
+      invoice.issue(await nextDocumentNumber('INV'));
+    }
+
+    invoice.sentAt = new Date();
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    const emailResult = await sendInvoice(invoice, await renderInvoicePdf(invoice));
+    if (emailResult.success) {
+      invoice.emailJob = emailResult.jobId;
+      await invoice.save();
+    } else {
+      console.warn('Invoice email failed:', emailResult.error);
+    }
+    req.audit.setAfter(invoice);
+
+    res.json({
+      success: true,
+      message: emailResult.success
+        ? `Invoice ${invoice.invoiceNumber} sent to the client`
+        : `Invoice ${invoice.invoiceNumber} issued, but the email could not be queued. Please try sending it again.`,
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Send invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/payments
+// @desc    Record a payment received outside STK Push (bank transfer, cash, Paybill, ...)
+// @access  Private (billing:manage)
+router.post('/:id/payments', protect, requirePermission('billing:manage'), audit('invoice.payment', 'Invoice'), [
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1')
+    .toFloat(),
+  body('method')
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method'),
+  body('reference')
+    .if((value, { req }) => req.body.method === 'mpesa' || value !== undefined)
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Reference must be between 1 and 100 characters; M-Pesa payments need the receipt number'),
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Paid at must be a valid date')
+    .custom(value => new Date(value) <= new Date())
+    .withMessage('Paid at cannot be in the future'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!Invoice.OPEN_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payments cannot be recorded against an invoice that is ${invoice.status}`
+      });
+    }
+
+    const { amount, method, reference, paidAt, notes } = req.body;
+
+    if (amount > invoice.balance) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount cannot be more than the outstanding balance of ${invoice.currency} ${invoice.balance}`
+      });
+    }
+
+    const payment = await Payment.create({
+      invoice: invoice._id,
+      amount,
+      currency: invoice.currency,
+      method,
+      reference,
+      // M-Pesa receipts are unique, so the same Paybill payment cannot be recorded twice
+      mpesaReceiptNumber: method === 'mpesa' ? reference.toUpperCase() : undefined,
+      notes,
+      status: 'completed',
+      paidAt: paidAt ? new Date(paidAt) : new Date(),
+      recordedBy: req.user._id
+    });
+
+    req.audit.setBefore(invoice);
+    await refreshInvoicePayments(invoice);
+    req.audit.setAfter(invoice);
+    req.audit.metadata = { payment: payment._id, amount, method };
+
+    res.status(201).json({
+      success: true,
+      message: invoice.status === 'paid'
+        ? 'Payment recorded. The invoice is now paid in full.'
+        : 'Payment recorded',
+      data: {
+        invoice,
+        payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Record invoice payment error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This M-Pesa receipt has already been recorded'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/payments/mpesa
+// @desc    Send an M-Pesa STK Push to the client's phone for an invoice
+// @access  Private (billing:manage)
+router.post('/:id/payments/mpesa', protect, requirePermission('billing:manage'), audit('invoice.payment-request', 'Invoice'), [
+  body('phone')
+    .custom(phone => formatPhoneNumber(phone) !== null)
+    .withMessage('Please provide a valid Safaricom phone number'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1')
+    .toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!Invoice.OPEN_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment cannot be requested for an invoice that is ${invoice.status}`
+      });
+    }
+
+    const { phone, amount } = req.body;
+
+    if (amount && amount > invoice.balance) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount cannot be more than the outstanding balance of ${invoice.currency} ${invoice.balance}`
+      });
+    }
+
+    const payment = await initiateStkPush({
+      phone,
+      amount: amount || invoice.balance,
+      invoice: invoice._id,
+      accountReference: invoice.paymentReference,
+      description: 'Invoice'
+    });
+
+    req.audit.metadata = { payment: payment._id, amount: payment.amount, phone: payment.phone };
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment request sent to the client\'s phone. The invoice updates once they enter their M-Pesa PIN.',
+      data: {
+        id: payment._id,
+        amount: payment.amount,
+        phone: payment.phone,
+        status: payment.status,
+        checkoutRequestId: payment.checkoutRequestId
+      }
+    });
+
+  } catch (error) {
+    console.error('Invoice STK push error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Could not start the M-Pesa payment. Please try again later.'
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/cancel
+// @desc    Cancel an issued invoice that has not been paid
+// @access  Private (billing:manage)
+router.post('/:id/cancel', protect, requirePermission('billing:manage'), audit('invoice.cancel', 'Invoice'), [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'draft' || invoice.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: invoice.status === 'draft'
+          ? 'Draft invoices are deleted rather than cancelled'
+          : 'This invoice is already cancelled'
+      });
+    }
+
+    if (invoice.amountPaid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invoice with payments recorded against it cannot be cancelled'
+      });
+    }
+
+    req.audit.setBefore(invoice);
+    invoice.cancel(req.body.reason);
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+    req.audit.setAfter(invoice);
+
+    res.json({
+      success: true,
+      message: 'Invoice cancelled',
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Cancel invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/invoices/:id
+// @desc    Delete a draft invoice
+// @access  Private (billing:manage)
+router.delete('/:id', protect, requirePermission('billing:manage'), audit('invoice.delete', 'Invoice'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be deleted'
+      });
+    }
+
+    req.audit.setBefore(invoice);
+    await Invoice.findByIdAndDelete(req.params.id);
+
+    // The quotation it was raised from can be invoiced again
+    if (invoice.quote) {
+      await Quote.updateOne(
+        { _id: invoice.quote, invoice: invoice._id },
+        { $set: { status: 'accepted' }, $unset: { invoice: 1 } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Invoice deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,110 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Newsletter = require('../models/Newsletter');
-const { sendNewsletterConfirmation } = require('../services/emailService');
-const { protect, authorize } = require('../middleware/auth');
+const { LANGUAGES, LANGUAGE_NAMES } = require('../config/languages');
+const {
+  sendNewsletterConfirmation,
+  sendNewsletterOptIn,
+  sendSubscriptionManagementLink
+} = require('../services/emailService');
+const {
+  TRACKING_PIXEL,
+  verifyTrackingToken,
+  recordEvent
+} = require('../services/trackingService');
+const { findBlockingSuppression } = require('../services/suppressionService');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { abuseGuard } = require('../middleware/abuse');
+const { createFormToken } = require('../services/abuseService');
+const { getHoneypotField } = require('../config/abuse');
 
 const router = express.Router();
 
+const BUTTON_STYLE = 'background: #00ff2a; color: black; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer;';
+
+// Escape text placed into server-rendered pages
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap content in the same simple page used by the other email-link pages
+const renderPage = (title, content) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 50px 20px;">
+    <h2 style="color: #00ff2a; text-align: center;">${title}</h2>
+    ${content}
+    <p style="text-align: center;"><a href="/" style="color: #00ff2a;">Return to Website</a></p>
+  </div>
+`;
+
+// Values the preference center offers, taken from the model's enums
+const getPreferenceOptions = () => ({
+  interests: Newsletter.schema.path('interests').caster.enumValues,
+  frequency: Newsletter.schema.path('preferences.frequency').enumValues,
+  categories: Newsletter.schema.path('preferences.categories').caster.enumValues,
+  language: LANGUAGES
+});
+
+// Readable label for an enum value such as "robotics-ml"
+const toLabel = (value) => value
+  .split('-')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const renderPreferenceCenter = (subscriber, token, notice) => {
+  const options = getPreferenceOptions();
+  const preferences = subscriber.preferences || {};
+  const checkboxes = (field, values, chosen) => values.map(value => `
+    <label style="display: block; margin: 4px 0;">
+      <input type="checkbox" name="${field}" value="${value}" ${(chosen || []).includes(value) ? 'checked' : ''}>
+      ${toLabel(value)}
+    </label>
+  `).join('');
+  const unsubscribed = subscriber.status === 'unsubscribed';
+
+  return renderPage('Newsletter Preferences', `
+    ${notice ? `<p style="background: #e8ffe8; padding: 10px; border-radius: 4px;">${escapeHtml(notice)}</p>` : ''}
+    <p>Managing the subscription for <strong>${escapeHtml(subscriber.email)}</strong>.</p>
+    ${unsubscribed ? '<p><strong>You are currently unsubscribed.</strong> Save with "Resubscribe" to start receiving emails again.</p>' : ''}
+    <form method="POST" action="/api/newsletter/preferences/${escapeHtml(token)}" style="background: #f5f5f5; padding: 20px; border-radius: 8px;">
+      <h3>Topics</h3>
+      ${checkboxes('interests', options.interests, subscriber.interests)}
+      <h3>Email types</h3>
+      ${checkboxes('categories', options.categories, preferences.categories)}
+      <h3>How often</h3>
+      <select name="frequency">
+        ${options.frequency.map(value => `<option value="${value}" ${preferences.frequency === value ? 'selected' : ''}>${toLabel(value)}</option>`).join('')}
+      </select>
+      <h3>Language</h3>
+      <select name="language">
+        ${options.language.map(value => `<option value="${value}" ${subscriber.language === value ? 'selected' : ''}>${LANGUAGE_NAMES[value]}</option>`).join('')}
+      </select>
+      <p>
+        <button type="submit" name="action" value="${unsubscribed ? 'resubscribe' : 'save'}" style="${BUTTON_STYLE}">
+          ${unsubscribed ? 'Resubscribe' : 'Save Preferences'}
+        </button>
+      </p>
+    </form>
+    ${unsubscribed ? '' : `<p style="text-align: center;"><a href="/api/newsletter/unsubscribe/${escapeHtml(token)}" style="color: #666;">Unsubscribe from all emails</a></p>`}
+  `);
+};
+
+// @route   GET /api/newsletter/form-token
+// @desc    Get a signed form token and the honeypot field name for the subscribe form
+// @access  Public
+router.get('/form-token', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      formToken: createFormToken('newsletter'),
+      honeypotField: getHoneypotField()
+    }
+  });
+});
+
 // @route   POST /api/newsletter/subscribe
 // @desc    Subscribe to newsletter
 // @access  Public
@@ -26,8 +125,18 @@ router.post('/subscribe', [
   body('interests.*')
     .optional()
     .isIn(['web-development', 'graphic-design', 'video-editing', 'music-production', 'online-jobs', 'computer-packages', 'robotics-ml', 'cyber-security', 'all'])
-    .withMessage('Invalid interest selection')
-], async (req, res) => {
+    .withMessage('Invalid interest selection'),
+  body('language')
+    .optional()
+    .isIn(LANGUAGES)
+    .withMessage('Invalid language')
+], abuseGuard('newsletter', {
+  getText: ({ name }) => name || '',
+  blockedResponse: {
+    status: 201,
+    message: 'Almost done! Please check your email and click the link to confirm your subscription.'
+  }
+}), async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -39,66 +148,81 @@ router.post('/subscribe', [
       });
     }
 
-    const { email, name, interests } = req.body;
+    const { email, name, interests, language } = req.body;
 
     // Check if email already exists
-    const existingSubscriber = await Newsletter.findOne({ email });
+    let subscriber = await Newsletter.findOne({ email });
 
-    if (existingSubscriber) {
-      if (existingSubscriber.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: 'This email is already subscribed to our newsletter'
-        });
-      } else {
-        // Reactivate subscription
-        existingSubscriber.isActive = true;
-        existingSubscriber.name = name || existingSubscriber.name;
-        existingSubscriber.interests = interests || existingSubscriber.interests;
-        existingSubscriber.subscriptionDate = new Date();
-        await existingSubscriber.save();
-
-        // Send confirmation email
-        const emailResult = await sendNewsletterConfirmation(email, name);
-
-        return res.json({
-          success: true,
-          message: 'Subscription reactivated successfully!',
-          data: {
-            email: existingSubscriber.email,
-            name: existingSubscriber.name,
-            interests: existingSubscriber.interests
-          }
-        });
-      }
+    if (subscriber && subscriber.status === 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already subscribed to our newsletter'
+      });
     }
 
-    // Create new subscription
-    const subscriber = new Newsletter({
-      email,
-      name,
-      interests: interests || ['all'],
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
-    });
+    // An address that kept bouncing stays off the list until its suppression is released
+    if (subscriber && subscriber.status === 'bounced' && await findBlockingSuppression(email, false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'We could not deliver email to this address. Please check it or use a different email address.'
+      });
+    }
 
-    await subscriber.save();
+    const isNew = !subscriber;
 
-    // Send confirmation email
-    const emailResult = await sendNewsletterConfirmation(email, name);
+    if (isNew) {
+      subscriber = new Newsletter({
+        email,
+        name,
+        interests: interests || ['all'],
+        language,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    } else {
+      // Pending, unsubscribed, no longer bouncing or held for review: refresh the details
+      subscriber.name = name || subscriber.name;
+      subscriber.interests = interests || subscriber.interests;
+      subscriber.language = language || subscriber.language;
+      subscriber.ipAddress = req.ip;
+      subscriber.userAgent = req.get('User-Agent');
+    }
 
-    if (!emailResult.success) {
-      console.warn('Newsletter confirmation email failed:', emailResult.error);
+    // Suspicious sign-ups wait for review before the address gets any email
+    if (req.abuse && req.abuse.verdict === 'quarantined') {
+      subscriber.quarantineFor(req.abuse.reasons);
+      await subscriber.save();
+    } else if (subscriber.status === 'quarantined') {
+      // Sending a held sign-up again does not get it past the review
+      await subscriber.save();
+    } else {
+      // Nothing is sent to the address until its owner confirms
+      const confirmationToken = subscriber.createConfirmationToken();
+      await subscriber.save();
+
+      const emailResult = await sendNewsletterOptIn(
+        email,
+        subscriber.name,
+        confirmationToken,
+        Newsletter.CONFIRMATION_EXPIRE_HOURS,
+        subscriber.language
+      );
+
+      if (!emailResult.success) {
+        console.warn('Newsletter opt-in email failed:', emailResult.error);
+      }
     }
 
-    res.status(201).json({
+    res.status(isNew ? 201 : 200).json({
       success: true,
-      message: 'Successfully subscribed to newsletter!',
+      message: 'Almost done! Please check your email and click the link to confirm your subscription.',
       data: {
         email: subscriber.email,
         name: subscriber.name,
         interests: subscriber.interests,
-        subscriptionDate: subscriber.subscriptionDate
+        language: subscriber.language,
+        // Quarantined sign-ups are told the same as everyone else
+        status: subscriber.status === 'quarantined' ? 'pending' : subscriber.status
       }
     });
 
@@ -111,8 +235,55 @@ router.post('/subscribe', [
   }
 });
 
+// @route   GET /api/newsletter/confirm/:token
+// @desc    Confirm a newsletter subscription (for email links)
+// @access  Public
+router.get('/confirm/:token', async (req, res) => {
+  try {
+    const subscriber = await Newsletter.findByConfirmationToken(req.params.token);
+
+    if (!subscriber) {
+      return res.status(400).send(`
+        <div style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+          <h2 style="color: #00ff2a;">Confirmation Link Invalid</h2>
+          <p>This confirmation link is invalid or has expired.</p>
+          <p>You can subscribe again from our website.</p>
+          <a href="/" style="color: #00ff2a;">Return to Website</a>
+        </div>
+      `);
+    }
+
+    subscriber.confirm();
+    await subscriber.save();
+
+    // Send welcome email
+    const emailResult = await sendNewsletterConfirmation(
+      subscriber.email,
+      subscriber.name,
+      subscriber.getManagementToken(),
+      subscriber.language
+    );
+
+    if (!emailResult.success) {
+      console.warn('Newsletter welcome email failed:', emailResult.error);
+    }
+
+    res.send(`
+      <div style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+        <h2 style="color: #00ff2a;">Subscription Confirmed</h2>
+        <p>Thank you! You are now subscribed to our newsletter.</p>
+        <a href="/" style="color: #00ff2a;">Return to Website</a>
+      </div>
+    `);
+
+  } catch (error) {
+    console.error('Newsletter confirm error:', error);
+    res.status(500).send('Server error. Please try again later.');
+  }
+});
+
 // @route   POST /api/newsletter/unsubscribe
-// @desc    Unsubscribe from newsletter
+// @desc    Email a subscriber their unsubscribe and preference links
 // @access  Public
 router.post('/unsubscribe', [
   body('email')
@@ -130,30 +301,26 @@ router.post('/unsubscribe', [
       });
     }
 
-    const { email } = req.body;
+    const subscriber = await Newsletter.findOne({ email: req.body.email, status: 'confirmed' });
 
-    const subscriber = await Newsletter.findOne({ email });
+    // Only the address owner can act on the link, so nobody can unsubscribe someone else
+    if (subscriber) {
+      const emailResult = await sendSubscriptionManagementLink(
+        subscriber.email,
+        subscriber.name,
+        subscriber.getManagementToken(),
+        subscriber.language
+      );
 
-    if (!subscriber) {
-      return res.status(404).json({
-        success: false,
-        message: 'Email not found in our newsletter list'
-      });
-    }
-
-    if (!subscriber.isActive) {
-      return res.json({
-        success: true,
-        message: 'You have already been unsubscribed'
-      });
+      if (!emailResult.success) {
+        console.warn('Subscription management email failed:', emailResult.error);
+      }
     }
 
-    subscriber.isActive = false;
-    await subscriber.save();
-
+    // Don't reveal whether the email is subscribed
     res.json({
       success: true,
-      message: 'Successfully unsubscribed from newsletter'
+      message: 'If that email is subscribed, we have sent it a link to unsubscribe or update preferences.'
     });
 
   } catch (error) {
@@ -165,49 +332,191 @@ router.post('/unsubscribe', [
   }
 });
 
-// @route   GET /api/newsletter/unsubscribe
-// @desc    Unsubscribe page (for email links)
-// @access  Public
-router.get('/unsubscribe', async (req, res) => {
+// @route   GET /api/newsletter/unsubscribe/:token
+// @desc    Unsubscribe confirmation page (for email links)
+// @access  Public (signed link)
+router.get('/unsubscribe/:token', async (req, res) => {
   try {
-    const { email } = req.query;
+    const subscriber = await Newsletter.findByManagementToken(req.params.token);
+
+    if (!subscriber) {
+      return res.status(400).send(renderPage('Link Invalid', '<p>This link is invalid.</p>'));
+    }
 
-    if (!email) {
-      return res.status(400).send('Email parameter is required');
+    if (subscriber.status === 'unsubscribed') {
+      return res.send(renderPage('Already Unsubscribed', '<p>You have already been unsubscribed.</p>'));
     }
 
-    const subscriber = await Newsletter.findOne({ email });
+    // Carry the campaign reference through to the POST that unsubscribes
+    const ref = req.query.ref ? `?ref=${encodeURIComponent(req.query.ref)}` : '';
+
+    // Link scanners follow GET links, so unsubscribing takes a deliberate POST
+    res.send(renderPage('Unsubscribe', `
+      <p>Stop sending newsletters to <strong>${escapeHtml(subscriber.email)}</strong>?</p>
+      <form method="POST" action="/api/newsletter/unsubscribe/${escapeHtml(req.params.token)}${escapeHtml(ref)}">
+        <button type="submit" style="${BUTTON_STYLE}">Unsubscribe</button>
+      </form>
+      <p>Prefer fewer emails instead? <a href="/api/newsletter/preferences/${escapeHtml(req.params.token)}" style="color: #00ff2a;">Update your preferences</a>.</p>
+    `));
+
+  } catch (error) {
+    console.error('Newsletter unsubscribe error:', error);
+    res.status(500).send('Server error. Please try again later.');
+  }
+});
+
+// @route   POST /api/newsletter/unsubscribe/:token
+// @desc    Unsubscribe, from the confirmation page or a List-Unsubscribe one-click POST (RFC 8058)
+// @access  Public (signed link)
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const subscriber = await Newsletter.findByManagementToken(req.params.token);
+
+    if (!subscriber) {
+      return res.status(400).send(renderPage('Link Invalid', '<p>This link is invalid.</p>'));
+    }
+
+    if (subscriber.status !== 'unsubscribed') {
+      subscriber.unsubscribe();
+      await subscriber.save();
+
+      // Links in campaign emails say which send the unsubscribe came from
+      const deliveryId = req.query.ref && verifyTrackingToken(req.query.ref, 'unsubscribe');
+      if (deliveryId) {
+        await recordEvent(deliveryId, 'unsubscribe', {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        });
+      }
+    }
+
+    res.send(renderPage('Unsubscribed Successfully', `
+      <p>You have been successfully unsubscribed from our newsletter.</p>
+      <p>You can always subscribe again from our website.</p>
+    `));
+
+  } catch (error) {
+    console.error('Newsletter unsubscribe error:', error);
+    res.status(500).send('Server error. Please try again later.');
+  }
+});
+
+// @route   GET /api/newsletter/preferences/:token
+// @desc    Preference center page (for email links)
+// @access  Public (signed link)
+router.get('/preferences/:token', async (req, res) => {
+  try {
+    const subscriber = await Newsletter.findByManagementToken(req.params.token);
+
+    if (!subscriber) {
+      return res.status(400).send(renderPage('Link Invalid', '<p>This link is invalid.</p>'));
+    }
+
+    res.send(renderPreferenceCenter(subscriber, req.params.token));
+
+  } catch (error) {
+    console.error('Newsletter preferences error:', error);
+    res.status(500).send('Server error. Please try again later.');
+  }
+});
+
+// @route   POST /api/newsletter/preferences/:token
+// @desc    Save changes from the preference center
+// @access  Public (signed link)
+router.post('/preferences/:token', async (req, res) => {
+  try {
+    const subscriber = await Newsletter.findByManagementToken(req.params.token);
 
     if (!subscriber) {
-      return res.send('Email not found in our newsletter list');
+      return res.status(400).send(renderPage('Link Invalid', '<p>This link is invalid.</p>'));
     }
 
-    if (!subscriber.isActive) {
-      return res.send('You have already been unsubscribed');
+    // Keep only values the model allows; unticked checkboxes are simply absent
+    const { interests, frequency, categories, language } = getPreferenceOptions();
+    const selected = (field, allowed) => [].concat(req.body[field] || []).filter(value => allowed.includes(value));
+
+    subscriber.interests = selected('interests', interests);
+    subscriber.preferences.categories = selected('categories', categories);
+    if (frequency.includes(req.body.frequency)) {
+      subscriber.preferences.frequency = req.body.frequency;
+    }
+    if (language.includes(req.body.language)) {
+      subscriber.language = req.body.language;
+    }
+
+    let notice = 'Your preferences have been saved.';
+
+    // Following a link from an email we sent proves the address, so no new opt-in is needed
+    if (req.body.action === 'resubscribe' && subscriber.status === 'unsubscribed') {
+      subscriber.confirm();
+      notice = 'Welcome back! You have been resubscribed.';
     }
 
-    subscriber.isActive = false;
     await subscriber.save();
 
-    res.send(`
-      <div style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
-        <h2 style="color: #00ff2a;">Unsubscribed Successfully</h2>
-        <p>You have been successfully unsubscribed from our newsletter.</p>
-        <p>You can always subscribe again from our website.</p>
-        <a href="/" style="color: #00ff2a;">Return to Website</a>
-      </div>
-    `);
+    res.send(renderPreferenceCenter(subscriber, req.params.token, notice));
 
   } catch (error) {
-    console.error('Newsletter unsubscribe error:', error);
+    console.error('Newsletter preferences error:', error);
     res.status(500).send('Server error. Please try again later.');
   }
 });
 
+// @route   GET /api/newsletter/track/open/:token
+// @desc    Open-tracking pixel embedded in campaign emails
+// @access  Public (signed link)
+router.get('/track/open/:token', async (req, res) => {
+  try {
+    const deliveryId = verifyTrackingToken(req.params.token, 'open');
+
+    if (deliveryId) {
+      await recordEvent(deliveryId, 'open', {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    }
+  } catch (error) {
+    console.error('Newsletter open tracking error:', error);
+  }
+
+  // Always answer with the image so the email displays normally
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.send(TRACKING_PIXEL);
+});
+
+// @route   GET /api/newsletter/track/click/:token?url=
+// @desc    Record a click on a campaign email link and redirect to it
+// @access  Public (signed link)
+router.get('/track/click/:token', async (req, res) => {
+  const url = String(req.query.url || '');
+  const deliveryId = verifyTrackingToken(req.params.token, `click:${url}`);
+
+  // Only URLs we signed are followed, so this cannot be used as an open redirect
+  if (!deliveryId) {
+    return res.redirect(process.env.FRONTEND_URL || '/');
+  }
+
+  try {
+    await recordEvent(deliveryId, 'click', {
+      url,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Newsletter click tracking error:', error);
+  }
+
+  res.redirect(url);
+});
+
 // @route   GET /api/newsletter
-// @desc    Get all newsletter subscribers (Admin only)
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @desc    Get all newsletter subscribers
+// @access  Private (newsletter:read)
+router.get('/', protect, requirePermission('newsletter:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -215,10 +524,17 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 
     let query = {};
 
-    if (status === 'active') {
+    if (status === 'active' || status === 'confirmed') {
       query.isActive = true;
-    } else if (status === 'inactive') {
+    } else if (status === 'pending') {
+      query.status = 'pending';
+    } else if (status === 'bounced') {
+      query.status = 'bounced';
+    } else if (status === 'quarantined') {
+      query.status = 'quarantined';
+    } else if (status === 'inactive' || status === 'unsubscribed') {
       query.isActive = false;
+      query.status = { $nin: ['pending', 'quarantined'] };
     }
 
     const subscribers = await Newsletter.find(query)
@@ -251,13 +567,16 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   GET /api/newsletter/stats
-// @desc    Get newsletter statistics (Admin only)
-// @access  Private/Admin
-router.get('/stats', protect, authorize('admin'), async (req, res) => {
+// @desc    Get newsletter statistics
+// @access  Private (newsletter:read)
+router.get('/stats', protect, requirePermission('newsletter:read'), async (req, res) => {
   try {
     const totalSubscribers = await Newsletter.countDocuments();
     const activeSubscribers = await Newsletter.countDocuments({ isActive: true });
-    const inactiveSubscribers = await Newsletter.countDocuments({ isActive: false });
+    const pendingSubscribers = await Newsletter.countDocuments({ status: 'pending' });
+    const inactiveSubscribers = await Newsletter.countDocuments({ isActive: false, status: { $nin: ['pending', 'quarantined'] } });
+    const bouncedSubscribers = await Newsletter.countDocuments({ status: 'bounced' });
+    const quarantinedSubscribers = await Newsletter.countDocuments({ status: 'quarantined' });
 
     // Get subscribers by interest
     const interestStats = await Newsletter.aggregate([
@@ -280,7 +599,11 @@ router.get('/stats', protect, authorize('admin'), async (req, res) => {
       data: {
         totalSubscribers,
         activeSubscribers,
+        confirmedSubscribers: activeSubscribers,
+        pendingSubscribers,
         inactiveSubscribers,
+        bouncedSubscribers,
+        quarantinedSubscribers,
         recentSubscriptions,
         interestStats
       }
@@ -296,9 +619,9 @@ router.get('/stats', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   DELETE /api/newsletter/:id
-// @desc    Delete newsletter subscriber (Admin only)
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @desc    Delete newsletter subscriber
+// @access  Private (newsletter:manage)
+router.delete('/:id', protect, requirePermission('newsletter:manage'), audit('subscriber.delete', 'Newsletter'), async (req, res) => {
   try {
     const subscriber = await Newsletter.findById(req.params.id);
 
@@ -309,6 +632,7 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    req.audit.setBefore(subscriber);
     await Newsletter.findByIdAndDelete(req.params.id);
 
     res.json({
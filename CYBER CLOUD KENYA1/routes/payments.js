@@ -0,0 +1,323 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const Enrollment = require('../models/Enrollment');
+const {
+  formatPhoneNumber,
+  initiateStkPush,
+  handleStkCallback,
+  reconcilePayment,
+  reconcilePendingPayments
+} = require('../services/mpesaService');
+const { hasPermission } = require('../config/roles');
+const { protect, requirePermission, requireVerifiedEmail, ownerOrAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   POST /api/payments/mpesa/stk-push
+// @desc    Start an M-Pesa STK Push payment for an enrollment
+// @access  Private
+router.post('/mpesa/stk-push', protect, requireVerifiedEmail, [
+  body('phone')
+    .custom(phone => formatPhoneNumber(phone) !== null)
+    .withMessage('Please provide a valid Safaricom phone number'),
+  body('enrollment')
+    .isMongoId()
+    .withMessage('Please provide a valid enrollment'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { phone, amount } = req.body;
+
+    const enrollment = await Enrollment.findById(req.body.enrollment).populate('program');
+
+    if (!enrollment || enrollment.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment not found'
+      });
+    }
+
+    if (!['accepted', 'enrolled'].includes(enrollment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fees can only be paid once your application has been accepted'
+      });
+    }
+
+    // Default to the outstanding balance; a smaller amount pays an installment
+    const fees = enrollment.program.fees || {};
+    const totalDue = (fees.amount || 0) + (fees.registrationFee || 0);
+    const totalPaid = await Payment.getTotalPaid({ enrollment: enrollment._id });
+    const balance = totalDue - totalPaid;
+
+    if (balance <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fees for this enrollment have already been paid in full'
+      });
+    }
+
+    if (amount && amount > balance) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount cannot be more than the outstanding balance of KES ${balance}`
+      });
+    }
+
+    if (amount && amount < balance && !fees.installmentsAllowed) {
+      return res.status(400).json({
+        success: false,
+        message: `Fees for this program are paid in full. Please pay the outstanding balance of KES ${balance}.`
+      });
+    }
+
+    const payment = await initiateStkPush({
+      user: req.user._id,
+      phone,
+      amount: amount || balance,
+      enrollment: enrollment._id,
+      accountReference: `ENR${enrollment._id.toString().slice(-8).toUpperCase()}`,
+      description: 'Course fees'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment request sent. Enter your M-Pesa PIN on your phone to complete the payment.',
+      data: {
+        id: payment._id,
+        amount: payment.amount,
+        phone: payment.phone,
+        status: payment.status,
+        checkoutRequestId: payment.checkoutRequestId
+      }
+    });
+
+  } catch (error) {
+    console.error('M-Pesa STK push error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Could not start the M-Pesa payment. Please try again later.'
+    });
+  }
+});
+
+// @route   POST /api/payments/mpesa/callback
+// @desc    Receive STK Push results from Daraja
+// @access  Public (M-Pesa)
+router.post('/mpesa/callback', async (req, res) => {
+  // Daraja does not sign callbacks, so require the token we put in the callback URL.
+  // Without one configured every callback is refused; reconciliation still settles payments.
+  const expectedToken = process.env.MPESA_CALLBACK_TOKEN;
+  if (!expectedToken || req.query.token !== expectedToken) {
+    console.warn('M-Pesa callback rejected: invalid token from', req.ip);
+    return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+  }
+
+  try {
+    const payment = await handleStkCallback(req.body);
+
+    if (!payment) {
+      console.warn('M-Pesa callback for unknown checkout request:', req.body.Body.stkCallback.CheckoutRequestID);
+    }
+
+  } catch (error) {
+    console.error('M-Pesa callback error:', error);
+  }
+
+  // Always acknowledge so Daraja does not keep retrying
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+});
+
+// @route   GET /api/payments/my
+// @desc    Get current user's payments
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const payments = await Payment.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .select('-__v -callbackPayload');
+
+    res.json({
+      success: true,
+      data: payments
+    });
+
+  } catch (error) {
+    console.error('Get my payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payments/reconcile
+// @desc    Reconcile all stale pending payments with Daraja
+// @access  Private (payments:reconcile)
+router.post('/reconcile', protect, requirePermission('payments:reconcile'), [
+  body('olderThanMinutes')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('olderThanMinutes must be a positive whole number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const olderThanMinutes = req.body.olderThanMinutes !== undefined
+      ? parseInt(req.body.olderThanMinutes)
+      : 5;
+    const results = await reconcilePendingPayments(olderThanMinutes);
+
+    res.json({
+      success: true,
+      message: `Reconciled ${results.filter(r => r.success).length} of ${results.length} pending payments`,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Reconcile payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/payments
+// @desc    Get all payments
+// @access  Private (payments:read)
+router.get('/', protect, requirePermission('payments:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, enrollment, invoice, from, to } = req.query;
+
+    let query = {};
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (enrollment) {
+      query.enrollment = enrollment;
+    }
+
+    if (invoice) {
+      query.invoice = invoice;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const payments = await Payment.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('user', 'name email')
+      .select('-__v -callbackPayload');
+
+    const total = await Payment.countDocuments(query);
+
+    const totals = await Payment.aggregate([
+      { $match: query },
+      { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: payments,
+      totals,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPayments: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/payments/:id
+// @desc    Get a single payment
+// @access  Private (owner or payments:read)
+router.get('/:id', protect, ownerOrAdmin(Payment, 'payments:read'), async (req, res) => {
+  try {
+    const payment = req.resource.toObject();
+    if (!hasPermission(req.user.role, 'payments:read')) {
+      delete payment.callbackPayload;
+    }
+
+    res.json({
+      success: true,
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/reconcile
+// @desc    Check a pending payment's status with Daraja
+// @access  Private (owner or payments:reconcile)
+router.post('/:id/reconcile', protect, ownerOrAdmin(Payment, 'payments:reconcile'), async (req, res) => {
+  try {
+    const payment = await reconcilePayment(req.resource);
+
+    res.json({
+      success: true,
+      message: `Payment is ${payment.status}`,
+      data: {
+        id: payment._id,
+        status: payment.status,
+        resultCode: payment.resultCode,
+        resultDesc: payment.resultDesc,
+        mpesaReceiptNumber: payment.mpesaReceiptNumber
+      }
+    });
+
+  } catch (error) {
+    console.error('Reconcile payment error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Could not confirm the payment with M-Pesa. Please try again shortly.'
+    });
+  }
+});
+
+module.exports = router;
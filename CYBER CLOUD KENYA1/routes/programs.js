@@ -0,0 +1,453 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Program = require('../models/Program');
+const Enrollment = require('../models/Enrollment');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { textSearch } = require('../utils/search');
+
+const router = express.Router();
+
+const categories = ['web-development', 'graphic-design', 'video-editing', 'music-production', 'online-jobs', 'computer-packages', 'robotics-ml', 'cyber-security'];
+const levels = ['beginner', 'intermediate', 'advanced', 'beginner-to-advanced', 'all-levels'];
+const modes = ['online', 'offline', 'hybrid'];
+
+// Fields an admin may set on a program
+const editableFields = [
+  'title', 'slug', 'category', 'summary', 'overview', 'duration', 'level', 'modes',
+  'certification', 'syllabus', 'careerOutcomes', 'fees', 'intakes', 'status'
+];
+
+// Validation shared by create and update; `required` toggles the create-only checks
+const programValidation = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: 3, max: 150 })
+      .withMessage('Title must be between 3 and 150 characters'),
+    body('slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+      .withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    field('category')
+      .isIn(categories)
+      .withMessage('Invalid category'),
+    body('summary')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Summary cannot be more than 300 characters'),
+    field('overview')
+      .trim()
+      .isLength({ min: 20, max: 5000 })
+      .withMessage('Overview must be between 20 and 5000 characters'),
+    body('duration.value')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Duration must be a positive whole number'),
+    body('duration.unit')
+      .optional()
+      .isIn(['days', 'weeks', 'months'])
+      .withMessage('Invalid duration unit'),
+    body('level')
+      .optional()
+      .isIn(levels)
+      .withMessage('Invalid level'),
+    body('modes')
+      .optional()
+      .isArray()
+      .withMessage('Modes must be an array'),
+    body('modes.*')
+      .optional()
+      .isIn(modes)
+      .withMessage('Invalid mode'),
+    body('syllabus')
+      .optional()
+      .isArray()
+      .withMessage('Syllabus must be an array of modules'),
+    body('syllabus.*.title')
+      .trim()
+      .isLength({ min: 2, max: 150 })
+      .withMessage('Each syllabus module needs a title between 2 and 150 characters'),
+    body('careerOutcomes')
+      .optional()
+      .isArray()
+      .withMessage('Career outcomes must be an array'),
+    body('fees.amount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Fee amount must be a positive number'),
+    body('fees.registrationFee')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Registration fee must be a positive number'),
+    body('intakes')
+      .optional()
+      .isArray()
+      .withMessage('Intakes must be an array'),
+    body('intakes.*._id')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid intake ID'),
+    body('intakes.*')
+      .custom(intake => Boolean(intake._id || intake.startDate))
+      .withMessage('Each new intake needs a start date'),
+    body('intakes.*.startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Each intake needs a valid start date'),
+    body('intakes.*.capacity')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Intake capacity must be a positive whole number'),
+    body('status')
+      .optional()
+      .isIn(['draft', 'published', 'archived'])
+      .withMessage('Invalid status')
+  ];
+};
+
+// Replace a program's intakes while keeping the _id of each intake sent back with one, so
+// enrollments keep pointing at it; fields left out keep their values and intakes without
+// an _id are added. Returns an error message if the change would orphan enrollments.
+const applyIntakes = async (program, intakes) => {
+  const unknown = intakes.find(intake => intake._id && !program.intakes.id(intake._id));
+  if (unknown) {
+    return `Intake ${unknown._id} does not belong to this program`;
+  }
+
+  const keptIds = intakes.filter(intake => intake._id).map(intake => String(intake._id));
+  const removed = program.intakes.filter(intake => !keptIds.includes(String(intake._id)));
+
+  if (removed.length > 0) {
+    const enrollment = await Enrollment.findOne({
+      program: program._id,
+      intake: { $in: removed.map(intake => intake._id) }
+    }).select('intake');
+
+    if (enrollment) {
+      const intake = program.intakes.id(enrollment.intake);
+      return `Intake ${intake.name || intake._id} has enrollments and cannot be removed. Close it with isOpen: false instead.`;
+    }
+  }
+
+  program.intakes = intakes.map(intake => {
+    const existing = intake._id && program.intakes.id(intake._id);
+    return existing ? { ...existing.toObject(), ...intake } : intake;
+  });
+  return null;
+};
+
+// @route   GET /api/programs
+// @desc    Get published training programs
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { category, level, mode, search } = req.query;
+
+    let query = { status: 'published' };
+
+    if (category && category !== 'all') {
+      query.category = category;
+    }
+
+    if (level && level !== 'all') {
+      query.level = level;
+    }
+
+    if (mode && mode !== 'all') {
+      query.modes = mode;
+    }
+
+    if (search) {
+      const pattern = textSearch(search);
+      query.$or = [{ title: pattern }, { summary: pattern }, { overview: pattern }];
+    }
+
+    const programs = await Program.find(query)
+      .sort({ title: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v -createdBy -updatedBy');
+
+    const total = await Program.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: programs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPrograms: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get programs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/programs/all
+// @desc    Get all programs including drafts and archived
+// @access  Private (programs:manage)
+router.get('/all', protect, requirePermission('programs:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const status = req.query.status;
+
+    let query = {};
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const programs = await Program.find(query)
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('updatedBy', 'name email')
+      .select('-__v');
+
+    const total = await Program.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: programs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPrograms: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get all programs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/programs/:idOrSlug
+// @desc    Get a single published program by id or slug
+// @access  Public
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const program = await Program.findByIdOrSlug(req.params.idOrSlug)
+      .select('-__v -createdBy -updatedBy');
+
+    if (!program || program.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: program
+    });
+
+  } catch (error) {
+    console.error('Get program error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/programs
+// @desc    Create a training program
+// @access  Private (programs:manage)
+router.post('/', protect, requirePermission('programs:manage'), audit('program.create', 'Program'), programValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = {};
+    editableFields.forEach(key => {
+      if (req.body[key] !== undefined) {
+        data[key] = req.body[key];
+      }
+    });
+
+    const program = await Program.create({
+      ...data,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    req.audit.targetId = program._id;
+    req.audit.setAfter(program);
+
+    res.status(201).json({
+      success: true,
+      message: 'Program created successfully',
+      data: program
+    });
+
+  } catch (error) {
+    console.error('Create program error:', error);
+
+    // Handle duplicate slug error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A program with this slug already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/programs/:id
+// @desc    Update a training program
+// @access  Private (programs:manage)
+router.put('/:id', protect, requirePermission('programs:manage'), audit('program.update', 'Program'), programValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const program = await Program.findById(req.params.id);
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    req.audit.setBefore(program);
+    editableFields.forEach(key => {
+      if (key !== 'intakes' && req.body[key] !== undefined) {
+        program.set(key, req.body[key]);
+      }
+    });
+
+    if (req.body.intakes !== undefined) {
+      const intakeError = await applyIntakes(program, req.body.intakes);
+      if (intakeError) {
+        return res.status(400).json({
+          success: false,
+          message: intakeError
+        });
+      }
+    }
+    program.updatedBy = req.user._id;
+
+    await program.save();
+    req.audit.setAfter(program);
+
+    res.json({
+      success: true,
+      message: 'Program updated successfully',
+      data: program
+    });
+
+  } catch (error) {
+    console.error('Update program error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A program with this slug already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/programs/:id
+// @desc    Archive a training program
+// @access  Private (programs:manage)
+router.delete('/:id', protect, requirePermission('programs:manage'), audit('program.archive', 'Program'), async (req, res) => {
+  try {
+    const program = await Program.findById(req.params.id);
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    if (program.status === 'archived') {
+      req.audit.skip = true;
+      return res.json({
+        success: true,
+        message: 'Program is already archived'
+      });
+    }
+
+    // Archive rather than delete so the course history is kept
+    req.audit.setBefore(program);
+    program.status = 'archived';
+    program.updatedBy = req.user._id;
+    await program.save();
+    req.audit.setAfter(program);
+
+    res.json({
+      success: true,
+      message: 'Program archived successfully',
+      data: program
+    });
+
+  } catch (error) {
+    console.error('Archive program error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,386 @@
+const express = require('express');
+const Contact = require('../models/Contact');
+const Newsletter = require('../models/Newsletter');
+const QuoteRequest = require('../models/QuoteRequest');
+const FormSubmission = require('../models/FormSubmission');
+const {
+  sendContactNotification,
+  sendNewsletterOptIn,
+  sendQuoteRequestNotification
+} = require('../services/emailService');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+// @route   GET /api/admin/quarantine
+// @desc    Get quarantine counts and what the anti-abuse checks caught recently
+// @access  Private (abuse:review)
+router.get('/', protect, requirePermission('abuse:review'), async (req, res) => {
+  try {
+    const since = new Date();
+    since.setDate(since.getDate() - 7);
+
+    const quarantinedContacts = await Contact.countDocuments({ status: 'quarantined' });
+    const quarantinedSubscribers = await Newsletter.countDocuments({ status: 'quarantined' });
+    const quarantinedQuoteRequests = await QuoteRequest.countDocuments({ status: 'quarantined' });
+
+    const byVerdict = await FormSubmission.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: { form: '$form', verdict: '$verdict' }, count: { $sum: 1 } } },
+      { $sort: { '_id.form': 1, count: -1 } }
+    ]);
+
+    const byReason = await FormSubmission.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $unwind: '$reasons' },
+      { $group: { _id: '$reasons', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        quarantinedContacts,
+        quarantinedSubscribers,
+        quarantinedQuoteRequests,
+        lastSevenDays: {
+          byVerdict: byVerdict.map(group => ({ ...group._id, count: group.count })),
+          byReason
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quarantine summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/quarantine/submissions
+// @desc    Get recorded form submissions and their verdicts
+// @access  Private (abuse:review)
+router.get('/submissions', protect, requirePermission('abuse:review'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { form, verdict, email, ipAddress } = req.query;
+
+    let query = {};
+
+    if (form && form !== 'all') {
+      query.form = form;
+    }
+
+    if (verdict && verdict !== 'all') {
+      query.verdict = verdict;
+    }
+
+    if (email) {
+      query.email = email.toLowerCase();
+    }
+
+    if (ipAddress) {
+      query.ipAddress = ipAddress;
+    }
+
+    const submissions = await FormSubmission.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await FormSubmission.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: submissions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSubmissions: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get form submissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/quarantine/contacts
+// @desc    Get quarantined contact submissions
+// @access  Private (contacts:read)
+router.get('/contacts', protect, requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const query = { status: 'quarantined' };
+
+    const contacts = await Contact.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v -messages');
+
+    const total = await Contact.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: contacts,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalContacts: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quarantined contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/quarantine/contacts/:id/release
+// @desc    Release a quarantined contact submission into the helpdesk
+// @access  Private (contacts:respond)
+router.post('/contacts/:id/release', protect, requirePermission('contacts:respond'), audit('contact.release', 'Contact'), async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    if (contact.status !== 'quarantined') {
+      return res.status(400).json({
+        success: false,
+        message: 'This contact submission is not quarantined'
+      });
+    }
+
+    req.audit.setBefore(contact);
+    contact.releaseFromQuarantine(req.user._id);
+    await contact.save();
+    req.audit.setAfter(contact);
+
+    // Staff hear about it now, as they would have when it was submitted
+    const emailResult = await sendContactNotification(contact);
+
+    if (!emailResult.success) {
+      console.warn('Contact notification email failed:', emailResult.error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Contact submission released',
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Release contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/quarantine/subscribers
+// @desc    Get quarantined newsletter sign-ups
+// @access  Private (newsletter:read)
+router.get('/subscribers', protect, requirePermission('newsletter:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const query = { status: 'quarantined' };
+
+    const subscribers = await Newsletter.find(query)
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v -confirmationToken');
+
+    const total = await Newsletter.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: subscribers,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSubscribers: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quarantined subscribers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/quarantine/subscribers/:id/release
+// @desc    Release a quarantined sign-up and send its confirmation email
+// @access  Private (newsletter:manage)
+router.post('/subscribers/:id/release', protect, requirePermission('newsletter:manage'), audit('subscriber.release', 'Newsletter'), async (req, res) => {
+  try {
+    const subscriber = await Newsletter.findById(req.params.id);
+
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscriber not found'
+      });
+    }
+
+    if (subscriber.status !== 'quarantined') {
+      return res.status(400).json({
+        success: false,
+        message: 'This subscriber is not quarantined'
+      });
+    }
+
+    req.audit.setBefore(subscriber);
+    // Still double opt-in: the address owner has to confirm before anything else is sent
+    const confirmationToken = subscriber.releaseFromQuarantine(req.user._id);
+    await subscriber.save();
+    req.audit.setAfter(subscriber);
+
+    const emailResult = await sendNewsletterOptIn(
+      subscriber.email,
+      subscriber.name,
+      confirmationToken,
+      Newsletter.CONFIRMATION_EXPIRE_HOURS,
+      subscriber.language
+    );
+
+    if (!emailResult.success) {
+      console.warn('Newsletter opt-in email failed:', emailResult.error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscriber released. A confirmation email has been sent.',
+      data: {
+        id: subscriber._id,
+        email: subscriber.email,
+        status: subscriber.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Release subscriber error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/quarantine/quotes
+// @desc    Get quarantined quote requests
+// @access  Private (quotes:read)
+router.get('/quotes', protect, requirePermission('quotes:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const query = { status: 'quarantined' };
+
+    const quoteRequests = await QuoteRequest.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await QuoteRequest.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: quoteRequests,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalQuoteRequests: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quarantined quote requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/quarantine/quotes/:id/release
+// @desc    Release a quarantined quote request into the pipeline
+// @access  Private (quotes:manage)
+router.post('/quotes/:id/release', protect, requirePermission('quotes:manage'), audit('quote.release', 'QuoteRequest'), async (req, res) => {
+  try {
+    const quoteRequest = await QuoteRequest.findById(req.params.id);
+
+    if (!quoteRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote request not found'
+      });
+    }
+
+    if (quoteRequest.status !== 'quarantined') {
+      return res.status(400).json({
+        success: false,
+        message: 'This quote request is not quarantined'
+      });
+    }
+
+    req.audit.setBefore(quoteRequest);
+    quoteRequest.releaseFromQuarantine(req.user._id);
+    await quoteRequest.save();
+    req.audit.setAfter(quoteRequest);
+
+    const emailResult = await sendQuoteRequestNotification(quoteRequest);
+
+    if (!emailResult.success) {
+      console.warn('Quote request notification email failed:', emailResult.error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Quote request released',
+      data: quoteRequest
+    });
+
+  } catch (error) {
+    console.error('Release quote request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,543 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Quote = require('../models/Quote');
+const QuoteRequest = require('../models/QuoteRequest');
+const { nextDocumentNumber, createInvoiceFromQuote } = require('../services/billingService');
+const { renderQuotePdf } = require('../services/pdfService');
+const { sendQuotation } = require('../services/emailService');
+const { getQuoteValidDays } = require('../config/billing');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { textSearch } = require('../utils/search');
+const { billingDocumentValidation, applyBillingFields, sendPdf } = require('../middleware/billing');
+
+const router = express.Router();
+
+const validUntilValidation = body('validUntil')
+  .optional()
+  .isISO8601()
+  .withMessage('Valid until must be a valid date')
+  .custom(value => new Date(value) > new Date())
+  .withMessage('Valid until must be in the future');
+
+// @route   POST /api/quotations
+// @desc    Create a draft quotation, optionally pricing a quote request
+// @access  Private (billing:manage)
+router.post('/', protect, requirePermission('billing:manage'), audit('quotation.create', 'Quote'), [
+  // A quotation for a quote request takes the client from the request
+  ...billingDocumentValidation(true, req => Boolean(req.body.quoteRequest)),
+  body('quoteRequest')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid quote request'),
+  validUntilValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let quoteRequest;
+    if (req.body.quoteRequest) {
+      quoteRequest = await QuoteRequest.findById(req.body.quoteRequest);
+
+      if (!quoteRequest || quoteRequest.status === 'quarantined') {
+        return res.status(400).json({
+          success: false,
+          message: 'Quote request not found'
+        });
+      }
+    }
+
+    const quote = new Quote({
+      quoteNumber: await nextDocumentNumber('QUO'),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    if (quoteRequest) {
+      quote.quoteRequest = quoteRequest._id;
+      quote.client = {
+        name: quoteRequest.name,
+        email: quoteRequest.email,
+        phone: quoteRequest.phone,
+        company: quoteRequest.company,
+        language: quoteRequest.language
+      };
+    }
+
+    applyBillingFields(quote, req.body);
+    if (req.body.validUntil) quote.validUntil = new Date(req.body.validUntil);
+    await quote.save();
+
+    req.audit.targetId = quote._id;
+    req.audit.setAfter(quote);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quotation saved as draft',
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Create quotation error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/quotations
+// @desc    Get quotations, with a count for each status
+// @access  Private (billing:read)
+router.get('/', protect, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, search } = req.query;
+
+    let query = {};
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (search) {
+      const pattern = textSearch(search);
+      query.$or = [
+        { quoteNumber: pattern },
+        { 'client.name': pattern },
+        { 'client.email': pattern },
+        { 'client.company': pattern }
+      ];
+    }
+
+    const quotes = await Quote.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v -items -notes -terms');
+
+    const total = await Quote.countDocuments(query);
+
+    const byStatus = await Quote.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 }, total: { $sum: '$total' } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: quotes,
+      counts: byStatus,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalQuotes: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quotations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/quotations/:id
+// @desc    Get a single quotation
+// @access  Private (billing:read)
+router.get('/:id', protect, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id)
+      .populate('quoteRequest', 'requestNumber service status')
+      .populate('invoice', 'invoiceNumber status total')
+      .populate('createdBy', 'name email');
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Get quotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/quotations/:id/pdf
+// @desc    Download a quotation as a PDF
+// @access  Private (billing:read)
+router.get('/:id/pdf', protect, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    sendPdf(res, `${quote.quoteNumber}.pdf`, await renderQuotePdf(quote));
+
+  } catch (error) {
+    console.error('Render quotation PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/quotations/:id
+// @desc    Update a draft or sent quotation
+// @access  Private (billing:manage)
+router.put('/:id', protect, requirePermission('billing:manage'), audit('quotation.update', 'Quote'), [
+  ...billingDocumentValidation(false),
+  validUntilValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!Quote.EDITABLE_STATUSES.includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A quotation that is ${quote.status} cannot be edited`
+      });
+    }
+
+    req.audit.setBefore(quote);
+    applyBillingFields(quote, req.body);
+    if (req.body.validUntil) quote.validUntil = new Date(req.body.validUntil);
+    quote.updatedBy = req.user._id;
+    await quote.save();
+    req.audit.setAfter(quote);
+
+    res.json({
+      success: true,
+      message: quote.status === 'sent'
+        ? 'Quotation updated. Send it again so the client has the latest version.'
+        : 'Quotation updated successfully',
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Update quotation error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/quotations/:id/send
+// @desc    Email a quotation to the client as a PDF
+// @access  Private (billing:manage)
+router.post('/:id/send', protect, requirePermission('billing:manage'), audit('quotation.send', 'Quote'), [
+  validUntilValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!Quote.EDITABLE_STATUSES.includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A quotation that is ${quote.status} cannot be sent`
+      });
+    }
+
+    req.audit.setBefore(quote);
+
+    // Keep a validity date that is still ahead, otherwise start a fresh period
+    if (req.body.validUntil) {
+      quote.validUntil = new Date(req.body.validUntil);
+    } else if (!quote.validUntil || quote.validUntil <= new Date()) {
+      quote.validUntil = new Date(Date.now() + getQuoteValidDays() * 24 * 60 * 60 * 1000);
+    }
+
+    quote.status = 'sent';
+    quote.sentAt = new Date();
+    quote.updatedBy = req.user._id;
+    await quote.save();
+
+    const emailResult = await sendQuotation(quote, await renderQuotePdf(quote), req.user.name);
+    if (emailResult.success) {
+      quote.emailJob = emailResult.jobId;
+      await quote.save();
+    } else {
+      console.warn('Quotation email failed:', emailResult.error);
+    }
+    req.audit.setAfter(quote);
+
+    // Move the quote request it prices along the pipeline
+    if (quote.quoteRequest) {
+      const quoteRequest = await QuoteRequest.findById(quote.quoteRequest);
+
+      if (quoteRequest && ['new', 'reviewing', 'quoted'].includes(quoteRequest.status)) {
+        quoteRequest.setQuote({
+          amount: quote.total,
+          currency: quote.currency,
+          validUntil: quote.validUntil,
+          message: `Quotation ${quote.quoteNumber}`
+        }, req.user._id);
+        quoteRequest.quote.emailJob = quote.emailJob;
+        await quoteRequest.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      message: emailResult.success
+        ? 'Quotation sent to the client'
+        : 'Quotation saved, but the email could not be queued. Please try sending it again.',
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Send quotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/quotations/:id/status
+// @desc    Record the client accepting or declining a quotation
+// @access  Private (billing:manage)
+router.put('/:id/status', protect, requirePermission('billing:manage'), audit('quotation.status', 'Quote'), [
+  body('status')
+    .isIn(['accepted', 'declined'])
+    .withMessage('Status must be accepted or declined')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    // A client may still take up a quotation shortly after it lapses
+    if (!['sent', 'expired', 'accepted', 'declined'].includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        message: quote.status === 'draft'
+          ? 'Send the quotation before recording the client\'s answer'
+          : `A quotation that is ${quote.status} cannot be changed`
+      });
+    }
+
+    const { status } = req.body;
+
+    req.audit.setBefore(quote);
+    quote.status = status;
+    quote.decidedAt = new Date();
+    quote.updatedBy = req.user._id;
+    await quote.save();
+    req.audit.setAfter(quote);
+
+    if (quote.quoteRequest) {
+      const quoteRequest = await QuoteRequest.findById(quote.quoteRequest);
+
+      if (quoteRequest && ['quoted', 'accepted', 'declined'].includes(quoteRequest.status)) {
+        quoteRequest.setStatus(status);
+        await quoteRequest.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Quotation marked ${status}`,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Update quotation status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/quotations/:id/invoice
+// @desc    Raise a draft invoice from an accepted quotation
+// @access  Private (billing:manage)
+router.post('/:id/invoice', protect, requirePermission('billing:manage'), audit('quotation.invoice', 'Quote'), async (req, res) => {
+  try {
+    // Claim the quotation first so a double click cannot raise two invoices for it
+    const quote = await Quote.findOneAndUpdate(
+      { _id: req.params.id, status: 'accepted' },
+      { status: 'invoiced', updatedBy: req.user._id }
+    );
+
+    if (!quote) {
+      const existing = await Quote.findById(req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quotation not found'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: existing.status === 'invoiced'
+          ? 'An invoice has already been raised for this quotation'
+          : 'Only accepted quotations can be invoiced'
+      });
+    }
+
+    const invoice = createInvoiceFromQuote(quote, req.user._id);
+
+    try {
+      await invoice.save();
+    } catch (error) {
+      // Hand the quotation back so it can be invoiced again
+      await Quote.updateOne({ _id: quote._id, status: 'invoiced' }, { status: 'accepted' });
+      throw error;
+    }
+
+    req.audit.setBefore(quote);
+    quote.invoice = invoice._id;
+    quote.status = 'invoiced';
+    quote.updatedBy = req.user._id;
+    await quote.save();
+    req.audit.setAfter(quote);
+    req.audit.metadata = { invoice: invoice._id };
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft invoice created. Review it and send it to the client.',
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Invoice quotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/quotations/:id
+// @desc    Delete a draft quotation
+// @access  Private (billing:manage)
+router.delete('/:id', protect, requirePermission('billing:manage'), audit('quotation.delete', 'Quote'), async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quote.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft quotations can be deleted'
+      });
+    }
+
+    req.audit.setBefore(quote);
+    await Quote.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Quotation deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete quotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,545 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const QuoteRequest = require('../models/QuoteRequest');
+const User = require('../models/User');
+const { sendQuoteRequestNotification, sendQuote } = require('../services/emailService');
+const { hasPermission } = require('../config/roles');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { textSearch } = require('../utils/search');
+const { abuseGuard } = require('../middleware/abuse');
+const { quoteLimiter } = require('../middleware/rateLimit');
+const { uploadAttachments, getUploadPath, removeUploadedFiles } = require('../middleware/upload');
+const { createFormToken } = require('../services/abuseService');
+const { getHoneypotField } = require('../config/abuse');
+const { getQuoteValidDays } = require('../config/billing');
+const { LANGUAGES } = require('../config/languages');
+
+const router = express.Router();
+
+// Folder under UPLOAD_DIR that holds quote request attachments
+const ATTACHMENT_FOLDER = 'quotes';
+
+// Statuses a price can still be sent (or revised) from
+const QUOTABLE_STATUSES = ['new', 'reviewing', 'quoted'];
+
+const SUBMITTED_MESSAGE = 'Quote request received! We will review your project and email you a quote soon.';
+
+// @route   GET /api/quotes/form-token
+// @desc    Get a signed form token and the honeypot field name for the quote form
+// @access  Public
+router.get('/form-token', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      formToken: createFormToken('quote'),
+      honeypotField: getHoneypotField()
+    }
+  });
+});
+
+// @route   POST /api/quotes
+// @desc    Submit a quote request with a project brief and optional attachments
+// @access  Public
+router.post('/', quoteLimiter, uploadAttachments(ATTACHMENT_FOLDER), [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  body('company')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Company cannot be more than 100 characters'),
+  body('service')
+    .isIn(QuoteRequest.SERVICES)
+    .withMessage('Invalid service selection'),
+  body('description')
+    .trim()
+    .isLength({ min: 20, max: 5000 })
+    .withMessage('Project description must be between 20 and 5000 characters'),
+  body('budgetRange')
+    .optional()
+    .isIn(QuoteRequest.BUDGET_RANGES)
+    .withMessage('Invalid budget range'),
+  body('deadline')
+    .optional()
+    .isISO8601()
+    .withMessage('Deadline must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Deadline must be in the future'),
+  body('language')
+    .optional()
+    .isIn(LANGUAGES)
+    .withMessage('Invalid language'),
+  // The main detail for each service is required; the rest are checked by the model
+  body('details.pagesNeeded')
+    .if(body('service').equals('web-development'))
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Pages needed must be between 1 and 500')
+    .toInt(),
+  body('details.designItems')
+    .if(body('service').equals('graphic-design'))
+    .notEmpty()
+    .withMessage('Choose at least one design item'),
+  body('details.videoLengthMinutes')
+    .if(body('service').equals('video-editing'))
+    .isInt({ min: 1, max: 600 })
+    .withMessage('Video length must be between 1 and 600 minutes')
+    .toInt(),
+  body('details.platforms')
+    .if(body('service').equals('social-media-marketing'))
+    .notEmpty()
+    .withMessage('Choose at least one platform'),
+  body('details.systemsInScope')
+    .if(body('service').equals('cyber-security'))
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Describe the systems to be assessed in up to 1000 characters'),
+  body('details.products')
+    .if(body('service').equals('software-sales'))
+    .notEmpty()
+    .withMessage('List the software you need')
+], abuseGuard('quote', {
+  getText: ({ description }) => description,
+  blockedResponse: {
+    status: 201,
+    message: SUBMITTED_MESSAGE
+  }
+}), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, phone, company, service, description, details, budgetRange, deadline, language } = req.body;
+
+    const quoteRequest = new QuoteRequest({
+      name,
+      email,
+      phone,
+      company,
+      service,
+      description,
+      details,
+      budgetRange,
+      deadline,
+      language,
+      attachments: (req.files || []).map(file => ({
+        originalName: file.originalname,
+        fileName: file.filename,
+        mimeType: file.mimetype,
+        size: file.size
+      })),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // Suspected spam waits for review; the sender sees the usual reply
+    const quarantined = req.abuse && req.abuse.verdict === 'quarantined';
+    if (quarantined) {
+      quoteRequest.quarantineFor(req.abuse.reasons);
+    }
+
+    await quoteRequest.save();
+    req.keepUploads = true;
+
+    if (!quarantined) {
+      const emailResult = await sendQuoteRequestNotification(quoteRequest);
+
+      if (!emailResult.success) {
+        console.warn('Quote request notification email failed:', emailResult.error);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: SUBMITTED_MESSAGE,
+      data: {
+        id: quoteRequest._id,
+        requestNumber: quoteRequest.requestNumber,
+        service: quoteRequest.service,
+        attachments: quoteRequest.attachments.length,
+        createdAt: quoteRequest.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Quote request submission error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again later.'
+    });
+  }
+});
+
+// @route   GET /api/quotes
+// @desc    Get quote requests, with a count for each pipeline stage
+// @access  Private (quotes:read)
+router.get('/', protect, requirePermission('quotes:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, service, assignedTo, search } = req.query;
+
+    let query = {};
+
+    // Quarantined requests are only listed when asked for
+    if (status && status !== 'all') {
+      query.status = status;
+    } else {
+      query.status = { $ne: 'quarantined' };
+    }
+
+    if (service && service !== 'all') {
+      query.service = service;
+    }
+
+    // "me", "unassigned" or a staff member's id
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignedTo && assignedTo !== 'all') {
+      query.assignedTo = assignedTo;
+    }
+
+    if (search) {
+      const pattern = textSearch(search);
+      query.$or = [{ requestNumber: pattern }, { name: pattern }, { email: pattern }, { company: pattern }];
+    }
+
+    const quoteRequests = await QuoteRequest.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('assignedTo', 'name email')
+      .select('-__v -description -internalNotes');
+
+    const total = await QuoteRequest.countDocuments(query);
+
+    const byStatus = await QuoteRequest.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: quoteRequests,
+      counts: byStatus,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalQuoteRequests: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quote requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/quotes/:id
+// @desc    Get a single quote request
+// @access  Private (quotes:read)
+router.get('/:id', protect, requirePermission('quotes:read'), async (req, res) => {
+  try {
+    const quoteRequest = await QuoteRequest.findById(req.params.id)
+      .populate('assignedTo', 'name email')
+      .populate('quote.sentBy', 'name email');
+
+    if (!quoteRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quoteRequest
+    });
+
+  } catch (error) {
+    console.error('Get quote request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/quotes/:id/attachments/:attachmentId
+// @desc    Download a file attached to a quote request
+// @access  Private (quotes:read)
+router.get('/:id/attachments/:attachmentId', protect, requirePermission('quotes:read'), async (req, res) => {
+  try {
+    const quoteRequest = await QuoteRequest.findById(req.params.id).select('attachments');
+    const attachment = quoteRequest && quoteRequest.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    res.download(getUploadPath(ATTACHMENT_FOLDER, attachment.fileName), attachment.originalName, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download attachment error:', error);
+        res.status(404).json({
+          success: false,
+          message: 'Attachment file is missing'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/quotes/:id
+// @desc    Move a quote request through the pipeline, assign it or add internal notes
+// @access  Private (quotes:manage)
+router.put('/:id', protect, requirePermission('quotes:manage'), audit('quote.update', 'QuoteRequest'), [
+  body('status')
+    .optional()
+    .isIn(QuoteRequest.STATUSES)
+    .withMessage('Invalid status'),
+  body('assignedTo')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid staff member'),
+  body('internalNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Internal notes cannot be more than 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quoteRequest = await QuoteRequest.findById(req.params.id);
+
+    if (!quoteRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote request not found'
+      });
+    }
+
+    const { status, assignedTo, internalNotes } = req.body;
+
+    // Only a request that has been priced can be accepted
+    if (status === 'accepted' && !quoteRequest.quote.sentAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send a quote before marking the request accepted'
+      });
+    }
+
+    let assignee;
+    if (assignedTo) {
+      assignee = await User.findById(assignedTo).select('name email role isActive');
+
+      if (!assignee || !assignee.isActive || !hasPermission(assignee.role, 'quotes:manage')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quote requests can only be assigned to active staff who can manage quotes'
+        });
+      }
+    }
+
+    req.audit.setBefore(quoteRequest);
+
+    if (status && status !== quoteRequest.status) {
+      quoteRequest.setStatus(status);
+    }
+
+    if (assignedTo !== undefined) {
+      quoteRequest.assignedTo = assignee ? assignee._id : undefined;
+    }
+
+    if (internalNotes !== undefined) {
+      quoteRequest.internalNotes = internalNotes;
+    }
+
+    await quoteRequest.save();
+    req.audit.setAfter(quoteRequest);
+
+    res.json({
+      success: true,
+      message: 'Quote request updated successfully',
+      data: quoteRequest
+    });
+
+  } catch (error) {
+    console.error('Update quote request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/quotes/:id/quote
+// @desc    Price a quote request and email the quote to the client
+// @access  Private (quotes:manage)
+router.post('/:id/quote', protect, requirePermission('quotes:manage'), audit('quote.send', 'QuoteRequest'), [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number')
+    .toFloat(),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a currency code such as KES'),
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid until must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Valid until must be in the future'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Message cannot be more than 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quoteRequest = await QuoteRequest.findById(req.params.id);
+
+    if (!quoteRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote request not found'
+      });
+    }
+
+    if (!QUOTABLE_STATUSES.includes(quoteRequest.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A quote cannot be sent for a request that is ${quoteRequest.status}`
+      });
+    }
+
+    const { amount, currency, validUntil, message } = req.body;
+    const defaultValidUntil = new Date(Date.now() + getQuoteValidDays() * 24 * 60 * 60 * 1000);
+
+    req.audit.setBefore(quoteRequest);
+    quoteRequest.setQuote({
+      amount,
+      currency: currency && currency.toUpperCase(),
+      validUntil: validUntil ? new Date(validUntil) : defaultValidUntil,
+      message
+    }, req.user._id);
+    await quoteRequest.save();
+
+    const emailResult = await sendQuote(quoteRequest, req.user.name);
+    if (emailResult.success) {
+      quoteRequest.quote.emailJob = emailResult.jobId;
+      await quoteRequest.save();
+    } else {
+      console.warn('Quote email failed:', emailResult.error);
+    }
+    req.audit.setAfter(quoteRequest);
+
+    res.json({
+      success: true,
+      message: emailResult.success
+        ? 'Quote sent to the client'
+        : 'Quote saved, but the email could not be queued. Please try sending it again.',
+      data: quoteRequest
+    });
+
+  } catch (error) {
+    console.error('Send quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/quotes/:id
+// @desc    Delete a quote request and its attachments
+// @access  Private (quotes:manage)
+router.delete('/:id', protect, requirePermission('quotes:manage'), audit('quote.delete', 'QuoteRequest'), async (req, res) => {
+  try {
+    const quoteRequest = await QuoteRequest.findById(req.params.id);
+
+    if (!quoteRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote request not found'
+      });
+    }
+
+    req.audit.setBefore(quoteRequest);
+    await QuoteRequest.findByIdAndDelete(req.params.id);
+    removeUploadedFiles(ATTACHMENT_FOLDER, quoteRequest.attachments.map(attachment => attachment.fileName));
+
+    res.json({
+      success: true,
+      message: 'Quote request deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete quote request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,362 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Segment = require('../models/Segment');
+const Campaign = require('../models/Campaign');
+const { previewSegment } = require('../services/segmentService');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { textSearch } = require('../utils/search');
+
+const router = express.Router();
+
+// Rule fields a request may set
+const RULE_FIELDS = [
+  'interests',
+  'categories',
+  'frequencies',
+  'sources',
+  'subscribedAfter',
+  'subscribedBefore',
+  'openedWithinDays',
+  'notOpenedWithinDays',
+  'programs',
+  'enrollmentStatuses'
+];
+
+// Validation for a set of rules, shared by create, update and preview
+const rulesValidation = [
+  body('rules')
+    .optional()
+    .isObject()
+    .withMessage('Rules must be an object'),
+  body(['rules.interests', 'rules.categories', 'rules.frequencies', 'rules.sources', 'rules.programs', 'rules.enrollmentStatuses'])
+    .optional()
+    .isArray()
+    .withMessage('Rule values must be a list'),
+  body('rules.interests.*')
+    .isIn(Segment.INTERESTS)
+    .withMessage('Invalid interest'),
+  body('rules.categories.*')
+    .isIn(Segment.CATEGORIES)
+    .withMessage('Invalid category'),
+  body('rules.frequencies.*')
+    .isIn(Segment.FREQUENCIES)
+    .withMessage('Invalid frequency'),
+  body('rules.sources.*')
+    .isIn(Segment.SOURCES)
+    .withMessage('Invalid subscription source'),
+  body(['rules.subscribedAfter', 'rules.subscribedBefore'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Signup dates must be valid dates'),
+  body(['rules.openedWithinDays', 'rules.notOpenedWithinDays'])
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Days must be between 1 and 3650')
+    .toInt(),
+  body('rules.programs.*')
+    .isMongoId()
+    .withMessage('Invalid program'),
+  body('rules.enrollmentStatuses.*')
+    .isIn(Segment.ENROLLMENT_STATUSES)
+    .withMessage('Invalid enrollment status')
+];
+
+// Validation shared by create and update
+const segmentValidation = (isCreate) => [
+  body('name')
+    .if((value) => isCreate || value !== undefined)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  ...rulesValidation
+];
+
+// Only the known rule fields, leaving out empty ones
+const pickRules = (rules = {}) => {
+  const picked = {};
+  RULE_FIELDS.forEach(field => {
+    if (rules[field] !== undefined && rules[field] !== null && rules[field] !== '') {
+      picked[field] = rules[field];
+    }
+  });
+  return picked;
+};
+
+// @route   GET /api/admin/segments
+// @desc    Get saved subscriber segments
+// @access  Private (newsletter:read)
+router.get('/', protect, requirePermission('newsletter:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { search } = req.query;
+
+    let query = {};
+
+    if (search) {
+      query.name = textSearch(search);
+    }
+
+    const segments = await Segment.find(query)
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('createdBy', 'name email')
+      .select('-__v');
+
+    const total = await Segment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: segments,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSegments: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get segments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/segments/preview
+// @desc    Count the subscribers a set of rules reaches, without saving it
+// @access  Private (newsletter:read)
+router.post('/preview', protect, requirePermission('newsletter:read'), rulesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const preview = await previewSegment(pickRules(req.body.rules));
+
+    res.json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('Preview segment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/segments/:id
+// @desc    Get a saved segment with the number of subscribers it reaches now
+// @access  Private (newsletter:read)
+router.get('/:id', protect, requirePermission('newsletter:read'), async (req, res) => {
+  try {
+    const segment = await Segment.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    const preview = await previewSegment(segment.rules);
+    await segment.populate('rules.programs', 'title slug');
+
+    res.json({
+      success: true,
+      data: {
+        ...segment.toObject(),
+        preview
+      }
+    });
+
+  } catch (error) {
+    console.error('Get segment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/segments
+// @desc    Save a subscriber segment
+// @access  Private (newsletter:send)
+router.post('/', protect, requirePermission('newsletter:send'), audit('segment.create', 'Segment'), segmentValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const segment = await Segment.create({
+      name: req.body.name,
+      description: req.body.description,
+      rules: pickRules(req.body.rules),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    req.audit.targetId = segment._id;
+    req.audit.setAfter(segment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Segment saved successfully',
+      data: segment
+    });
+
+  } catch (error) {
+    console.error('Create segment error:', error);
+
+    // Handle duplicate name error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A segment with this name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/segments/:id
+// @desc    Edit a saved segment; campaigns not yet sent pick up the new rules
+// @access  Private (newsletter:send)
+router.put('/:id', protect, requirePermission('newsletter:send'), audit('segment.update', 'Segment'), segmentValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const segment = await Segment.findById(req.params.id);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    req.audit.setBefore(segment);
+    if (req.body.name !== undefined) segment.name = req.body.name;
+    if (req.body.description !== undefined) segment.description = req.body.description;
+    if (req.body.rules !== undefined) segment.rules = pickRules(req.body.rules);
+    segment.updatedBy = req.user._id;
+    await segment.save();
+    req.audit.setAfter(segment);
+
+    res.json({
+      success: true,
+      message: 'Segment updated successfully',
+      data: segment
+    });
+
+  } catch (error) {
+    console.error('Update segment error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A segment with this name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/segments/:id
+// @desc    Delete a saved segment that no unsent campaign targets
+// @access  Private (newsletter:send)
+router.delete('/:id', protect, requirePermission('newsletter:send'), audit('segment.delete', 'Segment'), async (req, res) => {
+  try {
+    const segment = await Segment.findById(req.params.id);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    // Campaigns read the rules when they are sent, so the segment must outlive them
+    const pendingCampaigns = await Campaign.countDocuments({
+      'segment.savedSegment': segment._id,
+      status: { $in: [...Campaign.EDITABLE_STATUSES, 'sending'] }
+    });
+    if (pendingCampaigns > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete a segment targeted by ${pendingCampaigns} unsent campaigns`
+      });
+    }
+
+    req.audit.setBefore(segment);
+    await segment.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Segment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete segment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
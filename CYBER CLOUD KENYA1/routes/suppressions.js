@@ -0,0 +1,226 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Suppression = require('../models/Suppression');
+const EmailBounce = require('../models/EmailBounce');
+const { suppressAddress } = require('../services/suppressionService');
+const { protect, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { textSearch } = require('../utils/search');
+
+const router = express.Router();
+
+// @route   GET /api/admin/suppressions
+// @desc    Get suppressed addresses
+// @access  Private (emails:manage)
+router.get('/', protect, requirePermission('emails:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { reason, search } = req.query;
+    const status = req.query.status || 'active';
+
+    let query = {};
+
+    if (status === 'active') {
+      query.releasedAt = null;
+    } else if (status === 'released') {
+      query.releasedAt = { $ne: null };
+    }
+
+    if (reason && reason !== 'all') {
+      query.reason = reason;
+    }
+
+    if (search) {
+      query.email = textSearch(search);
+    }
+
+    const suppressions = await Suppression.find(query)
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('lastBounce', 'type status diagnostic source createdAt')
+      .populate('createdBy', 'name email')
+      .populate('releasedBy', 'name email')
+      .select('-__v');
+
+    const total = await Suppression.countDocuments(query);
+
+    const byReason = await Suppression.aggregate([
+      { $match: { releasedAt: null } },
+      { $group: { _id: '$reason', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: suppressions,
+      counts: byReason,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSuppressions: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get suppressions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/suppressions/bounces
+// @desc    Get recorded bounces and complaints
+// @access  Private (emails:manage)
+router.get('/bounces', protect, requirePermission('emails:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { email, type, source } = req.query;
+
+    let query = {};
+
+    if (email) {
+      query.email = textSearch(email);
+    }
+
+    if (type && type !== 'all') {
+      query.type = type;
+    }
+
+    if (source && source !== 'all') {
+      query.source = source;
+    }
+
+    const bounces = await EmailBounce.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await EmailBounce.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: bounces,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalBounces: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bounces error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/suppressions
+// @desc    Suppress an address by hand
+// @access  Private (emails:manage)
+router.post('/', protect, requirePermission('emails:manage'), audit('suppression.create', 'Suppression'), [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await Suppression.findOne({ email: req.body.email, releasedAt: null });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This address is already suppressed'
+      });
+    }
+
+    const suppression = await suppressAddress(req.body.email, 'manual', {
+      note: req.body.note,
+      createdBy: req.user._id
+    });
+
+    req.audit.targetId = suppression._id;
+    req.audit.setAfter(suppression);
+
+    res.status(201).json({
+      success: true,
+      message: 'Address suppressed successfully',
+      data: suppression
+    });
+
+  } catch (error) {
+    console.error('Create suppression error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/suppressions/:id
+// @desc    Release a suppression so the address can be emailed again
+// @access  Private (emails:manage)
+router.delete('/:id', protect, requirePermission('emails:manage'), audit('suppression.release', 'Suppression'), async (req, res) => {
+  try {
+    const suppression = await Suppression.findById(req.params.id);
+
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suppression not found'
+      });
+    }
+
+    if (suppression.releasedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This suppression has already been released'
+      });
+    }
+
+    req.audit.setBefore(suppression);
+    suppression.releasedAt = new Date();
+    suppression.releasedBy = req.user._id;
+    await suppression.save();
+    req.audit.setAfter(suppression);
+
+    res.json({
+      success: true,
+      message: 'Suppression released. Newsletter subscribers must subscribe again to receive newsletters.',
+      data: suppression
+    });
+
+  } catch (error) {
+    console.error('Release suppression error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
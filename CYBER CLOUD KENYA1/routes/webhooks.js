@@ -0,0 +1,106 @@
+const express = require('express');
+const { processBounceNotification } = require('../services/suppressionService');
+const { addInboundReply } = require('../services/ticketService');
+
+const router = express.Router();
+
+// Raw bounce messages and SNS notifications arrive as text rather than JSON
+const textBody = express.text({
+  type: ['text/*', 'message/*', 'multipart/report'],
+  limit: '1mb'
+});
+
+// @route   POST /api/webhooks/bounces?token=
+// @desc    Receive bounce and complaint notifications from the email provider
+// @access  Public (shared token)
+router.post('/bounces', textBody, async (req, res) => {
+  // Reports can suppress addresses, so they are only accepted with the shared token
+  const expectedToken = process.env.BOUNCE_WEBHOOK_TOKEN;
+  if (!expectedToken || req.query.token !== expectedToken) {
+    console.warn('Bounce webhook rejected: invalid token from', req.ip);
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid webhook token'
+    });
+  }
+
+  try {
+    let payload = req.body;
+
+    if (typeof payload === 'string') {
+      try {
+        payload = JSON.parse(payload);
+      } catch (error) {
+        // Not JSON, so a raw bounce message
+      }
+    }
+
+    // SNS asks for the subscription to be confirmed before it sends notifications
+    if (payload && payload.Type === 'SubscriptionConfirmation') {
+      console.log('Bounce webhook SNS subscription needs confirming:', payload.SubscribeURL);
+      return res.json({
+        success: true,
+        message: 'Subscription confirmation received'
+      });
+    }
+
+    const results = await processBounceNotification(payload, 'webhook');
+
+    res.json({
+      success: true,
+      data: {
+        processed: results.length,
+        suppressed: results.filter(result => result.suppression).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Bounce webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/inbound-email?token=
+// @desc    Receive client replies to helpdesk tickets from the inbound email provider
+// @access  Public (shared token)
+router.post('/inbound-email', async (req, res) => {
+  // Replies are added to client conversations, so they are only accepted with the shared token
+  const expectedToken = process.env.INBOUND_EMAIL_WEBHOOK_TOKEN;
+  if (!expectedToken || req.query.token !== expectedToken) {
+    console.warn('Inbound email webhook rejected: invalid token from', req.ip);
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid webhook token'
+    });
+  }
+
+  try {
+    const { contact, message } = await addInboundReply(req.body);
+
+    // Unmatched email is acknowledged anyway, otherwise the provider keeps retrying it
+    if (!contact) {
+      console.warn('Inbound email did not match a ticket');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        matched: Boolean(contact),
+        ticketNumber: contact ? contact.ticketNumber : undefined,
+        added: Boolean(message)
+      }
+    });
+
+  } catch (error) {
+    console.error('Inbound email webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
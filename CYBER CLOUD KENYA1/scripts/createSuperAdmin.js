@@ -0,0 +1,85 @@
+// One-time bootstrap for the first super-admin account.
+//
+//   npm run create:super-admin -- --name "Jane Doe" --email jane@example.com
+//
+// Values can also come from SUPER_ADMIN_NAME, SUPER_ADMIN_EMAIL and
+// SUPER_ADMIN_PASSWORD; anything missing is asked for on the terminal. The
+// script refuses to run once a super-admin exists, after which further staff
+// are added with invitations from the admin API. If the email already belongs
+// to an account, that account is promoted instead of creating a new one.
+const readline = require('readline');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+require('dotenv').config();
+
+const readArgs = () => {
+  const args = {};
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const ask = (rl, question) => new Promise(resolve => rl.question(question, answer => resolve(answer.trim())));
+
+const collectDetails = async () => {
+  const args = readArgs();
+  const details = {
+    name: args.name || process.env.SUPER_ADMIN_NAME,
+    email: args.email || process.env.SUPER_ADMIN_EMAIL,
+    password: process.env.SUPER_ADMIN_PASSWORD
+  };
+
+  if (details.name && details.email && details.password) {
+    return details;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  if (!details.name) details.name = await ask(rl, 'Name: ');
+  if (!details.email) details.email = await ask(rl, 'Email: ');
+  if (!details.password) details.password = await ask(rl, 'Password (min 6 characters): ');
+  rl.close();
+
+  return details;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cybercloudkenya');
+
+  const existingSuperAdmin = await User.findOne({ role: 'super-admin' });
+  if (existingSuperAdmin) {
+    throw new Error(`A super-admin already exists (${existingSuperAdmin.email}). Invite further admins from the admin API.`);
+  }
+
+  const { name, email, password } = await collectDetails();
+  const existingUser = await User.findOne({ email: (email || '').toLowerCase() });
+
+  if (existingUser) {
+    existingUser.role = 'super-admin';
+    if (!existingUser.isEmailVerified) existingUser.markEmailVerified();
+    await existingUser.save({ validateBeforeSave: false });
+    console.log(`Promoted ${existingUser.email} to super-admin`);
+    return;
+  }
+
+  const user = await User.create({
+    name,
+    email,
+    password,
+    role: 'super-admin',
+    isEmailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  console.log(`Created super-admin ${user.email}`);
+};
+
+run()
+  .catch(error => {
+    console.error('Create super-admin failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
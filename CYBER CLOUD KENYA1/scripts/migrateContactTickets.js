@@ -0,0 +1,77 @@
+// One-time upgrade of contact submissions made before contacts became tickets.
+//
+//   npm run migrate:contact-tickets
+//
+// Gives each old submission a ticket number and a conversation made of the original message
+// and, if it had one, the single stored response. The old response field is then removed.
+// SLA targets are set from each ticket's priority; unanswered tickets that are already past
+// their target are marked breached without sending an escalation for each one.
+// Submissions that already have a conversation are left alone, so it is safe to run twice.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const { AWAITING_RESPONSE_STATUSES, getResponseDueAt } = require('../config/sla');
+require('dotenv').config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cybercloudkenya');
+
+  // Read the raw documents, since the response field is no longer in the schema
+  const cursor = Contact.collection.find({
+    $or: [{ ticketNumber: { $exists: false } }, { 'messages.0': { $exists: false } }]
+  });
+
+  let migrated = 0;
+  for await (const contact of cursor) {
+    const messages = [{
+      _id: new mongoose.Types.ObjectId(),
+      direction: 'inbound',
+      body: contact.message,
+      from: contact.email,
+      createdAt: contact.createdAt
+    }];
+
+    const response = contact.response;
+    if (response && response.message) {
+      messages.push({
+        _id: new mongoose.Types.ObjectId(),
+        direction: 'outbound',
+        body: response.message,
+        author: response.respondedBy,
+        createdAt: response.respondedAt || contact.updatedAt
+      });
+    }
+
+    const firstResponse = messages.find(message => message.direction === 'outbound');
+    const sla = { firstResponseDueAt: getResponseDueAt(contact.priority, contact.createdAt) };
+
+    if (!firstResponse && AWAITING_RESPONSE_STATUSES.includes(contact.status)) {
+      sla.waitingSince = contact.createdAt;
+      sla.dueAt = getResponseDueAt(contact.priority, contact.createdAt);
+      if (sla.dueAt < new Date()) sla.breachedAt = new Date();
+    }
+
+    const update = {
+      ticketNumber: contact.ticketNumber || `CCK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      messages,
+      lastMessageAt: messages[messages.length - 1].createdAt,
+      sla
+    };
+    if (firstResponse) update.firstResponseAt = firstResponse.createdAt;
+
+    await Contact.collection.updateOne({ _id: contact._id }, {
+      $set: update,
+      $unset: { response: 1 }
+    });
+    migrated += 1;
+  }
+
+  console.log(`Migrated ${migrated} contact submissions to tickets`);
+};
+
+run()
+  .catch(error => {
+    console.error('Contact ticket migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
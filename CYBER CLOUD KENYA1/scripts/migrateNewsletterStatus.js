@@ -0,0 +1,46 @@
+// One-time upgrade of subscribers who signed up before double opt-in.
+//
+//   npm run migrate:newsletter-status
+//
+// Those subscribers have no status, so they could neither re-subscribe nor unsubscribe by
+// email. Active ones become confirmed (they were never asked to opt in, and are not asked now)
+// and inactive ones unsubscribed. Subscribers that already have a status are left alone, so it
+// is safe to run twice.
+const mongoose = require('mongoose');
+const Newsletter = require('../models/Newsletter');
+require('dotenv').config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cybercloudkenya');
+
+  // isActive used to default to true, so a subscriber without it was active
+  const confirmed = await Newsletter.collection.updateMany(
+    { status: { $exists: false }, isActive: { $ne: false } },
+    [{
+      $set: {
+        status: 'confirmed',
+        isActive: true,
+        confirmedAt: { $ifNull: ['$confirmedAt', '$subscriptionDate'] }
+      }
+    }]
+  );
+
+  const unsubscribed = await Newsletter.collection.updateMany(
+    { status: { $exists: false }, isActive: false },
+    [{
+      $set: {
+        status: 'unsubscribed',
+        unsubscribedAt: { $ifNull: ['$unsubscribedAt', '$updatedAt'] }
+      }
+    }]
+  );
+
+  console.log(`Marked ${confirmed.modifiedCount} subscribers confirmed and ${unsubscribed.modifiedCount} unsubscribed`);
+};
+
+run()
+  .catch(error => {
+    console.error('Newsletter status migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,132 @@
+// Local stand-in for the Safaricom Daraja API.
+//
+// Point the backend at it with MPESA_BASE_URL=http://localhost:4010 and it will
+// accept STK Push requests, answer STK queries and post the result to the
+// CallBackURL after a short delay. Phone numbers ending in 0000 simulate a
+// customer cancelling the prompt; ending in 9999 the callback is never sent,
+// which is useful for testing reconciliation.
+const express = require('express');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const PORT = process.env.MOCK_DARAJA_PORT || 4010;
+const CALLBACK_DELAY = parseInt(process.env.MOCK_DARAJA_CALLBACK_DELAY) || 3000;
+
+const app = express();
+app.use(express.json());
+
+// Requests keyed by CheckoutRequestID
+const requests = new Map();
+
+const timestamp = () => new Date(Date.now() + 3 * 60 * 60 * 1000)
+  .toISOString()
+  .replace(/[^0-9]/g, '')
+  .slice(0, 14);
+
+const postJson = (target, body) => {
+  const url = new URL(target);
+  const client = url.protocol === 'http:' ? http : https;
+  const payload = JSON.stringify(body);
+
+  const req = client.request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+  }, res => {
+    console.log(`Callback delivered to ${url.pathname}: HTTP ${res.statusCode}`);
+    res.resume();
+  });
+  req.on('error', error => console.error('Callback delivery failed:', error.message));
+  req.write(payload);
+  req.end();
+};
+
+const outcomeFor = (phone) => {
+  if (phone.endsWith('0000')) return { code: 1032, desc: 'Request cancelled by user' };
+  return { code: 0, desc: 'The service request is processed successfully.' };
+};
+
+app.get('/oauth/v1/generate', (req, res) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Basic ')) {
+    return res.status(400).json({ errorMessage: 'Invalid Authentication passed' });
+  }
+  res.json({ access_token: crypto.randomBytes(16).toString('hex'), expires_in: '3599' });
+});
+
+app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+  const { Amount, PhoneNumber, CallBackURL } = req.body;
+
+  if (!req.headers.authorization || !Amount || !PhoneNumber || !CallBackURL) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid request' });
+  }
+
+  const merchantRequestId = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  const checkoutRequestId = `ws_CO_${timestamp()}${crypto.randomBytes(4).toString('hex')}`;
+  const outcome = outcomeFor(String(PhoneNumber));
+
+  requests.set(checkoutRequestId, { ...req.body, merchantRequestId, outcome, completed: false });
+
+  res.json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing'
+  });
+
+  setTimeout(() => {
+    const entry = requests.get(checkoutRequestId);
+    entry.completed = true;
+
+    if (String(PhoneNumber).endsWith('9999')) {
+      console.log(`Withholding callback for ${checkoutRequestId}`);
+      return;
+    }
+
+    const stkCallback = {
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResultCode: outcome.code,
+      ResultDesc: outcome.desc
+    };
+
+    if (outcome.code === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: Number(Amount) },
+          { Name: 'MpesaReceiptNumber', Value: crypto.randomBytes(5).toString('hex').toUpperCase() },
+          { Name: 'TransactionDate', Value: Number(timestamp()) },
+          { Name: 'PhoneNumber', Value: Number(PhoneNumber) }
+        ]
+      };
+    }
+
+    postJson(CallBackURL, { Body: { stkCallback } });
+  }, CALLBACK_DELAY);
+});
+
+app.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+  const entry = requests.get(req.body.CheckoutRequestID);
+
+  if (!entry) {
+    return res.status(404).json({ errorCode: '404.001.04', errorMessage: 'Invalid CheckoutRequestID' });
+  }
+
+  if (!entry.completed) {
+    return res.status(500).json({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+  }
+
+  res.json({
+    ResponseCode: '0',
+    ResponseDescription: 'The service request has been accepted successsfully',
+    MerchantRequestID: entry.merchantRequestId,
+    CheckoutRequestID: req.body.CheckoutRequestID,
+    ResultCode: String(entry.outcome.code),
+    ResultDesc: entry.outcome.desc
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock Daraja API listening on port ${PORT}`);
+});
@@ -0,0 +1,49 @@
+// Reads bounce and complaint messages saved from the bounce mailbox and records them,
+// for providers that report bounces by email rather than webhook.
+//
+//   npm run bounces:mailbox -- ./bounces
+//
+// Each .eml file in the folder (or BOUNCE_MAILBOX_DIR) is parsed like a webhook
+// report and then moved into a "processed" subfolder so it is not counted twice.
+// Files that contain no bounce or complaint are moved there too.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { processBounceNotification } = require('../services/suppressionService');
+require('dotenv').config();
+
+const run = async () => {
+  const mailboxDir = process.argv[2] || process.env.BOUNCE_MAILBOX_DIR;
+  if (!mailboxDir) {
+    throw new Error('Pass the mailbox folder as an argument or set BOUNCE_MAILBOX_DIR.');
+  }
+
+  const processedDir = path.join(mailboxDir, 'processed');
+  fs.mkdirSync(processedDir, { recursive: true });
+
+  const files = fs.readdirSync(mailboxDir).filter(file => file.endsWith('.eml'));
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cybercloudkenya');
+
+  let bounces = 0;
+  let suppressed = 0;
+
+  for (const file of files) {
+    const raw = fs.readFileSync(path.join(mailboxDir, file), 'utf8');
+    const results = await processBounceNotification(raw, 'mailbox');
+
+    bounces += results.length;
+    suppressed += results.filter(result => result.suppression).length;
+
+    fs.renameSync(path.join(mailboxDir, file), path.join(processedDir, file));
+  }
+
+  console.log(`Processed ${files.length} messages: ${bounces} bounces or complaints, ${suppressed} addresses suppressed`);
+};
+
+run()
+  .catch(error => {
+    console.error('Process bounce mailbox failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 require('dotenv').config();
 
@@ -11,6 +12,27 @@ const authRoutes = require('./routes/auth');
 const contactRoutes = require('./routes/contact');
 const newsletterRoutes = require('./routes/newsletter');
 const adminRoutes = require('./routes/admin');
+const programRoutes = require('./routes/programs');
+const enrollmentRoutes = require('./routes/enrollments');
+const paymentRoutes = require('./routes/payments');
+const campaignRoutes = require('./routes/campaigns');
+const segmentRoutes = require('./routes/segments');
+const emailJobRoutes = require('./routes/emailJobs');
+const suppressionRoutes = require('./routes/suppressions');
+const quarantineRoutes = require('./routes/quarantine');
+const quoteRoutes = require('./routes/quotes');
+const quotationRoutes = require('./routes/quotations');
+const invoiceRoutes = require('./routes/invoices');
+const webhookRoutes = require('./routes/webhooks');
+
+// Import middleware
+const { csrfProtection } = require('./middleware/csrf');
+
+// Import background workers
+const { startCampaignWorker } = require('./workers/campaignWorker');
+const { startEmailWorker } = require('./workers/emailWorker');
+const { startSlaWorker } = require('./workers/slaWorker');
+const { startBillingWorker } = require('./workers/billingWorker');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -23,16 +45,29 @@ app.use(cors({
 }));
 
 // Rate limiting
+// Payment callbacks, provider webhooks and email tracking hits come in bursts from a few
+// gateway, mail provider and image proxy IPs, so they are left out of the per-IP limit
+const unlimitedPaths = [
+  '/api/payments/mpesa/callback',
+  '/api/newsletter/track/',
+  '/api/webhooks/'
+];
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: (req) => unlimitedPaths.some(prefix => req.originalUrl.startsWith(prefix))
 });
 app.use('/api/', limiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
+
+// CSRF protection for cookie-authenticated requests
+app.use(csrfProtection);
 
 // Serve static files from PAGES directory
 app.use(express.static(path.join(__dirname, 'PAGES')));
@@ -42,14 +77,48 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cyberclou
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  // Scheduled campaigns are sent by this process unless disabled (e.g. on extra web replicas)
+  if (process.env.CAMPAIGN_WORKER !== 'false') {
+    startCampaignWorker();
+  }
+
+  // Queued email is sent from here too, unless a separate `npm run worker:email` process handles it
+  if (process.env.EMAIL_WORKER !== 'false') {
+    startEmailWorker();
+  }
+
+  // Helpdesk tickets past their response target are flagged and escalated
+  if (process.env.SLA_WORKER !== 'false') {
+    startSlaWorker();
+  }
+
+  // Unpaid invoices past their due date are marked overdue and lapsed quotations expired
+  if (process.env.BILLING_WORKER !== 'false') {
+    startBillingWorker();
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/quotes', quoteRoutes);
 app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/admin/campaigns', campaignRoutes);
+app.use('/api/admin/segments', segmentRoutes);
+app.use('/api/admin/email-jobs', emailJobRoutes);
+app.use('/api/admin/suppressions', suppressionRoutes);
+app.use('/api/admin/quarantine', quarantineRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/programs', programRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/quotations', quotationRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Serve the main HTML files
 app.get('/', (req, res) => {
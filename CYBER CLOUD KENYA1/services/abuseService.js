@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const FormSubmission = require('../models/FormSubmission');
+const {
+  QUOTA_WINDOW_HOURS,
+  getHoneypotField,
+  getMinFillSeconds,
+  getFormTokenMaxAgeHours,
+  isFormTokenRequired,
+  getMaxLinks,
+  getBannedKeywords,
+  getQuota
+} = require('../config/abuse');
+
+// Each check looks at a submission and returns null or { action, reason }, where action is:
+// - quarantine: keep the submission but hold it for staff review
+// - reject: refuse it and tell the sender (e.g. quota exceeded)
+// - block: drop it silently, answering as if it had worked, so bots learn nothing
+// The strongest action across all checks decides the verdict.
+const ACTIONS = ['quarantine', 'reject', 'block'];
+
+const VERDICTS = {
+  quarantine: 'quarantined',
+  reject: 'rejected',
+  block: 'blocked'
+};
+
+const checks = [];
+
+// Add a check run on every form submission. `check` receives
+// { form, email, ipAddress, userAgent, text, body } and may be async.
+const registerCheck = (name, check) => {
+  checks.push({ name, check });
+};
+
+// Form tokens record when a form was loaded, signed so the time cannot be faked
+const signFormTime = (form, issuedAt) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`form:${form}:${issuedAt}`)
+  .digest('base64url');
+
+const createFormToken = (form) => {
+  const issuedAt = Date.now();
+  return `${issuedAt}.${signFormTime(form, issuedAt)}`;
+};
+
+// Milliseconds since the token was issued, or null if it was not signed for this form
+const getFormTokenAge = (token, form) => {
+  const [issuedAt, signature] = String(token || '').split('.');
+  if (!/^\d{13}$/.test(issuedAt) || !signature) return null;
+
+  const expected = Buffer.from(signFormTime(form, issuedAt));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return Date.now() - parseInt(issuedAt);
+};
+
+const countLinks = (text) => (String(text || '').match(/https?:\/\/|www\.|\[url=|<a\s/gi) || []).length;
+
+registerCheck('honeypot', ({ body }) => {
+  const value = body[getHoneypotField()];
+  return value ? { action: 'block', reason: 'honeypot' } : null;
+});
+
+registerCheck('form-token', ({ form, body }) => {
+  if (!body.formToken) {
+    return isFormTokenRequired() ? { action: 'block', reason: 'form-token-missing' } : null;
+  }
+
+  const age = getFormTokenAge(body.formToken, form);
+  if (age === null || age < 0) {
+    return { action: 'block', reason: 'form-token-invalid' };
+  }
+  if (age < getMinFillSeconds() * 1000) {
+    return { action: 'quarantine', reason: 'submitted-too-fast' };
+  }
+  if (age > getFormTokenMaxAgeHours() * 60 * 60 * 1000) {
+    return { action: 'quarantine', reason: 'form-token-expired' };
+  }
+  return null;
+});
+
+registerCheck('quota', async ({ form, email, ipAddress }) => {
+  const { perEmail, perIp } = getQuota(form);
+  const since = new Date(Date.now() - QUOTA_WINDOW_HOURS * 60 * 60 * 1000);
+
+  // Silently blocked submissions are bots, so they do not use up a real sender's quota
+  const counted = { form, createdAt: { $gte: since }, verdict: { $ne: 'blocked' } };
+
+  if (email && await FormSubmission.countDocuments({ ...counted, email }) >= perEmail) {
+    return { action: 'reject', reason: 'email-quota' };
+  }
+  if (ipAddress && await FormSubmission.countDocuments({ ...counted, ipAddress }) >= perIp) {
+    return { action: 'reject', reason: 'ip-quota' };
+  }
+  return null;
+});
+
+registerCheck('links', ({ text }) => {
+  return countLinks(text) > getMaxLinks() ? { action: 'quarantine', reason: 'too-many-links' } : null;
+});
+
+registerCheck('keywords', ({ text }) => {
+  const lowered = String(text || '').toLowerCase();
+  const keyword = getBannedKeywords().find(banned => lowered.includes(banned));
+  return keyword ? { action: 'quarantine', reason: `keyword:${keyword}` } : null;
+});
+
+// Run every check on a submission, record the outcome and return { verdict, reasons }.
+// The verdict is accepted, quarantined, rejected or blocked.
+const evaluateSubmission = async (submission) => {
+  const results = [];
+
+  for (const { name, check } of checks) {
+    try {
+      const result = await check(submission);
+      if (result) results.push(result);
+    } catch (error) {
+      // A broken check should not stop people reaching us
+      console.error(`Abuse check ${name} error:`, error);
+    }
+  }
+
+  const strongest = results.reduce((max, result) => Math.max(max, ACTIONS.indexOf(result.action)), -1);
+  const verdict = strongest === -1 ? 'accepted' : VERDICTS[ACTIONS[strongest]];
+  const reasons = results.map(result => result.reason);
+
+  await FormSubmission.create({
+    form: submission.form,
+    email: submission.email,
+    ipAddress: submission.ipAddress,
+    userAgent: submission.userAgent,
+    verdict,
+    reasons
+  });
+
+  if (verdict !== 'accepted') {
+    console.warn(`Form submission ${verdict} (${submission.form}):`, reasons.join(', '));
+  }
+
+  return { verdict, reasons };
+};
+
+module.exports = {
+  registerCheck,
+  createFormToken,
+  getFormTokenAge,
+  evaluateSubmission
+};
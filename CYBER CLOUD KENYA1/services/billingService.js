@@ -0,0 +1,67 @@
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Quote = require('../models/Quote');
+const Payment = require('../models/Payment');
+
+// Next number in a yearly sequence, e.g. INV-2024-0042. Numbers are never reused.
+const nextDocumentNumber = async (prefix, date = new Date()) => {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`${prefix}-${year}`);
+  return `${prefix}-${year}-${String(seq).padStart(4, '0')}`;
+};
+
+// Bring an invoice's amount paid and status up to date with its completed payments
+const refreshInvoicePayments = async (invoice) => {
+  invoice.amountPaid = await Payment.getTotalPaid({ invoice: invoice._id });
+  invoice.refreshStatus();
+  await invoice.save();
+  return invoice;
+};
+
+// Called when a payment linked to an invoice completes
+const applyPaymentToInvoice = async (payment) => {
+  const invoice = await Invoice.findById(payment.invoice);
+  if (!invoice || invoice.status === 'cancelled') return null;
+
+  return refreshInvoicePayments(invoice);
+};
+
+// Draft invoice carrying over a quotation's client, items and terms
+const createInvoiceFromQuote = (quote, createdBy) => new Invoice({
+  client: quote.client.toObject(),
+  quote: quote._id,
+  items: quote.items.map(item => item.toObject()),
+  discount: quote.discount.toObject(),
+  vatRate: quote.vatRate,
+  currency: quote.currency,
+  notes: quote.notes,
+  terms: quote.terms,
+  createdBy
+});
+
+// Flag issued invoices whose due date has passed with a balance left; returns how many
+const markOverdueInvoices = async () => {
+  const result = await Invoice.updateMany(
+    { status: { $in: ['sent', 'partially-paid'] }, dueDate: { $lt: new Date() } },
+    { $set: { status: 'overdue' } }
+  );
+  return result.modifiedCount;
+};
+
+// Lapse sent quotations that were not answered in time; returns how many
+const expireQuotes = async () => {
+  const result = await Quote.updateMany(
+    { status: 'sent', validUntil: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  nextDocumentNumber,
+  refreshInvoicePayments,
+  applyPaymentToInvoice,
+  createInvoiceFromQuote,
+  markOverdueInvoices,
+  expireQuotes
+};
@@ -0,0 +1,161 @@
+// Turns bounce and complaint notifications into a common shape:
+//   { email, type: 'hard' | 'soft' | 'complaint', status, diagnostic, messageId }
+//
+// Accepted inputs:
+// - Amazon SES notifications, directly or wrapped in an SNS envelope
+// - RFC 3464 delivery status notifications (DSNs) and RFC 5965 abuse reports, as raw message text
+// - A plain JSON object, or array of them, with email, type ('bounce' or 'complaint'),
+//   bounceType ('hard' or 'soft'), status, diagnostic and messageId
+
+// Enhanced status codes that are permanent failures but usually clear up on their own
+const SOFT_PERMANENT_STATUSES = ['5.2.2', '5.2.0', '5.4.7'];
+
+const normalizeEmail = (value) => {
+  const match = String(value || '').match(/<?([^\s<>;]+@[^\s<>;]+)>?/);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Hard or soft, from whatever the notification tells us
+const classifyBounce = ({ bounceType, status, diagnostic, action } = {}) => {
+  const declared = String(bounceType || '').toLowerCase();
+  if (['hard', 'permanent'].includes(declared)) return 'hard';
+  if (['soft', 'transient', 'undetermined'].includes(declared)) return 'soft';
+
+  if (String(action || '').toLowerCase() === 'delayed') return 'soft';
+
+  const enhanced = String(status || '').match(/\b([245])\.\d{1,3}\.\d{1,3}\b/);
+  if (enhanced) {
+    if (SOFT_PERMANENT_STATUSES.includes(enhanced[0])) return 'soft';
+    return enhanced[1] === '5' ? 'hard' : 'soft';
+  }
+
+  const smtpCode = String(diagnostic || '').match(/\b([45])\d\d\b/);
+  if (smtpCode) return smtpCode[1] === '5' ? 'hard' : 'soft';
+
+  return 'soft';
+};
+
+const parseSesNotification = (notification) => {
+  const messageId = notification.mail && notification.mail.messageId;
+  const type = notification.notificationType || notification.eventType;
+
+  if (type === 'Bounce' && notification.bounce) {
+    return (notification.bounce.bouncedRecipients || []).map(recipient => ({
+      email: normalizeEmail(recipient.emailAddress),
+      type: classifyBounce({
+        bounceType: notification.bounce.bounceType,
+        status: recipient.status,
+        diagnostic: recipient.diagnosticCode
+      }),
+      status: recipient.status,
+      diagnostic: recipient.diagnosticCode,
+      messageId
+    }));
+  }
+
+  if (type === 'Complaint' && notification.complaint) {
+    return (notification.complaint.complainedRecipients || []).map(recipient => ({
+      email: normalizeEmail(recipient.emailAddress),
+      type: 'complaint',
+      diagnostic: notification.complaint.complaintFeedbackType,
+      messageId
+    }));
+  }
+
+  return [];
+};
+
+// "Name: value" fields from a block of headers, with folded lines joined
+const parseFields = (block) => {
+  const fields = {};
+  block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    if (match) fields[match[1].toLowerCase()] = match[2].trim();
+  });
+  return fields;
+};
+
+// Raw bounce or abuse-report message, as found in a bounce mailbox
+const parseRawMessage = (raw) => {
+  const text = String(raw);
+  // The bounce's own Message-ID comes first; the last one belongs to the message we sent
+  const messageIds = [...text.matchAll(/^(?:Original-)?Message-ID:\s*(.+)$/gim)];
+  const messageId = messageIds.length ? messageIds.pop()[1].trim() : undefined;
+
+  // RFC 5965 abuse report
+  if (/^Feedback-Type:/im.test(text)) {
+    const fields = parseFields(text.slice(text.search(/^Feedback-Type:/im)));
+    const email = normalizeEmail(fields['original-rcpt-to'] || fields['removal-recipient']);
+    return email ? [{ email, type: 'complaint', diagnostic: fields['feedback-type'], messageId }] : [];
+  }
+
+  // RFC 3464 DSN: one block of fields per recipient, each with a Final-Recipient
+  return text.split(/\r?\n\s*\r?\n/)
+    .filter(block => /^Final-Recipient:/im.test(block))
+    .map(block => {
+      const fields = parseFields(block.slice(block.search(/^(Original|Final)-Recipient:/im)));
+      const action = fields.action;
+      return {
+        email: normalizeEmail((fields['final-recipient'] || '').split(';').pop()),
+        type: classifyBounce({
+          status: fields.status,
+          diagnostic: fields['diagnostic-code'],
+          action
+        }),
+        status: fields.status,
+        diagnostic: fields['diagnostic-code'],
+        action,
+        messageId
+      };
+    })
+    // "delivered", "relayed" and "expanded" reports are not failures
+    .filter(event => event.email && (!event.action || ['failed', 'delayed'].includes(event.action.toLowerCase())))
+    .map(({ action, ...event }) => event);
+};
+
+const parseGenericEvent = (event) => ({
+  email: normalizeEmail(event.email || event.recipient),
+  type: String(event.type || event.event || '').toLowerCase() === 'complaint'
+    ? 'complaint'
+    : classifyBounce({ bounceType: event.bounceType, status: event.status, diagnostic: event.diagnostic }),
+  status: event.status,
+  diagnostic: event.diagnostic,
+  messageId: event.messageId
+});
+
+// Every bounce or complaint found in a notification; unrecognised input gives []
+const parseBounceNotification = (payload) => {
+  if (!payload) return [];
+
+  if (Buffer.isBuffer(payload)) payload = payload.toString('utf8');
+
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch (error) {
+      return parseRawMessage(payload);
+    }
+  }
+
+  let events = [];
+
+  if (Array.isArray(payload)) {
+    events = payload.flatMap(item => parseBounceNotification(item));
+  } else if (payload.Type === 'Notification' && payload.Message) {
+    // SNS wraps the SES notification as a JSON string in Message
+    events = parseBounceNotification(payload.Message);
+  } else if (payload.notificationType || payload.eventType) {
+    events = parseSesNotification(payload);
+  } else if (payload.raw) {
+    events = parseRawMessage(payload.raw);
+  } else if (payload.email || payload.recipient) {
+    events = [parseGenericEvent(payload)];
+  }
+
+  return events.filter(event => event.email);
+};
+
+module.exports = {
+  classifyBounce,
+  parseBounceNotification
+};
@@ -0,0 +1,128 @@
+const Campaign = require('../models/Campaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const Newsletter = require('../models/Newsletter');
+const Segment = require('../models/Segment');
+const { sendNewsletterEmail } = require('./emailService');
+const { buildSegmentQuery } = require('./segmentService');
+
+// Subscribers queued between refreshes of the campaign's lock
+const BATCH_SIZE = 50;
+
+// Minutes after which a campaign still locked for sending is assumed abandoned
+const STALE_LOCK_MINUTES = 10;
+
+// Query for the subscribers a campaign's segment targets
+const getRecipientQuery = async (segment = {}) => {
+  if (segment.audience === 'saved-segment') {
+    const savedSegment = await Segment.findById(segment.savedSegment);
+    if (!savedSegment) {
+      throw new Error('Saved segment not found');
+    }
+    return buildSegmentQuery(savedSegment.rules);
+  }
+
+  if (segment.audience === 'specific-interest' && segment.interest) {
+    return buildSegmentQuery({ interests: [segment.interest] });
+  }
+
+  return buildSegmentQuery();
+};
+
+// Number of subscribers a segment currently reaches
+const countRecipients = async (segment) => Newsletter.countDocuments(await getRecipientQuery(segment));
+
+// Queue a claimed campaign for every subscriber in its segment.
+// The email worker sends the emails and updates each delivery and the campaign's stats.
+// Subscribers who already have a delivery record are skipped, so a crashed run can resume.
+const deliverCampaign = async (campaign) => {
+  const query = await getRecipientQuery(campaign.segment);
+  campaign.stats.totalRecipients = await Newsletter.countDocuments(query);
+  await campaign.save();
+
+  const queued = await CampaignDelivery.distinct('subscriber', { campaign: campaign._id });
+  const cursor = Newsletter.find({ ...query, _id: { $nin: queued } }).cursor();
+
+  let count = 0;
+  for await (const subscriber of cursor) {
+    const delivery = await CampaignDelivery.create({
+      campaign: campaign._id,
+      subscriber: subscriber._id,
+      email: subscriber.email,
+      status: 'queued'
+    });
+
+    const result = await sendNewsletterEmail(campaign.subject, campaign.content, subscriber, delivery._id);
+
+    if (!result.success) {
+      delivery.status = 'failed';
+      delivery.error = result.error;
+      await delivery.save();
+      await Campaign.updateOne({ _id: campaign._id }, { $inc: { 'stats.failedSends': 1 } });
+    }
+
+    // Keep the lock fresh so another worker does not think this run died
+    count += 1;
+    if (count % BATCH_SIZE === 0) {
+      await Campaign.updateOne({ _id: campaign._id }, { lockedAt: new Date() });
+    }
+  }
+
+  // Stats are updated atomically by the email worker, so only touch the status fields
+  campaign.status = 'sent';
+  campaign.sentAt = new Date();
+  campaign.lockedAt = undefined;
+  await campaign.save();
+
+  return campaign;
+};
+
+// Atomically claim a due campaign (or one whose sender died) so only one worker sends it
+const claimNextCampaign = () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_LOCK_MINUTES * 60 * 1000);
+
+  return Campaign.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'scheduled', scheduledAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: staleBefore } }
+      ]
+    },
+    [{
+      $set: {
+        status: 'sending',
+        lockedAt: now,
+        startedAt: { $ifNull: ['$startedAt', now] }
+      }
+    }],
+    { new: true, sort: { scheduledAt: 1 } }
+  );
+};
+
+// Send every campaign that is due; returns the campaigns processed
+const processDueCampaigns = async () => {
+  const processed = [];
+
+  let campaign = await claimNextCampaign();
+  while (campaign) {
+    try {
+      await deliverCampaign(campaign);
+      console.log(`Campaign ${campaign._id} queued for ${campaign.stats.totalRecipients} subscribers`);
+    } catch (error) {
+      console.error(`Campaign ${campaign._id} send error:`, error);
+      // Leave it locked; it is retried once the lock goes stale
+      campaign.lastError = error.message;
+      await campaign.save().catch(() => {});
+    }
+    processed.push(campaign);
+    campaign = await claimNextCampaign();
+  }
+
+  return processed;
+};
+
+module.exports = {
+  getRecipientQuery,
+  countRecipients,
+  processDueCampaigns
+};
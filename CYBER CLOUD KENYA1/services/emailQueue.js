@@ -0,0 +1,252 @@
+const nodemailer = require('nodemailer');
+const EmailJob = require('../models/EmailJob');
+const EmailDeadLetter = require('../models/EmailDeadLetter');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const Campaign = require('../models/Campaign');
+const Newsletter = require('../models/Newsletter');
+const { findBlockingSuppression, recordBounce } = require('./suppressionService');
+
+// Delay before the first retry; each further retry waits twice as long
+const RETRY_BASE_SECONDS = 30;
+
+// Longest wait between retries
+const RETRY_MAX_SECONDS = 60 * 60;
+
+// Minutes after which a job still marked processing is assumed abandoned
+const STALE_LOCK_MINUTES = 5;
+
+// Priorities for enqueueEmail; lower is sent first
+const PRIORITY = {
+  transactional: 0,
+  bulk: 10
+};
+
+// Parts of a message dropped once it no longer needs sending; bodies can hold single-use links
+const BODY_FIELDS = { 'mail.html': 1, 'mail.text': 1, 'mail.attachments': 1 };
+
+// Emails the provider lets us send per minute
+const getRatePerMinute = () => parseInt(process.env.EMAIL_RATE_PER_MINUTE) || 60;
+
+let transporter = null;
+
+// Create transporter once and reuse its connection
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+      port: process.env.EMAIL_PORT || 587,
+      secure: false, // true for 465, false for other ports
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+  return transporter;
+};
+
+// Seconds to wait before retry number `attempts`
+const getRetryDelaySeconds = (attempts) => {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+};
+
+// Add an email to the queue; returns the job
+const enqueueEmail = (mail, { type, priority = PRIORITY.transactional, maxAttempts, delivery } = {}) => {
+  return EmailJob.create({
+    type,
+    mail,
+    priority,
+    maxAttempts,
+    delivery
+  });
+};
+
+// Update the campaign delivery an email belongs to
+const settleDelivery = async (job, result) => {
+  if (!job.delivery) return;
+
+  const delivery = await CampaignDelivery.findOneAndUpdate(
+    { _id: job.delivery, status: 'queued' },
+    result.success
+      ? { status: 'sent', messageId: result.messageId, sentAt: new Date() }
+      : { status: 'failed', error: result.error },
+    { new: true }
+  );
+  if (!delivery) return;
+
+  const counter = result.success ? 'stats.successfulSends' : 'stats.failedSends';
+  await Campaign.updateOne({ _id: delivery.campaign }, { $inc: { [counter]: 1 } });
+
+  if (result.success && delivery.subscriber) {
+    await Newsletter.updateOne(
+      { _id: delivery.subscriber },
+      { $inc: { emailCount: 1 }, lastEmailSent: new Date() }
+    );
+  }
+};
+
+// Move a job that has used all its attempts to the dead-letter collection
+const deadLetter = async (job) => {
+  await EmailDeadLetter.create({
+    originalJob: job._id,
+    type: job.type,
+    mail: job.mail,
+    priority: job.priority,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    delivery: job.delivery
+  });
+  await EmailJob.deleteOne({ _id: job._id });
+  await settleDelivery(job, { success: false, error: job.lastError });
+
+  console.error(`Email job ${job._id} (${job.type}) moved to dead letters after ${job.attempts} attempts:`, job.lastError);
+};
+
+// Close a job addressed to a suppressed address without sending it
+const skipSuppressedJob = async (job, suppression) => {
+  const reason = `Address is suppressed (${suppression.reason})`;
+
+  await EmailJob.updateOne({ _id: job._id }, {
+    status: 'suppressed',
+    lockedAt: null,
+    lastError: reason,
+    expiresAt: new Date(Date.now() + EmailJob.SENT_JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    $unset: BODY_FIELDS
+  });
+  await settleDelivery(job, { success: false, error: reason });
+};
+
+// Send one claimed job and record the outcome: 'sent', 'failed' or 'suppressed'
+const processJob = async (job) => {
+  const isBulk = job.priority >= PRIORITY.bulk;
+  const suppression = await findBlockingSuppression(job.mail.to, isBulk);
+
+  if (suppression) {
+    await skipSuppressedJob(job, suppression);
+    return 'suppressed';
+  }
+
+  try {
+    const info = await getTransporter().sendMail(job.mail);
+
+    // Drop the body once sent; it can contain single-use links
+    await EmailJob.updateOne({ _id: job._id }, {
+      status: 'sent',
+      messageId: info.messageId,
+      sentAt: new Date(),
+      lockedAt: null,
+      lastError: null,
+      expiresAt: new Date(Date.now() + EmailJob.SENT_JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      $unset: BODY_FIELDS
+    });
+    await settleDelivery(job, { success: true, messageId: info.messageId });
+
+    return 'sent';
+  } catch (error) {
+    job.lastError = error.message;
+
+    // The server refused the recipient outright, so retrying will not help
+    if (error.code === 'EENVELOPE' && error.responseCode >= 500) {
+      await recordBounce({ email: job.mail.to, type: 'hard', diagnostic: error.response }, 'smtp');
+      await deadLetter(job);
+      return 'failed';
+    }
+
+    if (job.attempts >= job.maxAttempts) {
+      await deadLetter(job);
+      return 'failed';
+    }
+
+    const delaySeconds = getRetryDelaySeconds(job.attempts);
+    await EmailJob.updateOne({ _id: job._id }, {
+      status: 'queued',
+      lockedAt: null,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + delaySeconds * 1000)
+    });
+    console.warn(`Email job ${job._id} (${job.type}) failed, retrying in ${delaySeconds}s:`, error.message);
+
+    return 'failed';
+  }
+};
+
+// Atomically claim the next job that is due, or one whose worker died
+const claimNextJob = () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_LOCK_MINUTES * 60 * 1000);
+
+  return EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lte: staleBefore } }
+      ]
+    },
+    {
+      status: 'processing',
+      lockedAt: now,
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { priority: 1, nextAttemptAt: 1 } }
+  );
+};
+
+// Send as many due jobs as the per-minute limit allows; returns counts
+const processEmailQueue = async () => {
+  const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
+  const sentLastMinute = await EmailJob.countDocuments({ sentAt: { $gte: oneMinuteAgo } });
+  let allowance = getRatePerMinute() - sentLastMinute;
+
+  const summary = { sent: 0, failed: 0, suppressed: 0 };
+
+  while (allowance > 0) {
+    const job = await claimNextJob();
+    if (!job) break;
+
+    const outcome = await processJob(job);
+    summary[outcome] += 1;
+
+    // Suppressed jobs never reach the provider, so they do not use up the allowance
+    if (outcome !== 'suppressed') allowance -= 1;
+  }
+
+  return summary;
+};
+
+// Put a dead-lettered email back on the queue with a fresh set of attempts
+const retryDeadLetter = async (deadLetterEntry, userId) => {
+  const job = await EmailJob.create({
+    type: deadLetterEntry.type,
+    mail: deadLetterEntry.mail,
+    priority: deadLetterEntry.priority,
+    delivery: deadLetterEntry.delivery
+  });
+
+  // A retried campaign email is pending again until the new job finishes
+  if (deadLetterEntry.delivery) {
+    const delivery = await CampaignDelivery.findOneAndUpdate(
+      { _id: deadLetterEntry.delivery, status: 'failed' },
+      { status: 'queued', $unset: { error: 1 } }
+    );
+    if (delivery) {
+      await Campaign.updateOne({ _id: delivery.campaign }, { $inc: { 'stats.failedSends': -1 } });
+    }
+  }
+
+  // The new job carries the body now, so the dead letter keeps only the envelope
+  const { html, text, attachments, ...envelope } = deadLetterEntry.mail;
+  deadLetterEntry.mail = envelope;
+  deadLetterEntry.retriedAt = new Date();
+  deadLetterEntry.retriedBy = userId;
+  deadLetterEntry.retryJob = job._id;
+  await deadLetterEntry.save();
+
+  return job;
+};
+
+module.exports = {
+  PRIORITY,
+  enqueueEmail,
+  processEmailQueue,
+  retryDeadLetter
+};
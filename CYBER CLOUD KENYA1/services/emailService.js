@@ -1,190 +1,544 @@
-const nodemailer = require('nodemailer');
-
-// Create transporter
-const createTransporter = () => {
-  return nodemailer.createTransporter({
-    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-    port: process.env.EMAIL_PORT || 587,
-    secure: false, // true for 465, false for other ports
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
+const { PRIORITY, enqueueEmail } = require('./emailQueue');
+const { renderEmail } = require('./templateService');
+const { createTrackingToken, injectTracking } = require('./trackingService');
+const { getBusinessDetails, getPaymentInstructions } = require('../config/billing');
+
+// Emails are not sent here; they are queued and delivered by the email worker.
+// Each function returns { success, jobId } once the email is safely queued.
+// Bodies come from templates/emails; see templateService.js.
+
+// Unsubscribe and preference-center links for a subscriber's management token
+const getSubscriberLinks = (managementToken) => {
+  const apiUrl = process.env.API_URL || process.env.FRONTEND_URL;
+  return {
+    unsubscribeUrl: `${apiUrl}/api/newsletter/unsubscribe/${managementToken}`,
+    preferencesUrl: `${apiUrl}/api/newsletter/preferences/${managementToken}`
+  };
 };
 
+// RFC 2369 / RFC 8058 headers so mail clients can offer one-click unsubscribe
+const getListUnsubscribeOptions = (unsubscribeUrl) => ({
+  list: {
+    unsubscribe: unsubscribeUrl
+  },
+  headers: {
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  }
+});
+
 // Send contact form notification to admin
 const sendContactNotification = async (contactData) => {
   try {
-    const transporter = createTransporter();
+    const rendered = renderEmail('contact-notification', {
+      name: contactData.name,
+      email: contactData.email,
+      phone: contactData.phone,
+      service: contactData.service,
+      subject: contactData.subject,
+      message: contactData.message,
+      submittedAt: new Date(),
+      adminUrl: `${process.env.FRONTEND_URL}/admin/contacts`
+    });
 
     const mailOptions = {
       from: `"Cyber Cloud Kenya Contact" <${process.env.EMAIL_USER}>`,
       to: process.env.ADMIN_EMAIL || 'admin@cybercloudkenya.com',
-      subject: `New Contact Form Submission - ${contactData.subject}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #00ff2a;">New Contact Form Submission</h2>
-          <div style="background: #f5f5f5; padding: 20px; border-radius: 8px;">
-            <p><strong>Name:</strong> ${contactData.name}</p>
-            <p><strong>Email:</strong> ${contactData.email}</p>
-            <p><strong>Phone:</strong> ${contactData.phone || 'Not provided'}</p>
-            <p><strong>Service:</strong> ${contactData.service}</p>
-            <p><strong>Subject:</strong> ${contactData.subject}</p>
-            <p><strong>Message:</strong></p>
-            <div style="background: white; padding: 15px; border-radius: 4px; border-left: 4px solid #00ff2a;">
-              ${contactData.message.replace(/\n/g, '<br>')}
-            </div>
-            <p><strong>Submitted:</strong> ${new Date().toLocaleString()}</p>
-          </div>
-          <div style="margin-top: 20px; text-align: center;">
-            <a href="${process.env.FRONTEND_URL}/admin/contacts"
-               style="background: #00ff2a; color: black; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
-              View in Admin Panel
-            </a>
-          </div>
-        </div>
-      `
+      ...rendered
     };
 
-    const info = await transporter.sendMail(mailOptions);
-    console.log('Contact notification sent:', info.messageId);
-    return { success: true, messageId: info.messageId };
+    const job = await enqueueEmail(mailOptions, { type: 'contact-notification' });
+    console.log('Contact notification queued:', job._id.toString());
+    return { success: true, jobId: job._id };
   } catch (error) {
-    console.error('Error sending contact notification:', error);
+    console.error('Error queueing contact notification:', error);
     return { success: false, error: error.message };
   }
 };
 
-// Send newsletter subscription confirmation
-const sendNewsletterConfirmation = async (email, name) => {
+// Send welcome email once a newsletter subscription is confirmed
+const sendNewsletterConfirmation = async (email, name, managementToken, language) => {
   try {
-    const transporter = createTransporter();
+    const { unsubscribeUrl, preferencesUrl } = getSubscriberLinks(managementToken);
+
+    const rendered = renderEmail('newsletter-welcome', { name, unsubscribeUrl, preferencesUrl }, language);
 
     const mailOptions = {
       from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
       to: email,
-      subject: 'Welcome to Cyber Cloud Kenya Newsletter!',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #00ff2a;">Welcome to Cyber Cloud Kenya!</h2>
-          <div style="background: #f5f5f5; padding: 20px; border-radius: 8px;">
-            <p>Hi ${name || 'there'},</p>
-            <p>Thank you for subscribing to our newsletter! You'll now receive regular updates about:</p>
-            <ul>
-              <li>Latest technology trends</li>
-              <li>Training program announcements</li>
-              <li>Special offers and discounts</li>
-              <li>Cyber security tips</li>
-              <li>Success stories from our students</li>
-            </ul>
-            <p>Stay connected with us to enhance your digital skills and stay ahead in the tech world!</p>
-          </div>
-          <div style="margin-top: 20px; text-align: center;">
-            <a href="${process.env.FRONTEND_URL}"
-               style="background: #00ff2a; color: black; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
-              Visit Our Website
-            </a>
-          </div>
-          <p style="font-size: 12px; color: #666; text-align: center; margin-top: 20px;">
-            You can unsubscribe at any time by clicking the link in our emails.
-          </p>
-        </div>
-      `
-    };
-
-    const info = await transporter.sendMail(mailOptions);
-    console.log('Newsletter confirmation sent:', info.messageId);
-    return { success: true, messageId: info.messageId };
-  } catch (error) {
-    console.error('Error sending newsletter confirmation:', error);
-    return { success: false, error: error.message };
-  }
-};
-
-// Send newsletter to subscribers
-const sendNewsletter = async (subject, content, subscribers) => {
-  try {
-    const transporter = createTransporter();
-
-    const results = [];
-
-    for (const subscriber of subscribers) {
-      const mailOptions = {
-        from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
-        to: subscriber.email,
-        subject: subject,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #00ff2a;">${subject}</h2>
-            <div style="background: #f5f5f5; padding: 20px; border-radius: 8px;">
-              ${content}
-            </div>
-            <div style="margin-top: 20px; text-align: center;">
-              <a href="${process.env.FRONTEND_URL}"
-                 style="background: #00ff2a; color: black; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
-                Visit Our Website
-              </a>
-            </div>
-            <p style="font-size: 12px; color: #666; text-align: center; margin-top: 20px;">
-              You're receiving this because you subscribed to our newsletter.
-              <a href="${process.env.FRONTEND_URL}/unsubscribe?email=${subscriber.email}">Unsubscribe</a>
-            </p>
-          </div>
-        `
-      };
-
-      try {
-        const info = await transporter.sendMail(mailOptions);
-        results.push({ email: subscriber.email, success: true, messageId: info.messageId });
-      } catch (error) {
-        results.push({ email: subscriber.email, success: false, error: error.message });
-      }
-    }
+      ...rendered,
+      ...getListUnsubscribeOptions(unsubscribeUrl)
+    };
 
-    console.log(`Newsletter sent to ${results.filter(r => r.success).length} subscribers`);
-    return results;
+    const job = await enqueueEmail(mailOptions, { type: 'newsletter-welcome' });
+    console.log('Newsletter confirmation queued:', job._id.toString());
+    return { success: true, jobId: job._id };
   } catch (error) {
-    console.error('Error sending newsletter:', error);
+    console.error('Error queueing newsletter confirmation:', error);
     return { success: false, error: error.message };
   }
 };
 
-// Send password reset email
-const sendPasswordReset = async (email, resetToken) => {
+// Ask a new subscriber to confirm their address (double opt-in)
+const sendNewsletterOptIn = async (email, name, confirmationToken, expiresInHours = 48, language) => {
+  try {
+    const apiUrl = process.env.API_URL || process.env.FRONTEND_URL;
+    const confirmUrl = `${apiUrl}/api/newsletter/confirm/${confirmationToken}`;
+
+    const rendered = renderEmail('newsletter-opt-in', { name, confirmUrl, expiresInHours }, language);
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
+      to: email,
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'newsletter-opt-in' });
+    console.log('Newsletter opt-in queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing newsletter opt-in:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a subscriber the links to manage or cancel their subscription
+const sendSubscriptionManagementLink = async (email, name, managementToken, language) => {
+  try {
+    const { unsubscribeUrl, preferencesUrl } = getSubscriberLinks(managementToken);
+
+    const rendered = renderEmail('newsletter-management-link', { name, unsubscribeUrl, preferencesUrl }, language);
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
+      to: email,
+      ...rendered,
+      ...getListUnsubscribeOptions(unsubscribeUrl)
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'newsletter-management-link' });
+    console.log('Subscription management link queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing subscription management link:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Queue one campaign newsletter for a subscriber, with open and click tracking
+const sendNewsletterEmail = async (subject, content, subscriber, deliveryId) => {
   try {
-    const transporter = createTransporter();
+    const links = getSubscriberLinks(subscriber.getManagementToken());
+    const { preferencesUrl } = links;
+
+    // The ref lets an unsubscribe be attributed to this campaign
+    const unsubscribeUrl = `${links.unsubscribeUrl}?ref=${createTrackingToken(deliveryId, 'unsubscribe')}`;
 
+    const rendered = renderEmail('newsletter', {
+      subject,
+      content,
+      unsubscribeUrl,
+      preferencesUrl
+    }, subscriber.language);
+
+    // The plain-text version keeps the original links
+    rendered.html = injectTracking(rendered.html, deliveryId, {
+      skip: [links.unsubscribeUrl, links.preferencesUrl]
+    });
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
+      to: subscriber.email,
+      ...rendered,
+      ...getListUnsubscribeOptions(unsubscribeUrl)
+    };
+
+    // Bulk mail waits behind transactional mail in the queue
+    const job = await enqueueEmail(mailOptions, {
+      type: 'newsletter',
+      priority: PRIORITY.bulk,
+      delivery: deliveryId
+    });
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing newsletter:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send password reset email
+const sendPasswordReset = async (email, resetToken, expiresInMinutes = 10, language) => {
+  try {
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
 
+    const rendered = renderEmail('password-reset', { resetUrl, expiresInMinutes }, language);
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
+      to: email,
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'password-reset' });
+    console.log('Password reset email queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing password reset email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send email address verification link
+const sendEmailVerification = async (email, name, verificationToken, expiresInHours = 24, language) => {
+  try {
+    const apiUrl = process.env.API_URL || process.env.FRONTEND_URL;
+    const verifyUrl = `${apiUrl}/api/auth/verify-email/${verificationToken}`;
+
+    const rendered = renderEmail('email-verification', { name, verifyUrl, expiresInHours }, language);
+
     const mailOptions = {
       from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
       to: email,
-      subject: 'Password Reset Request',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #00ff2a;">Password Reset Request</h2>
-          <div style="background: #f5f5f5; padding: 20px; border-radius: 8px;">
-            <p>You requested a password reset for your Cyber Cloud Kenya account.</p>
-            <p>Please click the link below to reset your password:</p>
-            <div style="text-align: center; margin: 20px 0;">
-              <a href="${resetUrl}"
-                 style="background: #00ff2a; color: black; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
-                Reset Password
-              </a>
-            </div>
-            <p><strong>Important:</strong> This link will expire in 10 minutes for security reasons.</p>
-            <p>If you didn't request this password reset, please ignore this email.</p>
-          </div>
-        </div>
-      `
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'email-verification' });
+    console.log('Email verification queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing email verification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a notice that an account was locked after repeated failed logins
+const sendAccountLocked = async (email, name, lockMinutes, language) => {
+  try {
+    const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+
+    const rendered = renderEmail('account-locked', { name, resetUrl, lockMinutes }, language);
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
+      to: email,
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'account-locked' });
+    console.log('Account locked notice queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing account locked notice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a staff invitation
+const sendStaffInvitation = async (email, inviterName, role, invitationToken, expiresInHours = 72, language) => {
+  try {
+    const acceptUrl = `${process.env.FRONTEND_URL}/accept-invitation/${invitationToken}`;
+
+    const rendered = renderEmail('staff-invitation', { inviterName, role, acceptUrl, expiresInHours }, language);
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
+      to: email,
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'staff-invitation' });
+    console.log('Staff invitation queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing staff invitation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send enrollment status update to a student
+const sendEnrollmentUpdate = async (email, name, programTitle, intakeName, status, language) => {
+  try {
+    const rendered = renderEmail('enrollment-update', { name, programTitle, intakeName, status }, language);
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
+      to: email,
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'enrollment-update' });
+    console.log('Enrollment update queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing enrollment update:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Link to a ticket in the admin panel
+const getTicketUrl = (contact) => `${process.env.FRONTEND_URL}/admin/contacts/${contact._id}`;
+
+// Email a staff reply on a ticket to the client, threaded onto the earlier emails
+const sendTicketReply = async (contact, message, staffName) => {
+  try {
+    const rendered = renderEmail('ticket-reply', {
+      name: contact.name,
+      subject: contact.subject,
+      ticketNumber: contact.ticketNumber,
+      reply: message.body,
+      staffName
+    }, contact.language);
+
+    // Earlier emails in the thread, so mail clients group the conversation
+    const references = contact.messages
+      .filter(earlier => earlier.messageId && earlier.messageId !== message.messageId)
+      .map(earlier => earlier.messageId);
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya Support" <${process.env.EMAIL_USER}>`,
+      to: contact.email,
+      replyTo: contact.getReplyAddress(),
+      messageId: message.messageId,
+      ...rendered
+    };
+
+    if (references.length > 0) {
+      mailOptions.inReplyTo = references[references.length - 1];
+      mailOptions.references = references;
+    }
+
+    const job = await enqueueEmail(mailOptions, { type: 'ticket-reply' });
+    console.log('Ticket reply queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing ticket reply:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell a staff member a ticket has been assigned to them
+const sendTicketAssignment = async (contact, assignee, assignedBy) => {
+  try {
+    const rendered = renderEmail('ticket-assigned', {
+      staffName: assignee.name,
+      assignedBy,
+      ticketNumber: contact.ticketNumber,
+      name: contact.name,
+      email: contact.email,
+      subject: contact.subject,
+      priority: contact.priority,
+      ticketUrl: getTicketUrl(contact)
+    });
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya Helpdesk" <${process.env.EMAIL_USER}>`,
+      to: assignee.email,
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'ticket-assigned' });
+    console.log('Ticket assignment queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing ticket assignment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell staff a client has replied to a ticket
+const sendTicketClientReply = async (contact, message, staffEmail) => {
+  try {
+    const rendered = renderEmail('ticket-client-reply', {
+      ticketNumber: contact.ticketNumber,
+      name: contact.name,
+      email: message.from || contact.email,
+      subject: contact.subject,
+      reply: message.body,
+      receivedAt: message.createdAt,
+      ticketUrl: getTicketUrl(contact)
+    });
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya Helpdesk" <${process.env.EMAIL_USER}>`,
+      to: staffEmail || process.env.ADMIN_EMAIL || 'admin@cybercloudkenya.com',
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'ticket-client-reply' });
+    console.log('Ticket client reply notice queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing ticket client reply notice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell the helpdesk manager which tickets have gone past their response SLA
+const sendSlaEscalation = async (contacts) => {
+  try {
+    const rendered = renderEmail('sla-escalation', {
+      count: contacts.length,
+      tickets: contacts.map(contact => ({
+        ticketNumber: contact.ticketNumber,
+        subject: contact.subject,
+        name: contact.name,
+        email: contact.email,
+        service: contact.service,
+        priority: contact.priority,
+        waitingSince: contact.sla.waitingSince,
+        dueAt: contact.sla.dueAt,
+        assignee: contact.assignedTo && contact.assignedTo.name,
+        url: getTicketUrl(contact)
+      })),
+      ticketsUrl: `${process.env.FRONTEND_URL}/admin/contacts`
+    });
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya Helpdesk" <${process.env.EMAIL_USER}>`,
+      to: process.env.SLA_ESCALATION_EMAIL || process.env.ADMIN_EMAIL || 'admin@cybercloudkenya.com',
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'sla-escalation' });
+    console.log('SLA escalation queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing SLA escalation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Mailbox that hears about quote requests and receives clients' replies to quotes
+const getQuotesAddress = () => process.env.QUOTES_EMAIL || process.env.ADMIN_EMAIL || 'admin@cybercloudkenya.com';
+
+// Tell staff a quote request has come in
+const sendQuoteRequestNotification = async (quoteRequest) => {
+  try {
+    const rendered = renderEmail('quote-request-notification', {
+      requestNumber: quoteRequest.requestNumber,
+      name: quoteRequest.name,
+      email: quoteRequest.email,
+      phone: quoteRequest.phone,
+      company: quoteRequest.company,
+      service: quoteRequest.service,
+      budgetRange: quoteRequest.budgetRange,
+      deadline: quoteRequest.deadline,
+      description: quoteRequest.description,
+      details: quoteRequest.getDetailList(),
+      attachmentCount: quoteRequest.attachments.length,
+      requestUrl: `${process.env.FRONTEND_URL}/admin/quotes/${quoteRequest._id}`
+    });
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya Quotes" <${process.env.EMAIL_USER}>`,
+      to: getQuotesAddress(),
+      replyTo: quoteRequest.email,
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'quote-request-notification' });
+    console.log('Quote request notification queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing quote request notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send the client the price for their request
+const sendQuote = async (quoteRequest, staffName) => {
+  try {
+    const rendered = renderEmail('quote-sent', {
+      name: quoteRequest.name,
+      requestNumber: quoteRequest.requestNumber,
+      service: quoteRequest.service,
+      amount: quoteRequest.quote.amount,
+      currency: quoteRequest.quote.currency,
+      validUntil: quoteRequest.quote.validUntil,
+      message: quoteRequest.quote.message,
+      staffName
+    }, quoteRequest.language);
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
+      to: quoteRequest.email,
+      replyTo: getQuotesAddress(),
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'quote-sent' });
+    console.log('Quote queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing quote:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// PDF attachment for a queued email; stored base64 so it survives the email queue
+const pdfAttachment = (filename, pdf) => ({
+  filename,
+  content: pdf.toString('base64'),
+  encoding: 'base64',
+  contentType: 'application/pdf'
+});
+
+// Send the client a quotation with its PDF attached
+const sendQuotation = async (quote, pdf, staffName) => {
+  try {
+    const rendered = renderEmail('quotation', {
+      name: quote.client.name,
+      quoteNumber: quote.quoteNumber,
+      total: quote.total,
+      currency: quote.currency,
+      validUntil: quote.validUntil,
+      staffName
+    }, quote.client.language);
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya" <${process.env.EMAIL_USER}>`,
+      to: quote.client.email,
+      replyTo: getQuotesAddress(),
+      attachments: [pdfAttachment(`${quote.quoteNumber}.pdf`, pdf)],
+      ...rendered
+    };
+
+    const job = await enqueueEmail(mailOptions, { type: 'quotation' });
+    console.log('Quotation queued:', job._id.toString());
+    return { success: true, jobId: job._id };
+  } catch (error) {
+    console.error('Error queueing quotation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send the client an invoice with its PDF attached
+const sendInvoice = async (invoice, pdf) => {
+  try {
+    const { mpesaPaybill, bankDetails } = getPaymentInstructions();
+    const rendered = renderEmail('invoice', {
+      name: invoice.client.name,
+      invoiceNumber: invoice.invoiceNumber,
+      balance: invoice.balance,
+      currency: invoice.currency,
+      dueDate: invoice.dueDate,
+      mpesaPaybill,
+      bankDetails,
+      accountNumber: invoice.paymentReference
+    }, invoice.client.language);
+
+    const mailOptions = {
+      from: `"Cyber Cloud Kenya Accounts" <${process.env.EMAIL_USER}>`,
+      to: invoice.client.email,
+      replyTo: getBusinessDetails().email,
+      attachments: [pdfAttachment(`${invoice.invoiceNumber}.pdf`, pdf)],
+      ...rendered
     };
 
-    const info = await transporter.sendMail(mailOptions);
-    console.log('Password reset email sent:', info.messageId);
-    return { success: true, messageId: info.messageId };
+    const job = await enqueueEmail(mailOptions, { type: 'invoice' });
+    console.log('Invoice queued:', job._id.toString());
+    return { success: true, jobId: job._id };
   } catch (error) {
-    console.error('Error sending password reset email:', error);
+    console.error('Error queueing invoice:', error);
     return { success: false, error: error.message };
   }
 };
@@ -192,6 +546,20 @@ const sendPasswordReset = async (email, resetToken) => {
 module.exports = {
   sendContactNotification,
   sendNewsletterConfirmation,
-  sendNewsletter,
-  sendPasswordReset
+  sendNewsletterOptIn,
+  sendSubscriptionManagementLink,
+  sendNewsletterEmail,
+  sendPasswordReset,
+  sendEmailVerification,
+  sendAccountLocked,
+  sendStaffInvitation,
+  sendEnrollmentUpdate,
+  sendTicketReply,
+  sendTicketAssignment,
+  sendTicketClientReply,
+  sendSlaEscalation,
+  sendQuoteRequestNotification,
+  sendQuote,
+  sendQuotation,
+  sendInvoice
 };
\ No newline at end of file
@@ -0,0 +1,317 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const Payment = require('../models/Payment');
+const Enrollment = require('../models/Enrollment');
+const { applyPaymentToInvoice } = require('./billingService');
+
+// Daraja result codes that mean the customer did not complete the payment
+const CANCELLED_RESULT_CODES = [1032, 1037];
+
+// Read configuration at call time so tests and the mock server can override it
+const getConfig = () => ({
+  baseUrl: process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke',
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  shortcode: process.env.MPESA_SHORTCODE || '174379',
+  passkey: process.env.MPESA_PASSKEY,
+  callbackUrl: process.env.MPESA_CALLBACK_URL,
+  callbackToken: process.env.MPESA_CALLBACK_TOKEN
+});
+
+// Send a JSON request to the Daraja API
+const request = (method, path, { headers = {}, body } = {}) => {
+  const url = new URL(path, getConfig().baseUrl);
+  const client = url.protocol === 'http:' ? http : https;
+  const payload = body ? JSON.stringify(body) : null;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
+        ...headers
+      },
+      timeout: 30000
+    }, (res) => {
+      let raw = '';
+      res.on('data', chunk => { raw += chunk; });
+      res.on('end', () => {
+        let data;
+        try {
+          data = raw ? JSON.parse(raw) : {};
+        } catch (error) {
+          return reject(new Error(`Invalid response from M-Pesa: ${raw.slice(0, 200)}`));
+        }
+
+        if (res.statusCode >= 400) {
+          const error = new Error(data.errorMessage || `M-Pesa request failed with status ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          error.response = data;
+          return reject(error);
+        }
+        resolve(data);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('M-Pesa request timed out')));
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+};
+
+// Get an OAuth access token
+const getAccessToken = async () => {
+  const { consumerKey, consumerSecret } = getConfig();
+  const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+
+  const data = await request('GET', '/oauth/v1/generate?grant_type=client_credentials', {
+    headers: { Authorization: `Basic ${credentials}` }
+  });
+
+  return data.access_token;
+};
+
+// Format a date as the YYYYMMDDHHmmss timestamp Daraja expects (East Africa Time)
+const getTimestamp = (date = new Date()) => {
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+};
+
+// Parse a Daraja YYYYMMDDHHmmss timestamp (East Africa Time) into a Date
+const parseTimestamp = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return undefined;
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+03:00`);
+};
+
+// Build the password used by STK Push and STK Query requests
+const getPassword = (timestamp) => {
+  const { shortcode, passkey } = getConfig();
+  return Buffer.from(`${shortcode}${passkey}${timestamp}`).toString('base64');
+};
+
+// Normalise Kenyan phone numbers to the 2547XXXXXXXX format
+const formatPhoneNumber = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+
+  if (/^254[17]\d{8}$/.test(digits)) return digits;
+  if (/^0[17]\d{8}$/.test(digits)) return `254${digits.slice(1)}`;
+  if (/^[17]\d{8}$/.test(digits)) return `254${digits}`;
+  return null;
+};
+
+// Build the callback URL, including the shared token Daraja echoes back to us
+const getCallbackUrl = () => {
+  const { callbackUrl, callbackToken } = getConfig();
+  const url = new URL(callbackUrl || `${process.env.API_URL || 'http://localhost:5000'}/api/payments/mpesa/callback`);
+  if (callbackToken) {
+    url.searchParams.set('token', callbackToken);
+  }
+  return url.toString();
+};
+
+// Initiate an STK Push request and record a pending payment
+const initiateStkPush = async ({ user, phone, amount, enrollment, invoice, accountReference, description }) => {
+  const formattedPhone = formatPhoneNumber(phone);
+  if (!formattedPhone) {
+    throw new Error('Please provide a valid Safaricom phone number');
+  }
+
+  const { shortcode } = getConfig();
+  const timestamp = getTimestamp();
+  const token = await getAccessToken();
+  const roundedAmount = Math.ceil(amount);
+
+  const response = await request('POST', '/mpesa/stkpush/v1/processrequest', {
+    headers: { Authorization: `Bearer ${token}` },
+    body: {
+      BusinessShortCode: shortcode,
+      Password: getPassword(timestamp),
+      Timestamp: timestamp,
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: roundedAmount,
+      PartyA: formattedPhone,
+      PartyB: shortcode,
+      PhoneNumber: formattedPhone,
+      CallBackURL: getCallbackUrl(),
+      AccountReference: accountReference,
+      TransactionDesc: description
+    }
+  });
+
+  if (String(response.ResponseCode) !== '0') {
+    throw new Error(response.ResponseDescription || 'M-Pesa rejected the payment request');
+  }
+
+  return Payment.create({
+    user,
+    enrollment,
+    invoice,
+    amount: roundedAmount,
+    phone: formattedPhone,
+    accountReference,
+    description,
+    merchantRequestId: response.MerchantRequestID,
+    checkoutRequestId: response.CheckoutRequestID
+  });
+};
+
+// Query the status of an STK Push request
+const queryStkPush = async (checkoutRequestId) => {
+  const { shortcode } = getConfig();
+  const timestamp = getTimestamp();
+  const token = await getAccessToken();
+
+  return request('POST', '/mpesa/stkpushquery/v1/query', {
+    headers: { Authorization: `Bearer ${token}` },
+    body: {
+      BusinessShortCode: shortcode,
+      Password: getPassword(timestamp),
+      Timestamp: timestamp,
+      CheckoutRequestID: checkoutRequestId
+    }
+  });
+};
+
+// Move an accepted enrollment to enrolled once its fees are fully paid
+const applyPaymentToEnrollment = async (payment) => {
+  const enrollment = await Enrollment.findById(payment.enrollment).populate('program');
+  if (!enrollment || enrollment.status !== 'accepted' || !enrollment.program) return;
+
+  const fees = enrollment.program.fees || {};
+  const totalDue = (fees.amount || 0) + (fees.registrationFee || 0);
+  const totalPaid = await Payment.getTotalPaid({ enrollment: enrollment._id });
+
+  if (totalPaid >= totalDue) {
+    enrollment.transitionTo('enrolled', payment.user, `Fees paid via M-Pesa (${payment.mpesaReceiptNumber || payment._id})`);
+    await enrollment.save();
+  }
+};
+
+// Record the outcome of an STK Push on its payment
+const settlePayment = async (payment, { resultCode, resultDesc, metadata = {}, payload }) => {
+  if (payment.status !== 'pending') {
+    return payment;
+  }
+
+  payment.resultCode = resultCode;
+  payment.resultDesc = resultDesc;
+  if (payload) payment.callbackPayload = payload;
+
+  if (resultCode === 0) {
+    payment.status = 'completed';
+    payment.mpesaReceiptNumber = metadata.MpesaReceiptNumber || payment.mpesaReceiptNumber;
+    payment.transactionDate = parseTimestamp(metadata.TransactionDate);
+    payment.paidAt = payment.transactionDate || new Date();
+  } else if (CANCELLED_RESULT_CODES.includes(resultCode)) {
+    payment.status = 'cancelled';
+  } else {
+    payment.status = 'failed';
+  }
+
+  await payment.save();
+
+  if (payment.status === 'completed' && payment.enrollment) {
+    await applyPaymentToEnrollment(payment);
+  }
+
+  if (payment.status === 'completed' && payment.invoice) {
+    await applyPaymentToInvoice(payment);
+  }
+
+  return payment;
+};
+
+// Handle the STK Push callback sent by Daraja
+const handleStkCallback = async (body) => {
+  const callback = body && body.Body && body.Body.stkCallback;
+  if (!callback || !callback.CheckoutRequestID) {
+    throw new Error('Invalid M-Pesa callback payload');
+  }
+
+  const payment = await Payment.findOne({ checkoutRequestId: callback.CheckoutRequestID });
+  if (!payment) {
+    return null;
+  }
+
+  const metadata = {};
+  const items = (callback.CallbackMetadata && callback.CallbackMetadata.Item) || [];
+  items.forEach(item => { metadata[item.Name] = item.Value; });
+
+  // We set the amount when starting the push, so a different one means the callback is not
+  // genuine. Leave the payment pending for reconciliation to confirm with Daraja.
+  const resultCode = Number(callback.ResultCode);
+  if (resultCode === 0 && Number(metadata.Amount) !== payment.amount) {
+    console.warn(`M-Pesa callback amount ${metadata.Amount} does not match payment ${payment._id} (${payment.amount})`);
+    return payment;
+  }
+
+  return settlePayment(payment, {
+    resultCode,
+    resultDesc: callback.ResultDesc,
+    metadata,
+    payload: body
+  });
+};
+
+// Check a pending payment against Daraja when its callback never arrived
+const reconcilePayment = async (payment) => {
+  if (payment.status !== 'pending' || !payment.checkoutRequestId) {
+    return payment;
+  }
+
+  payment.reconciliationAttempts += 1;
+
+  let result;
+  try {
+    result = await queryStkPush(payment.checkoutRequestId);
+  } catch (error) {
+    // Daraja answers with an error while the customer is still being prompted
+    await payment.save();
+    throw error;
+  }
+
+  payment.reconciledAt = new Date();
+
+  if (result.ResultCode === undefined) {
+    await payment.save();
+    return payment;
+  }
+
+  return settlePayment(payment, {
+    resultCode: Number(result.ResultCode),
+    resultDesc: result.ResultDesc
+  });
+};
+
+// Reconcile every payment that has been pending for longer than the given age
+const reconcilePendingPayments = async (olderThanMinutes = 5) => {
+  const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000);
+  const payments = await Payment.find({ status: 'pending', createdAt: { $lte: cutoff } });
+
+  const results = [];
+  for (const payment of payments) {
+    try {
+      const updated = await reconcilePayment(payment);
+      results.push({ id: payment._id, success: true, status: updated.status });
+    } catch (error) {
+      results.push({ id: payment._id, success: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  formatPhoneNumber,
+  getCallbackUrl,
+  initiateStkPush,
+  queryStkPush,
+  handleStkCallback,
+  reconcilePayment,
+  reconcilePendingPayments
+};
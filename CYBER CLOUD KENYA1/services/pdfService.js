@@ -0,0 +1,213 @@
+const PDFDocument = require('pdfkit');
+const { getBusinessDetails, getPaymentInstructions } = require('../config/billing');
+
+const PAGE_MARGIN = 50;
+const ACCENT_COLOR = '#00a01a';
+const MUTED_COLOR = '#666666';
+
+// Item table columns as [x, width], laid out for an A4 page
+const COLUMNS = {
+  description: [50, 255],
+  quantity: [305, 50],
+  unitPrice: [355, 90],
+  amount: [445, 100]
+};
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-KE', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' })
+  : '');
+
+const formatQuantity = (quantity) => Number(quantity).toLocaleString('en-KE', { maximumFractionDigits: 2 });
+
+// Collect a finished PDFKit document into a Buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+const drawHeader = (doc, { title, number, dates }) => {
+  const business = getBusinessDetails();
+  const top = PAGE_MARGIN;
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(ACCENT_COLOR).text(business.name, PAGE_MARGIN, top);
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+  [
+    business.address,
+    business.email,
+    business.phone,
+    business.website,
+    business.kraPin && `KRA PIN: ${business.kraPin}`
+  ].filter(Boolean).forEach(line => doc.text(line));
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('black').text(title, 300, top, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(10).text(number || 'DRAFT', { width: 245, align: 'right' });
+  doc.moveDown(0.5).fontSize(9);
+  dates.filter(([, value]) => value).forEach(([label, value]) => {
+    doc.text(`${label}: ${formatDate(value)}`, { width: 245, align: 'right' });
+  });
+
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+};
+
+const drawClient = (doc, client) => {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR).text('BILL TO', PAGE_MARGIN, doc.y);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('black').text(client.company || client.name);
+  doc.font('Helvetica').fontSize(9);
+  [
+    client.company && client.name,
+    client.address,
+    client.email,
+    client.phone,
+    client.kraPin && `KRA PIN: ${client.kraPin}`
+  ].filter(Boolean).forEach(line => doc.text(line));
+  doc.moveDown(1.5);
+};
+
+const drawItemHeader = (doc) => {
+  const y = doc.y;
+  doc.rect(PAGE_MARGIN, y - 4, 495, 18).fill('#f0f0f0');
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('black');
+  doc.text('Description', COLUMNS.description[0] + 4, y, { width: COLUMNS.description[1] - 8 });
+  doc.text('Qty', COLUMNS.quantity[0], y, { width: COLUMNS.quantity[1], align: 'right' });
+  doc.text('Unit price', COLUMNS.unitPrice[0], y, { width: COLUMNS.unitPrice[1], align: 'right' });
+  doc.text('Amount', COLUMNS.amount[0], y, { width: COLUMNS.amount[1] - 4, align: 'right' });
+  doc.y = y + 20;
+};
+
+const drawItems = (doc, items, currency) => {
+  drawItemHeader(doc);
+  doc.font('Helvetica').fontSize(9);
+
+  items.forEach(item => {
+    const description = `${item.description}${item.vatExempt ? ' *' : ''}`;
+    const height = doc.heightOfString(description, { width: COLUMNS.description[1] - 8 });
+
+    if (doc.y + height > doc.page.height - PAGE_MARGIN - 20) {
+      doc.addPage();
+      drawItemHeader(doc);
+      doc.font('Helvetica').fontSize(9);
+    }
+
+    const y = doc.y;
+    doc.fillColor('black');
+    doc.text(description, COLUMNS.description[0] + 4, y, { width: COLUMNS.description[1] - 8 });
+    doc.text(formatQuantity(item.quantity), COLUMNS.quantity[0], y, { width: COLUMNS.quantity[1], align: 'right' });
+    doc.text(formatMoney(item.unitPrice, currency), COLUMNS.unitPrice[0], y, { width: COLUMNS.unitPrice[1], align: 'right' });
+    doc.text(formatMoney(item.amount, currency), COLUMNS.amount[0], y, { width: COLUMNS.amount[1] - 4, align: 'right' });
+
+    doc.y = y + height + 6;
+    doc.moveTo(PAGE_MARGIN, doc.y - 3).lineTo(PAGE_MARGIN + 495, doc.y - 3).strokeColor('#e0e0e0').stroke();
+  });
+
+  if (items.some(item => item.vatExempt)) {
+    doc.fontSize(8).fillColor(MUTED_COLOR).text('* VAT exempt', PAGE_MARGIN, doc.y);
+  }
+  doc.moveDown();
+};
+
+// Rows of [label, amount, bold]
+const drawTotals = (doc, rows, currency) => {
+  if (doc.y + rows.length * 16 > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+
+  rows.forEach(([label, amount, bold]) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9).fillColor('black');
+    doc.text(label, 300, y, { width: 140, align: 'right' });
+    doc.text(formatMoney(amount, currency), COLUMNS.amount[0], y, { width: COLUMNS.amount[1] - 4, align: 'right' });
+    doc.y = y + (bold ? 18 : 14);
+  });
+  doc.moveDown();
+};
+
+// Headed blocks of text (payment details, notes, terms); empty ones are skipped
+const drawSections = (doc, sections) => {
+  sections.filter(({ text }) => text).forEach(({ heading, text }) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('black').text(heading, PAGE_MARGIN, doc.y);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(text, { width: 495 });
+    doc.moveDown();
+  });
+};
+
+const vatLabel = (vatRate) => `VAT (${Math.round(vatRate * 10000) / 100}%)`;
+
+const totalRows = (document) => [
+  ['Subtotal', document.subtotal],
+  ...(document.discountAmount > 0 ? [['Discount', -document.discountAmount]] : []),
+  [vatLabel(document.vatRate), document.vatAmount],
+  ['Total', document.total, true]
+];
+
+const createDocument = (title, number) => new PDFDocument({
+  size: 'A4',
+  margin: PAGE_MARGIN,
+  info: { Title: `${title} ${number || ''}`.trim(), Author: getBusinessDetails().name }
+});
+
+// PDF of an invoice, as a Buffer
+const renderInvoicePdf = (invoice) => {
+  const doc = createDocument('Tax Invoice', invoice.invoiceNumber);
+  const { mpesaPaybill, bankDetails } = getPaymentInstructions();
+  const reference = invoice.paymentReference || 'your invoice number';
+
+  drawHeader(doc, {
+    title: invoice.status === 'cancelled' ? 'CANCELLED INVOICE' : 'TAX INVOICE',
+    number: invoice.invoiceNumber,
+    dates: [['Issued', invoice.issueDate], ['Due', invoice.dueDate]]
+  });
+  drawClient(doc, invoice.client);
+  drawItems(doc, invoice.items, invoice.currency);
+  drawTotals(doc, [
+    ...totalRows(invoice),
+    ...(invoice.amountPaid > 0 ? [['Paid', -invoice.amountPaid], ['Balance due', invoice.balance, true]] : [])
+  ], invoice.currency);
+  drawSections(doc, [
+    {
+      heading: 'How to pay',
+      text: [
+        mpesaPaybill && `M-Pesa Paybill ${mpesaPaybill}, account number ${reference}`,
+        bankDetails && `Bank transfer: ${bankDetails}`,
+        `Please quote ${reference} with your payment.`
+      ].filter(Boolean).join('\n')
+    },
+    { heading: 'Notes', text: invoice.notes },
+    { heading: 'Terms', text: invoice.terms }
+  ]);
+
+  return toBuffer(doc);
+};
+
+// PDF of a quotation, as a Buffer
+const renderQuotePdf = (quote) => {
+  const doc = createDocument('Quotation', quote.quoteNumber);
+
+  drawHeader(doc, {
+    title: 'QUOTATION',
+    number: quote.quoteNumber,
+    dates: [['Date', quote.sentAt || quote.createdAt], ['Valid until', quote.validUntil]]
+  });
+  drawClient(doc, quote.client);
+  drawItems(doc, quote.items, quote.currency);
+  drawTotals(doc, totalRows(quote), quote.currency);
+  drawSections(doc, [
+    { heading: 'Notes', text: quote.notes },
+    { heading: 'Terms', text: quote.terms }
+  ]);
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  renderInvoicePdf,
+  renderQuotePdf
+};
@@ -0,0 +1,87 @@
+const CampaignDelivery = require('../models/CampaignDelivery');
+const Enrollment = require('../models/Enrollment');
+const Newsletter = require('../models/Newsletter');
+const Segment = require('../models/Segment');
+const User = require('../models/User');
+
+// Subscribers shown when previewing a segment
+const PREVIEW_SAMPLE_SIZE = 10;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+const hasValues = (values) => Array.isArray(values) && values.length > 0;
+
+// Subscribers who opened or clicked a campaign email since the given date
+const getRecentOpeners = (since) => CampaignDelivery.distinct('subscriber', { openedAt: { $gte: since } });
+
+// Emails of users enrolled in any of the programs; subscribers are matched to users by email
+const getEnrolledEmails = async (programs, statuses) => {
+  const users = await Enrollment.distinct('user', {
+    program: { $in: programs },
+    status: { $in: hasValues(statuses) ? statuses : Segment.DEFAULT_ENROLLMENT_STATUSES }
+  });
+  return User.distinct('email', { _id: { $in: users } });
+};
+
+// Newsletter query for the active subscribers a set of segment rules matches
+const buildSegmentQuery = async (rules = {}) => {
+  const conditions = [{ isActive: true }];
+
+  // Subscribers interested in everything match any interest
+  if (hasValues(rules.interests)) {
+    conditions.push({ interests: { $in: [...rules.interests, 'all'] } });
+  }
+
+  if (hasValues(rules.categories)) {
+    conditions.push({ 'preferences.categories': { $in: rules.categories } });
+  }
+
+  if (hasValues(rules.frequencies)) {
+    conditions.push({ 'preferences.frequency': { $in: rules.frequencies } });
+  }
+
+  if (hasValues(rules.sources)) {
+    conditions.push({ subscriptionSource: { $in: rules.sources } });
+  }
+
+  if (rules.subscribedAfter || rules.subscribedBefore) {
+    const subscriptionDate = {};
+    if (rules.subscribedAfter) subscriptionDate.$gte = new Date(rules.subscribedAfter);
+    if (rules.subscribedBefore) subscriptionDate.$lte = new Date(rules.subscribedBefore);
+    conditions.push({ subscriptionDate });
+  }
+
+  if (rules.openedWithinDays) {
+    conditions.push({ _id: { $in: await getRecentOpeners(daysAgo(rules.openedWithinDays)) } });
+  }
+
+  if (rules.notOpenedWithinDays) {
+    conditions.push({ _id: { $nin: await getRecentOpeners(daysAgo(rules.notOpenedWithinDays)) } });
+  }
+
+  if (hasValues(rules.programs)) {
+    conditions.push({ email: { $in: await getEnrolledEmails(rules.programs, rules.enrollmentStatuses) } });
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+// Number of subscribers a set of rules reaches right now, with a few of them as a sample
+const previewSegment = async (rules) => {
+  const query = await buildSegmentQuery(rules);
+
+  const [count, sample] = await Promise.all([
+    Newsletter.countDocuments(query),
+    Newsletter.find(query)
+      .sort({ subscriptionDate: -1 })
+      .limit(PREVIEW_SAMPLE_SIZE)
+      .select('email name interests subscriptionSource subscriptionDate')
+  ]);
+
+  return { count, sample };
+};
+
+module.exports = {
+  buildSegmentQuery,
+  previewSegment
+};
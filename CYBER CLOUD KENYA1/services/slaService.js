@@ -0,0 +1,144 @@
+const Contact = require('../models/Contact');
+const { AWAITING_RESPONSE_STATUSES, getSlaTargets } = require('../config/sla');
+const { sendSlaEscalation } = require('./emailService');
+
+// Most tickets flagged in one pass; the rest are picked up by the next one
+const BREACH_BATCH_SIZE = 200;
+
+// Percentage rounded to two decimals; null when nothing has been decided yet
+const toRate = (count, total) => (total ? Math.round((count / total) * 10000) / 100 : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const toMinutes = (ms) => (ms === null ? null : Math.round(ms / 60000));
+
+// Mark tickets whose client has waited past the SLA as breached and email one escalation
+// listing them. Each wait is flagged once; returns the tickets flagged in this pass.
+const flagBreachedTickets = async () => {
+  const now = new Date();
+
+  const candidates = await Contact.find({
+    'sla.dueAt': { $lte: now },
+    'sla.breachedAt': null,
+    status: { $in: AWAITING_RESPONSE_STATUSES }
+  })
+    .sort({ 'sla.dueAt': 1 })
+    .limit(BREACH_BATCH_SIZE)
+    .populate('assignedTo', 'name email')
+    .select('-messages');
+
+  // Claim each one, so two workers never escalate the same breach
+  const breached = [];
+  for (const contact of candidates) {
+    const result = await Contact.updateOne(
+      { _id: contact._id, 'sla.dueAt': contact.sla.dueAt, 'sla.breachedAt': null },
+      { $set: { 'sla.breachedAt': now } }
+    );
+    if (result.modifiedCount === 1) {
+      breached.push(contact);
+    }
+  }
+
+  if (breached.length > 0) {
+    const emailResult = await sendSlaEscalation(breached);
+    if (!emailResult.success) {
+      console.warn('SLA escalation email failed:', emailResult.error);
+    }
+    console.warn(`${breached.length} tickets breached their response SLA`);
+  }
+
+  return breached;
+};
+
+// First-response SLA figures for tickets submitted between `from` and `to`.
+// A ticket has met its SLA if the first reply came before firstResponseDueAt and breached it
+// if the reply came later or is still missing after the target. Unanswered tickets that are
+// not yet due, tickets closed without a reply and quarantined spam are left out of compliance.
+const getSlaMetrics = async ({ from, to }) => {
+  const now = new Date();
+
+  const groups = await Contact.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: from, $lte: to },
+        'sla.firstResponseDueAt': { $ne: null },
+        status: { $ne: 'quarantined' },
+        $or: [{ firstResponseAt: { $ne: null } }, { status: { $ne: 'closed' } }]
+      }
+    },
+    {
+      $project: {
+        service: 1,
+        responseMs: {
+          $cond: [{ $ifNull: ['$firstResponseAt', false] }, { $subtract: ['$firstResponseAt', '$createdAt'] }, null]
+        },
+        outcome: {
+          $switch: {
+            branches: [
+              {
+                case: { $and: [{ $ifNull: ['$firstResponseAt', false] }, { $lte: ['$firstResponseAt', '$sla.firstResponseDueAt'] }] },
+                then: 'met'
+              },
+              { case: { $ifNull: ['$firstResponseAt', false] }, then: 'breached' },
+              { case: { $lt: ['$sla.firstResponseDueAt', now] }, then: 'breached' }
+            ],
+            default: 'pending'
+          }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$service',
+        total: { $sum: 1 },
+        met: { $sum: { $cond: [{ $eq: ['$outcome', 'met'] }, 1, 0] } },
+        breached: { $sum: { $cond: [{ $eq: ['$outcome', 'breached'] }, 1, 0] } },
+        responseTimes: { $push: '$responseMs' }
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+
+  const summarize = ({ total, met, breached, responseTimes }) => {
+    const answered = responseTimes.filter(ms => ms !== null);
+    return {
+      tickets: total,
+      answered: answered.length,
+      medianFirstResponseMinutes: toMinutes(median(answered)),
+      met,
+      breached,
+      compliance: toRate(met, met + breached)
+    };
+  };
+
+  const overall = summarize(groups.reduce((sum, group) => ({
+    total: sum.total + group.total,
+    met: sum.met + group.met,
+    breached: sum.breached + group.breached,
+    responseTimes: sum.responseTimes.concat(group.responseTimes)
+  }), { total: 0, met: 0, breached: 0, responseTimes: [] }));
+
+  const overdue = await Contact.countDocuments({
+    'sla.dueAt': { $lt: now },
+    status: { $in: AWAITING_RESPONSE_STATUSES }
+  });
+
+  return {
+    from,
+    to,
+    targetHours: getSlaTargets(),
+    overdue,
+    overall,
+    byService: groups.map(group => ({ service: group._id, ...summarize(group) }))
+  };
+};
+
+module.exports = {
+  flagBreachedTickets,
+  getSlaMetrics
+};
@@ -0,0 +1,135 @@
+const EmailBounce = require('../models/EmailBounce');
+const EmailJob = require('../models/EmailJob');
+const Newsletter = require('../models/Newsletter');
+const Suppression = require('../models/Suppression');
+const { parseBounceNotification } = require('./bounceParser');
+
+// Hard bounces after which an address is suppressed
+const HARD_BOUNCE_LIMIT = 2;
+
+// Soft bounces within SOFT_BOUNCE_WINDOW_DAYS after which an address is suppressed
+const SOFT_BOUNCE_LIMIT = 5;
+const SOFT_BOUNCE_WINDOW_DAYS = 30;
+
+// Suppression in force for an address that stops this kind of email, if any
+const findBlockingSuppression = async (email, isBulk) => {
+  const suppression = await Suppression.findOne({
+    email: String(email || '').toLowerCase().trim(),
+    releasedAt: null
+  });
+
+  return suppression && suppression.blocks(isBulk) ? suppression : null;
+};
+
+// Stop the newsletter going to a suppressed address
+const deactivateSubscriber = async (email, reason) => {
+  const subscriber = await Newsletter.findOne({ email, status: { $in: ['pending', 'confirmed'] } });
+  if (!subscriber) return;
+
+  if (reason === 'hard-bounce' || reason === 'soft-bounce') {
+    subscriber.markBounced();
+  } else {
+    subscriber.unsubscribe();
+  }
+  await subscriber.save();
+};
+
+// Add an address to the suppression list, or put a released suppression back in force
+const suppressAddress = async (email, reason, details = {}) => {
+  const update = {
+    $set: { reason },
+    $unset: { releasedAt: 1, releasedBy: 1 }
+  };
+
+  // Details from an earlier suppression of the same address are cleared
+  ['note', 'lastBounce', 'createdBy'].forEach(field => {
+    if (details[field] === undefined) {
+      update.$unset[field] = 1;
+    } else {
+      update.$set[field] = details[field];
+    }
+  });
+
+  const suppression = await Suppression.findOneAndUpdate(
+    { email: String(email).toLowerCase().trim() },
+    update,
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  await deactivateSubscriber(suppression.email, reason);
+
+  console.warn(`Email address suppressed (${reason}):`, suppression.email);
+  return suppression;
+};
+
+// Store one parsed bounce or complaint and suppress the address if it has crossed a limit.
+// Bounces from before a suppression was released do not count again.
+const recordBounce = async (event, source) => {
+  const job = event.messageId
+    ? await EmailJob.findOne({ messageId: event.messageId }).select('_id')
+    : null;
+
+  const bounce = await EmailBounce.create({
+    email: event.email,
+    type: event.type,
+    status: event.status,
+    diagnostic: event.diagnostic,
+    messageId: event.messageId,
+    source,
+    job: job ? job._id : undefined
+  });
+
+  const existing = await Suppression.findOne({ email: bounce.email });
+  if (existing && existing.isActive) {
+    return { bounce, suppression: existing };
+  }
+
+  const since = existing ? existing.releasedAt : new Date(0);
+  let reason = null;
+
+  if (bounce.type === 'complaint') {
+    reason = 'complaint';
+  } else if (bounce.type === 'hard') {
+    const hardBounces = await EmailBounce.countDocuments({
+      email: bounce.email,
+      type: 'hard',
+      createdAt: { $gt: since }
+    });
+    if (hardBounces >= HARD_BOUNCE_LIMIT) reason = 'hard-bounce';
+  } else {
+    const windowStart = new Date(Date.now() - SOFT_BOUNCE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const softBounces = await EmailBounce.countDocuments({
+      email: bounce.email,
+      type: 'soft',
+      createdAt: { $gt: since > windowStart ? since : windowStart }
+    });
+    if (softBounces >= SOFT_BOUNCE_LIMIT) reason = 'soft-bounce';
+  }
+
+  const suppression = reason
+    ? await suppressAddress(bounce.email, reason, { lastBounce: bounce._id })
+    : null;
+
+  return { bounce, suppression };
+};
+
+// Parse a bounce notification and record every bounce or complaint in it
+const processBounceNotification = async (payload, source) => {
+  const results = [];
+
+  for (const event of parseBounceNotification(payload)) {
+    results.push(await recordBounce(event, source));
+  }
+
+  return results;
+};
+
+module.exports = {
+  HARD_BOUNCE_LIMIT,
+  SOFT_BOUNCE_LIMIT,
+  SOFT_BOUNCE_WINDOW_DAYS,
+  findBlockingSuppression,
+  suppressAddress,
+  recordBounce,
+  processBounceNotification
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../config/languages');
+
+// templates/emails holds the shared layout and partials, plus one folder per language
+// with that language's templates, partials and messages.json (subjects and titles)
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'emails');
+
+const LOCALES = {
+  en: 'en-KE',
+  sw: 'sw-KE'
+};
+
+// One Handlebars environment per language, so each language can have its own partials
+const environments = {};
+
+const readTemplate = (...parts) => fs.readFileSync(path.join(TEMPLATE_DIR, ...parts), 'utf8');
+
+// Register every .hbs file in a folder as a partial named after the file
+const registerPartials = (env, dir) => {
+  if (!fs.existsSync(dir)) return;
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.hbs'))
+    .forEach(file => {
+      env.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(path.join(dir, file), 'utf8'));
+    });
+};
+
+const createEnvironment = (language) => {
+  const env = Handlebars.create();
+
+  env.registerHelper('eq', (a, b) => a === b);
+
+  // Escape user text, then keep its line breaks
+  env.registerHelper('nl2br', (text) => {
+    const escaped = env.escapeExpression(text || '');
+    return new env.SafeString(escaped.replace(/\r?\n/g, '<br>'));
+  });
+
+  env.registerHelper('formatDate', (date) => {
+    return date ? new Date(date).toLocaleString(LOCALES[language]) : '';
+  });
+
+  env.registerHelper('formatMoney', (amount, currency) => {
+    if (amount === undefined || amount === null) return '';
+    const code = typeof currency === 'string' ? currency : 'KES';
+    return Number(amount).toLocaleString(LOCALES[language], { style: 'currency', currency: code });
+  });
+
+  registerPartials(env, path.join(TEMPLATE_DIR, 'partials'));
+  registerPartials(env, path.join(TEMPLATE_DIR, language, 'partials'));
+
+  return {
+    env,
+    layout: env.compile(readTemplate('layouts', 'main.hbs')),
+    messages: JSON.parse(readTemplate(language, 'messages.json')),
+    templates: {}
+  };
+};
+
+const getEnvironment = (language) => {
+  if (!environments[language]) {
+    environments[language] = createEnvironment(language);
+  }
+  return environments[language];
+};
+
+// The language a template is available in: the one asked for, else the default
+const getTemplateLanguage = (name, language) => {
+  const exists = fs.existsSync(path.join(TEMPLATE_DIR, language, `${name}.hbs`));
+  return exists ? language : DEFAULT_LANGUAGE;
+};
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#x27;': "'",
+  '&#39;': "'",
+  '&#x3D;': '=',
+  '&#x60;': '`',
+  '&nbsp;': ' '
+};
+
+const decodeEntities = (text) => text.replace(/&(?:amp|lt|gt|quot|nbsp|#x27|#39|#x3D|#x60);/g, entity => HTML_ENTITIES[entity]);
+
+// Plain-text alternative for an HTML email: links become "label (url)" and block
+// elements become line breaks. Whitespace in the source is collapsed as a browser would.
+const htmlToText = (html) => {
+  const text = html
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const labelText = label.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+      return labelText && labelText !== href ? `${labelText} (${href})` : href;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|tr)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Render an email template in the given language; returns { subject, html, text }.
+// Values are HTML-escaped unless a template uses {{{triple braces}}}.
+const renderEmail = (name, data = {}, language) => {
+  const templateLanguage = getTemplateLanguage(name, resolveLanguage(language));
+  const environment = getEnvironment(templateLanguage);
+  const { env, messages, templates } = environment;
+
+  if (!templates[name]) {
+    templates[name] = env.compile(readTemplate(templateLanguage, `${name}.hbs`));
+  }
+
+  const message = messages[name] || {};
+  const context = {
+    frontendUrl: process.env.FRONTEND_URL,
+    ...data,
+    language: templateLanguage
+  };
+
+  // Subjects are plain text, so they are not HTML-escaped
+  const subject = env.compile(message.subject || '', { noEscape: true })(context);
+  const title = env.compile(message.title || '')(context);
+
+  const html = environment.layout({
+    ...context,
+    title: new env.SafeString(title),
+    body: templates[name](context)
+  });
+
+  return {
+    subject,
+    html,
+    text: htmlToText(html)
+  };
+};
+
+module.exports = {
+  renderEmail,
+  htmlToText,
+  decodeEntities
+};
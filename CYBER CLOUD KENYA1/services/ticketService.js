@@ -0,0 +1,179 @@
+const Contact = require('../models/Contact');
+const { htmlToText } = require('./templateService');
+const { sendTicketReply, sendTicketClientReply } = require('./emailService');
+
+// Ticket references as they appear in subject lines, e.g. [CCK-7F3A9C21]
+const TICKET_NUMBER_PATTERN = /\bCCK-[0-9A-F]{8}\b/i;
+
+// Lines that start the quoted original in a reply
+const QUOTE_MARKERS = [
+  /^On .+wrote:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{5,}\s*$/,
+  /^From:\s.+/,
+  /^Sent from my /i
+];
+
+const extractEmail = (value) => {
+  const match = String(value || '').match(/<?([^\s<>,;"]+@[^\s<>,;"]+)>?/);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Every address in a comma-separated header such as To or Cc
+const extractEmails = (value) => String(value || '')
+  .split(',')
+  .map(extractEmail)
+  .filter(Boolean);
+
+// Message-IDs in an In-Reply-To or References header
+const extractMessageIds = (value) => String(value || '').match(/<[^<>\s]+>/g) || [];
+
+// Header value from a Postmark-style [{ Name, Value }] list
+const findHeader = (headers, name) => {
+  const header = (Array.isArray(headers) ? headers : [])
+    .find(item => String(item.Name || item.name).toLowerCase() === name.toLowerCase());
+  return header ? header.Value || header.value : undefined;
+};
+
+// The new part of a reply, without the quoted email underneath
+const stripQuotedReply = (text) => {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (const line of lines) {
+    if (QUOTE_MARKERS.some(marker => marker.test(line.trim()))) break;
+    if (/^\s*>/.test(line)) continue;
+    kept.push(line);
+  }
+
+  return kept.join('\n').trim();
+};
+
+// Normalize an inbound email webhook payload. Accepts Postmark's JSON, Mailgun's form fields
+// and a plain { from, to, subject, text, messageId, inReplyTo, references } object.
+const parseInboundEmail = (payload = {}) => {
+  const headers = payload.Headers;
+
+  const from = extractEmail(
+    (payload.FromFull && payload.FromFull.Email) || payload.From || payload.from || payload.sender
+  );
+
+  const to = [
+    payload.To, payload.Cc, payload.OriginalRecipient,
+    payload.to, payload.cc, payload.recipient
+  ].flatMap(extractEmails);
+
+  // Prefer the provider's own quote stripping when it offers it
+  const strippedText = payload.StrippedTextReply || payload['stripped-text'];
+  const fullText = payload.TextBody || payload['body-plain'] || payload.text ||
+    htmlToText(payload.HtmlBody || payload['body-html'] || payload.html || '');
+
+  const messageId = extractMessageIds(
+    findHeader(headers, 'Message-ID') || payload['Message-Id'] || payload.messageId
+  )[0] || (payload.MessageID ? `<${payload.MessageID}>` : undefined);
+
+  const threadIds = [
+    findHeader(headers, 'In-Reply-To'), findHeader(headers, 'References'),
+    payload['In-Reply-To'], payload.References,
+    payload.inReplyTo, [].concat(payload.references || []).join(' ')
+  ].flatMap(extractMessageIds);
+
+  return {
+    from,
+    to,
+    subject: payload.Subject || payload.subject || '',
+    body: strippedText ? String(strippedText).trim() : stripQuotedReply(fullText),
+    messageId,
+    threadIds: [...new Set(threadIds)]
+  };
+};
+
+// Ticket an inbound email replies to, or null. A signed reply address is trusted on its own;
+// a matching Message-ID or ticket number also needs the email to come from the client.
+const findTicketForEmail = async (email) => {
+  for (const address of email.to) {
+    const contact = await Contact.findByReplyAddress(address);
+    if (contact) return contact;
+  }
+
+  const fromClient = (contact) => contact && contact.email === email.from ? contact : null;
+
+  if (email.threadIds.length > 0) {
+    const contact = await Contact.findOne({ 'messages.messageId': { $in: email.threadIds } });
+    if (fromClient(contact)) return contact;
+  }
+
+  const ticketNumber = email.subject.match(TICKET_NUMBER_PATTERN);
+  if (ticketNumber) {
+    const contact = await Contact.findOne({ ticketNumber: ticketNumber[0].toUpperCase() });
+    if (fromClient(contact)) return contact;
+  }
+
+  return null;
+};
+
+// Add a staff reply to a ticket's thread and email it to the client.
+// Returns { message, emailResult }; the reply is kept even if the email could not be queued.
+const addStaffReply = async (contact, body, author) => {
+  const message = contact.addMessage({
+    direction: 'outbound',
+    body,
+    author: author._id,
+    messageId: contact.createMessageId()
+  });
+  await contact.save();
+
+  const emailResult = await sendTicketReply(contact, message, author.name);
+  if (emailResult.success) {
+    message.emailJob = emailResult.jobId;
+    await contact.save();
+  } else {
+    console.warn('Ticket reply email failed:', emailResult.error);
+  }
+
+  return { message, emailResult };
+};
+
+// Append an inbound email to its ticket's thread and tell the assignee (or the admin inbox).
+// Returns { contact, message }, with contact null when no ticket matched.
+const addInboundReply = async (payload) => {
+  const email = parseInboundEmail(payload);
+
+  if (!email.from || !email.body) {
+    return { contact: null, message: null };
+  }
+
+  const contact = await findTicketForEmail(email);
+  if (!contact) {
+    return { contact: null, message: null };
+  }
+
+  // Providers retry webhooks, so the same email can arrive twice
+  if (email.messageId && contact.messages.some(message => message.messageId === email.messageId)) {
+    return { contact, message: null };
+  }
+
+  const message = contact.addMessage({
+    direction: 'inbound',
+    body: email.body.slice(0, 10000),
+    from: email.from,
+    messageId: email.messageId
+  });
+  await contact.save();
+
+  await contact.populate('assignedTo', 'email');
+  const notice = await sendTicketClientReply(contact, message, contact.assignedTo && contact.assignedTo.email);
+  if (!notice.success) {
+    console.warn('Ticket reply notice failed:', notice.error);
+  }
+
+  return { contact, message };
+};
+
+module.exports = {
+  stripQuotedReply,
+  parseInboundEmail,
+  findTicketForEmail,
+  addStaffReply,
+  addInboundReply
+};
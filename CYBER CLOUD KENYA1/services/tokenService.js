@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+// Refresh tokens are random strings stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Generate a short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+  });
+};
+
+// Generate a short-lived token proving the password step of a two-factor login
+const generateTwoFactorToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_TOKEN_EXPIRE || '5m'
+  });
+};
+
+// Verify a two-factor login token and return the user id, or null
+const verifyTwoFactorToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Store a new refresh token in the given session and return the raw value
+const createRefreshToken = async (userId, family, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const record = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: getRefreshExpiry(),
+    ipAddress: req && req.ip,
+    userAgent: req && req.get('User-Agent')
+  });
+
+  return { refreshToken, record };
+};
+
+// Start a new session and issue its first access and refresh tokens
+const issueSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  const { refreshToken } = await createRefreshToken(user._id, sessionId, req);
+
+  return {
+    token: generateAccessToken(user._id, sessionId),
+    refreshToken,
+    sessionId
+  };
+};
+
+// Exchange a refresh token for a new pair, revoking the one presented
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Revoke the token in the same step that checks it, so two refreshes racing with the
+  // same token cannot both be given a successor
+  const existing = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: true }
+  );
+
+  if (!existing) {
+    const spent = await RefreshToken.findOne({ tokenHash });
+
+    if (!spent) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (!spent.revokedAt) {
+      return { error: 'Refresh token has expired' };
+    }
+
+    // A rotated token being replayed means it leaked; end the whole session
+    if (spent.revokedReason === 'rotated') {
+      await RefreshToken.revokeFamily(spent.family, 'reuse-detected');
+      console.warn('Refresh token reuse detected for user', spent.user.toString());
+    }
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  const { refreshToken: nextToken, record } = await createRefreshToken(existing.user, existing.family, req);
+
+  existing.replacedBy = record._id;
+  await existing.save();
+
+  return {
+    userId: existing.user,
+    token: generateAccessToken(existing.user, existing.family),
+    refreshToken: nextToken,
+    sessionId: existing.family
+  };
+};
+
+// Find the session a refresh token belongs to
+const findSessionByRefreshToken = async (refreshToken) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  return existing ? existing.family : null;
+};
+
+// End a single session
+const revokeSession = (sessionId, reason = 'logout') => {
+  return RefreshToken.revokeFamily(sessionId, reason);
+};
+
+// End every session a user has
+const revokeAllSessions = (userId, reason = 'logout-all') => {
+  return RefreshToken.revokeAllForUser(userId, reason);
+};
+
+// Cookie settings shared by every auth cookie
+const cookieOptions = (overrides = {}) => ({
+  secure: process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+  sameSite: process.env.COOKIE_SAME_SITE || 'strict',
+  path: '/',
+  ...overrides
+});
+
+// Set HttpOnly auth cookies plus a readable CSRF cookie; returns the CSRF token
+const setAuthCookies = (res, { token, refreshToken }) => {
+  const maxAge = (parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+
+  // The access cookie lasts for the browser session; the JWT itself expires much sooner
+  res.cookie('token', token, cookieOptions({ httpOnly: true }));
+  res.cookie('refreshToken', refreshToken, cookieOptions({ httpOnly: true, path: '/api/auth', maxAge }));
+  // Readable by page scripts so they can echo it in the X-CSRF-Token header
+  res.cookie('csrfToken', csrfToken, cookieOptions({ httpOnly: false, maxAge }));
+
+  return csrfToken;
+};
+
+// Remove every auth cookie
+const clearAuthCookies = (res) => {
+  res.clearCookie('token', cookieOptions({ httpOnly: true }));
+  res.clearCookie('refreshToken', cookieOptions({ httpOnly: true, path: '/api/auth' }));
+  res.clearCookie('csrfToken', cookieOptions({ httpOnly: false }));
+};
+
+// List a user's active sessions, newest first
+const listActiveSessions = async (userId) => {
+  const tokens = await RefreshToken.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+
+  return tokens.map(token => ({
+    id: token.family,
+    ipAddress: token.ipAddress,
+    userAgent: token.userAgent,
+    lastUsedAt: token.createdAt,
+    expiresAt: token.expiresAt
+  }));
+};
+
+module.exports = {
+  generateAccessToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+  issueSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  setAuthCookies,
+  clearAuthCookies
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords, compatible with Google Authenticator and Authy
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Generate the one-time password for a counter value (RFC 4226)
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Generate a new random secret
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Build the otpauth:// URI authenticator apps read from a QR code
+const getProvisioningUri = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Cyber Cloud Kenya';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Check a code against the secret, allowing one step of clock drift either way.
+// Returns the matching time step so callers can refuse a code that was already used.
+const verifyCode = (secret, code, lastUsedStep) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const step = currentStep();
+  for (let drift = -1; drift <= 1; drift++) {
+    const counter = step + drift;
+    if (lastUsedStep !== undefined && lastUsedStep !== null && counter <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return counter;
+    }
+  }
+  return null;
+};
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// Generate single-use backup codes; returns the codes to show once and the hashes to store
+const generateBackupCodes = (count = 10) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(4).toString('hex');
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+module.exports = {
+  generateSecret,
+  generateHotp,
+  getProvisioningUri,
+  verifyCode,
+  generateBackupCodes,
+  hashBackupCode
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const CampaignEvent = require('../models/CampaignEvent');
+const { decodeEntities } = require('./templateService');
+
+// Links reported by the analytics endpoint
+const TOP_LINKS_LIMIT = 10;
+
+// 1x1 transparent GIF served by the open-tracking pixel
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// First-event timestamps kept on the delivery for each event type
+const FIRST_EVENT_FIELDS = {
+  open: 'openedAt',
+  click: 'clickedAt',
+  unsubscribe: 'unsubscribedAt'
+};
+
+// Tracking links are signed so they cannot be forged for other deliveries or, for
+// clicks, pointed at another URL
+const signTrackingValue = (deliveryId, purpose) => crypto
+  .createHmac('sha256', process.env.NEWSLETTER_TOKEN_SECRET || process.env.JWT_SECRET)
+  .update(`tracking:${deliveryId}:${purpose}`)
+  .digest('base64url');
+
+// Token for one delivery and purpose: 'open', 'unsubscribe' or `click:<url>`
+const createTrackingToken = (deliveryId, purpose) => {
+  const id = deliveryId.toString();
+  return `${id}.${signTrackingValue(id, purpose)}`;
+};
+
+// Delivery id a tracking token was signed for, or null if it does not match the purpose
+const verifyTrackingToken = (token, purpose) => {
+  const [id, signature] = String(token || '').split('.');
+  if (!/^[0-9a-fA-F]{24}$/.test(id) || !signature) return null;
+
+  const expected = Buffer.from(signTrackingValue(id, purpose));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return id;
+};
+
+const getTrackingBaseUrl = () => `${process.env.API_URL || process.env.FRONTEND_URL}/api/newsletter/track`;
+
+const getOpenUrl = (deliveryId) => `${getTrackingBaseUrl()}/open/${createTrackingToken(deliveryId, 'open')}`;
+
+const getClickUrl = (deliveryId, url) => {
+  const token = createTrackingToken(deliveryId, `click:${url}`);
+  return `${getTrackingBaseUrl()}/click/${token}?url=${encodeURIComponent(url)}`;
+};
+
+// Route the web links in a newsletter through the click tracker and add an open pixel.
+// Links starting with one of `skip` (unsubscribe and preference links) are left alone.
+const injectTracking = (html, deliveryId, { skip = [] } = {}) => {
+  const tracked = html.replace(/<a\s([^>]*?)href="([^"]*)"/gi, (match, attributes, href) => {
+    const url = decodeEntities(href);
+    if (!/^https?:\/\//i.test(url) || skip.some(prefix => url.startsWith(prefix))) {
+      return match;
+    }
+    return `<a ${attributes}href="${getClickUrl(deliveryId, url)}"`;
+  });
+
+  const pixel = `<img src="${getOpenUrl(deliveryId)}" width="1" height="1" alt="" style="display: block; width: 1px; height: 1px; border: 0;">`;
+  return `${tracked}${pixel}`;
+};
+
+// Store an event for a delivery and stamp the delivery's first-event time.
+// A click also counts as an open, since many clients block the pixel.
+const recordEvent = async (deliveryId, type, { url, ipAddress, userAgent } = {}) => {
+  const delivery = await CampaignDelivery.findById(deliveryId);
+  if (!delivery) return null;
+
+  await CampaignEvent.create({
+    campaign: delivery.campaign,
+    delivery: delivery._id,
+    subscriber: delivery.subscriber,
+    type,
+    url,
+    ipAddress,
+    userAgent
+  });
+
+  const now = new Date();
+  const fields = type === 'click' ? ['openedAt', 'clickedAt'] : [FIRST_EVENT_FIELDS[type]];
+  for (const field of fields) {
+    await CampaignDelivery.updateOne({ _id: delivery._id, [field]: null }, { [field]: now });
+  }
+
+  return delivery;
+};
+
+// Percentage rounded to two decimals; 0 when nothing was sent
+const toRate = (count, total) => (total ? Math.round((count / total) * 10000) / 100 : 0);
+
+// Open, click and unsubscribe figures for one campaign
+const getCampaignAnalytics = async (campaignId) => {
+  const campaign = new mongoose.Types.ObjectId(campaignId);
+
+  const [
+    delivered,
+    failed,
+    uniqueOpens,
+    uniqueClicks,
+    unsubscribes,
+    totalOpens,
+    totalClicks,
+    topLinks
+  ] = await Promise.all([
+    CampaignDelivery.countDocuments({ campaign, status: 'sent' }),
+    CampaignDelivery.countDocuments({ campaign, status: 'failed' }),
+    CampaignDelivery.countDocuments({ campaign, openedAt: { $ne: null } }),
+    CampaignDelivery.countDocuments({ campaign, clickedAt: { $ne: null } }),
+    CampaignDelivery.countDocuments({ campaign, unsubscribedAt: { $ne: null } }),
+    CampaignEvent.countDocuments({ campaign, type: 'open' }),
+    CampaignEvent.countDocuments({ campaign, type: 'click' }),
+    CampaignEvent.aggregate([
+      { $match: { campaign, type: 'click' } },
+      {
+        $group: {
+          _id: '$url',
+          clicks: { $sum: 1 },
+          deliveries: { $addToSet: '$delivery' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          url: '$_id',
+          clicks: 1,
+          uniqueClicks: { $size: '$deliveries' }
+        }
+      },
+      { $sort: { clicks: -1 } },
+      { $limit: TOP_LINKS_LIMIT }
+    ])
+  ]);
+
+  return {
+    delivered,
+    failed,
+    opens: {
+      unique: uniqueOpens,
+      total: totalOpens,
+      rate: toRate(uniqueOpens, delivered)
+    },
+    clicks: {
+      unique: uniqueClicks,
+      total: totalClicks,
+      rate: toRate(uniqueClicks, delivered),
+      clickToOpenRate: toRate(uniqueClicks, uniqueOpens)
+    },
+    unsubscribes: {
+      count: unsubscribes,
+      rate: toRate(unsubscribes, delivered)
+    },
+    topLinks
+  };
+};
+
+module.exports = {
+  TRACKING_PIXEL,
+  createTrackingToken,
+  verifyTrackingToken,
+  injectTracking,
+  recordEvent,
+  getCampaignAnalytics
+};
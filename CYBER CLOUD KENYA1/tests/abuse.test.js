@@ -0,0 +1,224 @@
+const request = require('supertest');
+const Contact = require('../models/Contact');
+const FormSubmission = require('../models/FormSubmission');
+const emailService = require('../services/emailService');
+const contactRoutes = require('../routes/contact');
+const quarantineRoutes = require('../routes/quarantine');
+const { createFormToken, getFormTokenAge, evaluateSubmission } = require('../services/abuseService');
+const { createApp, mockFindById, mockSave, mockAudit, signIn, mockEmails } = require('./helpers');
+
+jest.mock('../services/emailService');
+
+const contactApp = createApp('/api/contact', contactRoutes);
+const quarantineApp = createApp('/api/admin/quarantine', quarantineRoutes);
+
+// A form token issued `seconds` ago
+const formTokenFrom = (seconds, form = 'contact') => {
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValueOnce(now - seconds * 1000);
+  return createFormToken(form);
+};
+
+const submission = (fields = {}) => ({
+  form: 'contact',
+  email: 'wanjiku@example.com',
+  ipAddress: '10.0.0.1',
+  text: 'How much is the video editing course?',
+  body: { formToken: formTokenFrom(60) },
+  ...fields
+});
+
+beforeEach(() => {
+  mockEmails(emailService);
+  jest.spyOn(FormSubmission, 'create').mockResolvedValue({});
+  jest.spyOn(FormSubmission, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('form tokens', () => {
+  it('give the time since the form was loaded, for that form only', () => {
+    const token = formTokenFrom(10);
+    const [issuedAt] = token.split('.');
+
+    expect(getFormTokenAge(token, 'contact')).toBeGreaterThanOrEqual(10 * 1000);
+    expect(getFormTokenAge(token, 'newsletter')).toBeNull();
+    expect(getFormTokenAge(`${Number(issuedAt) + 60000}.${token.split('.')[1]}`, 'contact')).toBeNull();
+    expect(getFormTokenAge('nonsense', 'contact')).toBeNull();
+  });
+});
+
+describe('checking a submission', () => {
+  afterEach(() => {
+    delete process.env.ABUSE_REQUIRE_FORM_TOKEN;
+  });
+
+  it('accepts an ordinary submission and records it', async () => {
+    const result = await evaluateSubmission(submission());
+
+    expect(result).toEqual({ verdict: 'accepted', reasons: [] });
+    expect(FormSubmission.create).toHaveBeenCalledWith(expect.objectContaining({
+      form: 'contact',
+      email: 'wanjiku@example.com',
+      ipAddress: '10.0.0.1',
+      verdict: 'accepted'
+    }));
+  });
+
+  it('blocks a filled-in honeypot even when other checks only quarantine', async () => {
+    const result = await evaluateSubmission(submission({
+      text: 'Cheap backlinks for your site',
+      body: { website: 'http://spam.example.com', formToken: formTokenFrom(60) }
+    }));
+
+    expect(result).toEqual({ verdict: 'blocked', reasons: ['honeypot', 'keyword:backlinks'] });
+  });
+
+  it('quarantines forms filled in faster than a person could', async () => {
+    const result = await evaluateSubmission(submission({ body: { formToken: formTokenFrom(1) } }));
+
+    expect(result).toEqual({ verdict: 'quarantined', reasons: ['submitted-too-fast'] });
+  });
+
+  it('blocks forged form tokens, and missing ones when they are required', async () => {
+    expect((await evaluateSubmission(submission({ body: { formToken: '1700000000000.forged' } }))).reasons).toEqual(['form-token-invalid']);
+    expect((await evaluateSubmission(submission({ body: {} }))).verdict).toBe('accepted');
+
+    process.env.ABUSE_REQUIRE_FORM_TOKEN = 'true';
+
+    expect((await evaluateSubmission(submission({ body: {} }))).reasons).toEqual(['form-token-missing']);
+  });
+
+  it('quarantines messages with too many links', async () => {
+    const result = await evaluateSubmission(submission({ text: 'See https://a.example www.b.example <a href="c">c</a>' }));
+
+    expect(result).toEqual({ verdict: 'quarantined', reasons: ['too-many-links'] });
+  });
+
+  it('rejects senders over their quota, not counting blocked bots', async () => {
+    FormSubmission.countDocuments.mockResolvedValueOnce(5);
+
+    const result = await evaluateSubmission(submission());
+
+    expect(result).toEqual({ verdict: 'rejected', reasons: ['email-quota'] });
+    expect(FormSubmission.countDocuments).toHaveBeenCalledWith({
+      form: 'contact',
+      email: 'wanjiku@example.com',
+      createdAt: { $gte: expect.any(Date) },
+      verdict: { $ne: 'blocked' }
+    });
+  });
+
+  it('lets a submission through when a check breaks', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    FormSubmission.countDocuments.mockRejectedValue(new Error('connection lost'));
+
+    expect((await evaluateSubmission(submission())).verdict).toBe('accepted');
+  });
+});
+
+describe('the contact form', () => {
+  let save;
+
+  beforeEach(() => {
+    save = mockSave(Contact);
+  });
+
+  const submit = (fields = {}) => request(contactApp).post('/api/contact').send({
+    name: 'Wanjiku',
+    email: 'wanjiku@example.com',
+    subject: 'Course fees',
+    message: 'How much is the video editing course?',
+    formToken: formTokenFrom(60),
+    ...fields
+  });
+
+  it('hands out a form token and the honeypot field name', async () => {
+    const res = await request(contactApp).get('/api/contact/form-token');
+
+    expect(res.body.data.honeypotField).toBe('website');
+    expect(getFormTokenAge(res.body.data.formToken, 'contact')).not.toBeNull();
+  });
+
+  it('answers a bot as if it had worked but keeps nothing', async () => {
+    const res = await submit({ website: 'http://spam.example.com' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ success: true, message: 'Contact form submitted successfully! We will get back to you soon.' });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('holds suspected spam for review without telling staff', async () => {
+    const res = await submit({ message: 'We offer guaranteed profit on crypto investment' });
+
+    expect(res.status).toBe(201);
+    expect(save.mock.contexts[0]).toMatchObject({ status: 'quarantined' });
+    expect(save.mock.contexts[0].quarantine.reasons).toEqual(['keyword:crypto investment']);
+    expect(emailService.sendContactNotification).not.toHaveBeenCalled();
+  });
+
+  it('tells a sender over their quota to try later', async () => {
+    FormSubmission.countDocuments.mockResolvedValueOnce(5);
+
+    const res = await submit();
+
+    expect(res.status).toBe(429);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('still takes the enquiry when the guard fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    FormSubmission.create.mockRejectedValue(new Error('connection lost'));
+
+    const res = await submit();
+
+    expect(res.status).toBe(201);
+    expect(save.mock.contexts[0].status).toBe('new');
+    expect(emailService.sendContactNotification).toHaveBeenCalled();
+  });
+});
+
+describe('releasing quarantined contacts', () => {
+  let agent;
+
+  beforeEach(() => {
+    agent = signIn({ role: 'support' });
+    mockSave(Contact);
+    mockAudit();
+  });
+
+  const quarantinedContact = () => {
+    const contact = new Contact({ name: 'Wanjiku', email: 'wanjiku@example.com', subject: 'Course fees', message: 'See www.a.example www.b.example www.c.example' });
+    contact.quarantineFor(['too-many-links']);
+    mockFindById(Contact, contact);
+    return contact;
+  };
+
+  it('is limited to contacts:respond', async () => {
+    const { auth } = signIn({ role: 'marketing' });
+
+    const res = await request(quarantineApp).post(`/api/admin/quarantine/contacts/${quarantinedContact()._id}/release`).set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('only releases quarantined submissions', async () => {
+    const contact = quarantinedContact();
+    contact.status = 'new';
+
+    const res = await request(quarantineApp).post(`/api/admin/quarantine/contacts/${contact._id}/release`).set('Authorization', agent.auth);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('moves the submission into the helpdesk and tells staff', async () => {
+    const contact = quarantinedContact();
+
+    const res = await request(quarantineApp).post(`/api/admin/quarantine/contacts/${contact._id}/release`).set('Authorization', agent.auth);
+
+    expect(res.status).toBe(200);
+    expect(contact.status).toBe('new');
+    expect(contact.quarantine.releasedBy).toEqual(agent.user._id);
+    expect(contact.sla.dueAt).toBeInstanceOf(Date);
+    expect(emailService.sendContactNotification).toHaveBeenCalledWith(contact);
+  });
+});
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const adminRoutes = require('../routes/admin');
+const authRoutes = require('../routes/auth');
+const { snapshot } = require('../middleware/audit');
+const totp = require('../services/totpService');
+const { createApp, mockQuery, mockFindById, mockSave, mockAudit, storedUser, signIn, TEST_PASSWORD } = require('./helpers');
+
+const app = createApp('/api/admin', adminRoutes);
+const authApp = createApp('/api/auth', authRoutes);
+
+// Audit entries are written once the response has finished
+const auditWritten = () => new Promise(resolve => setImmediate(resolve));
+
+describe('recording privileged actions', () => {
+  beforeEach(() => {
+    mockSave(User);
+    mockAudit();
+  });
+
+  it('records who changed what, with a field diff', async () => {
+    const admin = signIn({ role: 'super-admin' });
+    const target = storedUser();
+    mockFindById(User, target);
+
+    await request(app)
+      .put(`/api/admin/users/${target._id}/role`)
+      .set('Authorization', admin.auth)
+      .set('User-Agent', 'audit-test')
+      .send({ role: 'support' });
+    await auditWritten();
+
+    expect(AuditLog.create).toHaveBeenCalledTimes(1);
+    const entry = AuditLog.create.mock.calls[0][0];
+    expect(entry).toMatchObject({
+      actor: admin.user._id,
+      actorEmail: admin.user.email,
+      actorRole: 'super-admin',
+      action: 'user.role-change',
+      targetType: 'User',
+      targetId: String(target._id),
+      method: 'PUT',
+      statusCode: 200,
+      userAgent: 'audit-test'
+    });
+    expect(entry.changes).toEqual([{ field: 'role', from: 'user', to: 'support' }]);
+    expect(entry.before.password).toBeUndefined();
+    expect(entry.after.password).toBeUndefined();
+  });
+
+  it('records nothing for a refused action', async () => {
+    const admin = signIn({ role: 'admin' });
+    const target = storedUser();
+    mockFindById(User, target);
+
+    const res = await request(app).put(`/api/admin/users/${target._id}/role`).set('Authorization', admin.auth).send({ role: 'admin' });
+    await auditWritten();
+
+    expect(res.status).toBe(403);
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+
+  it('records a user turning off two-factor authentication', async () => {
+    const session = signIn({ role: 'admin' });
+    const secret = totp.generateSecret();
+    session.user.twoFactor = { enabled: true, secret };
+
+    await request(authApp)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', session.auth)
+      .send({ password: TEST_PASSWORD, code: totp.generateHotp(secret, Math.floor(Date.now() / 30000)) });
+    await auditWritten();
+
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      actor: session.user._id,
+      action: 'user.2fa-disable',
+      targetType: 'User',
+      targetId: String(session.user._id)
+    }));
+  });
+
+  it('never copies secrets into a snapshot', () => {
+    const user = storedUser({ twoFactor: { enabled: true, secret: 'SECRET' }, passwordResetToken: 'hash' });
+
+    const copy = snapshot(user);
+
+    expect(copy).toMatchObject({ email: user.email, role: 'user' });
+    ['password', 'twoFactor', 'passwordResetToken', '__v'].forEach(field => expect(copy).not.toHaveProperty(field));
+  });
+});
+
+describe('reading the audit log', () => {
+  let auditor;
+
+  beforeEach(() => {
+    auditor = signIn({ role: 'admin' });
+    jest.spyOn(AuditLog, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(0);
+  });
+
+  const readLog = (query) => request(app).get('/api/admin/audit-log').query(query).set('Authorization', auditor.auth);
+
+  it('is limited to audit:read', async () => {
+    const { auth } = signIn({ role: 'support' });
+
+    const res = await request(app).get('/api/admin/audit-log').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('rejects malformed filters instead of querying with them', async () => {
+    const res = await readLog({ action: 'user.update.$where', targetId: 'abc', from: 'yesterday', format: 'xml' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['action', 'targetId', 'from', 'format']);
+    expect(AuditLog.find).not.toHaveBeenCalled();
+  });
+
+  it('rejects filters sent as objects', async () => {
+    const res = await request(app).get('/api/admin/audit-log?actor[$ne]=x').set('Authorization', auditor.auth);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('filters by actor email, action prefix and date range', async () => {
+    const res = await readLog({ actor: 'Wanjiku@Example.com', action: 'user', from: '2030-01-01', to: '2030-01-31' });
+
+    expect(res.status).toBe(200);
+    expect(AuditLog.find).toHaveBeenCalledWith({
+      actorEmail: 'wanjiku@example.com',
+      action: { $regex: '^user\\.' },
+      createdAt: { $gte: new Date('2030-01-01'), $lte: new Date('2030-01-31') }
+    });
+  });
+
+  it('exports CSV with formula-like cells neutralised', async () => {
+    AuditLog.find.mockReturnValue(mockQuery([{
+      createdAt: new Date('2030-01-01T08:00:00Z'),
+      actorEmail: 'admin@example.com',
+      actorRole: 'admin',
+      action: 'user.update',
+      targetType: 'User',
+      targetId: '64b7f0c2a1b2c3d4e5f60718',
+      changes: [],
+      userAgent: '=HYPERLINK("http://evil")'
+    }]));
+
+    const res = await readLog({ format: 'csv' });
+
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    const [header, row] = res.text.split('\r\n');
+    expect(header).toMatch(/^timestamp,actorEmail/);
+    expect(row).toContain('"\'=HYPERLINK(""http://evil"")"');
+  });
+});
@@ -0,0 +1,362 @@
+const request = require('supertest');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Quote = require('../models/Quote');
+const emailService = require('../services/emailService');
+const invoiceRoutes = require('../routes/invoices');
+const quotationRoutes = require('../routes/quotations');
+const { nextDocumentNumber, markOverdueInvoices } = require('../services/billingService');
+const { createApp, mockFindById, mockSave, mockAudit, signIn, mockEmails } = require('./helpers');
+
+jest.mock('../services/emailService');
+
+const invoiceApp = createApp('/api/invoices', invoiceRoutes);
+const quotationApp = createApp('/api/quotations', quotationRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const client = { name: 'Baraka Bakery', email: 'accounts@baraka.example.com' };
+
+const newInvoice = (fields = {}) => new Invoice({
+  client,
+  items: [{ description: 'Website design', quantity: 1, unitPrice: 50000 }],
+  ...fields
+});
+
+// A draft invoice as loaded from the database, with its totals worked out
+const savedDraft = async (fields = {}) => {
+  const invoice = newInvoice(fields);
+  await invoice.validate();
+  return invoice;
+};
+
+const issuedInvoice = async (fields = {}) => {
+  const invoice = await savedDraft(fields);
+  invoice.issue('INV-2026-0001');
+  return invoice;
+};
+
+beforeEach(() => {
+  mockEmails(emailService);
+  mockSave(Invoice);
+  mockSave(Quote);
+  mockAudit();
+});
+
+describe('totals', () => {
+  it('take the discount off before charging 16% VAT', () => {
+    const items = [{ quantity: 2, unitPrice: 100 }];
+
+    expect(Quote.calculateTotals(items, { type: 'percent', value: 10 }, 0.16)).toEqual({
+      subtotal: 200,
+      discountAmount: 20,
+      vatAmount: 28.8,
+      total: 208.8
+    });
+    expect(items[0].amount).toBe(200);
+  });
+
+  it('spread the discount so VAT-exempt lines carry their share', () => {
+    const items = [
+      { quantity: 1, unitPrice: 1000 },
+      { quantity: 1, unitPrice: 1000, vatExempt: true }
+    ];
+
+    expect(Quote.calculateTotals(items, { type: 'amount', value: 500 }, 0.16)).toEqual({
+      subtotal: 2000,
+      discountAmount: 500,
+      vatAmount: 120,
+      total: 1620
+    });
+  });
+
+  it('never discount more than the subtotal', () => {
+    const items = [{ quantity: 1, unitPrice: 100 }];
+
+    expect(Quote.calculateTotals(items, { type: 'amount', value: 500 }, 0.16).total).toBe(0);
+    expect(Quote.calculateTotals(items, { type: 'percent', value: 150 }, 0.16).total).toBe(0);
+  });
+
+  it('round to the cent', () => {
+    const items = [{ quantity: 3, unitPrice: 33.33 }];
+
+    expect(Quote.calculateTotals(items, {}, 0.16)).toEqual({
+      subtotal: 99.99,
+      discountAmount: 0,
+      vatAmount: 16,
+      total: 115.99
+    });
+  });
+
+  it('are kept up to date whenever a document is saved', async () => {
+    const invoice = newInvoice({ discount: { type: 'percent', value: 10 } });
+
+    await invoice.save();
+
+    expect(invoice).toMatchObject({ subtotal: 50000, discountAmount: 5000, vatAmount: 7200, total: 52200 });
+  });
+});
+
+describe('invoice numbers and status', () => {
+  it('are numbered per year from an atomic counter', async () => {
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 42 });
+
+    expect(await nextDocumentNumber('INV', new Date('2026-03-01'))).toBe('INV-2026-0042');
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'INV-2026' }, { $inc: { seq: 1 } }, { new: true, upsert: true }
+    );
+  });
+
+  it('get a due date when issued', async () => {
+    const invoice = await issuedInvoice();
+
+    expect(invoice.status).toBe('sent');
+    expect(invoice.dueDate.getTime() - invoice.issueDate.getTime()).toBe(14 * DAY);
+    expect(invoice.paymentReference).toBe('INV20260001');
+  });
+
+  it('follow what has been paid and the due date', async () => {
+    const invoice = await issuedInvoice();
+
+    invoice.amountPaid = 20000;
+    invoice.refreshStatus();
+    expect(invoice.status).toBe('partially-paid');
+
+    invoice.refreshStatus(new Date(invoice.dueDate.getTime() + DAY));
+    expect(invoice.status).toBe('overdue');
+
+    invoice.amountPaid = invoice.total;
+    invoice.refreshStatus();
+    expect(invoice.status).toBe('paid');
+    expect(invoice.paidAt).toBeInstanceOf(Date);
+    expect(invoice.balance).toBe(0);
+  });
+
+  it('only go overdue while a balance is left', async () => {
+    jest.spyOn(Invoice, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    expect(await markOverdueInvoices()).toBe(3);
+    expect(Invoice.updateMany).toHaveBeenCalledWith(
+      { status: { $in: ['sent', 'partially-paid'] }, dueDate: { $lt: expect.any(Date) } },
+      { $set: { status: 'overdue' } }
+    );
+  });
+});
+
+describe('invoice routes', () => {
+  let admin;
+
+  beforeEach(() => {
+    admin = signIn({ role: 'admin', name: 'Otieno' });
+  });
+
+  it('require a login', async () => {
+    const res = await request(invoiceApp).get('/api/invoices');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('are limited to billing staff', async () => {
+    const { auth } = signIn({ role: 'support' });
+
+    const res = await request(invoiceApp).post('/api/invoices').set('Authorization', auth).send({});
+
+    expect(res.status).toBe(403);
+  });
+
+  it('validate the client, items and discount', async () => {
+    const res = await request(invoiceApp)
+      .post('/api/invoices')
+      .set('Authorization', admin.auth)
+      .send({
+        client: { name: 'Baraka Bakery', email: 'nope', kraPin: '12345' },
+        items: [{ description: 'Website design', quantity: 0, unitPrice: -1 }],
+        discount: { type: 'percent', value: 120 }
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual([
+      'client.email', 'client.kraPin', 'items[0].quantity', 'items[0].unitPrice', 'discount.value'
+    ]);
+  });
+
+  it('create drafts without using up an invoice number', async () => {
+    const counter = jest.spyOn(Counter, 'findOneAndUpdate');
+
+    const res = await request(invoiceApp)
+      .post('/api/invoices')
+      .set('Authorization', admin.auth)
+      .send({ client, items: [{ description: 'Website design', quantity: 2, unitPrice: 100 }], discount: { type: 'percent', value: 10 } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'draft', subtotal: 200, discountAmount: 20, vatAmount: 28.8, total: 208.8 });
+    expect(res.body.data.invoiceNumber).toBeUndefined();
+    expect(counter).not.toHaveBeenCalled();
+  });
+
+  it('number a draft when it is sent and email it as a PDF', async () => {
+    const invoice = await savedDraft();
+    mockFindById(Invoice, invoice);
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 7 });
+
+    const res = await request(invoiceApp).post(`/api/invoices/${invoice._id}/send`).set('Authorization', admin.auth);
+
+    expect(res.status).toBe(200);
+    expect(invoice).toMatchObject({ status: 'sent', invoiceNumber: `INV-${new Date().getFullYear()}-0007` });
+    const [sentInvoice, pdf] = emailService.sendInvoice.mock.calls[0];
+    expect(sentInvoice).toBe(invoice);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('serve the invoice as a PDF', async () => {
+    const invoice = await issuedInvoice();
+    mockFindById(Invoice, invoice);
+
+    const res = await request(invoiceApp).get(`/api/invoices/${invoice._id}/pdf`).set('Authorization', admin.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toContain('INV-2026-0001.pdf');
+  });
+});
+
+describe('recording invoice payments', () => {
+  let admin;
+  let invoice;
+
+  beforeEach(async () => {
+    admin = signIn({ role: 'admin' });
+    invoice = await issuedInvoice();
+    mockFindById(Invoice, invoice);
+    mockSave(Payment);
+  });
+
+  const recordPayment = (body) => request(invoiceApp)
+    .post(`/api/invoices/${invoice._id}/payments`)
+    .set('Authorization', admin.auth)
+    .send(body);
+
+  it('need an M-Pesa receipt number for M-Pesa payments', async () => {
+    const res = await recordPayment({ amount: 1000, method: 'mpesa' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].path).toBe('reference');
+  });
+
+  it('cannot be more than the balance', async () => {
+    const res = await recordPayment({ amount: invoice.total + 1, method: 'cash' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/outstanding balance of KES 58000/);
+  });
+
+  it('are not taken on drafts', async () => {
+    invoice.status = 'draft';
+
+    const res = await recordPayment({ amount: 1000, method: 'cash' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('update the amount paid from completed payments', async () => {
+    jest.spyOn(Payment, 'aggregate').mockResolvedValue([{ _id: null, total: 20000 }]);
+
+    const res = await recordPayment({ amount: 20000, method: 'mpesa', reference: 'qkl7xyz123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.payment).toMatchObject({ status: 'completed', mpesaReceiptNumber: 'QKL7XYZ123' });
+    expect(Payment.aggregate.mock.calls[0][0][0]).toEqual({ $match: { invoice: invoice._id, status: 'completed' } });
+    expect(invoice).toMatchObject({ amountPaid: 20000, status: 'partially-paid', balance: 38000 });
+  });
+
+  it('mark the invoice paid once the balance is cleared', async () => {
+    jest.spyOn(Payment, 'aggregate').mockResolvedValue([{ _id: null, total: 58000 }]);
+
+    const res = await recordPayment({ amount: 58000, method: 'bank-transfer', reference: 'FT2601' });
+
+    expect(res.body.message).toBe('Payment recorded. The invoice is now paid in full.');
+    expect(invoice.status).toBe('paid');
+  });
+});
+
+describe('invoicing a quotation', () => {
+  let admin;
+
+  beforeEach(() => {
+    admin = signIn({ role: 'admin' });
+  });
+
+  const newQuote = (fields = {}) => new Quote({
+    quoteNumber: 'QUO-2026-0003',
+    client,
+    items: [{ description: 'Security audit', quantity: 1, unitPrice: 80000 }],
+    discount: { type: 'amount', value: 10000 },
+    ...fields
+  });
+
+  const invoiceQuote = (quote) => request(quotationApp).post(`/api/quotations/${quote._id}/invoice`).set('Authorization', admin.auth);
+
+  // The quotation as the atomic claim finds it, or nothing when it is not accepted
+  const mockClaim = (quote) => {
+    mockFindById(Quote, quote);
+    return jest.spyOn(Quote, 'findOneAndUpdate').mockResolvedValue(quote.status === 'accepted' ? quote : null);
+  };
+
+  it('needs the client to have accepted it', async () => {
+    const quote = newQuote({ status: 'sent' });
+    mockClaim(quote);
+
+    const res = await invoiceQuote(quote);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Only accepted quotations can be invoiced');
+  });
+
+  it('raises only one invoice when asked twice at once', async () => {
+    const quote = newQuote({ status: 'invoiced' });
+    mockClaim(quote);
+
+    const res = await invoiceQuote(quote);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('An invoice has already been raised for this quotation');
+    expect(Invoice.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('raises a draft invoice with the same items and terms', async () => {
+    const quote = newQuote({ status: 'accepted', terms: '50% deposit' });
+    const claim = mockClaim(quote);
+
+    const res = await invoiceQuote(quote);
+
+    expect(res.status).toBe(201);
+    expect(claim).toHaveBeenCalledWith(
+      { _id: String(quote._id), status: 'accepted' },
+      { status: 'invoiced', updatedBy: admin.user._id }
+    );
+    expect(res.body.data).toMatchObject({
+      status: 'draft',
+      quote: String(quote._id),
+      terms: '50% deposit',
+      subtotal: 80000,
+      discountAmount: 10000,
+      vatAmount: 11200,
+      total: 81200
+    });
+    expect(quote).toMatchObject({ status: 'invoiced', invoice: expect.anything() });
+  });
+
+  it('hands the quotation back when the invoice cannot be saved', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const quote = newQuote({ status: 'accepted' });
+    mockClaim(quote);
+    Invoice.prototype.save.mockRejectedValue(new Error('connection lost'));
+    const release = jest.spyOn(Quote, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await invoiceQuote(quote);
+
+    expect(res.status).toBe(500);
+    expect(release).toHaveBeenCalledWith({ _id: quote._id, status: 'invoiced' }, { status: 'accepted' });
+  });
+});
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Campaign = require('../models/Campaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const Newsletter = require('../models/Newsletter');
+const emailService = require('../services/emailService');
+const campaignWorker = require('../workers/campaignWorker');
+const campaignRoutes = require('../routes/campaigns');
+const { processDueCampaigns } = require('../services/campaignService');
+const { createApp, mockFindById, mockSave, mockAudit, signIn, mockEmails } = require('./helpers');
+
+jest.mock('../services/emailService');
+jest.mock('../workers/campaignWorker');
+
+const app = createApp('/api/admin/campaigns', campaignRoutes);
+
+const newCampaign = (fields = {}) => new Campaign({
+  subject: 'January intake is open',
+  content: 'Applications for the January intake are now open.',
+  ...fields
+});
+
+const subscribers = (count) => Array.from({ length: count }, (value, i) => {
+  const subscriber = new Newsletter({ email: `subscriber${i}@example.com` });
+  subscriber.confirm();
+  return subscriber;
+});
+
+describe('claiming due campaigns', () => {
+  let campaign;
+  let saveDelivery;
+
+  beforeEach(() => {
+    mockEmails(emailService);
+    mockSave(Campaign);
+    saveDelivery = mockSave(CampaignDelivery);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Campaign, 'updateOne').mockResolvedValue({});
+    jest.spyOn(CampaignDelivery, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Newsletter, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(Newsletter, 'find').mockReturnValue({ cursor: () => subscribers(2) });
+
+    campaign = newCampaign({ status: 'sending', lockedAt: new Date() });
+    jest.spyOn(Campaign, 'findOneAndUpdate').mockResolvedValueOnce(campaign).mockResolvedValue(null);
+  });
+
+  it('claims due and abandoned campaigns atomically, one at a time', async () => {
+    await processDueCampaigns();
+
+    const [filter, update, options] = Campaign.findOneAndUpdate.mock.calls[0];
+    const [due, abandoned] = filter.$or;
+    expect(due).toEqual({ status: 'scheduled', scheduledAt: { $lte: expect.any(Date) } });
+    expect(abandoned.status).toBe('sending');
+    expect(Date.now() - abandoned.lockedAt.$lte.getTime()).toBeGreaterThanOrEqual(10 * 60 * 1000);
+    expect(update[0].$set).toMatchObject({ status: 'sending', lockedAt: expect.any(Date) });
+    expect(options).toMatchObject({ new: true });
+  });
+
+  it('queues one delivery per subscriber and releases the lock when done', async () => {
+    const processed = await processDueCampaigns();
+
+    expect(processed).toEqual([campaign]);
+    expect(saveDelivery).toHaveBeenCalledTimes(2);
+    expect(emailService.sendNewsletterEmail).toHaveBeenCalledTimes(2);
+    expect(campaign).toMatchObject({ status: 'sent', lockedAt: undefined });
+    expect(campaign.stats.totalRecipients).toBe(2);
+  });
+
+  it('skips subscribers a crashed run already queued', async () => {
+    const queued = [new mongoose.Types.ObjectId()];
+    CampaignDelivery.distinct.mockResolvedValue(queued);
+
+    await processDueCampaigns();
+
+    expect(Newsletter.find.mock.calls[0][0]._id).toEqual({ $nin: queued });
+  });
+
+  it('records deliveries that could not be queued', async () => {
+    emailService.sendNewsletterEmail.mockResolvedValueOnce({ success: false, error: 'Suppressed' });
+
+    await processDueCampaigns();
+
+    const failed = saveDelivery.mock.contexts.find(delivery => delivery.status === 'failed');
+    expect(failed.error).toBe('Suppressed');
+    expect(Campaign.updateOne).toHaveBeenCalledWith({ _id: campaign._id }, { $inc: { 'stats.failedSends': 1 } });
+  });
+
+  it('refreshes the lock while sending large campaigns', async () => {
+    Newsletter.find.mockReturnValue({ cursor: () => subscribers(100) });
+
+    await processDueCampaigns();
+
+    const refreshes = Campaign.updateOne.mock.calls.filter(([, update]) => update.lockedAt);
+    expect(refreshes).toHaveLength(2);
+  });
+
+  it('leaves a failed campaign locked so it is retried once the lock goes stale', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Newsletter.countDocuments.mockRejectedValue(new Error('connection lost'));
+
+    await processDueCampaigns();
+
+    expect(campaign).toMatchObject({ status: 'sending', lastError: 'connection lost' });
+    expect(campaign.lockedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('managing campaigns', () => {
+  let sender;
+
+  beforeEach(() => {
+    sender = signIn({ role: 'marketing' });
+    mockSave(Campaign);
+    mockAudit();
+  });
+
+  const createCampaign = (body) => request(app)
+    .post('/api/admin/campaigns')
+    .set('Authorization', sender.auth)
+    .send({ subject: 'January intake is open', content: 'Applications for the January intake are now open.', ...body });
+
+  it('requires a login', async () => {
+    const res = await request(app).post('/api/admin/campaigns').send({});
+
+    expect(res.status).toBe(401);
+  });
+
+  it('is limited to newsletter:send', async () => {
+    const { auth } = signIn({ role: 'support' });
+
+    const res = await request(app).post('/api/admin/campaigns').set('Authorization', auth).send({});
+
+    expect(res.status).toBe(403);
+  });
+
+  it('validates the campaign', async () => {
+    const res = await createCampaign({ subject: 'Hi', scheduledAt: '2000-01-01T00:00:00Z', segment: { audience: 'everyone' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['subject', 'segment.audience', 'scheduledAt']);
+  });
+
+  it('needs an interest for an interest campaign', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await createCampaign({ segment: { audience: 'specific-interest' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Interest is required/);
+  });
+
+  it('schedules a campaign with a send time', async () => {
+    const scheduledAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const res = await createCampaign({ scheduledAt });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'scheduled', scheduledAt, createdBy: String(sender.user._id) });
+  });
+
+  it('will not send a campaign that has already gone out', async () => {
+    const campaign = newCampaign({ status: 'sent' });
+    mockFindById(Campaign, campaign);
+
+    const res = await request(app).post(`/api/admin/campaigns/${campaign._id}/send`).set('Authorization', sender.auth);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('hands a campaign with recipients to the worker', async () => {
+    const campaign = newCampaign();
+    mockFindById(Campaign, campaign);
+    jest.spyOn(Newsletter, 'countDocuments').mockResolvedValue(3);
+
+    const res = await request(app).post(`/api/admin/campaigns/${campaign._id}/send`).set('Authorization', sender.auth);
+
+    expect(res.status).toBe(202);
+    expect(campaign.status).toBe('scheduled');
+    expect(campaignWorker.runCampaignWorkerNow).toHaveBeenCalled();
+  });
+
+  it('only cancels campaigns the worker has not claimed', async () => {
+    const campaign = newCampaign({ status: 'sending' });
+    const findOneAndUpdate = jest.spyOn(Campaign, 'findOneAndUpdate').mockResolvedValue(null);
+    mockFindById(Campaign, campaign);
+
+    const res = await request(app).post(`/api/admin/campaigns/${campaign._id}/cancel`).set('Authorization', sender.auth);
+
+    expect(res.status).toBe(400);
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: String(campaign._id), status: { $in: ['draft', 'scheduled'] } });
+  });
+});
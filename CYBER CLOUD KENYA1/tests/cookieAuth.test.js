@@ -0,0 +1,114 @@
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const authRoutes = require('../routes/auth');
+const { createApp, mockSave, storedUser, signIn, TEST_PASSWORD } = require('./helpers');
+
+const app = createApp('/api/auth', authRoutes);
+
+// Set-Cookie headers of a response by cookie name
+const cookiesOf = (res) => Object.fromEntries(
+  (res.headers['set-cookie'] || []).map(cookie => [cookie.split('=')[0], cookie])
+);
+
+describe('logging in with cookies', () => {
+  beforeEach(() => {
+    mockSave(User);
+    mockSave(RefreshToken);
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(storedUser({ email: 'wanjiku@example.com' })) });
+  });
+
+  it('validates useCookie', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: 'wanjiku@example.com', password: TEST_PASSWORD, useCookie: 'yes' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('sets HttpOnly session cookies and returns only the CSRF token', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: 'wanjiku@example.com', password: TEST_PASSWORD, useCookie: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeUndefined();
+    expect(res.body.data.refreshToken).toBeUndefined();
+
+    const cookies = cookiesOf(res);
+    expect(cookies.token).toMatch(/HttpOnly/);
+    expect(cookies.token).toMatch(/SameSite=Strict/);
+    expect(cookies.refreshToken).toMatch(/Path=\/api\/auth;.*HttpOnly/);
+    expect(cookies.csrfToken).toContain(`csrfToken=${res.body.data.csrfToken}`);
+    expect(cookies.csrfToken).not.toMatch(/HttpOnly/);
+  });
+
+  it('keeps returning tokens in the body without useCookie', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: 'wanjiku@example.com', password: TEST_PASSWORD });
+
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.headers['set-cookie']).toBeUndefined();
+  });
+});
+
+describe('CSRF protection', () => {
+  let session;
+
+  beforeEach(() => {
+    session = signIn();
+    jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  const cookieHeader = (csrfToken = 'csrf-token') => `token=${session.auth.split(' ')[1]}; csrfToken=${csrfToken}`;
+
+  it('lets cookie sessions read without a CSRF header', async () => {
+    const res = await request(app).get('/api/auth/me').set('Cookie', cookieHeader());
+
+    expect(res.status).toBe(200);
+  });
+
+  it('refuses cookie-authenticated writes without the CSRF header', async () => {
+    const res = await request(app).post('/api/auth/logout-all').set('Cookie', cookieHeader());
+
+    expect(res.status).toBe(403);
+    expect(RefreshToken.revokeAllForUser).not.toHaveBeenCalled();
+  });
+
+  it('refuses a CSRF header that does not match the cookie', async () => {
+    const res = await request(app).post('/api/auth/logout-all').set('Cookie', cookieHeader()).set('X-CSRF-Token', 'other-token');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('accepts a matching CSRF header', async () => {
+    const res = await request(app).post('/api/auth/logout-all').set('Cookie', cookieHeader()).set('X-CSRF-Token', 'csrf-token');
+
+    expect(res.status).toBe(200);
+    expect(cookiesOf(res).token).toMatch(/token=;/);
+  });
+
+  it('does not apply to Bearer requests', async () => {
+    const res = await request(app).post('/api/auth/logout-all').set('Authorization', session.auth);
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('refreshing a cookie session', () => {
+  beforeEach(() => {
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(null);
+  });
+
+  it('needs the CSRF header like any other cookie write', async () => {
+    const res = await request(app).post('/api/auth/refresh').set('Cookie', 'refreshToken=abc123; csrfToken=csrf-token');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('clears the cookies when the refresh token is refused', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .set('Cookie', 'refreshToken=abc123; csrfToken=csrf-token')
+      .set('X-CSRF-Token', 'csrf-token');
+
+    expect(res.status).toBe(401);
+    expect(Object.keys(cookiesOf(res)).sort()).toEqual(['csrfToken', 'refreshToken', 'token']);
+  });
+});
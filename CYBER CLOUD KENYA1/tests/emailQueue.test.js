@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const EmailJob = require('../models/EmailJob');
+const EmailDeadLetter = require('../models/EmailDeadLetter');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const Campaign = require('../models/Campaign');
+const Newsletter = require('../models/Newsletter');
+const suppressionService = require('../services/suppressionService');
+const emailWorker = require('../workers/emailWorker');
+const emailJobRoutes = require('../routes/emailJobs');
+const { PRIORITY, processEmailQueue } = require('../services/emailQueue');
+const { createApp, mockQuery, mockFindById, mockSave, mockAudit, signIn } = require('./helpers');
+
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ sendMail: (...args) => mockSendMail(...args) })
+}));
+jest.mock('../services/suppressionService');
+jest.mock('../workers/emailWorker');
+
+const app = createApp('/api/admin/email-jobs', emailJobRoutes);
+
+const newJob = (fields = {}) => new EmailJob({
+  type: 'password-reset',
+  mail: { to: 'wanjiku@example.com', subject: 'Reset your password', html: '<a href="https://example.com/reset/secret">Reset</a>' },
+  status: 'processing',
+  attempts: 1,
+  ...fields
+});
+
+// Let the queue claim the given jobs in order
+const queueJobs = (...jobs) => {
+  const claim = jest.spyOn(EmailJob, 'findOneAndUpdate');
+  jobs.forEach(job => claim.mockResolvedValueOnce(job));
+  claim.mockResolvedValue(null);
+  return claim;
+};
+
+describe('processing the email queue', () => {
+  let saveDeadLetter;
+
+  beforeEach(() => {
+    mockSendMail.mockResolvedValue({ messageId: '<message-1@example.com>' });
+    saveDeadLetter = mockSave(EmailDeadLetter);
+    jest.spyOn(EmailJob, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(EmailJob, 'updateOne').mockResolvedValue({});
+    jest.spyOn(EmailJob, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.EMAIL_RATE_PER_MINUTE;
+  });
+
+  it('claims due jobs and abandoned ones, transactional mail first', async () => {
+    const claim = queueJobs();
+
+    await processEmailQueue();
+
+    const [filter, update, options] = claim.mock.calls[0];
+    const [due, abandoned] = filter.$or;
+    expect(due).toEqual({ status: 'queued', nextAttemptAt: { $lte: expect.any(Date) } });
+    expect(Date.now() - abandoned.lockedAt.$lte.getTime()).toBeGreaterThanOrEqual(5 * 60 * 1000);
+    expect(update).toMatchObject({ status: 'processing', $inc: { attempts: 1 } });
+    expect(options.sort).toEqual({ priority: 1, nextAttemptAt: 1 });
+  });
+
+  it('sends a job and drops its body', async () => {
+    const job = newJob();
+    queueJobs(job);
+
+    const summary = await processEmailQueue();
+
+    expect(summary).toEqual({ sent: 1, failed: 0, suppressed: 0 });
+    expect(mockSendMail).toHaveBeenCalledWith(job.mail);
+    expect(EmailJob.updateOne).toHaveBeenCalledWith({ _id: job._id }, expect.objectContaining({
+      status: 'sent',
+      messageId: '<message-1@example.com>',
+      $unset: { 'mail.html': 1, 'mail.text': 1, 'mail.attachments': 1 }
+    }));
+  });
+
+  it('retries a failed send with a growing delay', async () => {
+    const job = newJob({ attempts: 3 });
+    queueJobs(job);
+    mockSendMail.mockRejectedValue(new Error('Connection timeout'));
+
+    await processEmailQueue();
+
+    const [, update] = EmailJob.updateOne.mock.calls[0];
+    expect(update).toMatchObject({ status: 'queued', lastError: 'Connection timeout' });
+    expect(update.nextAttemptAt.getTime() - Date.now()).toBeCloseTo(120 * 1000, -3);
+  });
+
+  it('moves a job to the dead letters after its last attempt', async () => {
+    const job = newJob({ attempts: 5 });
+    queueJobs(job);
+    mockSendMail.mockRejectedValue(new Error('Connection timeout'));
+
+    const summary = await processEmailQueue();
+
+    expect(summary.failed).toBe(1);
+    expect(saveDeadLetter.mock.contexts[0]).toMatchObject({ originalJob: job._id, attempts: 5, lastError: 'Connection timeout' });
+    expect(EmailJob.deleteOne).toHaveBeenCalledWith({ _id: job._id });
+  });
+
+  it('gives up at once on a rejected recipient and records the bounce', async () => {
+    const job = newJob({ attempts: 1 });
+    queueJobs(job);
+    mockSendMail.mockRejectedValue(Object.assign(new Error('Recipient rejected'), {
+      code: 'EENVELOPE',
+      responseCode: 550,
+      response: '550 5.1.1 User unknown'
+    }));
+
+    await processEmailQueue();
+
+    expect(suppressionService.recordBounce).toHaveBeenCalledWith(
+      { email: 'wanjiku@example.com', type: 'hard', diagnostic: '550 5.1.1 User unknown' }, 'smtp'
+    );
+    expect(saveDeadLetter).toHaveBeenCalled();
+  });
+
+  it('skips suppressed addresses without spending the rate allowance', async () => {
+    process.env.EMAIL_RATE_PER_MINUTE = '1';
+    const suppressed = newJob({ priority: PRIORITY.bulk });
+    queueJobs(suppressed, newJob());
+    suppressionService.findBlockingSuppression.mockResolvedValueOnce({ reason: 'hard-bounce' });
+
+    const summary = await processEmailQueue();
+
+    expect(summary).toEqual({ sent: 1, failed: 0, suppressed: 1 });
+    expect(suppressionService.findBlockingSuppression).toHaveBeenCalledWith('wanjiku@example.com', true);
+    expect(EmailJob.updateOne.mock.calls[0][1]).toMatchObject({ status: 'suppressed', $unset: expect.any(Object) });
+  });
+
+  it('stops at the per-minute limit', async () => {
+    process.env.EMAIL_RATE_PER_MINUTE = '10';
+    EmailJob.countDocuments.mockResolvedValue(9);
+    const claim = queueJobs(newJob(), newJob());
+
+    const summary = await processEmailQueue();
+
+    expect(summary.sent).toBe(1);
+    expect(claim).toHaveBeenCalledTimes(1);
+  });
+
+  it('settles the campaign delivery an email belongs to', async () => {
+    const delivery = new CampaignDelivery({
+      campaign: new mongoose.Types.ObjectId(),
+      subscriber: new mongoose.Types.ObjectId(),
+      email: 'wanjiku@example.com'
+    });
+    queueJobs(newJob({ type: 'newsletter', priority: PRIORITY.bulk, delivery: delivery._id }));
+    const settle = jest.spyOn(CampaignDelivery, 'findOneAndUpdate').mockResolvedValue(delivery);
+    jest.spyOn(Campaign, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Newsletter, 'updateOne').mockResolvedValue({});
+
+    await processEmailQueue();
+
+    expect(settle.mock.calls[0][0]).toEqual({ _id: delivery._id, status: 'queued' });
+    expect(Campaign.updateOne).toHaveBeenCalledWith({ _id: delivery.campaign }, { $inc: { 'stats.successfulSends': 1 } });
+    expect(Newsletter.updateOne.mock.calls[0][1]).toMatchObject({ $inc: { emailCount: 1 } });
+  });
+});
+
+describe('email job admin', () => {
+  let admin;
+
+  beforeEach(() => {
+    admin = signIn({ role: 'admin' });
+    mockAudit();
+  });
+
+  it('is limited to emails:manage', async () => {
+    const { auth } = signIn({ role: 'marketing' });
+
+    const res = await request(app).get('/api/admin/email-jobs').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('never returns email bodies', async () => {
+    const query = mockQuery([]);
+    jest.spyOn(EmailJob, 'find').mockReturnValue(query);
+    jest.spyOn(EmailJob, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(EmailDeadLetter, 'countDocuments').mockResolvedValue(0);
+
+    const res = await request(app).get('/api/admin/email-jobs').set('Authorization', admin.auth);
+
+    expect(res.status).toBe(200);
+    expect(query.select).toHaveBeenCalledWith(expect.stringContaining('-mail.html -mail.text -mail.attachments'));
+  });
+
+  it('will not retry a dead letter twice', async () => {
+    const deadLetter = new EmailDeadLetter({ type: 'password-reset', mail: { to: 'wanjiku@example.com' }, retriedAt: new Date() });
+    mockFindById(EmailDeadLetter, deadLetter);
+
+    const res = await request(app).post(`/api/admin/email-jobs/dead-letters/${deadLetter._id}/retry`).set('Authorization', admin.auth);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('queues a dead letter again and keeps only its envelope', async () => {
+    const saveJob = mockSave(EmailJob);
+    mockSave(EmailDeadLetter);
+    const mail = { to: 'wanjiku@example.com', subject: 'Welcome', html: '<p>Hi</p>', text: 'Hi' };
+    const deadLetter = new EmailDeadLetter({ type: 'welcome', mail, attempts: 5 });
+    mockFindById(EmailDeadLetter, deadLetter);
+
+    const res = await request(app).post(`/api/admin/email-jobs/dead-letters/${deadLetter._id}/retry`).set('Authorization', admin.auth);
+
+    expect(res.status).toBe(200);
+    const job = saveJob.mock.contexts[0];
+    expect(job).toMatchObject({ type: 'welcome', mail, attempts: 0, status: 'queued' });
+    expect(deadLetter.mail).toEqual({ to: 'wanjiku@example.com', subject: 'Welcome' });
+    expect(deadLetter.retryJob).toEqual(job._id);
+    expect(emailWorker.runEmailWorkerNow).toHaveBeenCalled();
+  });
+});
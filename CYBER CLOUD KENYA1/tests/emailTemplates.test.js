@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const emailQueue = require('../services/emailQueue');
+const emailService = require('../services/emailService');
+const { renderEmail, htmlToText } = require('../services/templateService');
+
+jest.mock('../services/emailQueue');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'emails');
+
+const templateNames = (language) => fs.readdirSync(path.join(TEMPLATE_DIR, language))
+  .filter(file => file.endsWith('.hbs'))
+  .map(file => path.basename(file, '.hbs'));
+
+const readMessages = (language) => JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, language, 'messages.json'), 'utf8'));
+
+describe('email templates', () => {
+  it.each(['en', 'sw'])('gives every %s template a subject and a plain-text version', (language) => {
+    const messages = readMessages(language);
+
+    templateNames(language).forEach(name => {
+      expect(messages[name] && messages[name].subject).toBeTruthy();
+
+      const { subject, html, text } = renderEmail(name, { name: 'Wanjiku', subject: 'Website' }, language);
+      expect(subject).toBeTruthy();
+      expect(html).toContain(`lang="${language}"`);
+      expect(text).not.toMatch(/<[a-z]/i);
+    });
+  });
+
+  it('only leaves staff-facing emails without a Swahili version', () => {
+    const missing = templateNames('en').filter(name => !templateNames('sw').includes(name));
+
+    expect(missing.sort()).toEqual([
+      'contact-notification',
+      'quote-request-notification',
+      'sla-escalation',
+      'ticket-assigned',
+      'ticket-client-reply'
+    ]);
+  });
+
+  it('renders in the requested language and falls back to English', () => {
+    const english = renderEmail('password-reset', { resetUrl: 'https://example.com/r', expiresInMinutes: 10 }, 'en');
+    const swahili = renderEmail('password-reset', { resetUrl: 'https://example.com/r', expiresInMinutes: 10 }, 'sw');
+
+    expect(swahili.subject).not.toBe(english.subject);
+    expect(swahili.html).toContain('lang="sw"');
+    expect(renderEmail('password-reset', {}, 'fr').subject).toBe(english.subject);
+    expect(renderEmail('contact-notification', { subject: 'Hi' }, 'sw').subject).toBe('New Contact Form Submission - Hi');
+  });
+
+  it('escapes values in the body but not in the plain-text subject', () => {
+    const { subject, html } = renderEmail('contact-notification', {
+      subject: 'Fees & dates',
+      name: '<script>alert(1)</script>',
+      message: 'Line one\n<b>Line two</b>'
+    }, 'en');
+
+    expect(subject).toBe('New Contact Form Submission - Fees & dates');
+    expect(html).not.toContain('<script>alert(1)</script>');
+    expect(html).toContain('Line one<br>&lt;b&gt;Line two&lt;/b&gt;');
+  });
+});
+
+describe('htmlToText', () => {
+  it('keeps link targets, line breaks and list items readable', () => {
+    const text = htmlToText('<p>Hello &amp; welcome</p><p><a href="https://example.com/a">Open</a> <a href="https://example.com/b">https://example.com/b</a></p><ul><li>One</li><li>Two</li></ul>');
+
+    expect(text).toBe('Hello & welcome\n\nOpen (https://example.com/a) https://example.com/b\n\n- One\n- Two');
+  });
+});
+
+describe('sending in the recipient\'s language', () => {
+  beforeEach(() => {
+    emailQueue.enqueueEmail.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  const queuedMail = () => emailQueue.enqueueEmail.mock.calls[0][0];
+
+  it('uses the language passed for account emails', async () => {
+    await emailService.sendPasswordReset('wanjiku@example.com', 'token', 10, 'sw');
+
+    expect(queuedMail().subject).toBe(renderEmail('password-reset', {}, 'sw').subject);
+  });
+
+  it('replies to tickets in the language the ticket was opened in', async () => {
+    const contact = new Contact({
+      name: 'Wanjiku',
+      email: 'wanjiku@example.com',
+      subject: 'Course fees',
+      message: 'How much is the video editing course?',
+      service: 'video-editing',
+      language: 'sw'
+    });
+    const message = { body: 'It is KES 20,000.', messageId: '<reply-1@example.com>' };
+
+    await emailService.sendTicketReply(contact, message, 'Otieno');
+
+    expect(queuedMail().html).toContain('lang="sw"');
+  });
+});
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const emailService = require('../services/emailService');
+const authRoutes = require('../routes/auth');
+const { createApp, mockSave, mockEmails, storedUser, TEST_PASSWORD } = require('./helpers');
+
+jest.mock('../services/emailService');
+
+const app = createApp('/api/auth', authRoutes);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('registration', () => {
+  beforeEach(() => {
+    mockEmails(emailService);
+    mockSave(User);
+    mockSave(RefreshToken);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION;
+  });
+
+  it('validates the new account', async () => {
+    const res = await request(app).post('/api/auth/register').send({ name: 'W', email: 'nope', password: '123', language: 'fr' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['name', 'email', 'password', 'language']);
+  });
+
+  it('refuses an email that is already registered', async () => {
+    User.findOne.mockResolvedValue(storedUser({ email: 'wanjiku@example.com' }));
+
+    const res = await request(app).post('/api/auth/register').send({ name: 'Wanjiku', email: 'wanjiku@example.com', password: 'Password123' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('creates an unverified user and emails a verification link', async () => {
+    const res = await request(app).post('/api/auth/register').send({
+      name: 'Wanjiku',
+      email: 'wanjiku@example.com',
+      password: 'Password123',
+      language: 'sw',
+      role: 'admin'
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.user).toMatchObject({ role: 'user', language: 'sw', isEmailVerified: false });
+    expect(res.body.data.token).toEqual(expect.any(String));
+
+    const [email, name, token, hours, language] = emailService.sendEmailVerification.mock.calls[0];
+    expect([email, name, hours, language]).toEqual(['wanjiku@example.com', 'Wanjiku', User.VERIFICATION_TOKEN_EXPIRE_HOURS, 'sw']);
+    const saved = User.prototype.save.mock.contexts[0];
+    expect(saved.emailVerificationToken).toBe(sha256(token));
+  });
+
+  it('holds back the session while verification is required', async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+    const res = await request(app).post('/api/auth/register').send({ name: 'Wanjiku', email: 'wanjiku@example.com', password: 'Password123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.token).toBeUndefined();
+    expect(res.body.data.refreshToken).toBeUndefined();
+  });
+});
+
+describe('verifying an email address', () => {
+  beforeEach(() => {
+    mockEmails(emailService);
+    mockSave(User);
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION;
+  });
+
+  it('rejects an unknown or expired link', async () => {
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).get('/api/auth/verify-email/abc123');
+
+    expect(res.status).toBe(400);
+    expect(findOne).toHaveBeenCalledWith({
+      emailVerificationToken: sha256('abc123'),
+      emailVerificationExpires: { $gt: expect.any(Date) }
+    });
+  });
+
+  it('verifies the address and consumes the token', async () => {
+    const user = storedUser({ isEmailVerified: false });
+    const token = user.createEmailVerificationToken();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const res = await request(app).get(`/api/auth/verify-email/${token}`);
+
+    expect(res.status).toBe(200);
+    expect(user.isEmailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    expect(user.emailVerificationToken).toBeUndefined();
+  });
+
+  it('only resends links to unverified accounts', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(storedUser({ isEmailVerified: true }));
+
+    const res = await request(app).post('/api/auth/resend-verification').send({ email: 'wanjiku@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(emailService.sendEmailVerification).not.toHaveBeenCalled();
+  });
+
+  it('refuses unverified logins while verification is required', async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(storedUser({ isEmailVerified: false })) });
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'wanjiku@example.com', password: TEST_PASSWORD });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/verify your email/);
+  });
+});
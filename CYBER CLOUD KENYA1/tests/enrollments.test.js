@@ -0,0 +1,189 @@
+const request = require('supertest');
+const Enrollment = require('../models/Enrollment');
+const Program = require('../models/Program');
+const emailService = require('../services/emailService');
+const enrollmentRoutes = require('../routes/enrollments');
+const adminRoutes = require('../routes/admin');
+const { createApp, mockQuery, mockFindById, mockSave, mockAudit, signIn, mockEmails } = require('./helpers');
+
+jest.mock('../services/emailService');
+
+const app = createApp('/api/enrollments', enrollmentRoutes);
+const adminApp = createApp('/api/admin', adminRoutes);
+
+const newProgram = (intake = {}) => new Program({
+  title: 'Cyber Security Essentials',
+  category: 'cyber-security',
+  overview: 'Protect networks, systems and data from attack.',
+  status: 'published',
+  intakes: [{ name: 'January', startDate: '2030-01-13', capacity: 2, ...intake }]
+});
+
+const apply = (auth, program, fields = {}) => request(app)
+  .post('/api/enrollments')
+  .set('Authorization', auth)
+  .send({ program: String(program._id), intake: String(program.intakes[0]._id), ...fields });
+
+describe('applying for an intake', () => {
+  let student;
+
+  beforeEach(() => {
+    student = signIn();
+    mockEmails(emailService);
+    mockSave(Enrollment);
+  });
+
+  it('requires a login', async () => {
+    const res = await request(app).post('/api/enrollments').send({});
+
+    expect(res.status).toBe(401);
+  });
+
+  it('requires a verified email', async () => {
+    const { auth } = signIn({ isEmailVerified: false });
+
+    const res = await apply(auth, newProgram());
+
+    expect(res.status).toBe(403);
+  });
+
+  it('validates the intake id', async () => {
+    const res = await apply(student.auth, newProgram(), { intake: 'january' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+
+  it('refuses closed intakes', async () => {
+    const program = newProgram({ isOpen: false });
+    jest.spyOn(Program, 'findByIdOrSlug').mockResolvedValue(program);
+
+    const res = await apply(student.auth, program);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/closed/);
+  });
+
+  it('refuses a second application for the same intake', async () => {
+    const program = newProgram();
+    jest.spyOn(Program, 'findByIdOrSlug').mockResolvedValue(program);
+    jest.spyOn(Enrollment, 'findOne').mockResolvedValue(new Enrollment({ status: 'applied' }));
+
+    const res = await apply(student.auth, program);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/already applied/);
+  });
+
+  it('records an application and emails the student', async () => {
+    const program = newProgram();
+    jest.spyOn(Program, 'findByIdOrSlug').mockResolvedValue(program);
+    jest.spyOn(Enrollment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Enrollment, 'countDocuments').mockResolvedValue(1);
+
+    const res = await apply(student.auth, program);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe('applied');
+    expect(emailService.sendEnrollmentUpdate).toHaveBeenCalledWith(
+      student.user.email, student.user.name, program.title, 'January', 'applied', 'en'
+    );
+  });
+
+  it('waitlists applicants for a full intake', async () => {
+    const program = newProgram();
+    jest.spyOn(Program, 'findByIdOrSlug').mockResolvedValue(program);
+    jest.spyOn(Enrollment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Enrollment, 'countDocuments').mockResolvedValue(2);
+
+    const res = await apply(student.auth, program);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe('waitlisted');
+  });
+});
+
+describe('withdrawing', () => {
+  beforeEach(() => {
+    mockSave(Enrollment);
+  });
+
+  it('only lets the student or enrollment staff withdraw', async () => {
+    const owner = signIn();
+    const other = signIn();
+    const enrollment = new Enrollment({ user: owner.user._id, program: newProgram()._id, intake: newProgram().intakes[0]._id });
+    mockFindById(Enrollment, enrollment);
+
+    const res = await request(app).put(`/api/enrollments/${enrollment._id}/withdraw`).set('Authorization', other.auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('refuses to withdraw a completed enrollment', async () => {
+    const owner = signIn();
+    const enrollment = new Enrollment({ user: owner.user._id, program: newProgram()._id, intake: newProgram().intakes[0]._id, status: 'completed' });
+    mockFindById(Enrollment, enrollment);
+
+    const res = await request(app).put(`/api/enrollments/${enrollment._id}/withdraw`).set('Authorization', owner.auth);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('reviewing enrollments', () => {
+  let reviewer;
+
+  beforeEach(() => {
+    reviewer = signIn({ role: 'admin' });
+    mockEmails(emailService);
+    mockAudit();
+    mockSave(Enrollment);
+  });
+
+  const reviewable = (status) => {
+    const program = newProgram();
+    const student = signIn().user;
+    const enrollment = new Enrollment({ user: student, program, intake: program.intakes[0]._id, status });
+    jest.spyOn(Enrollment, 'findById').mockReturnValue(mockQuery(enrollment));
+    return enrollment;
+  };
+
+  it('is limited to staff with enrollments:review', async () => {
+    const { auth } = signIn({ role: 'instructor' });
+
+    const res = await request(adminApp).put('/api/admin/enrollments/64b7f0c2a1b2c3d4e5f60718/status').set('Authorization', auth).send({ status: 'accepted' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('refuses status changes the workflow does not allow', async () => {
+    const enrollment = reviewable('withdrawn');
+
+    const res = await request(adminApp).put(`/api/admin/enrollments/${enrollment._id}/status`).set('Authorization', reviewer.auth).send({ status: 'enrolled' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('will not accept an applicant into a full intake', async () => {
+    const enrollment = reviewable('applied');
+    jest.spyOn(Enrollment, 'countDocuments').mockResolvedValue(2);
+
+    const res = await request(adminApp).put(`/api/admin/enrollments/${enrollment._id}/status`).set('Authorization', reviewer.auth).send({ status: 'accepted' });
+
+    expect(res.status).toBe(409);
+    expect(Enrollment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('accepts an applicant while seats remain', async () => {
+    const enrollment = reviewable('applied');
+    jest.spyOn(Enrollment, 'countDocuments').mockResolvedValue(1);
+
+    const res = await request(adminApp).put(`/api/admin/enrollments/${enrollment._id}/status`).set('Authorization', reviewer.auth).send({ status: 'accepted' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('accepted');
+    expect(emailService.sendEnrollmentUpdate).toHaveBeenCalledWith(
+      enrollment.user.email, enrollment.user.name, enrollment.program.title, 'January', 'accepted', 'en'
+    );
+  });
+});
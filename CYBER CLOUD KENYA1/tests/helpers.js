@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const mongoose = require('mongoose');
+const cookieParser = require('cookie-parser');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const AuditLog = require('../models/AuditLog');
+const { csrfProtection } = require('../middleware/csrf');
+const { generateAccessToken } = require('../services/tokenService');
+
+// App with the body parsing and CSRF check from server.js, serving one router at its usual path
+const createApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(cookieParser());
+  app.use(csrfProtection);
+  app.use(path, router);
+  return app;
+};
+
+// Stand-in for a Mongoose query: chained calls return it and awaiting it gives `result`
+const mockQuery = (result) => {
+  const query = {};
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'session'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.exec = jest.fn(() => Promise.resolve(result));
+  query.then = (resolve, reject) => query.exec().then(resolve, reject);
+  return query;
+};
+
+// Documents each mocked findById can return, keyed by the mock
+const findByIdDocuments = new WeakMap();
+
+// Let Model.findById find the given documents; any other id is not found
+const mockFindById = (Model, ...docs) => {
+  if (!jest.isMockFunction(Model.findById)) {
+    const documents = new Map();
+    jest.spyOn(Model, 'findById').mockImplementation(id => mockQuery(documents.get(String(id)) || null));
+    findByIdDocuments.set(Model.findById, documents);
+  }
+
+  const documents = findByIdDocuments.get(Model.findById);
+  docs.forEach(doc => documents.set(String(doc._id), doc));
+  return Model.findById;
+};
+
+// Save documents of a model without a database. Validation and pre-save hooks still run,
+// so totals, defaults and ValidationErrors behave as they would for real.
+const mockSave = (Model) => {
+  const save = jest.fn(function() {
+    return new Promise((resolve, reject) => {
+      this.schema.s.hooks.execPre('save', this, [{}], (error) => {
+        if (error) return reject(error);
+        this.isNew = false;
+        resolve(this);
+      });
+    });
+  });
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(save);
+  jest.spyOn(Model.prototype, '$save').mockImplementation(save);
+  return save;
+};
+
+// Audit entries the request would have written
+const mockAudit = () => jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+
+// Password of every user made by storedUser; hashed cheaply so tests stay fast
+const TEST_PASSWORD = 'Password123';
+const TEST_PASSWORD_HASH = bcrypt.hashSync(TEST_PASSWORD, 4);
+
+// A user as loaded from the database, so saving it does not hash the password again
+const storedUser = (fields = {}) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Test User',
+  email: `${crypto.randomBytes(4).toString('hex')}@example.com`,
+  password: TEST_PASSWORD_HASH,
+  role: 'user',
+  isEmailVerified: true,
+  ...fields
+});
+
+// A signed-in user of the given role; `auth` is the Authorization header that gets them past `protect`
+const signIn = (fields = {}) => {
+  const user = storedUser(fields);
+  const sessionId = crypto.randomUUID();
+
+  mockFindById(User, user);
+  if (!jest.isMockFunction(RefreshToken.isSessionActive)) {
+    jest.spyOn(RefreshToken, 'isSessionActive').mockResolvedValue(true);
+  }
+
+  return {
+    user,
+    sessionId,
+    auth: `Bearer ${generateAccessToken(user._id, sessionId)}`
+  };
+};
+
+// Make every function of an auto-mocked email service report a queued email
+const mockEmails = (emailService) => {
+  Object.values(emailService)
+    .filter(fn => jest.isMockFunction(fn))
+    .forEach(fn => fn.mockResolvedValue({ success: true, jobId: new mongoose.Types.ObjectId() }));
+  return emailService;
+};
+
+module.exports = {
+  createApp,
+  mockQuery,
+  mockFindById,
+  mockSave,
+  mockAudit,
+  TEST_PASSWORD,
+  storedUser,
+  signIn,
+  mockEmails
+};
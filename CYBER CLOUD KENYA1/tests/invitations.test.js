@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const emailService = require('../services/emailService');
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+const { createApp, mockSave, mockAudit, storedUser, signIn, mockEmails } = require('./helpers');
+
+jest.mock('../services/emailService');
+
+const app = createApp('/api/auth', authRoutes);
+const adminApp = createApp('/api/admin', adminRoutes);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('inviting staff', () => {
+  let admin;
+  let saveInvitation;
+
+  beforeEach(() => {
+    admin = signIn({ role: 'admin' });
+    mockEmails(emailService);
+    saveInvitation = mockSave(Invitation);
+    mockAudit();
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Invitation, 'updateMany').mockResolvedValue({});
+  });
+
+  const invite = (actor, body) => request(adminApp)
+    .post('/api/admin/invitations')
+    .set('Authorization', actor.auth)
+    .send({ email: 'otieno@example.com', role: 'support', ...body });
+
+  it('requires a login', async () => {
+    const res = await request(adminApp).post('/api/admin/invitations').send({});
+
+    expect(res.status).toBe(401);
+  });
+
+  it('is closed to staff without roles:assign', async () => {
+    const res = await invite(signIn({ role: 'support' }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('only invites staff roles', async () => {
+    const res = await invite(admin, { role: 'user' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('leaves admin invitations to super-admins', async () => {
+    const res = await invite(admin, { role: 'admin' });
+
+    expect(res.status).toBe(403);
+    expect(emailService.sendStaffInvitation).not.toHaveBeenCalled();
+  });
+
+  it('refuses addresses that already have an account', async () => {
+    User.findOne.mockResolvedValue(storedUser({ email: 'otieno@example.com' }));
+
+    const res = await invite(admin);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('replaces pending invitations and emails a token stored only as a hash', async () => {
+    const res = await invite(admin, { language: 'sw' });
+
+    expect(res.status).toBe(201);
+    expect(Invitation.updateMany).toHaveBeenCalledWith(
+      { email: 'otieno@example.com', acceptedAt: null, revokedAt: null },
+      { revokedAt: expect.any(Date) }
+    );
+
+    const [email, inviter, role, token, hours, language] = emailService.sendStaffInvitation.mock.calls[0];
+    expect([email, inviter, role, hours, language]).toEqual(['otieno@example.com', admin.user.name, 'support', 72, 'sw']);
+    const saved = saveInvitation.mock.contexts[0];
+    expect(saved.tokenHash).toBe(sha256(token));
+    expect(saved.invitedBy).toEqual(admin.user._id);
+  });
+});
+
+describe('accepting an invitation', () => {
+  let invitation;
+  let token;
+  let saveUser;
+
+  beforeEach(() => {
+    token = crypto.randomBytes(32).toString('hex');
+    invitation = new Invitation({
+      email: 'otieno@example.com',
+      role: 'marketing',
+      language: 'sw',
+      tokenHash: sha256(token),
+      expiresAt: new Date(Date.now() + 60000),
+      invitedBy: storedUser()._id
+    });
+    mockSave(Invitation);
+    saveUser = mockSave(User);
+    jest.spyOn(Invitation, 'findOne').mockResolvedValue(invitation);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  });
+
+  it('looks the invitation up by token hash and refuses unknown ones', async () => {
+    Invitation.findOne.mockResolvedValue(null);
+
+    const res = await request(app).get('/api/auth/invitations/abc123');
+
+    expect(res.status).toBe(400);
+    expect(Invitation.findOne).toHaveBeenCalledWith(expect.objectContaining({
+      tokenHash: sha256('abc123'),
+      acceptedAt: null,
+      revokedAt: null
+    }));
+  });
+
+  it('validates the new account', async () => {
+    const res = await request(app).post(`/api/auth/invitations/${token}/accept`).send({ name: 'O', password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveLength(2);
+  });
+
+  it('creates a verified account with the invited role and uses up the invitation', async () => {
+    const res = await request(app).post(`/api/auth/invitations/${token}/accept`).send({ name: 'Otieno', password: 'Password123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.user).toMatchObject({ email: 'otieno@example.com', role: 'marketing' });
+
+    const user = saveUser.mock.contexts[0];
+    expect(user).toMatchObject({ isEmailVerified: true, language: 'sw' });
+    expect(invitation.acceptedBy).toEqual(user._id);
+    expect(invitation.status).toBe('accepted');
+  });
+
+  it('refuses if the address registered in the meantime', async () => {
+    User.findOne.mockResolvedValue(storedUser({ email: 'otieno@example.com' }));
+
+    const res = await request(app).post(`/api/auth/invitations/${token}/accept`).send({ name: 'Otieno', password: 'Password123' });
+
+    expect(res.status).toBe(400);
+    expect(invitation.acceptedAt).toBeUndefined();
+  });
+});
+
+describe('the old admin bootstrap route', () => {
+  it('no longer exists', async () => {
+    const res = await request(app).post('/api/auth/create-admin').send({ secretKey: 'anything' });
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,176 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const emailService = require('../services/emailService');
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+const { generateTwoFactorToken } = require('../services/tokenService');
+const { createApp, mockFindById, mockSave, mockAudit, storedUser, signIn, mockEmails, TEST_PASSWORD } = require('./helpers');
+
+jest.mock('../services/emailService');
+
+const app = createApp('/api/auth', authRoutes);
+const adminApp = createApp('/api/admin', adminRoutes);
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000);
+
+describe('counting failed logins', () => {
+  beforeEach(() => {
+    mockSave(User);
+  });
+
+  it('waits longer after each failure from the second on', async () => {
+    const user = storedUser();
+
+    await user.registerFailedLogin();
+    expect(user.getLoginDelay()).toBe(0);
+
+    await user.registerFailedLogin();
+    expect(user.getLoginDelay()).toBeGreaterThan(900);
+
+    await user.registerFailedLogin();
+    expect(user.getLoginDelay()).toBeGreaterThan(1900);
+  });
+
+  it('locks the account on the fifth failure', async () => {
+    const user = storedUser({ loginAttempts: 4 });
+
+    expect(await user.registerFailedLogin()).toBe(true);
+    expect(user.isLocked).toBe(true);
+    expect(user.lockUntil.getTime()).toBeCloseTo(minutesFromNow(User.LOCK_TIME_MINUTES).getTime(), -4);
+  });
+
+  it('starts a fresh count once a lock has run out', async () => {
+    const user = storedUser({ loginAttempts: 5, lockUntil: minutesFromNow(-1) });
+
+    expect(await user.registerFailedLogin()).toBe(false);
+    expect(user.loginAttempts).toBe(1);
+    expect(user.lockUntil).toBeUndefined();
+  });
+});
+
+describe('password login', () => {
+  beforeEach(() => {
+    mockEmails(emailService);
+    mockSave(User);
+    mockSave(RefreshToken);
+  });
+
+  const login = (user, password = TEST_PASSWORD) => {
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(user) });
+    return request(app).post('/api/auth/login').send({ email: 'wanjiku@example.com', password });
+  };
+
+  it('counts a wrong password', async () => {
+    const user = storedUser();
+
+    const res = await login(user, 'WrongPassword1');
+
+    expect(res.status).toBe(401);
+    expect(user.loginAttempts).toBe(1);
+  });
+
+  it('emails the owner when the account locks, but answers like any wrong password', async () => {
+    const user = storedUser({ loginAttempts: 4 });
+
+    const res = await login(user, 'WrongPassword1');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid credentials');
+    expect(user.isLocked).toBe(true);
+    expect(emailService.sendAccountLocked).toHaveBeenCalledWith(user.email, user.name, User.LOCK_TIME_MINUTES, 'en');
+  });
+
+  it('refuses a locked account without revealing the lock, even with the right password', async () => {
+    const user = storedUser({ loginAttempts: 5, lockUntil: minutesFromNow(10) });
+    const compare = jest.spyOn(user, 'comparePassword');
+
+    const res = await login(user);
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ success: false, message: 'Invalid credentials' });
+    expect(compare).not.toHaveBeenCalled();
+    expect(user.loginAttempts).toBe(5);
+  });
+
+  it('refuses attempts during the cool-down without a Retry-After header', async () => {
+    const user = storedUser({ loginAttempts: 3, lastFailedLoginAt: new Date() });
+
+    const res = await login(user);
+
+    expect(res.status).toBe(401);
+    expect(res.headers['retry-after']).toBeUndefined();
+  });
+
+  it('clears the count after a successful login', async () => {
+    const user = storedUser({ loginAttempts: 1, lastFailedLoginAt: minutesFromNow(-1) });
+
+    const res = await login(user);
+
+    expect(res.status).toBe(200);
+    expect(user.loginAttempts).toBe(0);
+  });
+});
+
+describe('second-factor login', () => {
+  beforeEach(() => {
+    mockEmails(emailService);
+    mockSave(User);
+  });
+
+  const secondStep = (user) => {
+    mockFindById(User, user);
+    return request(app).post('/api/auth/login/2fa').send({ twoFactorToken: generateTwoFactorToken(user._id), code: '000000' });
+  };
+
+  it('reports the lock to someone who already proved the password', async () => {
+    const user = storedUser({ twoFactor: { enabled: true, secret: 'JBSWY3DPEHPK3PXP' }, loginAttempts: 5, lockUntil: minutesFromNow(10) });
+
+    const res = await secondStep(user);
+
+    expect(res.status).toBe(423);
+  });
+
+  it('asks them to wait during the cool-down', async () => {
+    const user = storedUser({ twoFactor: { enabled: true, secret: 'JBSWY3DPEHPK3PXP' }, loginAttempts: 3, lastFailedLoginAt: new Date() });
+
+    const res = await secondStep(user);
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
+
+describe('unlocking an account', () => {
+  it('lets staff with users:manage lift a lock', async () => {
+    mockSave(User);
+    mockAudit();
+    const admin = signIn({ role: 'admin' });
+    const user = storedUser({ loginAttempts: 5, lockUntil: minutesFromNow(10) });
+    mockFindById(User, user);
+
+    const res = await request(adminApp).put(`/api/admin/users/${user._id}`).set('Authorization', admin.auth).send({ unlock: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ isLocked: false, loginAttempts: 0 });
+  });
+});
+
+describe('login rate limit', () => {
+  it('allows ten attempts per IP every fifteen minutes', async () => {
+    let loginLimiter;
+    jest.isolateModules(() => {
+      ({ loginLimiter } = require('../middleware/rateLimit'));
+    });
+    const limited = express().post('/login', loginLimiter, (req, res) => res.json({ success: true }));
+
+    for (let i = 0; i < 10; i++) {
+      expect((await request(limited).post('/login')).status).toBe(200);
+    }
+    const res = await request(limited).post('/login');
+
+    expect(res.status).toBe(429);
+    expect(res.body.success).toBe(false);
+  });
+});
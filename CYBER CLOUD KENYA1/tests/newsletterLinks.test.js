@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Newsletter = require('../models/Newsletter');
+const emailQueue = require('../services/emailQueue');
+const { sendSubscriptionManagementLink } = require('../services/emailService');
+const newsletterRoutes = require('../routes/newsletter');
+const { createApp, mockFindById, mockSave } = require('./helpers');
+
+jest.mock('../services/emailQueue');
+
+const app = createApp('/api/newsletter', newsletterRoutes);
+
+const confirmedSubscriber = (fields = {}) => {
+  const subscriber = new Newsletter({ email: 'amina@example.com', name: 'Amina', ...fields });
+  subscriber.confirm();
+  return subscriber;
+};
+
+describe('signed management tokens', () => {
+  afterEach(() => {
+    delete process.env.NEWSLETTER_TOKEN_SECRET;
+  });
+
+  it('finds the subscriber the token was signed for', async () => {
+    const subscriber = confirmedSubscriber();
+    mockFindById(Newsletter, subscriber);
+
+    const token = subscriber.getManagementToken();
+
+    expect(token).toMatch(new RegExp(`^${subscriber._id}\\.[A-Za-z0-9_-]{43}$`));
+    expect(await Newsletter.findByManagementToken(token)).toBe(subscriber);
+  });
+
+  it('rejects tampered, moved and malformed tokens without a lookup', () => {
+    const findById = mockFindById(Newsletter);
+    const [id, signature] = confirmedSubscriber().getManagementToken().split('.');
+    const otherId = new mongoose.Types.ObjectId().toString();
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+    [
+      `${id}.${flipped}`,
+      `${otherId}.${signature}`,
+      `${id}.`,
+      id,
+      `not-an-id.${signature}`,
+      undefined
+    ].forEach(token => expect(Newsletter.findByManagementToken(token)).toBeNull());
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  it('signs with NEWSLETTER_TOKEN_SECRET when it is set', () => {
+    const subscriber = confirmedSubscriber();
+    const withJwtSecret = subscriber.getManagementToken();
+
+    process.env.NEWSLETTER_TOKEN_SECRET = 'newsletter-secret';
+
+    expect(subscriber.getManagementToken()).not.toBe(withJwtSecret);
+    expect(Newsletter.findByManagementToken(withJwtSecret)).toBeNull();
+  });
+});
+
+describe('unsubscribe links', () => {
+  let subscriber;
+
+  beforeEach(() => {
+    subscriber = confirmedSubscriber();
+    mockFindById(Newsletter, subscriber);
+    mockSave(Newsletter);
+  });
+
+  it('refuses an invalid link', async () => {
+    const res = await request(app).get(`/api/newsletter/unsubscribe/${subscriber._id}.forged`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('only asks for confirmation when the link is opened, since scanners follow links', async () => {
+    const res = await request(app).get(`/api/newsletter/unsubscribe/${subscriber.getManagementToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('method="POST"');
+    expect(subscriber.status).toBe('confirmed');
+  });
+
+  it('unsubscribes on POST, including one-click POSTs from mail clients carrying cookies', async () => {
+    const res = await request(app)
+      .post(`/api/newsletter/unsubscribe/${subscriber.getManagementToken()}`)
+      .set('Cookie', 'token=session-cookie')
+      .type('form')
+      .send('List-Unsubscribe=One-Click');
+
+    expect(res.status).toBe(200);
+    expect(subscriber).toMatchObject({ status: 'unsubscribed', isActive: false });
+  });
+});
+
+describe('preference center', () => {
+  let subscriber;
+
+  beforeEach(() => {
+    subscriber = confirmedSubscriber({ interests: ['all'] });
+    mockFindById(Newsletter, subscriber);
+    mockSave(Newsletter);
+  });
+
+  const savePreferences = (form) => request(app)
+    .post(`/api/newsletter/preferences/${subscriber.getManagementToken()}`)
+    .type('form')
+    .send(form);
+
+  it('escapes subscriber details on the page', async () => {
+    subscriber.email = '"><script>alert(1)</script>@example.com';
+
+    const res = await request(app).get(`/api/newsletter/preferences/${subscriber.getManagementToken()}`);
+
+    expect(res.text).not.toContain('<script>alert(1)</script>');
+  });
+
+  it('keeps only choices the model allows', async () => {
+    const res = await savePreferences('interests=cyber-security&interests=gardening&categories=tips&frequency=hourly&language=sw');
+
+    expect(res.status).toBe(200);
+    expect(subscriber.interests).toEqual(['cyber-security']);
+    expect(subscriber.preferences.categories).toEqual(['tips']);
+    expect(subscriber.preferences.frequency).toBe('weekly');
+    expect(subscriber.language).toBe('sw');
+  });
+
+  it('resubscribes without another opt-in', async () => {
+    subscriber.unsubscribe();
+
+    await savePreferences('interests=all&action=resubscribe');
+
+    expect(subscriber).toMatchObject({ status: 'confirmed', isActive: true });
+  });
+});
+
+describe('subscription emails', () => {
+  beforeEach(() => {
+    process.env.API_URL = 'https://api.example.com';
+    emailQueue.enqueueEmail.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.API_URL;
+  });
+
+  it('carry one-click List-Unsubscribe headers', async () => {
+    const token = confirmedSubscriber().getManagementToken();
+
+    await sendSubscriptionManagementLink('amina@example.com', 'Amina', token, 'en');
+
+    const [mailOptions] = emailQueue.enqueueEmail.mock.calls[0];
+    expect(mailOptions.list).toEqual({ unsubscribe: `https://api.example.com/api/newsletter/unsubscribe/${token}` });
+    expect(mailOptions.headers).toEqual({ 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' });
+    expect(mailOptions.html).toContain(`/api/newsletter/preferences/${token}`);
+  });
+});
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const Newsletter = require('../models/Newsletter');
+const Suppression = require('../models/Suppression');
+const emailService = require('../services/emailService');
+const newsletterRoutes = require('../routes/newsletter');
+const { createApp, mockSave, signIn, mockEmails } = require('./helpers');
+
+jest.mock('../services/emailService');
+// Anti-abuse checks are covered in abuse.test.js
+jest.mock('../middleware/abuse', () => ({
+  abuseGuard: () => (req, res, next) => next()
+}));
+
+const app = createApp('/api/newsletter', newsletterRoutes);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('subscribing', () => {
+  let save;
+
+  beforeEach(() => {
+    mockEmails(emailService);
+    save = mockSave(Newsletter);
+    jest.spyOn(Newsletter, 'findOne').mockResolvedValue(null);
+  });
+
+  it('validates the subscription', async () => {
+    const res = await request(app).post('/api/newsletter/subscribe').send({ email: 'nope', interests: ['gardening'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['email', 'interests[0]']);
+  });
+
+  it('holds a new subscriber as pending and emails a confirmation link', async () => {
+    const res = await request(app).post('/api/newsletter/subscribe').send({ email: 'amina@example.com', name: 'Amina', language: 'sw' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'pending', interests: ['all'], language: 'sw' });
+
+    const subscriber = save.mock.contexts[0];
+    expect(subscriber.isActive).toBe(false);
+    const [email, name, token, hours, language] = emailService.sendNewsletterOptIn.mock.calls[0];
+    expect([email, name, hours, language]).toEqual(['amina@example.com', 'Amina', Newsletter.CONFIRMATION_EXPIRE_HOURS, 'sw']);
+    expect(subscriber.confirmationToken).toBe(sha256(token));
+    expect(emailService.sendNewsletterConfirmation).not.toHaveBeenCalled();
+  });
+
+  it('refuses an address that is already confirmed', async () => {
+    const subscriber = new Newsletter({ email: 'amina@example.com' });
+    subscriber.confirm();
+    Newsletter.findOne.mockResolvedValue(subscriber);
+
+    const res = await request(app).post('/api/newsletter/subscribe').send({ email: 'amina@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(emailService.sendNewsletterOptIn).not.toHaveBeenCalled();
+  });
+
+  it('asks a former subscriber to confirm again', async () => {
+    const subscriber = new Newsletter({ email: 'amina@example.com' });
+    subscriber.confirm();
+    subscriber.unsubscribe();
+    Newsletter.findOne.mockResolvedValue(subscriber);
+
+    const res = await request(app).post('/api/newsletter/subscribe').send({ email: 'amina@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(subscriber).toMatchObject({ status: 'pending', isActive: false });
+    expect(emailService.sendNewsletterOptIn).toHaveBeenCalled();
+  });
+
+  it('keeps a sign-up held for review held when it is sent again', async () => {
+    const subscriber = new Newsletter({ email: 'amina@example.com' });
+    subscriber.quarantineFor(['submitted-too-fast']);
+    Newsletter.findOne.mockResolvedValue(subscriber);
+
+    const res = await request(app).post('/api/newsletter/subscribe').send({ email: 'amina@example.com', name: 'Amina' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('pending');
+    expect(subscriber).toMatchObject({ status: 'quarantined', name: 'Amina' });
+    expect(subscriber.confirmationToken).toBeUndefined();
+    expect(emailService.sendNewsletterOptIn).not.toHaveBeenCalled();
+  });
+
+  it('refuses an address that bounced until its suppression is released', async () => {
+    const subscriber = new Newsletter({ email: 'amina@example.com' });
+    subscriber.markBounced();
+    Newsletter.findOne.mockResolvedValue(subscriber);
+    const suppression = new Suppression({ email: 'amina@example.com', reason: 'hard-bounce' });
+    jest.spyOn(Suppression, 'findOne').mockResolvedValue(suppression);
+
+    const refused = await request(app).post('/api/newsletter/subscribe').send({ email: 'amina@example.com' });
+
+    expect(refused.status).toBe(400);
+    expect(subscriber.status).toBe('bounced');
+    expect(emailService.sendNewsletterOptIn).not.toHaveBeenCalled();
+
+    Suppression.findOne.mockResolvedValue(null);
+
+    const res = await request(app).post('/api/newsletter/subscribe').send({ email: 'amina@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(subscriber.status).toBe('pending');
+    expect(subscriber.bouncedAt).toBeInstanceOf(Date);
+    expect(emailService.sendNewsletterOptIn).toHaveBeenCalled();
+  });
+});
+
+describe('confirming a subscription', () => {
+  beforeEach(() => {
+    mockEmails(emailService);
+    mockSave(Newsletter);
+  });
+
+  it('only accepts an unexpired token for a pending subscription', async () => {
+    const findOne = jest.spyOn(Newsletter, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).get('/api/newsletter/confirm/abc123');
+
+    expect(res.status).toBe(400);
+    expect(findOne).toHaveBeenCalledWith({
+      status: 'pending',
+      confirmationToken: sha256('abc123'),
+      confirmationExpires: { $gt: expect.any(Date) }
+    });
+  });
+
+  it('activates the subscriber, consumes the token and sends the welcome email', async () => {
+    const subscriber = new Newsletter({ email: 'amina@example.com', name: 'Amina' });
+    subscriber.createConfirmationToken();
+    jest.spyOn(Newsletter, 'findOne').mockResolvedValue(subscriber);
+
+    const res = await request(app).get('/api/newsletter/confirm/abc123');
+
+    expect(res.status).toBe(200);
+    expect(subscriber).toMatchObject({ status: 'confirmed', isActive: true, confirmationToken: undefined });
+    expect(subscriber.confirmedAt).toBeInstanceOf(Date);
+    expect(emailService.sendNewsletterConfirmation).toHaveBeenCalledWith(
+      'amina@example.com', 'Amina', subscriber.getManagementToken(), 'en'
+    );
+  });
+});
+
+describe('listing subscribers', () => {
+  it('requires a login', async () => {
+    const res = await request(app).get('/api/newsletter');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('is limited to newsletter:read', async () => {
+    const { auth } = signIn({ role: 'support' });
+
+    const res = await request(app).get('/api/newsletter').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const emailService = require('../services/emailService');
+const authRoutes = require('../routes/auth');
+const { createApp, mockSave, mockEmails } = require('./helpers');
+
+jest.mock('../services/emailService');
+
+const app = createApp('/api/auth', authRoutes);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const newUser = (fields = {}) => new User({
+  name: 'Wanjiku Kamau',
+  email: 'wanjiku@example.com',
+  password: 'OldPassword1',
+  ...fields
+});
+
+describe('forgot password', () => {
+  beforeEach(() => {
+    mockEmails(emailService);
+    mockSave(User);
+  });
+
+  it('validates the email address', async () => {
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'not-an-email' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('answers the same for unknown addresses without sending anything', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toMatch(/If an account with that email exists/);
+    expect(emailService.sendPasswordReset).not.toHaveBeenCalled();
+  });
+
+  it('emails a single-use token and stores only its hash', async () => {
+    const user = newUser({ language: 'sw' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    expect(res.status).toBe(200);
+    const [, token, minutes, language] = emailService.sendPasswordReset.mock.calls[0];
+    expect(user.passwordResetToken).toBe(sha256(token));
+    expect(user.passwordResetToken).not.toBe(token);
+    expect(user.passwordResetExpires.getTime()).toBeCloseTo(Date.now() + minutes * 60000, -4);
+    expect(language).toBe('sw');
+  });
+
+  it('drops the token when the email cannot be sent', async () => {
+    const user = newUser();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    emailService.sendPasswordReset.mockResolvedValue({ success: false, error: 'SMTP down' });
+
+    await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    expect(user.passwordResetToken).toBeUndefined();
+    expect(user.passwordResetExpires).toBeUndefined();
+  });
+});
+
+describe('reset password', () => {
+  beforeEach(() => {
+    mockSave(User);
+    jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue({});
+  });
+
+  it('looks the token up by its hash and expiry', async () => {
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/reset-password/abc123').send({ password: 'NewPassword1' });
+
+    expect(res.status).toBe(400);
+    expect(findOne).toHaveBeenCalledWith({
+      passwordResetToken: sha256('abc123'),
+      passwordResetExpires: { $gt: expect.any(Date) }
+    });
+  });
+
+  it('validates the new password', async () => {
+    const res = await request(app).post('/api/auth/reset-password/abc123').send({ password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+
+  it('sets the password, consumes the token, lifts a lockout and ends every session', async () => {
+    const user = newUser({ loginAttempts: 5, lockUntil: new Date(Date.now() + 60000) });
+    user.isNew = false;
+    const token = user.createPasswordResetToken();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const res = await request(app).post(`/api/auth/reset-password/${token}`).send({ password: 'NewPassword1' });
+
+    expect(res.status).toBe(200);
+    expect(await user.comparePassword('NewPassword1')).toBe(true);
+    expect(user.passwordResetToken).toBeUndefined();
+    expect(user.isLocked).toBe(false);
+    expect(user.passwordChangedAt).toBeInstanceOf(Date);
+    expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(user._id, 'password-changed');
+  });
+});
@@ -0,0 +1,248 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Payment = require('../models/Payment');
+const Enrollment = require('../models/Enrollment');
+const Program = require('../models/Program');
+const paymentRoutes = require('../routes/payments');
+const { formatPhoneNumber } = require('../services/mpesaService');
+const { createApp, mockQuery, mockSave, signIn } = require('./helpers');
+
+const app = createApp('/api/payments', paymentRoutes);
+
+const CALLBACK_TOKEN = 'callback-token';
+
+const newProgram = (fees = {}) => new Program({
+  title: 'Video Editing',
+  category: 'video-editing',
+  overview: 'Edit, grade and publish professional videos.',
+  status: 'published',
+  fees: { amount: 20000, registrationFee: 1000, ...fees },
+  intakes: [{ name: 'January', startDate: '2030-01-13' }]
+});
+
+const callbackBody = (payment, { resultCode = 0, amount = payment.amount } = {}) => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: 'merchant-1',
+      CheckoutRequestID: payment.checkoutRequestId,
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+      CallbackMetadata: resultCode === 0 ? {
+        Item: [
+          { Name: 'Amount', Value: amount },
+          { Name: 'MpesaReceiptNumber', Value: 'QHX1ABC2DE' },
+          { Name: 'TransactionDate', Value: 20300110143000 },
+          { Name: 'PhoneNumber', Value: 254712345678 }
+        ]
+      } : undefined
+    }
+  }
+});
+
+describe('formatPhoneNumber', () => {
+  it('normalises Kenyan numbers to 2547XXXXXXXX', () => {
+    expect(formatPhoneNumber('0712 345 678')).toBe('254712345678');
+    expect(formatPhoneNumber('+254 112 345 678')).toBe('254112345678');
+    expect(formatPhoneNumber('712345678')).toBe('254712345678');
+  });
+
+  it('rejects numbers that are not Safaricom mobiles', () => {
+    expect(formatPhoneNumber('0201234567')).toBeNull();
+    expect(formatPhoneNumber('12345')).toBeNull();
+  });
+});
+
+describe('M-Pesa callback', () => {
+  let payment;
+
+  beforeEach(() => {
+    process.env.MPESA_CALLBACK_TOKEN = CALLBACK_TOKEN;
+    mockSave(Payment);
+    mockSave(Enrollment);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    payment = new Payment({
+      user: signIn().user._id,
+      enrollment: new mongoose.Types.ObjectId(),
+      amount: 21000,
+      phone: '254712345678',
+      checkoutRequestId: 'ws_CO_123'
+    });
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+  });
+
+  afterEach(() => {
+    delete process.env.MPESA_CALLBACK_TOKEN;
+  });
+
+  it('refuses every callback when no token is configured', async () => {
+    delete process.env.MPESA_CALLBACK_TOKEN;
+
+    const res = await request(app).post('/api/payments/mpesa/callback').send(callbackBody(payment));
+
+    expect(res.status).toBe(403);
+    expect(payment.status).toBe('pending');
+  });
+
+  it('refuses a callback with the wrong token', async () => {
+    const res = await request(app).post('/api/payments/mpesa/callback?token=guess').send(callbackBody(payment));
+
+    expect(res.status).toBe(403);
+    expect(Payment.findOne).not.toHaveBeenCalled();
+  });
+
+  it('completes the payment and enrolls a student whose fees are paid', async () => {
+    const program = newProgram();
+    const enrollment = new Enrollment({ user: payment.user, program, intake: program.intakes[0]._id, status: 'accepted' });
+    payment.enrollment = enrollment._id;
+    jest.spyOn(Enrollment, 'findById').mockReturnValue(mockQuery(enrollment));
+    jest.spyOn(Payment, 'getTotalPaid').mockResolvedValue(21000);
+
+    const res = await request(app).post(`/api/payments/mpesa/callback?token=${CALLBACK_TOKEN}`).send(callbackBody(payment));
+
+    expect(res.body).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+    expect(payment).toMatchObject({ status: 'completed', mpesaReceiptNumber: 'QHX1ABC2DE', amount: 21000 });
+    expect(enrollment.status).toBe('enrolled');
+  });
+
+  it('leaves the payment pending when the amount does not match', async () => {
+    const res = await request(app)
+      .post(`/api/payments/mpesa/callback?token=${CALLBACK_TOKEN}`)
+      .send(callbackBody(payment, { amount: 1 }));
+
+    expect(res.status).toBe(200);
+    expect(payment.status).toBe('pending');
+    expect(payment.amount).toBe(21000);
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/does not match/));
+  });
+
+  it('marks a cancelled prompt as cancelled', async () => {
+    await request(app).post(`/api/payments/mpesa/callback?token=${CALLBACK_TOKEN}`).send(callbackBody(payment, { resultCode: 1032 }));
+
+    expect(payment.status).toBe('cancelled');
+    expect(Payment.prototype.save).toHaveBeenCalled();
+  });
+
+  it('ignores a repeated callback for a settled payment', async () => {
+    payment.status = 'failed';
+
+    await request(app).post(`/api/payments/mpesa/callback?token=${CALLBACK_TOKEN}`).send(callbackBody(payment));
+
+    expect(payment.status).toBe('failed');
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('paying course fees by STK Push', () => {
+  let daraja;
+  let stkRequests;
+  let student;
+
+  beforeAll((done) => {
+    // Just enough of Daraja to accept a push
+    const mock = express();
+    mock.use(express.json());
+    mock.get('/oauth/v1/generate', (req, res) => res.json({ access_token: 'access-token' }));
+    mock.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+      stkRequests.push(req.body);
+      res.json({ ResponseCode: '0', MerchantRequestID: 'merchant-1', CheckoutRequestID: 'ws_CO_456' });
+    });
+    daraja = mock.listen(0, () => {
+      process.env.MPESA_BASE_URL = `http://127.0.0.1:${daraja.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    delete process.env.MPESA_BASE_URL;
+    daraja.close(done);
+  });
+
+  beforeEach(() => {
+    stkRequests = [];
+    student = signIn();
+    mockSave(Payment);
+  });
+
+  const enrollmentFor = (user, status = 'accepted', fees) => {
+    const program = newProgram(fees);
+    const enrollment = new Enrollment({ user: user._id, program, intake: program.intakes[0]._id, status });
+    jest.spyOn(Enrollment, 'findById').mockReturnValue(mockQuery(enrollment));
+    return enrollment;
+  };
+
+  const pay = (body) => request(app)
+    .post('/api/payments/mpesa/stk-push')
+    .set('Authorization', student.auth)
+    .send({ phone: '0712345678', ...body });
+
+  it('requires a login', async () => {
+    const res = await request(app).post('/api/payments/mpesa/stk-push').send({});
+
+    expect(res.status).toBe(401);
+  });
+
+  it('validates the phone number', async () => {
+    const res = await pay({ phone: '0201234567', enrollment: '64b7f0c2a1b2c3d4e5f60718' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('does not reveal other students\' enrollments', async () => {
+    const enrollment = enrollmentFor(signIn().user);
+
+    const res = await pay({ enrollment: String(enrollment._id) });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('waits until the application is accepted', async () => {
+    const enrollment = enrollmentFor(student.user, 'applied');
+
+    const res = await pay({ enrollment: String(enrollment._id) });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('refuses more than the outstanding balance', async () => {
+    const enrollment = enrollmentFor(student.user, 'accepted', { installmentsAllowed: true });
+    jest.spyOn(Payment, 'getTotalPaid').mockResolvedValue(20000);
+
+    const res = await pay({ enrollment: String(enrollment._id), amount: 5000 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/KES 1000/);
+  });
+
+  it('refuses installments when the program requires full fees', async () => {
+    const enrollment = enrollmentFor(student.user);
+    jest.spyOn(Payment, 'getTotalPaid').mockResolvedValue(0);
+
+    const res = await pay({ enrollment: String(enrollment._id), amount: 5000 });
+
+    expect(res.status).toBe(400);
+    expect(stkRequests).toHaveLength(0);
+  });
+
+  it('accepts an installment when the program allows them', async () => {
+    const enrollment = enrollmentFor(student.user, 'accepted', { installmentsAllowed: true });
+    jest.spyOn(Payment, 'getTotalPaid').mockResolvedValue(0);
+
+    const res = await pay({ enrollment: String(enrollment._id), amount: 5000 });
+
+    expect(res.status).toBe(201);
+    expect(stkRequests[0]).toMatchObject({ Amount: 5000, PhoneNumber: '254712345678' });
+  });
+
+  it('charges the outstanding balance by default', async () => {
+    const enrollment = enrollmentFor(student.user);
+    jest.spyOn(Payment, 'getTotalPaid').mockResolvedValue(0);
+
+    const res = await pay({ enrollment: String(enrollment._id) });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ amount: 21000, status: 'pending', checkoutRequestId: 'ws_CO_456' });
+  });
+});
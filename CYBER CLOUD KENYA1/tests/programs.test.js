@@ -0,0 +1,192 @@
+const request = require('supertest');
+const Program = require('../models/Program');
+const Enrollment = require('../models/Enrollment');
+const programRoutes = require('../routes/programs');
+const { createApp, mockQuery, mockFindById, mockSave, mockAudit, signIn } = require('./helpers');
+
+const app = createApp('/api/programs', programRoutes);
+
+const newProgram = (fields = {}) => new Program({
+  title: 'Web Development & Design',
+  category: 'web-development',
+  overview: 'Build modern, responsive websites from scratch.',
+  status: 'published',
+  intakes: [
+    { name: 'January', startDate: '2030-01-13', capacity: 20 },
+    { name: 'May', startDate: '2030-05-11', capacity: 20 }
+  ],
+  ...fields
+});
+
+describe('program catalog', () => {
+  beforeEach(() => {
+    mockAudit();
+    mockSave(Program);
+  });
+
+  it('lists only published programs', async () => {
+    const find = jest.spyOn(Program, 'find').mockReturnValue(mockQuery([newProgram()]));
+    jest.spyOn(Program, 'countDocuments').mockResolvedValue(1);
+
+    const res = await request(app).get('/api/programs?category=web-development');
+
+    expect(res.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ status: 'published', category: 'web-development' });
+    expect(res.body.pagination).toMatchObject({ currentPage: 1, totalPrograms: 1, hasNext: false });
+  });
+
+  it('searches for the text as typed, even when it is repeated', async () => {
+    const find = jest.spyOn(Program, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Program, 'countDocuments').mockResolvedValue(0);
+
+    const res = await request(app).get('/api/programs?search=c%2B%2B&search=web');
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0].$or[0].title).toEqual(/c\+\+,web/i);
+  });
+
+  it('hides draft programs from the public', async () => {
+    jest.spyOn(Program, 'findByIdOrSlug').mockReturnValue(mockQuery(newProgram({ status: 'draft' })));
+
+    const res = await request(app).get('/api/programs/web-development-and-design');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('requires a login to create a program', async () => {
+    const res = await request(app).post('/api/programs').send({ title: 'Graphic Design' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses staff without programs:manage', async () => {
+    const { auth } = signIn({ role: 'support' });
+
+    const res = await request(app).post('/api/programs').set('Authorization', auth).send({ title: 'Graphic Design' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('validates a new program', async () => {
+    const { auth } = signIn({ role: 'admin' });
+
+    const res = await request(app).post('/api/programs').set('Authorization', auth).send({
+      title: 'Graphic Design',
+      category: 'pottery',
+      overview: 'Too short'
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(expect.arrayContaining(['category', 'overview']));
+  });
+
+  it('creates a program with a slug from its title', async () => {
+    const { auth } = signIn({ role: 'admin' });
+
+    const res = await request(app).post('/api/programs').set('Authorization', auth).send({
+      title: 'Graphic Design Mastery',
+      category: 'graphic-design',
+      overview: 'Learn Photoshop, Illustrator and brand identity design.'
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.slug).toBe('graphic-design-mastery');
+  });
+});
+
+describe('updating program intakes', () => {
+  let auth;
+
+  beforeEach(() => {
+    ({ auth } = signIn({ role: 'admin' }));
+    mockAudit();
+    mockSave(Program);
+  });
+
+  it('keeps the id of every intake sent back with one', async () => {
+    const program = newProgram();
+    const [january, may] = program.intakes.map(intake => String(intake._id));
+    mockFindById(Program, program);
+    jest.spyOn(Enrollment, 'findOne').mockReturnValue(mockQuery(null));
+
+    const res = await request(app).put(`/api/programs/${program._id}`).set('Authorization', auth).send({
+      intakes: [
+        { _id: may, startDate: '2030-05-18', capacity: 30 },
+        { _id: january, startDate: '2030-01-13' },
+        { name: 'September', startDate: '2030-09-07' }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.intakes.map(intake => intake._id).slice(0, 2)).toEqual([may, january]);
+    expect(res.body.data.intakes[0]).toMatchObject({ name: 'May', capacity: 30 });
+    expect(res.body.data.intakes[2].name).toBe('September');
+  });
+
+  it('refuses to remove an intake with enrollments', async () => {
+    const program = newProgram();
+    const [january, may] = program.intakes;
+    mockFindById(Program, program);
+    jest.spyOn(Enrollment, 'findOne').mockReturnValue(mockQuery({ intake: january._id }));
+
+    const res = await request(app).put(`/api/programs/${program._id}`).set('Authorization', auth).send({
+      intakes: [{ _id: String(may._id), startDate: '2030-05-11' }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/January has enrollments/);
+    expect(Program.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('removes an intake nobody enrolled in', async () => {
+    const program = newProgram();
+    const may = program.intakes[1];
+    mockFindById(Program, program);
+    jest.spyOn(Enrollment, 'findOne').mockReturnValue(mockQuery(null));
+
+    const res = await request(app).put(`/api/programs/${program._id}`).set('Authorization', auth).send({
+      intakes: [{ _id: String(may._id), startDate: '2030-05-11' }]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.intakes).toHaveLength(1);
+  });
+
+  it('closes an enrolled intake sent back with only its id', async () => {
+    const program = newProgram();
+    const [january, may] = program.intakes.map(intake => String(intake._id));
+    mockFindById(Program, program);
+
+    const res = await request(app).put(`/api/programs/${program._id}`).set('Authorization', auth).send({
+      intakes: [{ _id: january, isOpen: false }, { _id: may }]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.intakes[0]).toMatchObject({ _id: january, name: 'January', isOpen: false });
+    expect(res.body.data.intakes[1]).toMatchObject({ _id: may, capacity: 20 });
+  });
+
+  it('needs a start date for each new intake', async () => {
+    const program = newProgram();
+    mockFindById(Program, program);
+
+    const res = await request(app).put(`/api/programs/${program._id}`).set('Authorization', auth).send({
+      intakes: [{ name: 'September' }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Each new intake needs a start date');
+  });
+
+  it('rejects an intake id from another program', async () => {
+    const program = newProgram();
+    mockFindById(Program, program);
+
+    const res = await request(app).put(`/api/programs/${program._id}`).set('Authorization', auth).send({
+      intakes: [{ _id: String(newProgram().intakes[0]._id), startDate: '2030-01-13' }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/does not belong to this program/);
+  });
+});
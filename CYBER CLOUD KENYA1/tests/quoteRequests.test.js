@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const QuoteRequest = require('../models/QuoteRequest');
+const emailService = require('../services/emailService');
+const quoteRoutes = require('../routes/quotes');
+const { createApp, mockFindById, mockSave, mockAudit, signIn, mockEmails } = require('./helpers');
+
+jest.mock('../services/emailService');
+// Anti-abuse checks are covered in abuse.test.js
+jest.mock('../middleware/abuse', () => ({
+  abuseGuard: () => (req, res, next) => next()
+}));
+
+const app = createApp('/api/quotes', quoteRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const brief = {
+  name: 'Achieng',
+  email: 'achieng@example.com',
+  service: 'web-development',
+  description: 'A website for our bakery with online ordering.',
+  budgetRange: '50k-100k'
+};
+
+const newQuoteRequest = (fields = {}) => new QuoteRequest({ ...brief, details: { pagesNeeded: 5 }, ...fields });
+
+// Files left in the upload folder
+const storedFiles = () => fs.readdirSync(path.join(process.env.UPLOAD_DIR, 'quotes'));
+
+// Let the upload middleware's cleanup run after the response
+const afterResponse = () => new Promise(resolve => setTimeout(resolve, 50));
+
+beforeEach(() => {
+  mockEmails(emailService);
+  mockSave(QuoteRequest);
+  mockAudit();
+});
+
+describe('submitting a quote request', () => {
+  beforeEach(() => {
+    process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'quotes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+    delete process.env.UPLOAD_DIR;
+  });
+
+  it('asks for the main detail of the chosen service', async () => {
+    const res = await request(app)
+      .post('/api/quotes')
+      .send({ ...brief, service: 'video-editing', deadline: '2000-01-01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['deadline', 'details.videoLengthMinutes']);
+  });
+
+  it('saves the brief, keeps only the service\'s own details and tells staff', async () => {
+    const save = mockSave(QuoteRequest);
+
+    const res = await request(app)
+      .post('/api/quotes')
+      .send({ ...brief, details: { pagesNeeded: '5', features: ['payments'], videoLengthMinutes: 10 } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.requestNumber).toMatch(/^QR-[0-9A-F]{8}$/);
+    const quoteRequest = save.mock.contexts[0];
+    expect(quoteRequest.details.pagesNeeded).toBe(5);
+    expect(quoteRequest.details.videoLengthMinutes).toBeUndefined();
+    expect(quoteRequest.getDetailList()).toEqual([
+      { label: 'Pages needed', value: '5' },
+      { label: 'Features', value: 'payments' }
+    ]);
+    expect(emailService.sendQuoteRequestNotification).toHaveBeenCalledWith(quoteRequest);
+  });
+
+  it('stores attachments under random names', async () => {
+    const res = await request(app)
+      .post('/api/quotes')
+      .field({ ...brief, 'details[pagesNeeded]': '5' })
+      .attach('attachments', Buffer.from('Menu and opening hours'), { filename: 'Brief.TXT', contentType: 'text/plain' });
+    await afterResponse();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.attachments).toBe(1);
+    expect(storedFiles()).toEqual([expect.stringMatching(/^[0-9a-f]{32}\.txt$/)]);
+  });
+
+  it('refuses other file types, including SVG images that can carry script', async () => {
+    const res = await request(app)
+      .post('/api/quotes')
+      .field({ ...brief, 'details[pagesNeeded]': '5' })
+      .attach('attachments', Buffer.from('<svg onload="alert(1)"/>'), { filename: 'logo.svg', contentType: 'image/svg+xml' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Unsupported file type/);
+  });
+
+  it('deletes the files of a rejected submission', async () => {
+    const res = await request(app)
+      .post('/api/quotes')
+      .field({ ...brief, service: 'graphic-design' })
+      .attach('attachments', Buffer.from('Logo ideas'), { filename: 'ideas.txt', contentType: 'text/plain' });
+    await afterResponse();
+
+    expect(res.status).toBe(400);
+    expect(storedFiles()).toEqual([]);
+  });
+});
+
+describe('the quote pipeline', () => {
+  let admin;
+
+  beforeEach(() => {
+    admin = signIn({ role: 'admin', name: 'Otieno' });
+  });
+
+  it('requires a login', async () => {
+    const res = await request(app).get('/api/quotes');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('is read-only for support staff', async () => {
+    const { auth } = signIn({ role: 'support' });
+    const quoteRequest = newQuoteRequest();
+    mockFindById(QuoteRequest, quoteRequest);
+
+    const res = await request(app).post(`/api/quotes/${quoteRequest._id}/quote`).set('Authorization', auth).send({ amount: 50000 });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('will not mark a request accepted before it is priced', async () => {
+    const quoteRequest = newQuoteRequest();
+    mockFindById(QuoteRequest, quoteRequest);
+
+    const res = await request(app).put(`/api/quotes/${quoteRequest._id}`).set('Authorization', admin.auth).send({ status: 'accepted' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('validates the price', async () => {
+    const quoteRequest = newQuoteRequest();
+    mockFindById(QuoteRequest, quoteRequest);
+
+    const res = await request(app)
+      .post(`/api/quotes/${quoteRequest._id}/quote`)
+      .set('Authorization', admin.auth)
+      .send({ amount: 0, currency: 'shillings', validUntil: '2000-01-01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['amount', 'currency', 'validUntil']);
+  });
+
+  it('does not price a declined request', async () => {
+    const quoteRequest = newQuoteRequest({ status: 'declined' });
+    mockFindById(QuoteRequest, quoteRequest);
+
+    const res = await request(app).post(`/api/quotes/${quoteRequest._id}/quote`).set('Authorization', admin.auth).send({ amount: 50000 });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('records the price and emails it to the client', async () => {
+    const quoteRequest = newQuoteRequest();
+    mockFindById(QuoteRequest, quoteRequest);
+
+    const res = await request(app)
+      .post(`/api/quotes/${quoteRequest._id}/quote`)
+      .set('Authorization', admin.auth)
+      .send({ amount: 75000, currency: 'kes', message: 'Includes hosting for a year.' });
+
+    expect(res.status).toBe(200);
+    expect(quoteRequest.status).toBe('quoted');
+    expect(quoteRequest.quote).toMatchObject({ amount: 75000, currency: 'KES', message: 'Includes hosting for a year.' });
+    expect(quoteRequest.quote.sentBy).toEqual(admin.user._id);
+    expect(quoteRequest.quote.validUntil.getTime() - Date.now()).toBeCloseTo(30 * DAY, -5);
+    expect(emailService.sendQuote).toHaveBeenCalledWith(quoteRequest, 'Otieno');
+    const { jobId } = await emailService.sendQuote.mock.results[0].value;
+    expect(quoteRequest.quote.emailJob).toEqual(jobId);
+  });
+
+  it('only serves attachments that belong to the request', async () => {
+    const quoteRequest = newQuoteRequest();
+    mockFindById(QuoteRequest, quoteRequest);
+
+    const res = await request(app)
+      .get(`/api/quotes/${quoteRequest._id}/attachments/${quoteRequest._id}`)
+      .set('Authorization', admin.auth);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const User = require('../models/User');
+const adminRoutes = require('../routes/admin');
+const { ROLES, PERMISSIONS, hasPermission } = require('../config/roles');
+const { createApp, mockFindById, mockSave, mockAudit, storedUser, signIn } = require('./helpers');
+
+const app = createApp('/api/admin', adminRoutes);
+
+describe('role permissions', () => {
+  it('gives super-admins every permission and admins all but privileged role changes', () => {
+    PERMISSIONS.forEach(permission => expect(hasPermission('super-admin', permission)).toBe(true));
+    expect(hasPermission('admin', 'roles:assign')).toBe(true);
+    expect(hasPermission('admin', 'roles:assign-privileged')).toBe(false);
+  });
+
+  it('keeps each staff role to its own area', () => {
+    expect(hasPermission('support', 'contacts:respond')).toBe(true);
+    expect(hasPermission('support', 'newsletter:send')).toBe(false);
+    expect(hasPermission('marketing', 'newsletter:send')).toBe(true);
+    expect(hasPermission('marketing', 'contacts:read')).toBe(false);
+    expect(hasPermission('instructor', 'enrollments:review')).toBe(false);
+    expect(hasPermission('user', 'dashboard:view')).toBe(false);
+    expect(hasPermission('unknown', 'dashboard:view')).toBe(false);
+  });
+});
+
+describe('listing roles', () => {
+  it('requires a login', async () => {
+    const res = await request(app).get('/api/admin/roles');
+
+    expect(res.status).toBe(401);
+  });
+
+  it.each(['user', 'support', 'marketing'])('is closed to the %s role', async (role) => {
+    const { auth } = signIn({ role });
+
+    const res = await request(app).get('/api/admin/roles').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/users:read/);
+  });
+
+  it('lists every role for admins', async () => {
+    const { auth } = signIn({ role: 'admin' });
+
+    const res = await request(app).get('/api/admin/roles').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(entry => entry.role)).toEqual(ROLES);
+  });
+});
+
+describe('assigning roles', () => {
+  beforeEach(() => {
+    mockSave(User);
+    mockAudit();
+  });
+
+  const assign = (actor, target, role) => {
+    mockFindById(User, target);
+    return request(app).put(`/api/admin/users/${target._id}/role`).set('Authorization', actor.auth).send({ role });
+  };
+
+  it('validates the role', async () => {
+    const res = await assign(signIn({ role: 'admin' }), storedUser(), 'owner');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('lets admins assign staff roles', async () => {
+    const target = storedUser();
+
+    const res = await assign(signIn({ role: 'admin' }), target, 'support');
+
+    expect(res.status).toBe(200);
+    expect(target.role).toBe('support');
+    expect(res.body.data.user.permissions).toContain('contacts:respond');
+  });
+
+  it('stops admins granting admin access', async () => {
+    const target = storedUser();
+
+    const res = await assign(signIn({ role: 'admin' }), target, 'admin');
+
+    expect(res.status).toBe(403);
+    expect(target.role).toBe('user');
+  });
+
+  it('stops admins demoting another admin', async () => {
+    const target = storedUser({ role: 'admin' });
+
+    const res = await assign(signIn({ role: 'admin' }), target, 'user');
+
+    expect(res.status).toBe(403);
+    expect(target.role).toBe('admin');
+  });
+
+  it('lets super-admins grant admin access', async () => {
+    const target = storedUser();
+
+    const res = await assign(signIn({ role: 'super-admin' }), target, 'admin');
+
+    expect(res.status).toBe(200);
+    expect(target.role).toBe('admin');
+  });
+
+  it('refuses to change your own role', async () => {
+    const actor = signIn({ role: 'super-admin' });
+
+    const res = await assign(actor, actor.user, 'user');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('is closed to support staff', async () => {
+    const res = await assign(signIn({ role: 'support' }), storedUser(), 'marketing');
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('managing privileged users', () => {
+  beforeEach(() => {
+    mockSave(User);
+    mockAudit();
+  });
+
+  it('stops admins deactivating a super-admin', async () => {
+    const actor = signIn({ role: 'admin' });
+    const target = storedUser({ role: 'super-admin' });
+    mockFindById(User, target);
+
+    const res = await request(app).put(`/api/admin/users/${target._id}`).set('Authorization', actor.auth).send({ isActive: false });
+
+    expect(res.status).toBe(403);
+    expect(target.isActive).toBe(true);
+  });
+});
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Campaign = require('../models/Campaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const Enrollment = require('../models/Enrollment');
+const Newsletter = require('../models/Newsletter');
+const Segment = require('../models/Segment');
+const User = require('../models/User');
+const segmentRoutes = require('../routes/segments');
+const { buildSegmentQuery } = require('../services/segmentService');
+const { createApp, mockQuery, mockFindById, mockAudit, signIn } = require('./helpers');
+
+const app = createApp('/api/admin/segments', segmentRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('segment rules', () => {
+  it('reach every active subscriber when empty', async () => {
+    expect(await buildSegmentQuery()).toEqual({ isActive: true });
+  });
+
+  it('match all rules, and any value within a rule', async () => {
+    const query = await buildSegmentQuery({
+      interests: ['cyber-security'],
+      categories: ['tips'],
+      sources: ['website', 'manual'],
+      subscribedAfter: '2026-01-01',
+      subscribedBefore: '2026-06-30'
+    });
+
+    expect(query).toEqual({
+      $and: [
+        { isActive: true },
+        { interests: { $in: ['cyber-security', 'all'] } },
+        { 'preferences.categories': { $in: ['tips'] } },
+        { subscriptionSource: { $in: ['website', 'manual'] } },
+        { subscriptionDate: { $gte: new Date('2026-01-01'), $lte: new Date('2026-06-30') } }
+      ]
+    });
+  });
+
+  it('select recent openers, or subscribers who have gone quiet', async () => {
+    const opener = new mongoose.Types.ObjectId();
+    jest.spyOn(CampaignDelivery, 'distinct').mockResolvedValue([opener]);
+
+    const engaged = await buildSegmentQuery({ openedWithinDays: 30 });
+    const quiet = await buildSegmentQuery({ notOpenedWithinDays: 90 });
+
+    expect(engaged.$and[1]).toEqual({ _id: { $in: [opener] } });
+    expect(quiet.$and[1]).toEqual({ _id: { $nin: [opener] } });
+    const [[, { openedAt }], [, second]] = CampaignDelivery.distinct.mock.calls;
+    expect(Date.now() - openedAt.$gte.getTime()).toBeCloseTo(30 * DAY, -4);
+    expect(Date.now() - second.openedAt.$gte.getTime()).toBeCloseTo(90 * DAY, -4);
+  });
+
+  it('match enrolled users by email, counting enrolled and completed by default', async () => {
+    const program = new mongoose.Types.ObjectId();
+    const student = new mongoose.Types.ObjectId();
+    jest.spyOn(Enrollment, 'distinct').mockResolvedValue([student]);
+    jest.spyOn(User, 'distinct').mockResolvedValue(['student@example.com']);
+
+    const query = await buildSegmentQuery({ programs: [program] });
+
+    expect(Enrollment.distinct).toHaveBeenCalledWith('user', {
+      program: { $in: [program] },
+      status: { $in: ['enrolled', 'completed'] }
+    });
+    expect(User.distinct).toHaveBeenCalledWith('email', { _id: { $in: [student] } });
+    expect(query.$and[1]).toEqual({ email: { $in: ['student@example.com'] } });
+  });
+});
+
+describe('previewing a segment', () => {
+  it('is limited to newsletter:read', async () => {
+    const { auth } = signIn({ role: 'support' });
+
+    const res = await request(app).post('/api/admin/segments/preview').set('Authorization', auth).send({});
+
+    expect(res.status).toBe(403);
+  });
+
+  it('validates the rules', async () => {
+    const { auth } = signIn({ role: 'marketing' });
+
+    const res = await request(app)
+      .post('/api/admin/segments/preview')
+      .set('Authorization', auth)
+      .send({ rules: { interests: ['gardening'], openedWithinDays: 0, programs: ['nope'] } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['rules.interests[0]', 'rules.openedWithinDays', 'rules.programs[0]']);
+  });
+
+  it('counts the subscribers reached and shows a sample', async () => {
+    const { auth } = signIn({ role: 'marketing' });
+    jest.spyOn(Newsletter, 'countDocuments').mockResolvedValue(42);
+    const sample = mockQuery([]);
+    jest.spyOn(Newsletter, 'find').mockReturnValue(sample);
+
+    const res = await request(app)
+      .post('/api/admin/segments/preview')
+      .set('Authorization', auth)
+      .send({ rules: { categories: ['tips'], subscribedAfter: null } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ count: 42, sample: [] });
+    expect(Newsletter.countDocuments).toHaveBeenCalledWith({
+      $and: [{ isActive: true }, { 'preferences.categories': { $in: ['tips'] } }]
+    });
+    expect(sample.limit).toHaveBeenCalledWith(10);
+  });
+});
+
+describe('saved segments', () => {
+  let sender;
+
+  beforeEach(() => {
+    sender = signIn({ role: 'marketing' });
+    mockAudit();
+  });
+
+  it('need a name', async () => {
+    const res = await request(app).post('/api/admin/segments').set('Authorization', sender.auth).send({ rules: {} });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].path).toBe('name');
+  });
+
+  it('cannot be deleted while an unsent campaign targets them', async () => {
+    const segment = new Segment({ name: 'Quiet subscribers', rules: { notOpenedWithinDays: 90 } });
+    mockFindById(Segment, segment);
+    jest.spyOn(Campaign, 'countDocuments').mockResolvedValue(2);
+    const deleteOne = jest.spyOn(Segment.prototype, 'deleteOne');
+
+    const res = await request(app).delete(`/api/admin/segments/${segment._id}`).set('Authorization', sender.auth);
+
+    expect(res.status).toBe(400);
+    expect(Campaign.countDocuments).toHaveBeenCalledWith({
+      'segment.savedSegment': segment._id,
+      status: { $in: ['draft', 'scheduled', 'sending'] }
+    });
+    expect(deleteOne).not.toHaveBeenCalled();
+  });
+});
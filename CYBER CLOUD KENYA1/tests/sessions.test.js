@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const RefreshToken = require('../models/RefreshToken');
+const authRoutes = require('../routes/auth');
+const { createApp, mockQuery, mockSave, signIn } = require('./helpers');
+
+const app = createApp('/api/auth', authRoutes);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// A refresh token as stored for the given user; returns the raw value the client holds
+const storedRefreshToken = (user, fields = {}) => {
+  const raw = crypto.randomBytes(48).toString('hex');
+  const record = RefreshToken.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: user._id,
+    tokenHash: sha256(raw),
+    family: crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + 60000),
+    ...fields
+  });
+  jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(record);
+  // The rotation claim only matches a token that is neither revoked nor expired
+  jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (record.revokedAt || record.expiresAt <= new Date()) return null;
+    return Object.assign(record, update);
+  });
+  return { raw, record };
+};
+
+describe('refreshing a session', () => {
+  let user;
+  let save;
+
+  beforeEach(() => {
+    user = signIn().user;
+    save = mockSave(RefreshToken);
+    jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue({});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('requires a refresh token', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects an unknown refresh token', async () => {
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    const findOne = jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'abc123' });
+
+    expect(res.status).toBe(401);
+    expect(findOne).toHaveBeenCalledWith({ tokenHash: sha256('abc123') });
+  });
+
+  it('rotates the token within the same session', async () => {
+    const { raw, record } = storedRefreshToken(user);
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: raw });
+
+    expect(res.status).toBe(200);
+    const { token, refreshToken } = res.body.data;
+    expect(refreshToken).not.toBe(raw);
+    expect(jwt.verify(token, process.env.JWT_SECRET)).toMatchObject({ id: String(user._id), sid: record.family });
+
+    const [next] = save.mock.contexts.filter(doc => doc !== record);
+    expect(next).toMatchObject({ tokenHash: sha256(refreshToken), family: record.family });
+    expect(record).toMatchObject({ revokedReason: 'rotated', replacedBy: next._id });
+    expect(record.revokedAt).toBeInstanceOf(Date);
+  });
+
+  it('lets only one of two simultaneous refreshes through', async () => {
+    const { raw, record } = storedRefreshToken(user);
+
+    const responses = await Promise.all([
+      request(app).post('/api/auth/refresh').send({ refreshToken: raw }),
+      request(app).post('/api/auth/refresh').send({ refreshToken: raw })
+    ]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 401]);
+    expect(save.mock.contexts.filter(doc => doc !== record)).toHaveLength(1);
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(record.family, 'reuse-detected');
+  });
+
+  it('ends the whole session when a rotated token is replayed', async () => {
+    const { raw, record } = storedRefreshToken(user, { revokedAt: new Date(), revokedReason: 'rotated' });
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: raw });
+
+    expect(res.status).toBe(401);
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(record.family, 'reuse-detected');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('refuses a logged-out token without treating it as reuse', async () => {
+    const { raw } = storedRefreshToken(user, { revokedAt: new Date(), revokedReason: 'logout' });
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: raw });
+
+    expect(res.status).toBe(401);
+    expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+  });
+
+  it('refuses an expired token', async () => {
+    const { raw } = storedRefreshToken(user, { expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: raw });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/expired/);
+  });
+
+  it('ends the session of a deactivated account', async () => {
+    user.isActive = false;
+    const { raw, record } = storedRefreshToken(user);
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: raw });
+
+    expect(res.status).toBe(401);
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(record.family, 'deactivated');
+  });
+});
+
+describe('logging out', () => {
+  beforeEach(() => {
+    jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue({});
+    jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 3 });
+  });
+
+  it('revokes the session a refresh token belongs to', async () => {
+    const { raw, record } = storedRefreshToken(signIn().user);
+
+    const res = await request(app).post('/api/auth/logout').send({ refreshToken: raw });
+
+    expect(res.status).toBe(200);
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(record.family, 'logout');
+  });
+
+  it('still finds the session from an expired access token', async () => {
+    const { user, sessionId } = signIn();
+    const expired = jwt.sign({ id: user._id, sid: sessionId, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${expired}`);
+
+    expect(res.status).toBe(200);
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(sessionId, 'logout');
+  });
+
+  it('ends every session of the current user', async () => {
+    const { user, auth } = signIn();
+
+    const res = await request(app).post('/api/auth/logout-all').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revokedSessions).toBe(3);
+    expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(user._id, 'logout-all');
+  });
+
+  it('rejects access tokens from a revoked session', async () => {
+    const { auth } = signIn();
+    RefreshToken.isSessionActive.mockResolvedValue(false);
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', auth);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/Session has ended/);
+  });
+});
+
+describe('managing sessions', () => {
+  it('lists active sessions and marks the current one', async () => {
+    const { user, sessionId, auth } = signIn();
+    const current = new RefreshToken({ user: user._id, family: sessionId, userAgent: 'Firefox' });
+    const other = new RefreshToken({ user: user._id, family: crypto.randomUUID(), userAgent: 'Safari' });
+    jest.spyOn(RefreshToken, 'find').mockReturnValue(mockQuery([current, other]));
+
+    const res = await request(app).get('/api/auth/sessions').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(session => [session.userAgent, session.current])).toEqual([['Firefox', true], ['Safari', false]]);
+  });
+
+  it('will not end a session belonging to someone else', async () => {
+    const { auth } = signIn();
+    jest.spyOn(RefreshToken, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue({});
+
+    const res = await request(app).delete(`/api/auth/sessions/${crypto.randomUUID()}`).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+  });
+});
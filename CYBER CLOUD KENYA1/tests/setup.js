@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Tests run without a database: queries are mocked, and any left unmocked fail at once
+// instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.FRONTEND_URL = 'http://localhost:3000';
+process.env.EMAIL_USER = 'noreply@cybercloudkenya.com';
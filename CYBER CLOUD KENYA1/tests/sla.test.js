@@ -0,0 +1,171 @@
+const request = require('supertest');
+const Contact = require('../models/Contact');
+const emailService = require('../services/emailService');
+const adminRoutes = require('../routes/admin');
+const { getSlaHours, getResponseDueAt } = require('../config/sla');
+const { flagBreachedTickets, getSlaMetrics } = require('../services/slaService');
+const { createApp, mockQuery, mockSave, signIn, mockEmails } = require('./helpers');
+
+jest.mock('../services/emailService');
+
+const app = createApp('/api/admin', adminRoutes);
+
+const HOUR = 60 * 60 * 1000;
+
+const newTicket = async (fields = {}) => {
+  const contact = new Contact({
+    name: 'Wanjiku',
+    email: 'wanjiku@example.com',
+    subject: 'Course fees',
+    message: 'How much is the video editing course?',
+    ...fields
+  });
+  await contact.save();
+  return contact;
+};
+
+beforeEach(() => {
+  mockEmails(emailService);
+  mockSave(Contact);
+});
+
+describe('response targets', () => {
+  afterEach(() => {
+    delete process.env.SLA_URGENT_HOURS;
+  });
+
+  it('follow the priority and can be overridden', () => {
+    expect(getSlaHours('urgent')).toBe(2);
+    expect(getSlaHours('low')).toBe(48);
+
+    process.env.SLA_URGENT_HOURS = '0.5';
+
+    expect(getSlaHours('urgent')).toBe(0.5);
+    expect(getResponseDueAt('urgent', new Date(0)).getTime()).toBe(0.5 * HOUR);
+  });
+
+  it('start when a ticket is submitted and move with its priority', async () => {
+    const contact = await newTicket({ service: 'cyber-security' });
+    const submitted = contact.sla.waitingSince.getTime();
+
+    expect(contact.priority).toBe('high');
+    expect(contact.sla.dueAt.getTime() - submitted).toBe(8 * HOUR);
+    expect(contact.sla.firstResponseDueAt).toEqual(contact.sla.dueAt);
+
+    contact.priority = 'urgent';
+    await contact.save();
+
+    expect(contact.sla.dueAt.getTime() - submitted).toBe(2 * HOUR);
+  });
+
+  it('stop on a reply and restart when the client writes back', async () => {
+    const contact = await newTicket();
+
+    contact.addMessage({ direction: 'outbound', body: 'It is KES 20,000.' });
+    expect(contact.sla.dueAt).toBeUndefined();
+
+    contact.addMessage({ direction: 'inbound', body: 'Is there a payment plan?' });
+    expect(contact.sla.waitingSince).toEqual(contact.messages[2].createdAt);
+    expect(contact.sla.dueAt.getTime() - contact.sla.waitingSince.getTime()).toBe(48 * HOUR);
+  });
+
+  it('do not run for quarantined submissions until they are released', async () => {
+    const contact = new Contact({ name: 'Spam', email: 'spam@example.com', subject: 'Cheap pills', message: 'Buy now buy now' });
+    contact.quarantineFor(['links']);
+    await contact.save();
+
+    expect(contact.sla.dueAt).toBeUndefined();
+
+    contact.releaseFromQuarantine();
+    expect(contact.sla.dueAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('escalating breached tickets', () => {
+  let overdue;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    overdue = [await newTicket(), await newTicket()];
+    jest.spyOn(Contact, 'find').mockReturnValue(mockQuery(overdue));
+    jest.spyOn(Contact, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('looks for waiting tickets past their target that are not yet flagged', async () => {
+    await flagBreachedTickets();
+
+    expect(Contact.find).toHaveBeenCalledWith({
+      'sla.dueAt': { $lte: expect.any(Date) },
+      'sla.breachedAt': null,
+      status: { $in: ['new', 'read', 'open'] }
+    });
+  });
+
+  it('flags each breach once and sends one escalation listing them', async () => {
+    const breached = await flagBreachedTickets();
+
+    expect(breached).toEqual(overdue);
+    expect(Contact.updateOne).toHaveBeenCalledWith(
+      { _id: overdue[0]._id, 'sla.dueAt': overdue[0].sla.dueAt, 'sla.breachedAt': null },
+      { $set: { 'sla.breachedAt': expect.any(Date) } }
+    );
+    expect(emailService.sendSlaEscalation).toHaveBeenCalledTimes(1);
+    expect(emailService.sendSlaEscalation).toHaveBeenCalledWith(overdue);
+  });
+
+  it('leaves out tickets another worker already flagged', async () => {
+    Contact.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+    const breached = await flagBreachedTickets();
+
+    expect(breached).toEqual([overdue[1]]);
+    expect(emailService.sendSlaEscalation).toHaveBeenCalledWith([overdue[1]]);
+  });
+
+  it('sends nothing when no ticket is overdue', async () => {
+    Contact.find.mockReturnValue(mockQuery([]));
+
+    await flagBreachedTickets();
+
+    expect(emailService.sendSlaEscalation).not.toHaveBeenCalled();
+  });
+});
+
+describe('SLA metrics', () => {
+  it('report compliance and median first response by service', async () => {
+    jest.spyOn(Contact, 'aggregate').mockResolvedValue([
+      { _id: 'web-development', total: 3, met: 2, breached: 1, responseTimes: [HOUR, 3 * HOUR, 30 * HOUR] },
+      { _id: 'cyber-security', total: 2, met: 0, breached: 1, responseTimes: [null, null] }
+    ]);
+    jest.spyOn(Contact, 'countDocuments').mockResolvedValue(4);
+
+    const metrics = await getSlaMetrics({ from: new Date(0), to: new Date() });
+
+    expect(metrics.overdue).toBe(4);
+    expect(metrics.overall).toEqual({
+      tickets: 5,
+      answered: 3,
+      medianFirstResponseMinutes: 180,
+      met: 2,
+      breached: 2,
+      compliance: 50
+    });
+    expect(metrics.byService[1]).toMatchObject({ service: 'cyber-security', answered: 0, medianFirstResponseMinutes: null, compliance: 0 });
+  });
+
+  it('are limited to dashboard:view', async () => {
+    const { auth } = signIn({ role: 'instructor' });
+
+    const res = await request(app).get('/api/admin/sla').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('need a valid date range', async () => {
+    const { auth } = signIn({ role: 'support' });
+
+    const res = await request(app).get('/api/admin/sla?from=2026-02-01&to=2026-01-01').set('Authorization', auth);
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,228 @@
+const request = require('supertest');
+const EmailBounce = require('../models/EmailBounce');
+const EmailJob = require('../models/EmailJob');
+const Newsletter = require('../models/Newsletter');
+const Suppression = require('../models/Suppression');
+const webhookRoutes = require('../routes/webhooks');
+const suppressionRoutes = require('../routes/suppressions');
+const {
+  HARD_BOUNCE_LIMIT,
+  SOFT_BOUNCE_LIMIT,
+  SOFT_BOUNCE_WINDOW_DAYS,
+  findBlockingSuppression,
+  recordBounce
+} = require('../services/suppressionService');
+const { parseBounceNotification } = require('../services/bounceParser');
+const { createApp, mockQuery, mockFindById, mockSave, mockAudit, signIn } = require('./helpers');
+
+const webhookApp = createApp('/api/webhooks', webhookRoutes);
+const adminApp = createApp('/api/admin/suppressions', suppressionRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const newSuppression = (fields = {}) => new Suppression({ email: 'amina@example.com', reason: 'hard-bounce', ...fields });
+
+describe('which emails a suppression stops', () => {
+  it('lets account emails through to an address that complained', async () => {
+    jest.spyOn(Suppression, 'findOne').mockResolvedValue(newSuppression({ reason: 'complaint' }));
+
+    expect(await findBlockingSuppression('Amina@Example.com ', false)).toBeNull();
+    expect(await findBlockingSuppression('amina@example.com', true)).not.toBeNull();
+    expect(Suppression.findOne).toHaveBeenCalledWith({ email: 'amina@example.com', releasedAt: null });
+  });
+
+  it('stops every email to an address that bounced', async () => {
+    jest.spyOn(Suppression, 'findOne').mockResolvedValue(newSuppression());
+
+    expect(await findBlockingSuppression('amina@example.com', false)).not.toBeNull();
+  });
+});
+
+describe('recording bounces', () => {
+  let subscriber;
+
+  beforeEach(() => {
+    mockSave(EmailBounce);
+    mockSave(Newsletter);
+    jest.spyOn(EmailJob, 'findOne').mockReturnValue(mockQuery(null));
+    jest.spyOn(EmailBounce, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Suppression, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Suppression, 'findOneAndUpdate').mockImplementation((filter, update) => Promise.resolve(
+      newSuppression({ email: filter.email, ...update.$set })
+    ));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    subscriber = new Newsletter({ email: 'amina@example.com' });
+    subscriber.confirm();
+    jest.spyOn(Newsletter, 'findOne').mockResolvedValue(subscriber);
+  });
+
+  it('waits for a second hard bounce before suppressing', async () => {
+    const first = await recordBounce({ email: 'amina@example.com', type: 'hard' }, 'webhook');
+    expect(first.suppression).toBeNull();
+
+    EmailBounce.countDocuments.mockResolvedValue(HARD_BOUNCE_LIMIT);
+    const second = await recordBounce({ email: 'amina@example.com', type: 'hard' }, 'webhook');
+
+    expect(second.suppression.reason).toBe('hard-bounce');
+    expect(Suppression.findOneAndUpdate.mock.calls[0][1].$set.lastBounce).toEqual(second.bounce._id);
+    expect(subscriber).toMatchObject({ status: 'bounced', isActive: false });
+  });
+
+  it('only counts soft bounces from the last window', async () => {
+    EmailBounce.countDocuments.mockResolvedValue(SOFT_BOUNCE_LIMIT);
+
+    const { suppression } = await recordBounce({ email: 'amina@example.com', type: 'soft' }, 'webhook');
+
+    expect(suppression.reason).toBe('soft-bounce');
+    const { createdAt } = EmailBounce.countDocuments.mock.calls[0][0];
+    expect(Date.now() - createdAt.$gt.getTime()).toBeCloseTo(SOFT_BOUNCE_WINDOW_DAYS * DAY, -4);
+  });
+
+  it('suppresses on the first complaint and unsubscribes the subscriber', async () => {
+    const { suppression } = await recordBounce({ email: 'amina@example.com', type: 'complaint' }, 'webhook');
+
+    expect(suppression.reason).toBe('complaint');
+    expect(EmailBounce.countDocuments).not.toHaveBeenCalled();
+    expect(subscriber).toMatchObject({ status: 'unsubscribed', isActive: false });
+  });
+
+  it('does not count bounces from before a suppression was released', async () => {
+    const releasedAt = new Date(Date.now() - DAY);
+    Suppression.findOne.mockResolvedValue(newSuppression({ releasedAt }));
+
+    await recordBounce({ email: 'amina@example.com', type: 'hard' }, 'webhook');
+
+    expect(EmailBounce.countDocuments.mock.calls[0][0].createdAt).toEqual({ $gt: releasedAt });
+  });
+
+  it('links the bounce to the email that caused it', async () => {
+    const job = new EmailJob({ type: 'newsletter', mail: { to: 'amina@example.com' } });
+    EmailJob.findOne.mockReturnValue(mockQuery(job));
+
+    const { bounce } = await recordBounce({ email: 'amina@example.com', type: 'soft', messageId: '<m1@example.com>' }, 'webhook');
+
+    expect(EmailJob.findOne).toHaveBeenCalledWith({ messageId: '<m1@example.com>' });
+    expect(bounce.job).toEqual(job._id);
+  });
+});
+
+describe('parsing bounce notifications', () => {
+  it('reads SES notifications wrapped in SNS', () => {
+    const payload = {
+      Type: 'Notification',
+      Message: JSON.stringify({
+        notificationType: 'Bounce',
+        mail: { messageId: 'ses-1' },
+        bounce: {
+          bounceType: 'Permanent',
+          bouncedRecipients: [{ emailAddress: 'Amina <AMINA@example.com>', status: '5.1.1', diagnosticCode: 'smtp; 550 User unknown' }]
+        }
+      })
+    };
+
+    expect(parseBounceNotification(payload)).toEqual([{
+      email: 'amina@example.com',
+      type: 'hard',
+      status: '5.1.1',
+      diagnostic: 'smtp; 550 User unknown',
+      messageId: 'ses-1'
+    }]);
+  });
+
+  it('treats a full mailbox as soft and ignores delivered reports in a DSN', () => {
+    const raw = [
+      'Message-ID: <bounce@mx.example.com>',
+      '',
+      'Final-Recipient: rfc822; amina@example.com',
+      'Action: failed',
+      'Status: 5.2.2',
+      '',
+      'Final-Recipient: rfc822; otieno@example.com',
+      'Action: delivered',
+      'Status: 2.0.0',
+      '',
+      'Original-Message-ID: <sent-1@example.com>'
+    ].join('\r\n');
+
+    expect(parseBounceNotification(raw)).toEqual([
+      expect.objectContaining({ email: 'amina@example.com', type: 'soft', messageId: '<sent-1@example.com>' })
+    ]);
+  });
+});
+
+describe('bounce webhook', () => {
+  beforeEach(() => {
+    process.env.BOUNCE_WEBHOOK_TOKEN = 'bounce-token';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.BOUNCE_WEBHOOK_TOKEN;
+  });
+
+  it('needs the shared token', async () => {
+    const res = await request(webhookApp).post('/api/webhooks/bounces?token=wrong').send({ email: 'amina@example.com' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('records each bounce in the notification', async () => {
+    mockSave(EmailBounce);
+    jest.spyOn(EmailBounce, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Suppression, 'findOne').mockResolvedValue(null);
+
+    const res = await request(webhookApp)
+      .post('/api/webhooks/bounces?token=bounce-token')
+      .send([{ email: 'amina@example.com', bounceType: 'hard' }, { email: 'otieno@example.com', status: '4.4.1' }]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ processed: 2, suppressed: 0 });
+  });
+});
+
+describe('managing suppressions', () => {
+  let admin;
+
+  beforeEach(() => {
+    admin = signIn({ role: 'admin' });
+    mockAudit();
+  });
+
+  it('is limited to emails:manage', async () => {
+    const { auth } = signIn({ role: 'marketing' });
+
+    const res = await request(adminApp).post('/api/admin/suppressions').set('Authorization', auth).send({ email: 'amina@example.com' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('validates the address', async () => {
+    const res = await request(adminApp).post('/api/admin/suppressions').set('Authorization', admin.auth).send({ email: 'nope' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+
+  it('will not release a suppression twice', async () => {
+    const suppression = newSuppression({ releasedAt: new Date() });
+    mockFindById(Suppression, suppression);
+
+    const res = await request(adminApp).delete(`/api/admin/suppressions/${suppression._id}`).set('Authorization', admin.auth);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('releases a suppression and keeps it for history', async () => {
+    mockSave(Suppression);
+    const suppression = newSuppression();
+    mockFindById(Suppression, suppression);
+
+    const res = await request(adminApp).delete(`/api/admin/suppressions/${suppression._id}`).set('Authorization', admin.auth);
+
+    expect(res.status).toBe(200);
+    expect(suppression.releasedAt).toBeInstanceOf(Date);
+    expect(suppression.releasedBy).toEqual(admin.user._id);
+    expect(suppression.blocks(true)).toBe(false);
+  });
+});
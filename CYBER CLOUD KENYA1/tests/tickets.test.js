@@ -0,0 +1,266 @@
+const request = require('supertest');
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const contactRoutes = require('../routes/contact');
+const webhookRoutes = require('../routes/webhooks');
+const { stripQuotedReply, parseInboundEmail, findTicketForEmail } = require('../services/ticketService');
+const { createApp, mockFindById, mockSave, mockAudit, storedUser, signIn, mockEmails } = require('./helpers');
+
+jest.mock('../services/emailService');
+
+const contactApp = createApp('/api/contact', contactRoutes);
+const webhookApp = createApp('/api/webhooks', webhookRoutes);
+
+const newTicket = async (fields = {}) => {
+  const contact = new Contact({
+    name: 'Wanjiku',
+    email: 'wanjiku@example.com',
+    subject: 'Course fees',
+    message: 'How much is the video editing course?',
+    service: 'video-editing',
+    ...fields
+  });
+  await contact.save();
+  return contact;
+};
+
+beforeEach(() => {
+  mockEmails(emailService);
+  mockSave(Contact);
+  mockAudit();
+});
+
+describe('tickets', () => {
+  it('get a number and start their thread with the submission', async () => {
+    const contact = await newTicket();
+
+    expect(contact.ticketNumber).toMatch(/^CCK-[0-9A-F]{8}$/);
+    expect(contact.messages).toHaveLength(1);
+    expect(contact.messages[0]).toMatchObject({ direction: 'inbound', body: contact.message, from: 'wanjiku@example.com' });
+  });
+
+  it('keep every reply instead of overwriting the last one', async () => {
+    const contact = await newTicket();
+
+    contact.addMessage({ direction: 'outbound', body: 'It is KES 20,000.' });
+    contact.addMessage({ direction: 'inbound', body: 'Thanks, is there a payment plan?' });
+
+    expect(contact.messages.map(message => message.direction)).toEqual(['inbound', 'outbound', 'inbound']);
+    expect(contact.status).toBe('open');
+    expect(contact.firstResponseAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('replying to a ticket', () => {
+  let agent;
+  let contact;
+
+  beforeEach(async () => {
+    agent = signIn({ role: 'support', name: 'Otieno' });
+    contact = await newTicket();
+    mockFindById(Contact, contact);
+  });
+
+  const reply = (body, auth = agent.auth) => request(contactApp)
+    .post(`/api/contact/${contact._id}/replies`)
+    .set('Authorization', auth)
+    .send(body);
+
+  it('requires a login', async () => {
+    const res = await request(contactApp).post(`/api/contact/${contact._id}/replies`).send({ message: 'Hi' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('is limited to contacts:respond', async () => {
+    const { auth } = signIn({ role: 'marketing' });
+
+    const res = await reply({ message: 'Hi' }, auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('needs a message', async () => {
+    const res = await reply({ message: '  ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+
+  it('adds the reply to the thread and emails it to the client', async () => {
+    const res = await reply({ message: 'It is KES 20,000.', close: true });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'closed', emailed: true });
+    const sent = contact.messages[1];
+    const { jobId } = await emailService.sendTicketReply.mock.results[0].value;
+    expect(sent).toMatchObject({ direction: 'outbound', body: 'It is KES 20,000.', emailJob: jobId });
+    expect(sent.author).toEqual(agent.user._id);
+    expect(sent.messageId).toMatch(/^<ticket-[0-9a-f]{24}-[0-9a-f]{16}@/);
+    expect(emailService.sendTicketReply).toHaveBeenCalledWith(contact, sent, 'Otieno');
+  });
+
+  it('keeps the reply when the email cannot be queued', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    emailService.sendTicketReply.mockResolvedValue({ success: false, error: 'Queue unavailable' });
+
+    const res = await reply({ message: 'It is KES 20,000.' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.emailed).toBe(false);
+    expect(contact.messages).toHaveLength(2);
+  });
+
+  it('emails responses given through the update route too', async () => {
+    const res = await request(contactApp)
+      .put(`/api/contact/${contact._id}`)
+      .set('Authorization', agent.auth)
+      .send({ response: { message: 'We have an evening class as well.' } });
+
+    expect(res.status).toBe(200);
+    expect(emailService.sendTicketReply).toHaveBeenCalled();
+  });
+});
+
+describe('assigning a ticket', () => {
+  let admin;
+  let contact;
+
+  beforeEach(async () => {
+    admin = signIn({ role: 'admin' });
+    contact = await newTicket();
+    mockFindById(Contact, contact);
+  });
+
+  const assign = (assignedTo) => request(contactApp)
+    .put(`/api/contact/${contact._id}/assign`)
+    .set('Authorization', admin.auth)
+    .send({ assignedTo });
+
+  it('only goes to active staff who can respond', async () => {
+    const marketer = storedUser({ role: 'marketing' });
+    const former = storedUser({ role: 'support', isActive: false });
+    mockFindById(User, marketer, former);
+
+    expect((await assign(marketer._id)).status).toBe(400);
+    expect((await assign(former._id)).status).toBe(400);
+    expect((await assign('nope')).status).toBe(400);
+  });
+
+  it('tells the assignee', async () => {
+    const agent = storedUser({ role: 'support', name: 'Otieno' });
+    mockFindById(User, agent);
+
+    const res = await assign(agent._id);
+
+    expect(res.status).toBe(200);
+    expect(contact.assignedTo).toEqual(agent._id);
+    expect(emailService.sendTicketAssignment).toHaveBeenCalledWith(contact, agent, admin.user.name);
+  });
+});
+
+describe('inbound replies', () => {
+  it('drop the quoted original', () => {
+    const text = 'Yes please, book me in.\r\n\r\nOn Mon, 5 Jan 2026 at 10:00, Cyber Cloud Kenya wrote:\r\n> It is KES 20,000.';
+
+    expect(stripQuotedReply(text)).toBe('Yes please, book me in.');
+  });
+
+  it('read Postmark payloads', () => {
+    const email = parseInboundEmail({
+      FromFull: { Email: 'Wanjiku@Example.com' },
+      To: 'Support <support+abc@example.com>',
+      Subject: 'Re: [CCK-7F3A9C21] Course fees',
+      TextBody: 'Yes please.',
+      Headers: [
+        { Name: 'Message-ID', Value: '<inbound-1@mail.example.com>' },
+        { Name: 'In-Reply-To', Value: '<ticket-1@example.com>' }
+      ]
+    });
+
+    expect(email).toEqual({
+      from: 'wanjiku@example.com',
+      to: ['support+abc@example.com'],
+      subject: 'Re: [CCK-7F3A9C21] Course fees',
+      body: 'Yes please.',
+      messageId: '<inbound-1@mail.example.com>',
+      threadIds: ['<ticket-1@example.com>']
+    });
+  });
+
+  it('trust a signed reply address but need the client to send a ticket number', async () => {
+    const contact = await newTicket();
+    mockFindById(Contact, contact);
+    jest.spyOn(Contact, 'findOne').mockResolvedValue(contact);
+    const email = { from: 'someone@else.com', to: [contact.getReplyAddress()], subject: '', threadIds: [] };
+
+    expect(await findTicketForEmail(email)).toBe(contact);
+    expect(await findTicketForEmail({ ...email, to: ['support+0123.forged@example.com'] })).toBeNull();
+
+    const bySubject = { from: 'someone@else.com', to: [], subject: `Re: [${contact.ticketNumber}]`, threadIds: [] };
+    expect(await findTicketForEmail(bySubject)).toBeNull();
+    expect(await findTicketForEmail({ ...bySubject, from: 'wanjiku@example.com' })).toBe(contact);
+  });
+});
+
+describe('inbound email webhook', () => {
+  let contact;
+
+  beforeEach(async () => {
+    process.env.INBOUND_EMAIL_WEBHOOK_TOKEN = 'inbound-token';
+    contact = await newTicket();
+    contact.close();
+    mockFindById(Contact, contact);
+    jest.spyOn(Contact.prototype, 'populate').mockResolvedValue(contact);
+  });
+
+  afterEach(() => {
+    delete process.env.INBOUND_EMAIL_WEBHOOK_TOKEN;
+  });
+
+  const deliver = (payload) => request(webhookApp).post('/api/webhooks/inbound-email?token=inbound-token').send(payload);
+
+  it('needs the shared token', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const res = await request(webhookApp).post('/api/webhooks/inbound-email').send({});
+
+    expect(res.status).toBe(403);
+  });
+
+  it('reopens the ticket with the client\'s reply and tells staff', async () => {
+    const res = await deliver({
+      from: 'wanjiku@example.com',
+      to: contact.getReplyAddress(),
+      subject: 'Re: Course fees',
+      text: 'Is there a payment plan?',
+      messageId: '<inbound-1@mail.example.com>'
+    });
+
+    expect(res.body.data).toEqual({ matched: true, ticketNumber: contact.ticketNumber, added: true });
+    expect(contact.status).toBe('open');
+    expect(contact.messages[1]).toMatchObject({ direction: 'inbound', body: 'Is there a payment plan?' });
+    expect(emailService.sendTicketClientReply).toHaveBeenCalled();
+  });
+
+  it('ignores a retried delivery of the same email', async () => {
+    const payload = { from: 'wanjiku@example.com', to: contact.getReplyAddress(), text: 'Hi', messageId: '<inbound-1@mail.example.com>' };
+
+    await deliver(payload);
+    const res = await deliver(payload);
+
+    expect(res.body.data.added).toBe(false);
+    expect(contact.messages).toHaveLength(2);
+  });
+
+  it('acknowledges email that matches no ticket', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Contact, 'findOne').mockResolvedValue(null);
+
+    const res = await deliver({ from: 'stranger@example.com', to: 'support@example.com', text: 'Hello' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ matched: false, added: false });
+  });
+});
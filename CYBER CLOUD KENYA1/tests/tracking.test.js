@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Campaign = require('../models/Campaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const CampaignEvent = require('../models/CampaignEvent');
+const newsletterRoutes = require('../routes/newsletter');
+const campaignRoutes = require('../routes/campaigns');
+const {
+  createTrackingToken,
+  verifyTrackingToken,
+  injectTracking,
+  recordEvent
+} = require('../services/trackingService');
+const { createApp, mockFindById, signIn } = require('./helpers');
+
+const newsletterApp = createApp('/api/newsletter', newsletterRoutes);
+const campaignApp = createApp('/api/admin/campaigns', campaignRoutes);
+
+const newDelivery = () => new CampaignDelivery({
+  campaign: new mongoose.Types.ObjectId(),
+  subscriber: new mongoose.Types.ObjectId(),
+  email: 'amina@example.com',
+  status: 'sent'
+});
+
+describe('tracking tokens', () => {
+  it('are only valid for the delivery and purpose they were signed for', () => {
+    const delivery = newDelivery();
+    const token = createTrackingToken(delivery._id, 'click:https://example.com/a');
+    const [, signature] = token.split('.');
+
+    expect(verifyTrackingToken(token, 'click:https://example.com/a')).toBe(String(delivery._id));
+    expect(verifyTrackingToken(token, 'click:https://evil.example.com')).toBeNull();
+    expect(verifyTrackingToken(token, 'open')).toBeNull();
+    expect(verifyTrackingToken(`${new mongoose.Types.ObjectId()}.${signature}`, 'click:https://example.com/a')).toBeNull();
+    expect(verifyTrackingToken('garbage', 'open')).toBeNull();
+  });
+
+  it('route web links through the click tracker and leave management links alone', () => {
+    const delivery = newDelivery();
+    const html = [
+      '<a href="https://example.com/courses?a=1&amp;b=2">Courses</a>',
+      '<a href="mailto:info@example.com">Email us</a>',
+      '<a href="https://api.example.com/api/newsletter/unsubscribe/abc">Unsubscribe</a>'
+    ].join('');
+
+    const tracked = injectTracking(html, delivery._id, { skip: ['https://api.example.com/api/newsletter/unsubscribe/'] });
+
+    const clickToken = createTrackingToken(delivery._id, 'click:https://example.com/courses?a=1&b=2');
+    expect(tracked).toContain(`/track/click/${clickToken}?url=${encodeURIComponent('https://example.com/courses?a=1&b=2')}`);
+    expect(tracked).toContain('href="mailto:info@example.com"');
+    expect(tracked).toContain('href="https://api.example.com/api/newsletter/unsubscribe/abc"');
+    expect(tracked).toContain(`/track/open/${createTrackingToken(delivery._id, 'open')}`);
+  });
+});
+
+describe('recording events', () => {
+  let delivery;
+
+  beforeEach(() => {
+    delivery = newDelivery();
+    mockFindById(CampaignDelivery, delivery);
+    jest.spyOn(CampaignEvent, 'create').mockResolvedValue({});
+    jest.spyOn(CampaignDelivery, 'updateOne').mockResolvedValue({});
+  });
+
+  it('stores the event and stamps only the first open', async () => {
+    await recordEvent(delivery._id, 'open', { ipAddress: '10.0.0.1' });
+
+    expect(CampaignEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      campaign: delivery.campaign,
+      delivery: delivery._id,
+      type: 'open',
+      ipAddress: '10.0.0.1'
+    }));
+    expect(CampaignDelivery.updateOne).toHaveBeenCalledWith({ _id: delivery._id, openedAt: null }, { openedAt: expect.any(Date) });
+  });
+
+  it('counts a click as an open too', async () => {
+    await recordEvent(delivery._id, 'click', { url: 'https://example.com' });
+
+    const stamped = CampaignDelivery.updateOne.mock.calls.map(([filter]) => Object.keys(filter)[1]);
+    expect(stamped).toEqual(['openedAt', 'clickedAt']);
+  });
+
+  it('ignores unknown deliveries', async () => {
+    expect(await recordEvent(new mongoose.Types.ObjectId(), 'open')).toBeNull();
+    expect(CampaignEvent.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('tracking endpoints', () => {
+  let delivery;
+
+  beforeEach(() => {
+    delivery = newDelivery();
+    mockFindById(CampaignDelivery, delivery);
+    jest.spyOn(CampaignEvent, 'create').mockResolvedValue({});
+    jest.spyOn(CampaignDelivery, 'updateOne').mockResolvedValue({});
+  });
+
+  it('always serves the pixel but only records signed opens', async () => {
+    const forged = await request(newsletterApp).get(`/api/newsletter/track/open/${delivery._id}.forged`);
+    expect(forged.status).toBe(200);
+    expect(forged.headers['content-type']).toBe('image/gif');
+    expect(CampaignEvent.create).not.toHaveBeenCalled();
+
+    await request(newsletterApp).get(`/api/newsletter/track/open/${createTrackingToken(delivery._id, 'open')}`);
+    expect(CampaignEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'open' }));
+  });
+
+  it('redirects a signed click to its link', async () => {
+    const url = 'https://example.com/courses';
+    const token = createTrackingToken(delivery._id, `click:${url}`);
+
+    const res = await request(newsletterApp).get(`/api/newsletter/track/click/${token}`).query({ url });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe(url);
+    expect(CampaignEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'click', url }));
+  });
+
+  it('is not an open redirect', async () => {
+    const token = createTrackingToken(delivery._id, 'click:https://example.com/courses');
+
+    const res = await request(newsletterApp).get(`/api/newsletter/track/click/${token}`).query({ url: 'https://evil.example.com' });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe(process.env.FRONTEND_URL);
+    expect(CampaignEvent.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('campaign analytics', () => {
+  it('is limited to newsletter:read', async () => {
+    const { auth } = signIn({ role: 'support' });
+
+    const res = await request(campaignApp).get(`/api/admin/campaigns/${new mongoose.Types.ObjectId()}/analytics`).set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('reports unique rates against delivered emails', async () => {
+    const { auth } = signIn({ role: 'marketing' });
+    const campaign = new Campaign({ subject: 'January intake is open', content: 'Applications are open.', status: 'sent' });
+    mockFindById(Campaign, campaign);
+    const counts = { sent: 200, failed: 3, openedAt: 80, clickedAt: 20, unsubscribedAt: 2 };
+    jest.spyOn(CampaignDelivery, 'countDocuments').mockImplementation(filter => Promise.resolve(
+      counts[filter.status] || counts[Object.keys(filter)[1]]
+    ));
+    jest.spyOn(CampaignEvent, 'countDocuments').mockImplementation(filter => Promise.resolve(filter.type === 'open' ? 150 : 30));
+    jest.spyOn(CampaignEvent, 'aggregate').mockResolvedValue([{ url: 'https://example.com', clicks: 30, uniqueClicks: 20 }]);
+
+    const res = await request(campaignApp).get(`/api/admin/campaigns/${campaign._id}/analytics`).set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      delivered: 200,
+      failed: 3,
+      opens: { unique: 80, total: 150, rate: 40 },
+      clicks: { unique: 20, total: 30, rate: 10, clickToOpenRate: 25 },
+      unsubscribes: { count: 2, rate: 1 }
+    });
+    expect(res.body.data.topLinks).toHaveLength(1);
+  });
+});
@@ -0,0 +1,207 @@
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const authRoutes = require('../routes/auth');
+const { requirePermission } = require('../middleware/auth');
+const { generateTwoFactorToken } = require('../services/tokenService');
+const totp = require('../services/totpService');
+const { createApp, mockFindById, mockSave, mockAudit, storedUser, signIn, TEST_PASSWORD } = require('./helpers');
+
+const app = createApp('/api/auth', authRoutes);
+
+const currentCode = (secret) => totp.generateHotp(secret, Math.floor(Date.now() / 30000));
+
+describe('totpService', () => {
+  // RFC 4226 appendix D, secret "12345678901234567890"
+  const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  it('generates the RFC 4226 reference codes', () => {
+    expect(totp.generateHotp(RFC_SECRET, 0)).toBe('755224');
+    expect(totp.generateHotp(RFC_SECRET, 1)).toBe('287082');
+    expect(totp.generateHotp(RFC_SECRET, 9)).toBe('520489');
+  });
+
+  it('accepts the current code once and allows one step of drift', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1900000000000);
+    const secret = totp.generateSecret();
+    const step = Math.floor(Date.now() / 30000);
+
+    expect(totp.verifyCode(secret, totp.generateHotp(secret, step))).toBe(step);
+    expect(totp.verifyCode(secret, totp.generateHotp(secret, step - 1))).toBe(step - 1);
+    expect(totp.verifyCode(secret, totp.generateHotp(secret, step), step)).toBeNull();
+    expect(totp.verifyCode(secret, totp.generateHotp(secret, step - 2))).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef')).toBeNull();
+  });
+
+  it('stores backup codes as hashes that ignore case and dashes', () => {
+    const { codes, hashes } = totp.generateBackupCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(codes[0]).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/);
+    expect(hashes).not.toContain(codes[0]);
+    expect(totp.hashBackupCode(codes[0].toUpperCase().replace('-', ''))).toBe(hashes[0]);
+  });
+});
+
+describe('logging in with two factors', () => {
+  let user;
+  let backupCodes;
+
+  beforeEach(() => {
+    const secret = totp.generateSecret();
+    const backup = totp.generateBackupCodes(2);
+    backupCodes = backup.codes;
+    user = storedUser({ role: 'admin', twoFactor: { enabled: true, secret, backupCodes: backup.hashes } });
+    mockFindById(User, user);
+    mockSave(User);
+    mockSave(RefreshToken);
+  });
+
+  const secondStep = (body) => request(app)
+    .post('/api/auth/login/2fa')
+    .send({ twoFactorToken: generateTwoFactorToken(user._id), ...body });
+
+  it('asks for a code instead of starting a session', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(user) });
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: TEST_PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ twoFactorRequired: true, twoFactorToken: expect.any(String) });
+  });
+
+  it('refuses an access token in place of the two-factor token', async () => {
+    const res = await request(app).post('/api/auth/login/2fa').send({ twoFactorToken: signIn().auth.split(' ')[1], code: '123456' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('finishes the login with the current code and refuses it a second time', async () => {
+    const code = currentCode(user.twoFactor.secret);
+
+    const first = await secondStep({ code });
+    const second = await secondStep({ code });
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.token).toEqual(expect.any(String));
+    expect(second.status).toBe(401);
+  });
+
+  it('accepts each backup code once', async () => {
+    const first = await secondStep({ backupCode: backupCodes[0] });
+    const second = await secondStep({ backupCode: backupCodes[0] });
+
+    expect(first.status).toBe(200);
+    expect(user.twoFactor.backupCodes).toHaveLength(1);
+    expect(second.status).toBe(401);
+  });
+
+  it('counts wrong codes towards the lockout', async () => {
+    const res = await secondStep({ code: '000000' });
+
+    expect(res.status).toBe(401);
+    expect(user.loginAttempts).toBe(1);
+  });
+});
+
+describe('setting up two factors', () => {
+  let session;
+
+  beforeEach(() => {
+    session = signIn({ role: 'admin' });
+    mockSave(User);
+    mockAudit();
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_ADMIN_2FA;
+  });
+
+  it('requires a login', async () => {
+    const res = await request(app).post('/api/auth/2fa/setup');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('enables two factors once a code from the new secret is confirmed', async () => {
+    const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', session.auth);
+    const { secret, otpauthUrl } = setup.body.data;
+    expect(otpauthUrl).toContain(`secret=${secret}`);
+
+    const wrong = await request(app).post('/api/auth/2fa/enable').set('Authorization', session.auth).send({ code: '000000' });
+    expect(wrong.status).toBe(400);
+    expect(session.user.twoFactor.enabled).toBe(false);
+
+    const res = await request(app).post('/api/auth/2fa/enable').set('Authorization', session.auth).send({ code: currentCode(secret) });
+    expect(res.status).toBe(200);
+    expect(res.body.data.backupCodes).toHaveLength(10);
+    expect(session.user.twoFactor).toMatchObject({ enabled: true, secret, pendingSecret: undefined });
+  });
+
+  it('needs the password and a code to turn two factors off', async () => {
+    session.user.twoFactor = { enabled: true, secret: totp.generateSecret() };
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', session.auth)
+      .send({ password: 'WrongPassword1', code: currentCode(session.user.twoFactor.secret) });
+
+    expect(res.status).toBe(400);
+    expect(session.user.twoFactor.enabled).toBe(true);
+  });
+
+  it('turns two factors off with the password and a current code', async () => {
+    session.user.twoFactor = { enabled: true, secret: totp.generateSecret() };
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', session.auth)
+      .send({ password: TEST_PASSWORD, code: currentCode(session.user.twoFactor.secret) });
+
+    expect(res.status).toBe(200);
+    expect(session.user.twoFactor.enabled).toBe(false);
+  });
+
+  it('will not turn two factors off when the role requires them', async () => {
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+    session.user.twoFactor = { enabled: true, secret: totp.generateSecret() };
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', session.auth)
+      .send({ password: TEST_PASSWORD, code: currentCode(session.user.twoFactor.secret) });
+
+    expect(res.status).toBe(403);
+    expect(session.user.twoFactor.enabled).toBe(true);
+  });
+});
+
+describe('requiring two factors for staff', () => {
+  afterEach(() => {
+    delete process.env.REQUIRE_ADMIN_2FA;
+  });
+
+  const check = (user) => {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+    requirePermission('users:read')({ user }, res, next);
+    return { res, next };
+  };
+
+  it('blocks admins without two factors when required', () => {
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+
+    const { res, next } = check(storedUser({ role: 'admin' }));
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('lets admins with two factors through', () => {
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+
+    const { next } = check(storedUser({ role: 'admin', twoFactor: { enabled: true } }));
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,5 @@
+// Case-insensitive "contains" filter for a search box. Query strings can arrive as
+// arrays (?search=a&search=b), so the value is coerced before it is escaped.
+const textSearch = (search) => new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+module.exports = { textSearch };
@@ -0,0 +1,45 @@
+const { markOverdueInvoices, expireQuotes } = require('../services/billingService');
+
+// Seconds between checks for overdue invoices and lapsed quotations
+const getIntervalSeconds = () => parseInt(process.env.BILLING_WORKER_INTERVAL_SECONDS) || 3600;
+
+let timer = null;
+let running = false;
+
+// Run one pass, skipping it if the previous pass is still running
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const overdue = await markOverdueInvoices();
+    const expired = await expireQuotes();
+
+    if (overdue > 0 || expired > 0) {
+      console.log(`Billing worker: ${overdue} invoices overdue, ${expired} quotations expired`);
+    }
+  } catch (error) {
+    console.error('Billing worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start polling for invoices past their due date and quotations past their validity
+const startBillingWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, getIntervalSeconds() * 1000);
+  console.log(`Billing worker started (every ${getIntervalSeconds()}s)`);
+};
+
+const stopBillingWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startBillingWorker,
+  stopBillingWorker,
+  runBillingWorkerNow: tick
+};
@@ -0,0 +1,40 @@
+const { processDueCampaigns } = require('../services/campaignService');
+
+// Seconds between checks for campaigns that are due
+const getIntervalSeconds = () => parseInt(process.env.CAMPAIGN_WORKER_INTERVAL_SECONDS) || 60;
+
+let timer = null;
+let running = false;
+
+// Run one pass, skipping it if the previous pass is still sending
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await processDueCampaigns();
+  } catch (error) {
+    console.error('Campaign worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start polling for scheduled campaigns
+const startCampaignWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, getIntervalSeconds() * 1000);
+  console.log(`Campaign worker started (every ${getIntervalSeconds()}s)`);
+};
+
+const stopCampaignWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startCampaignWorker,
+  stopCampaignWorker,
+  runCampaignWorkerNow: tick
+};
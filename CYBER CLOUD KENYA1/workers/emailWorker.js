@@ -0,0 +1,61 @@
+const { processEmailQueue } = require('../services/emailQueue');
+
+// Seconds between passes over the email queue
+const getIntervalSeconds = () => parseInt(process.env.EMAIL_WORKER_INTERVAL_SECONDS) || 5;
+
+let timer = null;
+let running = false;
+
+// Run one pass, skipping it if the previous pass is still sending
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await processEmailQueue();
+  } catch (error) {
+    console.error('Email worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start polling the email queue
+const startEmailWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, getIntervalSeconds() * 1000);
+  console.log(`Email worker started (every ${getIntervalSeconds()}s)`);
+};
+
+const stopEmailWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startEmailWorker,
+  stopEmailWorker,
+  runEmailWorkerNow: tick
+};
+
+// Run as a standalone process: npm run worker:email
+if (require.main === module) {
+  require('dotenv').config();
+  const mongoose = require('mongoose');
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cybercloudkenya')
+    .then(() => {
+      console.log('MongoDB connected successfully');
+      startEmailWorker();
+    })
+    .catch((err) => {
+      console.error('MongoDB connection error:', err);
+      process.exit(1);
+    });
+
+  process.on('SIGTERM', () => {
+    stopEmailWorker();
+    mongoose.connection.close().then(() => process.exit(0));
+  });
+}
@@ -0,0 +1,40 @@
+const { flagBreachedTickets } = require('../services/slaService');
+
+// Seconds between checks for tickets past their response SLA
+const getIntervalSeconds = () => parseInt(process.env.SLA_WORKER_INTERVAL_SECONDS) || 300;
+
+let timer = null;
+let running = false;
+
+// Run one pass, skipping it if the previous pass is still running
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await flagBreachedTickets();
+  } catch (error) {
+    console.error('SLA worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start polling for tickets that have breached their SLA
+const startSlaWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, getIntervalSeconds() * 1000);
+  console.log(`SLA worker started (every ${getIntervalSeconds()}s)`);
+};
+
+const stopSlaWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startSlaWorker,
+  stopSlaWorker,
+  runSlaWorkerNow: tick
+};